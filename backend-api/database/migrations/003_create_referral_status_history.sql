@@ -0,0 +1,37 @@
+-- Migration: Create referral_status_history table
+-- Purpose: Audit trail of every referral status change with actor, reason code and timestamp
+-- Part of the Referral Workflow feature
+
+-- Create referral_status_history table
+CREATE TABLE IF NOT EXISTS referral_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- References (patient/center are kept so history survives referral removal)
+    referral_id UUID REFERENCES patient_referrals(id) ON DELETE SET NULL,
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    transplant_center_id UUID NOT NULL REFERENCES transplant_centers(id) ON DELETE CASCADE,
+
+    -- Transition
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    action VARCHAR(50) NOT NULL DEFAULT 'transition',  -- 'transition', 'reopen'
+    reason_code VARCHAR(100),                          -- Required for declined / waitlisted
+    note TEXT,
+
+    -- Actor
+    changed_by_type VARCHAR(50) NOT NULL DEFAULT 'tc_employee',  -- 'tc_employee', 'patient', 'system'
+    changed_by_employee_id UUID REFERENCES transplant_center_employees(id) ON DELETE SET NULL,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for efficient querying
+CREATE INDEX IF NOT EXISTS idx_referral_status_history_referral_id ON referral_status_history(referral_id);
+CREATE INDEX IF NOT EXISTS idx_referral_status_history_patient_center ON referral_status_history(patient_id, transplant_center_id);
+CREATE INDEX IF NOT EXISTS idx_referral_status_history_created_at ON referral_status_history(created_at);
+
+-- Add comments for documentation
+COMMENT ON TABLE referral_status_history IS 'Append-only history of referral status changes. Part of Referral Workflow.';
+COMMENT ON COLUMN referral_status_history.reason_code IS 'Structured reason code, required when moving to declined or waitlisted';
+COMMENT ON COLUMN referral_status_history.action IS 'transition (normal workflow step) or reopen (declined referral brought back for review)';
@@ -0,0 +1,20 @@
+-- Migration: Add withdrawn referral status
+-- Purpose: Patients who deselect a transplant center withdraw the referral instead of deleting it,
+--          so the TC keeps its review progress and status history
+-- Part of the Referral Workflow feature
+
+-- Add 'withdrawn' to the referral_status enum when the column uses it
+DO $$ BEGIN
+    IF EXISTS (SELECT 1 FROM pg_type WHERE typname = 'referral_status') THEN
+        ALTER TYPE referral_status ADD VALUE IF NOT EXISTS 'withdrawn';
+    END IF;
+END $$;
+
+-- Track when a referral was withdrawn
+ALTER TABLE patient_referrals ADD COLUMN IF NOT EXISTS withdrawn_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_patient_referrals_status ON patient_referrals(status);
+
+-- Add comments for documentation
+COMMENT ON COLUMN patient_referrals.withdrawn_at IS 'When the patient deselected this center. Cleared if the center is selected again.';
+COMMENT ON COLUMN referral_status_history.action IS 'transition (TC workflow step), reopen (declined referral brought back), selected (patient chose the center), withdrawn (patient deselected the center)';
@@ -0,0 +1,41 @@
+-- Migration: Transplant center employee roles
+-- Purpose: Restrict transplant_center_employees.role to the portal's roles (admin, coordinator, read_only)
+-- Part of the TC Portal Access Control feature
+--
+-- Before this migration every self-registered employee was created as 'admin'. Those roles were never
+-- granted by anyone, so existing employees are moved to the least-privileged role, read_only, except
+-- the earliest active employee of each center, who stays admin so every center has someone who can
+-- manage its staff. Admins promote the rest from the Staff page.
+--
+-- The role changes run only the first time, before the role constraint exists, so re-running the
+-- migration never demotes admins the portal has since granted.
+
+DO $$ BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'transplant_center_employees_role_check'
+    ) THEN
+        UPDATE transplant_center_employees e
+        SET role = 'read_only', updated_at = NOW()
+        WHERE e.id IS DISTINCT FROM (
+            SELECT first.id FROM transplant_center_employees first
+            WHERE first.transplant_center_id = e.transplant_center_id AND first.status = 'active'
+            ORDER BY first.created_at, first.id
+            LIMIT 1
+        );
+
+        UPDATE transplant_center_employees
+        SET role = 'admin', updated_at = NOW()
+        WHERE role IS DISTINCT FROM 'read_only';
+
+        ALTER TABLE transplant_center_employees
+            ADD CONSTRAINT transplant_center_employees_role_check
+            CHECK (role IN ('admin', 'coordinator', 'read_only'));
+    END IF;
+END $$;
+
+ALTER TABLE transplant_center_employees ALTER COLUMN role SET DEFAULT 'read_only';
+
+CREATE INDEX IF NOT EXISTS idx_transplant_center_employees_center_role ON transplant_center_employees(transplant_center_id, role);
+
+-- Add comments for documentation
+COMMENT ON COLUMN transplant_center_employees.role IS 'admin: manages staff and settings; coordinator: changes referral status and reviews documents; read_only: view only';
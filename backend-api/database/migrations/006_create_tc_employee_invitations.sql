@@ -0,0 +1,37 @@
+-- Migration: Transplant center employee invitations
+-- Purpose: Center admins invite staff by email with a role; self-registered accounts wait as 'pending'
+--          until an admin approves them
+-- Part of the TC Portal Access Control feature
+
+CREATE TABLE IF NOT EXISTS tc_employee_invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    transplant_center_id UUID NOT NULL REFERENCES transplant_centers(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(50) NOT NULL DEFAULT 'read_only',
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    invited_by UUID REFERENCES transplant_center_employees(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    accepted_employee_id UUID REFERENCES transplant_center_employees(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_by UUID REFERENCES transplant_center_employees(id) ON DELETE SET NULL,
+    send_count INTEGER NOT NULL DEFAULT 1,
+    last_sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT tc_employee_invitations_role_check CHECK (role IN ('admin', 'coordinator', 'read_only'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_tc_employee_invitations_center ON tc_employee_invitations(transplant_center_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tc_employee_invitations_email ON tc_employee_invitations(LOWER(email));
+
+-- Only one open invitation per address at a center
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tc_employee_invitations_open
+    ON tc_employee_invitations(transplant_center_id, LOWER(email))
+    WHERE accepted_at IS NULL AND revoked_at IS NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE tc_employee_invitations IS 'Single-use, expiring invitations for transplant center staff';
+COMMENT ON COLUMN tc_employee_invitations.token_hash IS 'SHA-256 of the invitation token; the raw token only ever appears in the emailed link';
+COMMENT ON COLUMN tc_employee_invitations.send_count IS 'Times the invitation email was sent. Resending issues a new token and expiry.';
+COMMENT ON COLUMN transplant_center_employees.status IS 'pending: self-registered, awaiting admin approval; active; inactive: deactivated by an admin';
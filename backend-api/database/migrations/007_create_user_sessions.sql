@@ -0,0 +1,36 @@
+-- Migration: Patient API sessions and refresh tokens
+-- Purpose: Short-lived access tokens are paired with rotating refresh tokens stored hashed,
+--          grouped into per-device sessions that patients can list and revoke
+-- Part of the Patient API Authentication feature
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_name VARCHAR(255),
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_active ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS user_refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_refresh_tokens_session ON user_refresh_tokens(session_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE user_sessions IS 'One row per signed-in device. Access tokens carry the session id as sid.';
+COMMENT ON COLUMN user_sessions.revoked_reason IS 'logout, revoked_by_user, password_changed, account_deleted, refresh_token_reuse';
+COMMENT ON TABLE user_refresh_tokens IS 'Rotating refresh tokens. Each is single-use; presenting a used token revokes its whole session.';
+COMMENT ON COLUMN user_refresh_tokens.token_hash IS 'SHA-256 of the refresh token; the raw token is only returned to the client';
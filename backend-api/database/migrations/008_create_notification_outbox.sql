@@ -0,0 +1,39 @@
+-- Migration: Notification outbox
+-- Purpose: Emails and in-app notifications are queued in the same transaction as the change that
+--          triggers them and delivered by a background dispatcher with retries and a dead-letter state
+-- Part of the Notifications feature
+
+CREATE TABLE IF NOT EXISTS notification_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    channel VARCHAR(30) NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    recipient_type VARCHAR(30) NOT NULL,
+    recipient_id VARCHAR(64),
+    recipient_email VARCHAR(255),
+    patient_id UUID REFERENCES patients(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT notification_outbox_channel_check CHECK (channel IN ('email', 'tc_notification', 'dusw_notification')),
+    CONSTRAINT notification_outbox_recipient_type_check CHECK (recipient_type IN ('patient', 'tc_employee', 'dusw')),
+    CONSTRAINT notification_outbox_status_check CHECK (status IN ('pending', 'processing', 'sent', 'blocked', 'dead'))
+);
+
+-- The dispatcher polls for due items
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_due ON notification_outbox(next_attempt_at) WHERE status IN ('pending', 'processing');
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_recipient ON notification_outbox(recipient_type, recipient_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_failed ON notification_outbox(created_at DESC) WHERE status IN ('dead', 'blocked');
+
+-- Add comments for documentation
+COMMENT ON TABLE notification_outbox IS 'Queued emails and portal notifications; written in the business transaction, delivered by NotificationDispatcher';
+COMMENT ON COLUMN notification_outbox.channel IS 'email: sent through the email transport; tc_notification / dusw_notification: inserted into the portal notification tables';
+COMMENT ON COLUMN notification_outbox.payload IS 'email: { subject, html, text }; portal notifications: { notificationType, title, message }';
+COMMENT ON COLUMN notification_outbox.status IS 'pending, processing (claimed by a dispatcher), sent, blocked (SES sandbox recipient filter), dead (out of attempts)';
+COMMENT ON COLUMN notification_outbox.recipient_id IS 'users.id, transplant_center_employees.id or dusw_social_workers.id depending on recipient_type';
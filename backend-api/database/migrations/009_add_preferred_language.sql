@@ -0,0 +1,14 @@
+-- Migration: Preferred language for patient communications
+-- Purpose: Emails to patients are rendered in their preferred language. Social workers can set it when
+--          referring a patient, and it carries over to the patient record at registration.
+-- Part of the Notifications feature
+
+ALTER TABLE patients
+ADD COLUMN IF NOT EXISTS preferred_language VARCHAR(50) DEFAULT 'English';
+
+ALTER TABLE patient_referral_invitations
+ADD COLUMN IF NOT EXISTS preferred_language VARCHAR(50) DEFAULT 'English';
+
+-- Add comments for documentation
+COMMENT ON COLUMN patients.preferred_language IS 'English or Spanish; selects the locale of patient emails (see services/emailTemplates.js)';
+COMMENT ON COLUMN patient_referral_invitations.preferred_language IS 'Language chosen by the referring social worker; copied to patients.preferred_language on registration';
@@ -0,0 +1,51 @@
+-- Migration: Patient push notifications
+-- Purpose: The iOS app registers APNs device tokens, patients choose which kinds of pushes they get,
+--          and pushes are queued in notification_outbox like emails
+-- Part of the Notifications feature
+
+CREATE TABLE IF NOT EXISTS patient_device_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    device_token VARCHAR(200) NOT NULL UNIQUE,
+    platform VARCHAR(20) NOT NULL DEFAULT 'ios',
+    apns_environment VARCHAR(20) NOT NULL DEFAULT 'production',
+    app_version VARCHAR(50),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    last_registered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    deactivated_at TIMESTAMP WITH TIME ZONE,
+    deactivated_reason VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT patient_device_tokens_platform_check CHECK (platform IN ('ios')),
+    CONSTRAINT patient_device_tokens_environment_check CHECK (apns_environment IN ('production', 'sandbox'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_device_tokens_patient ON patient_device_tokens(patient_id) WHERE is_active = true;
+
+-- One row per patient; a missing row means every category is on
+CREATE TABLE IF NOT EXISTS patient_notification_preferences (
+    patient_id UUID PRIMARY KEY REFERENCES patients(id) ON DELETE CASCADE,
+    push_enabled BOOLEAN NOT NULL DEFAULT true,
+    referral_updates BOOLEAN NOT NULL DEFAULT true,
+    messages BOOLEAN NOT NULL DEFAULT true,
+    todos BOOLEAN NOT NULL DEFAULT true,
+    document_requests BOOLEAN NOT NULL DEFAULT true,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Pushes go through the outbox; 'skipped' records a push the patient opted out of or had no device for
+ALTER TABLE notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_channel_check;
+ALTER TABLE notification_outbox ADD CONSTRAINT notification_outbox_channel_check
+    CHECK (channel IN ('email', 'tc_notification', 'dusw_notification', 'push'));
+
+ALTER TABLE notification_outbox DROP CONSTRAINT IF EXISTS notification_outbox_status_check;
+ALTER TABLE notification_outbox ADD CONSTRAINT notification_outbox_status_check
+    CHECK (status IN ('pending', 'processing', 'sent', 'skipped', 'blocked', 'dead'));
+
+-- Add comments for documentation
+COMMENT ON TABLE patient_device_tokens IS 'APNs device tokens registered by the patient iOS app';
+COMMENT ON COLUMN patient_device_tokens.apns_environment IS 'production for App Store/TestFlight builds, sandbox for Xcode debug builds';
+COMMENT ON COLUMN patient_device_tokens.is_active IS 'Set to false on logout or when APNs reports the token as unregistered';
+COMMENT ON TABLE patient_notification_preferences IS 'Per-patient push settings; push_enabled turns off every category';
+COMMENT ON COLUMN notification_outbox.payload IS 'email: { subject, html, text }; portal notifications: { notificationType, title, message }; push: { category, title, body, data }';
+COMMENT ON COLUMN notification_outbox.status IS 'pending, processing (claimed by a dispatcher), sent, skipped (push opted out or no active device), blocked (SES sandbox recipient filter), dead (out of attempts)';
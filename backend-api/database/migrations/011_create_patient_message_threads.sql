@@ -0,0 +1,39 @@
+-- Migration: Patient <-> social worker message threads
+-- Purpose: Patients and their assigned DUSW exchange messages in threads. Replies appear in the patient's
+--          inbox alongside the existing chatbot messages, each message records when its recipient read it,
+--          and attachments are stored as patient_documents
+-- Part of the Messaging feature
+
+CREATE TABLE IF NOT EXISTS patient_message_threads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    dusw_id INTEGER NOT NULL REFERENCES dusw_social_workers(id) ON DELETE CASCADE,
+    subject VARCHAR(200) NOT NULL,
+    started_by_type VARCHAR(20) NOT NULL,
+    last_message_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT patient_message_threads_started_by_check CHECK (started_by_type IN ('patient', 'dusw'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_message_threads_patient ON patient_message_threads(patient_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_patient_message_threads_dusw ON patient_message_threads(dusw_id, last_message_at DESC);
+
+-- Thread messages are patient_messages rows with message_type 'social_worker' and a thread_id.
+-- is_read / read_at record when the recipient (the other party) read the message.
+ALTER TABLE patient_messages
+ADD COLUMN IF NOT EXISTS thread_id UUID REFERENCES patient_message_threads(id) ON DELETE CASCADE;
+
+ALTER TABLE patient_messages
+ADD COLUMN IF NOT EXISTS sender_dusw_id INTEGER REFERENCES dusw_social_workers(id) ON DELETE SET NULL;
+
+ALTER TABLE patient_messages
+ADD COLUMN IF NOT EXISTS attachment_document_id UUID REFERENCES patient_documents(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_patient_messages_thread ON patient_messages(thread_id, created_at) WHERE thread_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE patient_message_threads IS 'Conversations between a patient and their assigned dialysis unit social worker';
+COMMENT ON COLUMN patient_messages.thread_id IS 'Set for patient <-> DUSW conversation messages; NULL for chatbot/system messages';
+COMMENT ON COLUMN patient_messages.sender_type IS 'patient, dusw, or NULL for system messages';
+COMMENT ON COLUMN patient_messages.attachment_document_id IS 'patient_documents row (document_type message_attachment, or an existing patient document)';
@@ -0,0 +1,53 @@
+-- Migration: Care team message threads
+-- Purpose: Patient-scoped conversations between a transplant center (any employee of a center the
+--          patient has a referral with) and the patient's assigned dialysis unit social worker,
+--          replacing phone and fax. Attachments are stored as patient_documents.
+-- Part of the Messaging feature
+
+CREATE TABLE IF NOT EXISTS care_team_threads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    transplant_center_id UUID NOT NULL REFERENCES transplant_centers(id) ON DELETE CASCADE,
+    dusw_id INTEGER NOT NULL REFERENCES dusw_social_workers(id) ON DELETE CASCADE,
+    subject VARCHAR(200) NOT NULL,
+    created_by_type VARCHAR(20) NOT NULL,
+    created_by_id VARCHAR(64) NOT NULL,
+    last_message_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT care_team_threads_created_by_check CHECK (created_by_type IN ('tc_employee', 'dusw'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_care_team_threads_patient ON care_team_threads(patient_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_care_team_threads_center ON care_team_threads(transplant_center_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_care_team_threads_dusw ON care_team_threads(dusw_id, last_message_at DESC);
+
+CREATE TABLE IF NOT EXISTS care_team_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    thread_id UUID NOT NULL REFERENCES care_team_threads(id) ON DELETE CASCADE,
+    sender_type VARCHAR(20) NOT NULL,
+    sender_tc_employee_id UUID REFERENCES transplant_center_employees(id) ON DELETE SET NULL,
+    sender_dusw_id INTEGER REFERENCES dusw_social_workers(id) ON DELETE SET NULL,
+    content TEXT NOT NULL,
+    attachment_document_id UUID REFERENCES patient_documents(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT care_team_messages_sender_type_check CHECK (sender_type IN ('tc_employee', 'dusw'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_care_team_messages_thread ON care_team_messages(thread_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_care_team_messages_attachment ON care_team_messages(attachment_document_id) WHERE attachment_document_id IS NOT NULL;
+
+-- When each participant last read a thread; drives unread counts and read receipts
+CREATE TABLE IF NOT EXISTS care_team_thread_reads (
+    thread_id UUID NOT NULL REFERENCES care_team_threads(id) ON DELETE CASCADE,
+    reader_type VARCHAR(20) NOT NULL,
+    reader_id VARCHAR(64) NOT NULL,
+    last_read_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (thread_id, reader_type, reader_id)
+);
+
+-- Add comments for documentation
+COMMENT ON TABLE care_team_threads IS 'Patient-scoped conversations between one transplant center and the patient''s assigned DUSW';
+COMMENT ON COLUMN care_team_threads.created_by_id IS 'transplant_center_employees.id or dusw_social_workers.id depending on created_by_type';
+COMMENT ON COLUMN care_team_messages.attachment_document_id IS 'patient_documents row with document_type care_team_attachment; only the thread''s center and the DUSW can open it';
+COMMENT ON TABLE care_team_thread_reads IS 'Read position per participant; reader_id is transplant_center_employees.id or dusw_social_workers.id';
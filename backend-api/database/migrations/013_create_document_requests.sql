@@ -0,0 +1,36 @@
+-- Migration: Document requests
+-- Purpose: Transplant center coordinators request a specific document for a patient, due by a date,
+--          from either the patient (as a patient_todos item) or the assigned DUSW. A request closes
+--          when a document of the requested type is uploaded by the patient or the DUSW.
+-- Part of the Documents feature
+
+CREATE TABLE IF NOT EXISTS document_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    transplant_center_id UUID NOT NULL REFERENCES transplant_centers(id) ON DELETE CASCADE,
+    requested_by_tc_employee_id UUID REFERENCES transplant_center_employees(id) ON DELETE SET NULL,
+    document_type VARCHAR(50) NOT NULL,
+    notes TEXT,
+    due_date DATE NOT NULL,
+    assignee_type VARCHAR(20) NOT NULL,
+    dusw_id INTEGER REFERENCES dusw_social_workers(id) ON DELETE SET NULL,
+    patient_todo_id UUID REFERENCES patient_todos(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    fulfilled_document_id UUID REFERENCES patient_documents(id) ON DELETE SET NULL,
+    fulfilled_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT document_requests_assignee_check CHECK (assignee_type IN ('patient', 'dusw')),
+    CONSTRAINT document_requests_status_check CHECK (status IN ('open', 'fulfilled', 'cancelled'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_requests_patient ON document_requests(patient_id, status);
+CREATE INDEX IF NOT EXISTS idx_document_requests_center ON document_requests(transplant_center_id, status);
+CREATE INDEX IF NOT EXISTS idx_document_requests_dusw ON document_requests(dusw_id, status) WHERE dusw_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON TABLE document_requests IS 'Documents a transplant center asked the patient or their DUSW to provide';
+COMMENT ON COLUMN document_requests.dusw_id IS 'Social worker the request was assigned to; set when assignee_type is dusw';
+COMMENT ON COLUMN document_requests.patient_todo_id IS 'patient_todos item (todo_type document_request) created when assignee_type is patient';
+COMMENT ON COLUMN document_requests.fulfilled_document_id IS 'First document of the requested type uploaded after the request was made';
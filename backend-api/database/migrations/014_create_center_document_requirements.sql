@@ -0,0 +1,32 @@
+-- Migration: Per-center document requirements
+-- Purpose: Center admins define the documents each organ program needs, marked required or optional and
+--          optionally limited to a maximum age. A patient's checklist is the union of the checklists for
+--          the centers (and programs) they are referred to; centers without a checklist use the
+--          platform default of insurance card, medication list and government ID.
+-- Part of the Documents feature
+
+CREATE TABLE IF NOT EXISTS center_document_requirements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    transplant_center_id UUID NOT NULL REFERENCES transplant_centers(id) ON DELETE CASCADE,
+    organ_program VARCHAR(30) NOT NULL DEFAULT 'kidney',
+    document_type VARCHAR(50) NOT NULL,
+    is_required BOOLEAN NOT NULL DEFAULT true,
+    max_age_days INTEGER,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    updated_by_tc_employee_id UUID REFERENCES transplant_center_employees(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT center_document_requirements_unique UNIQUE (transplant_center_id, organ_program, document_type),
+    CONSTRAINT center_document_requirements_max_age_check CHECK (max_age_days IS NULL OR max_age_days > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_center_document_requirements_center ON center_document_requirements(transplant_center_id, organ_program);
+
+-- The program a referral is for; existing referrals are kidney referrals from dialysis patients
+ALTER TABLE patient_referrals
+ADD COLUMN IF NOT EXISTS organ_program VARCHAR(30) NOT NULL DEFAULT 'kidney';
+
+-- Add comments for documentation
+COMMENT ON TABLE center_document_requirements IS 'Required-document checklist per transplant center and organ program';
+COMMENT ON COLUMN center_document_requirements.max_age_days IS 'Newest document of this type must be at most this many days old (NULL = any age)';
+COMMENT ON COLUMN patient_referrals.organ_program IS 'Organ program the referral is for; selects the center checklist that applies';
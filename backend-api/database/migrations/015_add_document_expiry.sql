@@ -0,0 +1,48 @@
+-- Migration: Document effective and expiry dates
+-- Purpose: Labs, immunization records and the Medicare 2728 go stale. Each document gets the date its
+--          content is from (the lab date when extraction or review finds one, otherwise the upload
+--          date) and an expiry date derived from its type. A scheduled job reminds whoever uploaded
+--          the document to refresh it shortly before it expires.
+-- Part of the Documents feature
+
+ALTER TABLE patient_documents
+ADD COLUMN IF NOT EXISTS effective_date DATE;
+
+ALTER TABLE patient_documents
+ADD COLUMN IF NOT EXISTS effective_date_source VARCHAR(20) DEFAULT 'upload';
+
+ALTER TABLE patient_documents
+ADD COLUMN IF NOT EXISTS expiry_date DATE;
+
+ALTER TABLE patient_documents
+ADD COLUMN IF NOT EXISTS expiry_reminder_sent_at TIMESTAMP WITH TIME ZONE;
+
+-- Existing documents: verified lab dates first, then the upload date
+UPDATE patient_documents pd
+SET effective_date = plr.lab_date, effective_date_source = 'reviewer'
+FROM patient_lab_results plr
+WHERE plr.patient_document_id = pd.id AND pd.effective_date IS NULL;
+
+UPDATE patient_documents
+SET effective_date = created_at::date, effective_date_source = 'upload'
+WHERE effective_date IS NULL;
+
+-- Validity windows as of this migration (see DOCUMENT_TYPES in services/documentRequirements.js)
+UPDATE patient_documents
+SET expiry_date = effective_date + CASE document_type
+        WHEN 'current_labs' THEN 30
+        WHEN 'lab_results' THEN 90
+        WHEN 'care_plan_notes' THEN 90
+        WHEN 'immunization_record' THEN 365
+        WHEN 'medicare_2728' THEN 365
+    END
+WHERE expiry_date IS NULL
+  AND document_type IN ('current_labs', 'lab_results', 'care_plan_notes', 'immunization_record', 'medicare_2728');
+
+CREATE INDEX IF NOT EXISTS idx_patient_documents_expiry ON patient_documents(expiry_date) WHERE expiry_date IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN patient_documents.effective_date IS 'Date the document content is from: lab date when known, otherwise the upload date';
+COMMENT ON COLUMN patient_documents.effective_date_source IS 'upload, lab_date (extracted by the document processor) or reviewer (confirmed in the TC review queue)';
+COMMENT ON COLUMN patient_documents.expiry_date IS 'Last day the document is current enough for an evaluation; NULL for types that do not expire';
+COMMENT ON COLUMN patient_documents.expiry_reminder_sent_at IS 'When the refresh reminder went out; cleared when the effective date changes';
@@ -0,0 +1,45 @@
+-- Migration: Document versioning, replacement and soft deletion
+-- Purpose: Patients and social workers can replace a document (a blurry photo, an outdated list) or
+--          remove a wrong upload. Nothing is destroyed: a replaced upload group is marked superseded
+--          and linked to the group that replaced it, and a deleted one is marked deleted with who did
+--          it and why. Their S3 objects are kept, and centers see the full history.
+-- Part of the Documents feature
+
+ALTER TABLE patient_documents
+ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+ALTER TABLE patient_documents
+ADD COLUMN IF NOT EXISTS supersedes_group_id UUID;
+
+ALTER TABLE patient_documents
+ADD COLUMN IF NOT EXISTS superseded_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE patient_documents
+ADD COLUMN IF NOT EXISTS superseded_by_group_id UUID;
+
+ALTER TABLE patient_documents
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE patient_documents
+ADD COLUMN IF NOT EXISTS deleted_by_type VARCHAR(20);
+
+ALTER TABLE patient_documents
+ADD COLUMN IF NOT EXISTS deleted_by_id VARCHAR(100);
+
+ALTER TABLE patient_documents
+ADD COLUMN IF NOT EXISTS deletion_reason TEXT;
+
+-- Most reads only want current documents
+CREATE INDEX IF NOT EXISTS idx_patient_documents_current ON patient_documents(patient_id, document_type)
+    WHERE superseded_at IS NULL AND deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_patient_documents_group ON patient_documents(document_group_id);
+
+-- Add comments for documentation
+COMMENT ON COLUMN patient_documents.version IS 'Version of the document within its replacement chain, starting at 1';
+COMMENT ON COLUMN patient_documents.supersedes_group_id IS 'document_group_id of the upload this one replaced';
+COMMENT ON COLUMN patient_documents.superseded_at IS 'When a newer version replaced this upload; the row and S3 object are kept';
+COMMENT ON COLUMN patient_documents.superseded_by_group_id IS 'document_group_id of the upload that replaced this one';
+COMMENT ON COLUMN patient_documents.deleted_at IS 'Soft deletion time; deleted documents are kept for audit but no longer count or open';
+COMMENT ON COLUMN patient_documents.deleted_by_type IS 'patient, dusw or system';
+COMMENT ON COLUMN patient_documents.deleted_by_id IS 'users.id for patients, dusw_social_workers.id for social workers';
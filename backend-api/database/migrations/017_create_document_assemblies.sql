@@ -0,0 +1,29 @@
+-- Migration: Multi-page document assembly
+-- Purpose: An upload group (the files uploaded together for one document) is normalized and assembled
+--          into a single PDF in upload order. The originals stay in patient_documents and S3 with their
+--          page numbers; the assembled PDF is recorded here and is what the TC portal opens and the
+--          document processor reads by default.
+-- Part of the Documents feature
+
+ALTER TABLE patient_documents
+ADD COLUMN IF NOT EXISTS page_number INTEGER;
+
+CREATE TABLE IF NOT EXISTS document_assemblies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    document_group_id UUID NOT NULL UNIQUE,
+    document_type VARCHAR(50) NOT NULL,
+    s3_bucket VARCHAR(255) NOT NULL,
+    s3_key VARCHAR(500) NOT NULL UNIQUE,
+    file_size INTEGER,
+    page_count INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_assemblies_patient ON document_assemblies(patient_id);
+
+-- Add comments for documentation
+COMMENT ON TABLE document_assemblies IS 'Single PDF assembled from the files of one document upload group';
+COMMENT ON COLUMN document_assemblies.document_group_id IS 'patient_documents.document_group_id of the originals; replacement and deletion follow the group';
+COMMENT ON COLUMN document_assemblies.page_count IS 'Pages in the assembled PDF (uploaded PDFs contribute all of their pages)';
+COMMENT ON COLUMN patient_documents.page_number IS 'Position of the file within its upload group, starting at 1; NULL for uploads before assembly';
@@ -0,0 +1,14 @@
+-- Migration: Asynchronous Textract jobs for multi-page lab documents
+-- Purpose: Multi-page lab PDFs are read by an asynchronous Textract analysis. The document processor stages
+--          them with status EXTRACTING and the job's textract_job_id; when Textract reports the job done,
+--          the completion handler finds the row by its job ID, stores the extracted values and moves it
+--          to PENDING_REVIEW.
+-- Part of the Smart Extraction Pipeline feature
+
+CREATE INDEX IF NOT EXISTS idx_document_staging_textract_job_id
+    ON document_staging(textract_job_id)
+    WHERE textract_job_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN document_staging.status IS 'EXTRACTING (waiting on a Textract job), PENDING_REVIEW, NEEDS_CORRECTION, APPROVED or REJECTED';
+COMMENT ON COLUMN document_staging.textract_job_id IS 'Asynchronous Textract analysis of a multi-page document; NULL when the document was read synchronously';
@@ -0,0 +1,90 @@
+-- Migration: Verified medication lists and Medicare 2728 forms
+-- Purpose: Medication lists and Medicare 2728 (ESRD Medical Evidence Report) forms are extracted by the
+--          document processor and staged in document_staging like lab reports. When a TC Admin approves
+--          one, its reviewed values are stored here with typed columns, next to patient_lab_results.
+-- Part of the Smart Extraction Pipeline feature
+
+-- One row per medication on an approved list; a list is the rows sharing a document_staging_id
+CREATE TABLE IF NOT EXISTS patient_medications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- References
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    document_staging_id UUID REFERENCES document_staging(id) ON DELETE SET NULL,
+    patient_document_id UUID REFERENCES patient_documents(id) ON DELETE SET NULL,
+
+    -- Medication as listed
+    medication_name VARCHAR(255) NOT NULL,
+    dose VARCHAR(100),                -- as printed, e.g. "10 mg", "4000 units"
+    route VARCHAR(50),                -- PO, IV, SC, IM, SL, inhaled, transdermal, topical, PR
+    frequency VARCHAR(100),           -- daily, BID, TID, QHS, 3 times weekly, with dialysis, ... (PRN appended)
+    list_position INTEGER NOT NULL,   -- order on the list, starting at 1
+
+    -- Verification metadata
+    verified_by UUID REFERENCES transplant_center_employees(id) ON DELETE SET NULL,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    verification_notes TEXT,
+
+    -- Source tracking
+    data_entry_method VARCHAR(50) DEFAULT 'extracted',  -- 'extracted', 'manual', 'corrected'
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_medications_patient_id ON patient_medications(patient_id);
+CREATE INDEX IF NOT EXISTS idx_patient_medications_document_staging_id ON patient_medications(document_staging_id);
+
+DROP TRIGGER IF EXISTS update_patient_medications_updated_at ON patient_medications;
+CREATE TRIGGER update_patient_medications_updated_at
+    BEFORE UPDATE ON patient_medications
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- One row per approved Medicare 2728 form
+CREATE TABLE IF NOT EXISTS patient_esrd_forms (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- References
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    document_staging_id UUID REFERENCES document_staging(id) ON DELETE SET NULL,
+    patient_document_id UUID REFERENCES patient_documents(id) ON DELETE SET NULL,
+
+    -- ESRD onset and treatment
+    esrd_start_date DATE,                     -- date regular chronic dialysis began
+    primary_diagnosis VARCHAR(255),           -- primary cause of renal failure
+    primary_diagnosis_code VARCHAR(10),       -- ICD-10-CM, e.g. E11.22
+    dialysis_modality VARCHAR(20),            -- HEMODIALYSIS, CAPD, CCPD or OTHER
+
+    -- Medicare entitlement
+    medicare_applying BOOLEAN,                -- applying for ESRD Medicare coverage
+    medicare_entitled BOOLEAN,                -- currently entitled to Medicare
+    medicare_number VARCHAR(20),              -- Medicare Beneficiary Identifier (or legacy claim number)
+
+    -- Verification metadata
+    verified_by UUID REFERENCES transplant_center_employees(id) ON DELETE SET NULL,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    verification_notes TEXT,
+
+    -- Source tracking
+    data_entry_method VARCHAR(50) DEFAULT 'extracted',  -- 'extracted', 'manual', 'corrected'
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_esrd_forms_patient_id ON patient_esrd_forms(patient_id);
+CREATE INDEX IF NOT EXISTS idx_patient_esrd_forms_document_staging_id ON patient_esrd_forms(document_staging_id);
+
+DROP TRIGGER IF EXISTS update_patient_esrd_forms_updated_at ON patient_esrd_forms;
+CREATE TRIGGER update_patient_esrd_forms_updated_at
+    BEFORE UPDATE ON patient_esrd_forms
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments for documentation
+COMMENT ON TABLE patient_medications IS 'Medications from TC Admin-verified medication lists. Part of Smart Extraction Pipeline.';
+COMMENT ON COLUMN patient_medications.document_staging_id IS 'The reviewed medication list; the most recently verified list is the current one';
+COMMENT ON TABLE patient_esrd_forms IS 'TC Admin-verified Medicare 2728 (ESRD Medical Evidence Report) forms. Part of Smart Extraction Pipeline.';
+COMMENT ON COLUMN patient_esrd_forms.data_entry_method IS 'How data was entered: extracted (AI), manual (typed by admin), corrected (AI + admin fixes)';
+COMMENT ON COLUMN document_staging.extracted_data IS 'JSON of extracted values with confidence scores. Labs and 2728 forms: {"field": {"value": "X", "confidence": Y}}; medication lists: {"medications": [{"name", "dose", "route", "frequency", "confidence"}]}';
@@ -0,0 +1,28 @@
+-- Migration: Predicted document types for staged uploads
+-- Purpose: Uploaders often pick the wrong type (an insurance card uploaded as a government ID, labs uploaded
+--          as "other"). The document processor classifies each upload from its text and stores the predicted
+--          type with its confidence. A confident prediction that disagrees with the uploader's choice flags
+--          the document in the TC review queue, and a very confident prediction of an extractable type is
+--          extracted as that type (extracted_document_type) instead of the uploader's choice.
+-- Part of the Smart Extraction Pipeline feature
+
+ALTER TABLE document_staging ADD COLUMN IF NOT EXISTS predicted_document_type VARCHAR(100);
+ALTER TABLE document_staging ADD COLUMN IF NOT EXISTS predicted_type_confidence DECIMAL(5,2);
+ALTER TABLE document_staging ADD COLUMN IF NOT EXISTS type_mismatch BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE document_staging ADD COLUMN IF NOT EXISTS extracted_document_type VARCHAR(100);
+
+-- Rows staged before extraction followed the prediction were extracted as their uploaded type
+UPDATE document_staging
+SET extracted_document_type = document_type
+WHERE extracted_document_type IS NULL
+  AND (extracted_data IS NOT NULL OR textract_job_id IS NOT NULL);
+
+CREATE INDEX IF NOT EXISTS idx_document_staging_type_mismatch
+    ON document_staging(status)
+    WHERE type_mismatch;
+
+-- Add comments for documentation
+COMMENT ON COLUMN document_staging.predicted_document_type IS 'Document type predicted from the document''s text; NULL when it could not be classified';
+COMMENT ON COLUMN document_staging.predicted_type_confidence IS 'Confidence (0-100) of predicted_document_type';
+COMMENT ON COLUMN document_staging.type_mismatch IS 'The prediction confidently disagrees with the uploader''s document_type; shown as a possible mislabel in the review queue';
+COMMENT ON COLUMN document_staging.extracted_document_type IS 'Type extracted_data was extracted as: the uploader''s document_type, or the predicted type when the upload was confidently mislabeled';
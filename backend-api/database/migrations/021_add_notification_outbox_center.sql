@@ -0,0 +1,22 @@
+-- Migration: Transplant center of outbox items
+-- Purpose: Center admins see failed deliveries to patients and social workers, not only to their own staff.
+--          Items a center caused (a referral status update, a document request, a care team message) record
+--          that center, so another center's admins never see them; items no center caused (a todo, an
+--          intake reminder) are shown to every center the patient is referred to.
+-- Part of the Notifications feature
+
+ALTER TABLE notification_outbox
+    ADD COLUMN IF NOT EXISTS transplant_center_id UUID REFERENCES transplant_centers(id) ON DELETE SET NULL;
+
+-- Referral status pushes already carry their center
+UPDATE notification_outbox
+SET transplant_center_id = (payload->'data'->>'transplantCenterId')::uuid
+WHERE transplant_center_id IS NULL
+  AND channel = 'push'
+  AND payload->'data'->>'transplantCenterId' IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notification_outbox_center ON notification_outbox(transplant_center_id, created_at DESC)
+    WHERE transplant_center_id IS NOT NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN notification_outbox.transplant_center_id IS 'Center whose action caused the notification, when one did; scopes the TC portal''s failed deliveries list';
@@ -0,0 +1,6 @@
+module.exports = {
+    testEnvironment: 'node',
+    // Tests run against a real PostgreSQL with the migrations applied (see test/globalSetup.mjs)
+    globalSetup: '<rootDir>/test/globalSetup.mjs',
+    globalTeardown: '<rootDir>/test/globalTeardown.mjs'
+};
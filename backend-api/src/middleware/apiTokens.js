@@ -0,0 +1,36 @@
+// Access token verification for the patient API (simple-auth-server.js)
+//
+// Two services issue tokens the API accepts, both signed with JWT_SECRET:
+//   transplant-platform -> patient-app  the API's own session tokens (patients)
+//   dusw-portal         -> patient-api  short-lived tokens the DUSW portal mints for its pages (type 'dusw')
+// verifyApiToken picks the verifier by the token's issuer; authenticate() in requestAuth.js then
+// enforces the role each route allows.
+
+const jwt = require('jsonwebtoken');
+
+function verifyToken(token) {
+    return jwt.verify(token, process.env.JWT_SECRET, {
+        issuer: 'transplant-platform',
+        audience: 'patient-app'
+    });
+}
+
+// A DUSW portal token only ever speaks for a social worker, whatever other claims it carries
+function verifyDuswToken(token) {
+    const claims = jwt.verify(token, process.env.JWT_SECRET, {
+        issuer: 'dusw-portal',
+        audience: 'patient-api'
+    });
+    if (claims.type !== 'dusw') {
+        throw new jwt.JsonWebTokenError('DUSW portal token must have type dusw');
+    }
+    return claims;
+}
+
+// Route a token to the verifier for the service that issued it
+function verifyApiToken(token) {
+    const unverified = jwt.decode(token);
+    return unverified?.iss === 'dusw-portal' ? verifyDuswToken(token) : verifyToken(token);
+}
+
+module.exports = { verifyToken, verifyDuswToken, verifyApiToken };
@@ -0,0 +1,133 @@
+// Shared request authentication for the patient API (simple-auth-server.js)
+//
+// authenticate(...roles) verifies the Bearer token, rejects revoked sessions, enforces the
+// caller's role and loads their context onto the request:
+//   req.auth    - { userId, email, role, sessionId, claims } for every role
+//   req.patient - { id, userId } for patients
+//   req.dusw    - { id, email, title, firstName, lastName, dialysisClinic } for DUSW social workers
+//   req.tcEmployee - { id, email, role, transplantCenterId } for transplant center staff
+// Failures use one envelope: { success: false, error, code }.
+
+const ROLE_LOADERS = {
+    patient: async (pool, claims, req) => {
+        const result = await pool.query(
+            'SELECT id, user_id FROM patients WHERE user_id = $1',
+            [claims.userId]
+        );
+        if (result.rows.length === 0) return false;
+
+        req.patient = { id: result.rows[0].id, userId: result.rows[0].user_id };
+        return true;
+    },
+
+    dusw: async (pool, claims, req) => {
+        const result = await pool.query(`
+            SELECT id, email, title, first_name, last_name, dialysis_clinic
+            FROM dusw_social_workers
+            WHERE id = $1 AND status = 'active'
+        `, [claims.duswId]);
+        if (result.rows.length === 0) return false;
+
+        const dusw = result.rows[0];
+        req.dusw = {
+            id: dusw.id,
+            email: dusw.email,
+            title: dusw.title,
+            firstName: dusw.first_name,
+            lastName: dusw.last_name,
+            dialysisClinic: dusw.dialysis_clinic
+        };
+        return true;
+    },
+
+    tc: async (pool, claims, req) => {
+        const result = await pool.query(`
+            SELECT id, email, role, transplant_center_id
+            FROM transplant_center_employees
+            WHERE id = $1 AND status = 'active'
+        `, [claims.employeeId]);
+        if (result.rows.length === 0) return false;
+
+        const employee = result.rows[0];
+        req.tcEmployee = {
+            id: employee.id,
+            email: employee.email,
+            role: employee.role,
+            transplantCenterId: employee.transplant_center_id
+        };
+        return true;
+    }
+};
+
+const ACCOUNT_NOT_FOUND_ERRORS = {
+    patient: 'Patient not found',
+    dusw: 'Social worker account not found or inactive',
+    tc: 'Transplant center account not found or inactive'
+};
+
+function sendAuthError(res, status, code, error) {
+    return res.status(status).json({ success: false, error: error, code: code });
+}
+
+// `verifyToken` is passed in so each server keeps its own issuer/audience checks
+function createRequestAuth(pool, verifyToken) {
+    return function authenticate(...roles) {
+        const allowedRoles = roles.length > 0 ? roles : ['patient'];
+
+        return async (req, res, next) => {
+            const authHeader = req.headers.authorization;
+            if (!authHeader || !authHeader.startsWith('Bearer ')) {
+                return sendAuthError(res, 401, 'AUTH_REQUIRED', 'Authentication required');
+            }
+
+            let claims;
+            try {
+                claims = verifyToken(authHeader.substring(7));
+            } catch (error) {
+                if (error.name === 'TokenExpiredError') {
+                    return sendAuthError(res, 401, 'TOKEN_EXPIRED', 'Token expired');
+                }
+                return sendAuthError(res, 401, 'TOKEN_INVALID', 'Invalid token');
+            }
+
+            const role = claims.type;
+            if (!allowedRoles.includes(role) || !ROLE_LOADERS[role]) {
+                console.warn(`⚠️ ${role || 'unknown'} token rejected for ${req.method} ${req.path}`);
+                return sendAuthError(res, 403, 'FORBIDDEN', 'You do not have access to this resource');
+            }
+
+            try {
+                // Access tokens are short-lived, but a revoked session should stop working immediately
+                if (claims.sid) {
+                    const sessionResult = await pool.query(
+                        'SELECT 1 FROM user_sessions WHERE id = $1 AND revoked_at IS NULL',
+                        [claims.sid]
+                    );
+                    if (sessionResult.rows.length === 0) {
+                        return sendAuthError(res, 401, 'SESSION_REVOKED', 'Your session has ended. Please log in again.');
+                    }
+                }
+
+                const loaded = await ROLE_LOADERS[role](pool, claims, req);
+                if (!loaded) {
+                    return sendAuthError(res, 404, 'ACCOUNT_NOT_FOUND', ACCOUNT_NOT_FOUND_ERRORS[role]);
+                }
+
+                req.auth = {
+                    userId: claims.userId || null,
+                    email: claims.email || null,
+                    role: role,
+                    sessionId: claims.sid || null,
+                    claims: claims
+                };
+
+                next();
+            } catch (error) {
+                console.error('❌ Authentication error:', error);
+                return sendAuthError(res, 500, 'AUTH_ERROR', 'Failed to authenticate request');
+            }
+        };
+    };
+}
+
+module.exports = { createRequestAuth };
@@ -0,0 +1,220 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { Pool } = require('pg');
+const { createRequestAuth } = require('./requestAuth');
+const { verifyApiToken } = require('./apiTokens');
+const { createTestDatabase } = require('../../test/database');
+const { insert, createPatient, createCenter, createEmployee, createSocialWorker } = require('../../test/fixtures');
+
+const SECRET = 'test-secret';
+
+const apiToken = (claims, options = {}) => jwt.sign(claims, SECRET, {
+    issuer: 'transplant-platform',
+    audience: 'patient-app',
+    expiresIn: 900,
+    ...options
+});
+
+// As the DUSW portal mints them for its pages (dusw-website/server.js)
+const duswPortalToken = (claims, options = {}) => jwt.sign(claims, SECRET, {
+    issuer: 'dusw-portal',
+    audience: 'patient-api',
+    expiresIn: 900,
+    ...options
+});
+
+// An app with one route per role set that echoes what authenticate() put on the request
+function authApp(pool) {
+    const authenticate = createRequestAuth(pool, verifyApiToken);
+    const app = express();
+    const echo = (req, res) => res.json({ auth: { ...req.auth, claims: undefined }, patient: req.patient, dusw: req.dusw, tcEmployee: req.tcEmployee });
+    app.get('/patient', authenticate(), echo);
+    app.get('/dusw', authenticate('dusw'), echo);
+    app.get('/tc', authenticate('tc'), echo);
+    app.get('/any', authenticate('patient', 'dusw', 'tc'), echo);
+    return app;
+}
+
+describe('authenticate', () => {
+    const originalSecret = process.env.JWT_SECRET;
+    let database;
+    let app;
+
+    beforeAll(async () => {
+        process.env.JWT_SECRET = SECRET;
+        database = await createTestDatabase();
+        app = authApp(database.pool);
+    });
+
+    afterAll(async () => {
+        process.env.JWT_SECRET = originalSecret;
+        await database.drop();
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function signedInPatient() {
+        const patient = await createPatient(database.pool);
+        const session = await insert(database.pool, 'user_sessions', { user_id: patient.user.id, expires_at: new Date(Date.now() + 86400000) });
+        const token = apiToken({ userId: patient.user.id, email: patient.user.email, type: 'patient', sid: session.id });
+        return { patient, session, token };
+    }
+
+    const get = (path, token) => {
+        const req = request(app).get(path);
+        return token ? req.set('Authorization', `Bearer ${token}`) : req;
+    };
+
+    it('loads the patient and session onto the request', async () => {
+        const { patient, session, token } = await signedInPatient();
+
+        const response = await get('/patient', token);
+
+        expect(response.status).toBe(200);
+        expect(response.body.patient).toEqual({ id: patient.id, userId: patient.user.id });
+        expect(response.body.auth).toEqual({ userId: patient.user.id, email: patient.user.email, role: 'patient', sessionId: session.id });
+    });
+
+    it('requires a Bearer token', async () => {
+        const response = await get('/patient');
+
+        expect(response.status).toBe(401);
+        expect(response.body).toEqual({ success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' });
+    });
+
+    it('tells an expired token from an invalid one', async () => {
+        const { patient } = await signedInPatient();
+        const claims = { userId: patient.user.id, type: 'patient' };
+
+        const expired = await get('/patient', apiToken(claims, { expiresIn: -60 }));
+        expect(expired.status).toBe(401);
+        expect(expired.body.code).toBe('TOKEN_EXPIRED');
+
+        const forged = await get('/patient', jwt.sign(claims, 'another-secret', { issuer: 'transplant-platform', audience: 'patient-app' }));
+        expect(forged.status).toBe(401);
+        expect(forged.body.code).toBe('TOKEN_INVALID');
+
+        const otherAudience = await get('/patient', apiToken(claims, { audience: 'tc-portal' }));
+        expect(otherAudience.status).toBe(401);
+        expect(otherAudience.body.code).toBe('TOKEN_INVALID');
+    });
+
+    it('rejects the access token of a revoked session straight away', async () => {
+        const { session, token } = await signedInPatient();
+        expect((await get('/patient', token)).status).toBe(200);
+
+        await database.pool.query("UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'logout' WHERE id = $1", [session.id]);
+
+        const response = await get('/patient', token);
+        expect(response.status).toBe(401);
+        expect(response.body.code).toBe('SESSION_REVOKED');
+    });
+
+    it('reports a token whose account is gone', async () => {
+        const { patient, token } = await signedInPatient();
+        await database.pool.query('DELETE FROM patients WHERE id = $1', [patient.id]);
+
+        const response = await get('/patient', token);
+
+        expect(response.status).toBe(404);
+        expect(response.body).toEqual({ success: false, error: 'Patient not found', code: 'ACCOUNT_NOT_FOUND' });
+    });
+
+    it('keeps each role to the routes that allow it', async () => {
+        const { token } = await signedInPatient();
+
+        const response = await get('/dusw', token);
+
+        expect(response.status).toBe(403);
+        expect(response.body.code).toBe('FORBIDDEN');
+        expect((await get('/any', token)).status).toBe(200);
+    });
+
+    it('loads active social workers and refuses inactive ones', async () => {
+        const socialWorker = await createSocialWorker(database.pool, { title: 'LCSW' });
+        const token = apiToken({ duswId: socialWorker.id, email: socialWorker.email, type: 'dusw' });
+
+        const response = await get('/dusw', token);
+        expect(response.status).toBe(200);
+        expect(response.body.dusw).toEqual({
+            id: socialWorker.id,
+            email: socialWorker.email,
+            title: 'LCSW',
+            firstName: socialWorker.first_name,
+            lastName: socialWorker.last_name,
+            dialysisClinic: socialWorker.dialysis_clinic
+        });
+
+        await database.pool.query("UPDATE dusw_social_workers SET status = 'inactive' WHERE id = $1", [socialWorker.id]);
+        expect((await get('/dusw', token)).status).toBe(404);
+    });
+
+    it('loads active transplant center staff', async () => {
+        const center = await createCenter(database.pool);
+        const employee = await createEmployee(database.pool, center);
+        const token = apiToken({ employeeId: employee.id, email: employee.email, type: 'tc' });
+
+        const response = await get('/tc', token);
+
+        expect(response.status).toBe(200);
+        expect(response.body.tcEmployee).toEqual({ id: employee.id, email: employee.email, role: 'coordinator', transplantCenterId: center.id });
+    });
+
+    it('answers a failed lookup with the error envelope', async () => {
+        const { token } = await signedInPatient();
+        const closedPool = new Pool();
+        await closedPool.end();
+
+        const response = await request(authApp(closedPool)).get('/patient').set('Authorization', `Bearer ${token}`);
+
+        expect(response.status).toBe(500);
+        expect(response.body).toEqual({ success: false, error: 'Failed to authenticate request', code: 'AUTH_ERROR' });
+    });
+
+    describe('with DUSW portal tokens', () => {
+        let socialWorker;
+
+        beforeAll(async () => {
+            socialWorker = await createSocialWorker(database.pool);
+        });
+
+        it('loads the social worker named by the token, with no session to check', async () => {
+            const response = await get('/dusw', duswPortalToken({ duswId: socialWorker.id, email: socialWorker.email, type: 'dusw' }));
+
+            expect(response.status).toBe(200);
+            expect(response.body.dusw).toMatchObject({ id: socialWorker.id, email: socialWorker.email });
+            expect(response.body.auth).toMatchObject({ role: 'dusw', sessionId: null });
+        });
+
+        it('keeps them off patient routes', async () => {
+            const response = await get('/patient', duswPortalToken({ duswId: socialWorker.id, type: 'dusw' }));
+
+            expect(response.status).toBe(403);
+            expect(response.body.code).toBe('FORBIDDEN');
+        });
+
+        it('rejects a portal token that claims any other role', async () => {
+            const { patient } = await signedInPatient();
+
+            const response = await get('/patient', duswPortalToken({ userId: patient.user.id, type: 'patient' }));
+
+            expect(response.status).toBe(401);
+            expect(response.body.code).toBe('TOKEN_INVALID');
+        });
+
+        it('rejects a portal token minted for another audience', async () => {
+            const response = await get('/dusw', duswPortalToken({ duswId: socialWorker.id, type: 'dusw' }, { audience: 'patient-app' }));
+
+            expect(response.status).toBe(401);
+            expect(response.body.code).toBe('TOKEN_INVALID');
+        });
+    });
+});
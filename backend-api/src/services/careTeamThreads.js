@@ -0,0 +1,231 @@
+// Care team threads (see migration 012_create_care_team_threads.sql), shared by the TC and DUSW portals.
+//
+// A thread is about one patient and is between one transplant center and the patient's assigned DUSW.
+// Participants are identified by a principal:
+//   { type: 'tc_employee', id } - active employee of the thread's center, which must have a live (not withdrawn)
+//                                 referral for the patient
+//   { type: 'dusw', id }        - the thread's social worker, while still assigned to the patient
+// Access is re-checked on every call, so a center loses a thread when the patient withdraws their referral
+// and a DUSW loses it when the patient is reassigned. Pass the caller's transaction client as `db` to addMessage
+// so the message and the other side's notifications commit together.
+
+const { enqueueTcNotification, enqueueDuswNotification } = require('./notificationOutbox');
+
+const CARE_TEAM_ATTACHMENT_TYPE = 'care_team_attachment';
+
+const THREAD_COLUMNS = `
+    t.id, t.patient_id, t.transplant_center_id, t.dusw_id, t.subject, t.created_by_type, t.created_by_id,
+    t.last_message_at, t.created_at,
+    u.first_name as patient_first_name, u.last_name as patient_last_name,
+    tc.name as center_name,
+    dsw.first_name as dusw_first_name, dsw.last_name as dusw_last_name, dsw.dialysis_clinic
+`;
+
+const THREAD_JOINS = `
+    FROM care_team_threads t
+    JOIN patients p ON t.patient_id = p.id
+    JOIN users u ON p.user_id = u.id
+    JOIN transplant_centers tc ON t.transplant_center_id = tc.id
+    JOIN dusw_social_workers dsw ON t.dusw_id = dsw.id
+`;
+
+// SQL condition (on alias t) limiting threads to those the principal may see; $1 is the principal id
+const ACCESS_CONDITIONS = {
+    tc_employee: `EXISTS (
+        SELECT 1 FROM transplant_center_employees tce
+        JOIN patient_referrals pr ON pr.transplant_center_id = tce.transplant_center_id
+        WHERE tce.id = $1 AND tce.status = 'active'
+          AND tce.transplant_center_id = t.transplant_center_id AND pr.patient_id = t.patient_id
+          AND pr.status <> 'withdrawn'
+    )`,
+    dusw: `t.dusw_id = $1 AND EXISTS (
+        SELECT 1 FROM patient_dusw_assignments pda
+        WHERE pda.patient_id = t.patient_id AND pda.dusw_social_worker_id = $1
+    )`
+};
+
+function accessCondition(principal) {
+    const condition = ACCESS_CONDITIONS[principal?.type];
+    if (!condition || !principal.id) {
+        throw new Error(`Invalid care team principal: ${principal?.type}`);
+    }
+    return condition;
+}
+
+function otherSide(type) {
+    return type === 'dusw' ? 'tc_employee' : 'dusw';
+}
+
+// Threads the principal can see, newest activity first. Pass patientId to limit to one patient.
+async function listThreads(db, principal, { patientId = null } = {}) {
+    const result = await db.query(`
+        SELECT ${THREAD_COLUMNS},
+               (SELECT COUNT(*) FROM care_team_messages m
+                WHERE m.thread_id = t.id AND m.sender_type = $3
+                  AND m.created_at > COALESCE(r.last_read_at, 'epoch'))::int as unread_count,
+               (SELECT m.content FROM care_team_messages m
+                WHERE m.thread_id = t.id ORDER BY m.created_at DESC LIMIT 1) as last_message
+        ${THREAD_JOINS}
+        LEFT JOIN care_team_thread_reads r
+            ON r.thread_id = t.id AND r.reader_type = $2 AND r.reader_id = $5
+        WHERE ${accessCondition(principal)}
+          AND ($4::uuid IS NULL OR t.patient_id = $4::uuid)
+        ORDER BY t.last_message_at DESC
+    `, [principal.id, principal.type, otherSide(principal.type), patientId, String(principal.id)]);
+    return result.rows;
+}
+
+// Number of threads with messages the principal has not read
+async function countUnreadThreads(db, principal) {
+    const threads = await listThreads(db, principal);
+    return threads.filter(thread => thread.unread_count > 0).length;
+}
+
+// The thread if the principal may see it, otherwise null
+async function getThread(db, threadId, principal) {
+    const result = await db.query(`
+        SELECT ${THREAD_COLUMNS}
+        ${THREAD_JOINS}
+        WHERE t.id = $2 AND ${accessCondition(principal)}
+    `, [principal.id, threadId]);
+    return result.rows[0] || null;
+}
+
+// Messages with sender names, and whether the other side has read each one
+async function getMessages(db, threadId, principal) {
+    const result = await db.query(`
+        SELECT m.id, m.sender_type, m.sender_tc_employee_id, m.sender_dusw_id, m.content, m.created_at,
+               m.attachment_document_id, pd.file_name as attachment_file_name,
+               CASE WHEN m.sender_type = 'dusw' THEN CONCAT(dsw.first_name, ' ', dsw.last_name)
+                    ELSE CONCAT(tce.first_name, ' ', tce.last_name) END as sender_name,
+               (m.sender_type = $2 AND EXISTS (
+                    SELECT 1 FROM care_team_thread_reads r
+                    WHERE r.thread_id = m.thread_id AND r.reader_type = $3 AND r.last_read_at >= m.created_at
+               )) as read_by_other_side
+        FROM care_team_messages m
+        LEFT JOIN patient_documents pd ON m.attachment_document_id = pd.id
+        LEFT JOIN dusw_social_workers dsw ON m.sender_dusw_id = dsw.id
+        LEFT JOIN transplant_center_employees tce ON m.sender_tc_employee_id = tce.id
+        WHERE m.thread_id = $1
+        ORDER BY m.created_at ASC
+    `, [threadId, principal.type, otherSide(principal.type)]);
+    return result.rows;
+}
+
+async function markRead(db, threadId, principal) {
+    await db.query(`
+        INSERT INTO care_team_thread_reads (thread_id, reader_type, reader_id, last_read_at)
+        VALUES ($1, $2, $3, NOW())
+        ON CONFLICT (thread_id, reader_type, reader_id) DO UPDATE SET last_read_at = NOW()
+    `, [threadId, principal.type, String(principal.id)]);
+}
+
+// The DUSW a new thread about this patient goes to, and whether the center has a live referral for the patient.
+// Returns { duswId } or null when the pair cannot have a thread.
+async function resolveParticipants(db, patientId, transplantCenterId) {
+    const result = await db.query(`
+        SELECT pda.dusw_social_worker_id as dusw_id
+        FROM patient_dusw_assignments pda
+        WHERE pda.patient_id = $1
+          AND EXISTS (
+              SELECT 1 FROM patient_referrals pr
+              WHERE pr.patient_id = $1 AND pr.transplant_center_id = $2 AND pr.status <> 'withdrawn'
+          )
+        LIMIT 1
+    `, [patientId, transplantCenterId]);
+    return result.rows[0] ? { duswId: result.rows[0].dusw_id } : null;
+}
+
+async function createThread(db, { patientId, transplantCenterId, duswId, subject }, principal) {
+    const result = await db.query(`
+        INSERT INTO care_team_threads (patient_id, transplant_center_id, dusw_id, subject, created_by_type, created_by_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id
+    `, [patientId, transplantCenterId, duswId, subject, principal.type, String(principal.id)]);
+    return getThread(db, result.rows[0].id, principal);
+}
+
+// Add a message and notify the other side: the DUSW, or every active employee of the thread's center
+async function addMessage(db, thread, principal, { content, attachmentDocumentId = null, senderName }) {
+    const result = await db.query(`
+        INSERT INTO care_team_messages (thread_id, sender_type, sender_tc_employee_id, sender_dusw_id, content, attachment_document_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, created_at
+    `, [
+        thread.id,
+        principal.type,
+        principal.type === 'tc_employee' ? principal.id : null,
+        principal.type === 'dusw' ? principal.id : null,
+        content,
+        attachmentDocumentId
+    ]);
+
+    await db.query(`
+        UPDATE care_team_threads SET last_message_at = NOW(), updated_at = NOW() WHERE id = $1
+    `, [thread.id]);
+    await markRead(db, thread.id, principal);
+
+    const patientName = `${thread.patient_first_name} ${thread.patient_last_name}`;
+    const title = 'New Care Team Message';
+
+    if (principal.type === 'tc_employee') {
+        await enqueueDuswNotification(db, {
+            duswId: thread.dusw_id,
+            patientId: thread.patient_id,
+            notificationType: 'care_team_message',
+            title: title,
+            message: `${senderName} (${thread.center_name}) wrote about ${patientName}: "${thread.subject}"`,
+            transplantCenterId: thread.transplant_center_id
+        });
+    } else {
+        const employees = await db.query(`
+            SELECT id FROM transplant_center_employees
+            WHERE transplant_center_id = $1 AND status = 'active'
+        `, [thread.transplant_center_id]);
+
+        for (const employee of employees.rows) {
+            await enqueueTcNotification(db, {
+                tcEmployeeId: employee.id,
+                patientId: thread.patient_id,
+                notificationType: 'care_team_message',
+                title: title,
+                message: `${senderName} (DUSW) wrote about ${patientName}: "${thread.subject}"`
+            });
+        }
+    }
+
+    return result.rows[0];
+}
+
+// Write a care team event to the patient's audit trail. audit_logs.user_id is a UUID, so DUSW ids are
+// only recorded in metadata (as in DocumentAccessPolicy).
+async function logThreadEvent(auditLogger, thread, principal, eventType, description, context = {}) {
+    await auditLogger.logPatientEvent(
+        thread.patient_id,
+        principal.type === 'dusw' ? null : principal.id,
+        eventType,
+        description,
+        {
+            care_team_thread_id: thread.id,
+            transplant_center_id: thread.transplant_center_id,
+            actor_type: principal.type,
+            actor_id: String(principal.id),
+            ...(context.metadata || {})
+        },
+        context.ipAddress || null,
+        context.userAgent || null
+    );
+}
+
+module.exports = {
+    CARE_TEAM_ATTACHMENT_TYPE,
+    listThreads,
+    countUnreadThreads,
+    getThread,
+    getMessages,
+    markRead,
+    resolveParticipants,
+    createThread,
+    addMessage,
+    logThreadEvent
+};
@@ -0,0 +1,169 @@
+const {
+    listThreads,
+    countUnreadThreads,
+    getThread,
+    getMessages,
+    markRead,
+    resolveParticipants,
+    createThread,
+    addMessage
+} = require('./careTeamThreads');
+const { createTestDatabase } = require('../../test/database');
+const {
+    createPatient,
+    createCenter,
+    createEmployee,
+    createSocialWorker,
+    assignSocialWorker,
+    createReferral
+} = require('../../test/fixtures');
+
+describe('care team threads', () => {
+    let database;
+    let db;
+    let patient;
+    let center;
+    let coordinator;
+    let socialWorker;
+    let thread;
+
+    const asEmployee = employee => ({ type: 'tc_employee', id: employee.id });
+    const asSocialWorker = worker => ({ type: 'dusw', id: worker.id });
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        db = database.pool;
+    });
+
+    afterAll(async () => {
+        await database.drop();
+    });
+
+    beforeEach(async () => {
+        patient = await createPatient(db);
+        center = await createCenter(db);
+        coordinator = await createEmployee(db, center);
+        socialWorker = await createSocialWorker(db);
+        await assignSocialWorker(db, patient, socialWorker);
+        await createReferral(db, patient, center);
+        thread = await createThread(db, {
+            patientId: patient.id,
+            transplantCenterId: center.id,
+            duswId: socialWorker.id,
+            subject: 'Dialysis schedule'
+        }, asEmployee(coordinator));
+    });
+
+    async function queued(channel) {
+        const result = await db.query(
+            'SELECT recipient_id, event_type FROM notification_outbox WHERE channel = $1 AND patient_id = $2 ORDER BY recipient_id',
+            [channel, patient.id]
+        );
+        return result.rows;
+    }
+
+    it('goes to the assigned social worker of a patient referred to the center', async () => {
+        expect(await resolveParticipants(db, patient.id, center.id)).toEqual({ duswId: socialWorker.id });
+        expect(await resolveParticipants(db, patient.id, (await createCenter(db)).id)).toBeNull();
+
+        const unassigned = await createPatient(db);
+        await createReferral(db, unassigned, center);
+        expect(await resolveParticipants(db, unassigned.id, center.id)).toBeNull();
+    });
+
+    it('is visible to both sides of the conversation', async () => {
+        expect(thread).toMatchObject({
+            subject: 'Dialysis schedule',
+            created_by_type: 'tc_employee',
+            created_by_id: coordinator.id,
+            center_name: center.name,
+            patient_last_name: patient.user.last_name
+        });
+        const colleague = await createEmployee(db, center);
+
+        expect(await getThread(db, thread.id, asEmployee(colleague))).toMatchObject({ id: thread.id });
+        expect(await getThread(db, thread.id, asSocialWorker(socialWorker))).toMatchObject({ id: thread.id });
+    });
+
+    it('is hidden from other centers, deactivated staff and reassigned social workers', async () => {
+        const otherCenter = await createCenter(db);
+        await createReferral(db, patient, otherCenter);
+        const outsider = await createEmployee(db, otherCenter);
+        const deactivated = await createEmployee(db, center, { status: 'inactive' });
+
+        expect(await getThread(db, thread.id, asEmployee(outsider))).toBeNull();
+        expect(await getThread(db, thread.id, asEmployee(deactivated))).toBeNull();
+
+        await assignSocialWorker(db, patient, await createSocialWorker(db));
+        expect(await getThread(db, thread.id, asSocialWorker(socialWorker))).toBeNull();
+        expect(await listThreads(db, asSocialWorker(socialWorker))).toEqual([]);
+    });
+
+    it('is closed to the center once the patient withdraws their referral', async () => {
+        await db.query("UPDATE patient_referrals SET status = 'withdrawn' WHERE patient_id = $1 AND transplant_center_id = $2", [patient.id, center.id]);
+
+        expect(await getThread(db, thread.id, asEmployee(coordinator))).toBeNull();
+        expect(await listThreads(db, asEmployee(coordinator))).toEqual([]);
+        expect(await countUnreadThreads(db, asEmployee(coordinator))).toBe(0);
+        expect(await resolveParticipants(db, patient.id, center.id)).toBeNull();
+    });
+
+    it('notifies the social worker of messages from the center', async () => {
+        await addMessage(db, thread, asEmployee(coordinator), { content: 'Can we move Tuesday?', senderName: 'Jordan Lee' });
+
+        expect(await queued('dusw_notification')).toEqual([{ recipient_id: String(socialWorker.id), event_type: 'care_team_message' }]);
+        expect(await queued('tc_notification')).toEqual([]);
+    });
+
+    it("notifies every active employee of the center of the social worker's messages", async () => {
+        const colleague = await createEmployee(db, center);
+        await createEmployee(db, center, { status: 'inactive' });
+        await createEmployee(db, await createCenter(db));
+
+        await addMessage(db, thread, asSocialWorker(socialWorker), { content: 'Tuesday works', senderName: 'Sam Rivera' });
+
+        const recipients = (await queued('tc_notification')).map(row => row.recipient_id);
+        expect(recipients.sort()).toEqual([coordinator.id, colleague.id].sort());
+    });
+
+    it('counts unread messages per side and shows when the other side has read them', async () => {
+        await addMessage(db, thread, asEmployee(coordinator), { content: 'First', senderName: 'Jordan Lee' });
+        await addMessage(db, thread, asEmployee(coordinator), { content: 'Second', senderName: 'Jordan Lee' });
+
+        expect(await listThreads(db, asSocialWorker(socialWorker))).toEqual([
+            expect.objectContaining({ id: thread.id, unread_count: 2, last_message: 'Second' })
+        ]);
+        expect(await countUnreadThreads(db, asSocialWorker(socialWorker))).toBe(1);
+        expect(await countUnreadThreads(db, asEmployee(coordinator))).toBe(0);
+        expect((await getMessages(db, thread.id, asEmployee(coordinator))).map(m => m.read_by_other_side)).toEqual([false, false]);
+
+        await markRead(db, thread.id, asSocialWorker(socialWorker));
+
+        expect(await countUnreadThreads(db, asSocialWorker(socialWorker))).toBe(0);
+        const messages = await getMessages(db, thread.id, asEmployee(coordinator));
+        expect(messages.map(m => [m.content, m.sender_name, m.read_by_other_side])).toEqual([
+            ['First', `${coordinator.first_name} ${coordinator.last_name}`, true],
+            ['Second', `${coordinator.first_name} ${coordinator.last_name}`, true]
+        ]);
+    });
+
+    it('limits a listing to one patient', async () => {
+        const otherPatient = await createPatient(db);
+        await assignSocialWorker(db, otherPatient, socialWorker);
+        await createReferral(db, otherPatient, center);
+        await createThread(db, {
+            patientId: otherPatient.id,
+            transplantCenterId: center.id,
+            duswId: socialWorker.id,
+            subject: 'Transport'
+        }, asSocialWorker(socialWorker));
+
+        expect(await listThreads(db, asEmployee(coordinator))).toHaveLength(2);
+        expect((await listThreads(db, asEmployee(coordinator), { patientId: patient.id })).map(t => t.id)).toEqual([thread.id]);
+    });
+
+    it('refuses principals it does not know', async () => {
+        await expect(getThread(db, thread.id, { type: 'patient', id: patient.user.id })).rejects.toThrow('Invalid care team principal: patient');
+        await expect(listThreads(db, { type: 'dusw' })).rejects.toThrow('Invalid care team principal: dusw');
+    });
+});
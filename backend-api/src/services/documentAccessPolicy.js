@@ -0,0 +1,77 @@
+// Authorization policy for patient documents, shared by the patient API and both portals.
+// A document may be opened by:
+//   patient - the patient who owns it (principal id = users.id), except care team attachments
+//   dusw    - the social worker assigned through patient_dusw_assignments (principal id = dusw_social_workers.id)
+//   tc      - an active employee of a center the patient has a referral with that they have not withdrawn
+//             (principal id = transplant_center_employees.id). Patient <-> social worker message attachments
+//             are never shared with centers, and care team attachments only with the thread's center.
+// Deleted documents are kept for audit but never opened; replaced versions stay viewable.
+// Every grant is written to the PHI access log.
+
+const ACCESS_CONDITIONS = {
+    patient: `p.user_id = $2 AND pd.document_type != 'care_team_attachment'`,
+    dusw: `EXISTS (
+        SELECT 1 FROM patient_dusw_assignments pda
+        WHERE pda.patient_id = pd.patient_id AND pda.dusw_social_worker_id = $2
+    )`,
+    tc: `EXISTS (
+        SELECT 1 FROM patient_referrals pr
+        JOIN transplant_center_employees tce ON pr.transplant_center_id = tce.transplant_center_id
+        WHERE pr.patient_id = pd.patient_id AND pr.status <> 'withdrawn' AND tce.id = $2 AND tce.status = 'active'
+          AND (pd.document_type != 'care_team_attachment' OR EXISTS (
+              SELECT 1 FROM care_team_messages ctm
+              JOIN care_team_threads ctt ON ctm.thread_id = ctt.id
+              WHERE ctm.attachment_document_id = pd.id AND ctt.transplant_center_id = tce.transplant_center_id
+          ))
+    ) AND pd.document_type != 'message_attachment'`
+};
+
+class DocumentAccessPolicy {
+    constructor(pool, auditLogger) {
+        this.pool = pool;
+        this.auditLogger = auditLogger;
+    }
+
+    // Returns the document row if `principal` ({ type, id }) may open it, otherwise null.
+    // `context` carries the audit details: { accessMethod, purpose, ipAddress, userAgent }.
+    async authorize(documentId, principal, context = {}) {
+        const condition = ACCESS_CONDITIONS[principal?.type];
+        if (!condition || !principal.id) {
+            return null;
+        }
+
+        const result = await this.pool.query(`
+            SELECT pd.*
+            FROM patient_documents pd
+            JOIN patients p ON pd.patient_id = p.id
+            WHERE pd.id = $1 AND pd.deleted_at IS NULL AND ${condition}
+        `, [documentId, principal.id]);
+
+        if (result.rows.length === 0) {
+            console.warn(`⚠️ Document access denied: ${principal.type} ${principal.id} -> document ${documentId}`);
+            return null;
+        }
+
+        const document = result.rows[0];
+
+        // audit_logs.user_id is a UUID; DUSW ids are integers, so they are only recorded in metadata
+        await this.auditLogger.logPHIAccess(
+            document.patient_id,
+            principal.type === 'dusw' ? null : principal.id,
+            `document:${document.document_type}`,
+            context.accessMethod || 'signed_url',
+            context.purpose || 'document_view',
+            {
+                document_id: document.id,
+                accessor_type: principal.type,
+                accessor_id: String(principal.id)
+            },
+            context.ipAddress || null,
+            context.userAgent || null
+        );
+
+        return document;
+    }
+}
+
+module.exports = DocumentAccessPolicy;
@@ -0,0 +1,157 @@
+const DocumentAccessPolicy = require('./documentAccessPolicy');
+const AuditLogger = require('../middleware/auditLogger');
+const { createTestDatabase } = require('../../test/database');
+const {
+    createPatient,
+    createCenter,
+    createEmployee,
+    createSocialWorker,
+    assignSocialWorker,
+    createReferral,
+    createDocument
+} = require('../../test/fixtures');
+
+describe('DocumentAccessPolicy', () => {
+    let database;
+    let db;
+    let policy;
+    let patient;
+    let document;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        db = database.pool;
+        policy = new DocumentAccessPolicy(db, new AuditLogger(db));
+    });
+
+    afterAll(async () => {
+        await database.drop();
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        patient = await createPatient(db);
+        document = await createDocument(db, patient, { document_type: 'insurance_card' });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function accessLog() {
+        const result = await db.query(
+            "SELECT user_id, event_type, metadata, ip_address, user_agent FROM audit_logs WHERE metadata->>'document_id' = $1",
+            [document.id]
+        );
+        return result.rows;
+    }
+
+    describe('patients', () => {
+        it('may open their own documents, and the access is logged', async () => {
+            const granted = await policy.authorize(document.id, { type: 'patient', id: patient.user.id }, {
+                accessMethod: 'download',
+                purpose: 'patient_self_access',
+                ipAddress: '10.0.0.1',
+                userAgent: 'TransplantWizard/1.0'
+            });
+
+            expect(granted).toMatchObject({ id: document.id, s3_key: document.s3_key });
+            expect(await accessLog()).toEqual([{
+                user_id: patient.user.id,
+                event_type: 'phi_access',
+                metadata: expect.objectContaining({
+                    document_id: document.id,
+                    patient_id: patient.id,
+                    accessor_type: 'patient',
+                    accessor_id: patient.user.id,
+                    data_type: 'document:insurance_card',
+                    access_method: 'download',
+                    access_purpose: 'patient_self_access'
+                }),
+                ip_address: '10.0.0.1',
+                user_agent: 'TransplantWizard/1.0'
+            }]);
+        });
+
+        it("may not open another patient's documents", async () => {
+            const other = await createPatient(db);
+
+            expect(await policy.authorize(document.id, { type: 'patient', id: other.user.id })).toBeNull();
+            expect(await accessLog()).toEqual([]);
+        });
+    });
+
+    describe('social workers', () => {
+        it("may open their assigned patients' documents", async () => {
+            const socialWorker = await createSocialWorker(db);
+            await assignSocialWorker(db, patient, socialWorker);
+
+            const granted = await policy.authorize(document.id, { type: 'dusw', id: socialWorker.id });
+
+            expect(granted).toMatchObject({ id: document.id });
+            // Their ids are integers, so the UUID user_id column stays empty
+            expect(await accessLog()).toEqual([expect.objectContaining({
+                user_id: null,
+                metadata: expect.objectContaining({ accessor_type: 'dusw', accessor_id: String(socialWorker.id), access_method: 'signed_url' })
+            })]);
+        });
+
+        it('lose access when the patient is reassigned', async () => {
+            const previous = await createSocialWorker(db);
+            await assignSocialWorker(db, patient, previous);
+            await assignSocialWorker(db, patient, await createSocialWorker(db));
+
+            expect(await policy.authorize(document.id, { type: 'dusw', id: previous.id })).toBeNull();
+            expect(await accessLog()).toEqual([]);
+        });
+    });
+
+    describe('transplant center staff', () => {
+        it('may open documents of patients referred to their center', async () => {
+            const center = await createCenter(db);
+            const employee = await createEmployee(db, center);
+            await createReferral(db, patient, center);
+
+            const granted = await policy.authorize(document.id, { type: 'tc', id: employee.id });
+
+            expect(granted).toMatchObject({ id: document.id });
+            expect(await accessLog()).toEqual([expect.objectContaining({
+                user_id: employee.id,
+                metadata: expect.objectContaining({ accessor_type: 'tc', accessor_id: employee.id })
+            })]);
+        });
+
+        it('may not open documents of patients referred elsewhere', async () => {
+            const employee = await createEmployee(db, await createCenter(db));
+            await createReferral(db, patient, await createCenter(db));
+
+            expect(await policy.authorize(document.id, { type: 'tc', id: employee.id })).toBeNull();
+        });
+
+        it('lose access when deactivated', async () => {
+            const center = await createCenter(db);
+            const employee = await createEmployee(db, center, { status: 'inactive' });
+            await createReferral(db, patient, center);
+
+            expect(await policy.authorize(document.id, { type: 'tc', id: employee.id })).toBeNull();
+            expect(await accessLog()).toEqual([]);
+        });
+
+        it('lose access when the patient withdraws their referral', async () => {
+            const center = await createCenter(db);
+            const employee = await createEmployee(db, center);
+            await createReferral(db, patient, center, { status: 'withdrawn' });
+
+            expect(await policy.authorize(document.id, { type: 'tc', id: employee.id })).toBeNull();
+            expect(await accessLog()).toEqual([]);
+        });
+    });
+
+    it('refuses principals it does not know', async () => {
+        expect(await policy.authorize(document.id, { type: 'admin', id: patient.user.id })).toBeNull();
+        expect(await policy.authorize(document.id, { type: 'patient' })).toBeNull();
+        expect(await policy.authorize(document.id, null)).toBeNull();
+        expect(await accessLog()).toEqual([]);
+    });
+});
@@ -0,0 +1,29 @@
+// Assembled PDFs of upload groups (see migration 017_create_document_assemblies.sql), recorded by the
+// patient API and opened by the TC portal.
+//
+// Building the PDFs (image normalization, OCR) lives in documentAssembly.js, which only the patient API
+// loads; this module stays free of that stack so the portals can share it.
+
+// Record a stored assembly with the group's patient_documents rows
+async function recordAssembly(db, { patientId, documentType, documentGroupId, bucket, assembly }) {
+    await db.query(`
+        INSERT INTO document_assemblies (patient_id, document_group_id, document_type, s3_bucket, s3_key, file_size, page_count)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [patientId, documentGroupId, documentType, bucket, assembly.s3Key, assembly.fileSize, assembly.pageCount]);
+}
+
+// The assembled PDF of a document's upload group, or null
+async function findAssembly(db, documentGroupId) {
+    if (!documentGroupId) {
+        return null;
+    }
+    const result = await db.query(`
+        SELECT id, s3_bucket, s3_key, file_size, page_count FROM document_assemblies WHERE document_group_id = $1
+    `, [documentGroupId]);
+    return result.rows[0] || null;
+}
+
+module.exports = {
+    recordAssembly,
+    findAssembly
+};
@@ -0,0 +1,34 @@
+const { recordAssembly, findAssembly } = require('./documentAssemblies');
+const { createTestDatabase } = require('../../test/database');
+const { createPatient } = require('../../test/fixtures');
+
+describe('document assemblies', () => {
+    let database;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+    });
+
+    afterAll(async () => {
+        await database.drop();
+    });
+
+    it("finds the assembled PDF recorded for a document's upload group", async () => {
+        const db = database.pool;
+        const patient = await createPatient(db);
+        const documentGroupId = (await db.query('SELECT uuid_generate_v4() as id')).rows[0].id;
+        const assembly = { s3Key: `patients/${patient.id}/documents/insurance_card/${documentGroupId}/document.pdf`, fileSize: 2048, pageCount: 2 };
+
+        await recordAssembly(db, { patientId: patient.id, documentType: 'insurance_card', documentGroupId, bucket: 'test-documents', assembly });
+
+        expect(await findAssembly(db, documentGroupId)).toEqual({
+            id: expect.any(String),
+            s3_bucket: 'test-documents',
+            s3_key: assembly.s3Key,
+            file_size: 2048,
+            page_count: 2
+        });
+        expect(await findAssembly(db, null)).toBeNull();
+        expect(await findAssembly(db, patient.id)).toBeNull();
+    });
+});
@@ -0,0 +1,239 @@
+// Multi-page document assembly for the patient API (see migration 017_create_document_assemblies.sql).
+// The portals don't load this module or its image and OCR packages; the assembly rows they read and
+// write are in documentAssemblies.js.
+//
+// The files of one upload group are stored as uploaded ("originals", numbered in upload order) and also
+// assembled into one PDF, which the TC portal opens and the document processor reads by default:
+//   - images are normalized: HEIC/HEIF converted to JPEG, EXIF orientation applied, downscaled so the long
+//     edge is at most MAX_IMAGE_DIMENSION, and placed one per page
+//   - image pages are read with Tesseract OCR and get an invisible text layer over the image, so the PDF
+//     is searchable and its text can be selected and copied; words read too poorly are left out, since
+//     the document processor takes a text layer at its word. If OCR fails the page is kept as a scan.
+//   - uploaded PDFs contribute all of their pages, text layer included
+// A single uploaded PDF is already the artifact and is not reassembled. If assembly fails (an unreadable
+// image, say) the originals are stored on their own, as before.
+//
+// Tesseract's English language data ships with the package (@tesseract.js-data/eng); TESSERACT_LANG_PATH
+// overrides it with another directory or URL holding eng.traineddata.gz.
+//
+// Originals of an assembled group carry an 'assembled-pdf-key' S3 metadata entry so the document
+// processor skips them in favour of the PDF.
+
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const { createWorker } = require('tesseract.js');
+const { PDFDocument, StandardFonts, TextRenderingMode, pushGraphicsState, popGraphicsState, setTextRenderingMode } = require('pdf-lib');
+const { PutObjectCommand } = require('@aws-sdk/client-s3');
+
+const MAX_IMAGE_DIMENSION = 2000;
+const JPEG_QUALITY = 85;
+
+// US Letter in PDF points, with a small margin around each image
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const PAGE_MARGIN = 18;
+
+// Tesseract confidence (0-100) below which an OCR'd word is left out of the text layer
+const MIN_WORD_CONFIDENCE = 60;
+
+// LSTM-only language data, matching the LSTM engine the worker is created with
+function ocrLangPath() {
+    return process.env.TESSERACT_LANG_PATH ||
+        path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+}
+
+function fileExtension(file, fallback) {
+    const parts = file.originalname.split('.');
+    return parts.length > 1 ? parts.pop().toLowerCase() : fallback;
+}
+
+function isPdf(file) {
+    return file.mimetype === 'application/pdf' || fileExtension(file, '') === 'pdf';
+}
+
+function isHeic(file) {
+    return ['image/heic', 'image/heif'].includes(file.mimetype) || ['heic', 'heif'].includes(fileExtension(file, ''));
+}
+
+// JPEG of an uploaded image, upright and no larger than MAX_IMAGE_DIMENSION on its long edge
+async function normalizeImage(file) {
+    const input = isHeic(file)
+        ? Buffer.from(await heicConvert({ buffer: file.buffer, format: 'JPEG', quality: 1 }))
+        : file.buffer;
+
+    const { data, info } = await sharp(input)
+        .rotate()
+        .resize({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION, fit: 'inside', withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: JPEG_QUALITY })
+        .toBuffer({ resolveWithObject: true });
+
+    return { buffer: data, width: info.width, height: info.height };
+}
+
+// Letter page (landscape for wide images) with the image scaled to fit and centred. Returns the page and
+// where the image was drawn.
+function addImagePage(pdf, jpeg, image) {
+    const landscape = image.width > image.height;
+    const pageWidth = landscape ? PAGE_HEIGHT : PAGE_WIDTH;
+    const pageHeight = landscape ? PAGE_WIDTH : PAGE_HEIGHT;
+    const scale = Math.min((pageWidth - 2 * PAGE_MARGIN) / image.width, (pageHeight - 2 * PAGE_MARGIN) / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+
+    const page = pdf.addPage([pageWidth, pageHeight]);
+    page.drawImage(jpeg, {
+        x: (pageWidth - width) / 2,
+        y: (pageHeight - height) / 2,
+        width: width,
+        height: height
+    });
+
+    return { page, x: (pageWidth - width) / 2, y: (pageHeight - height) / 2, scale, imageHeight: image.height };
+}
+
+// Invisible text over each OCR'd word of an image page, sized to the word's box so a search hit or a
+// selection lands on the word in the image. The words of a line share the line's bottom edge, so text
+// extraction keeps them on one line. lines are Tesseract lines, in image pixels.
+function addTextLayer(placement, lines, font) {
+    const { page, x, y, scale, imageHeight } = placement;
+    const encodable = new Set(font.getCharacterSet());
+
+    page.pushOperators(pushGraphicsState(), setTextRenderingMode(TextRenderingMode.Invisible));
+    for (const line of lines) {
+        const lineHeight = (line.bbox.y1 - line.bbox.y0) * scale;
+
+        for (const word of line.words || []) {
+            if (word.confidence < MIN_WORD_CONFIDENCE) continue;
+
+            const text = Array.from(word.text.trim()).filter(char => encodable.has(char.codePointAt(0))).join('');
+            if (!text) continue;
+
+            const size = Math.min(lineHeight, (word.bbox.x1 - word.bbox.x0) * scale / font.widthOfTextAtSize(text, 1));
+            if (!(size > 0)) continue;
+
+            page.drawText(text, {
+                x: x + word.bbox.x0 * scale,
+                y: y + (imageHeight - line.bbox.y1) * scale,
+                size: size,
+                font: font
+            });
+        }
+    }
+    page.pushOperators(popGraphicsState());
+}
+
+// Whether a group's files need assembling: anything but a single PDF
+function needsAssembly(files) {
+    return files.length > 1 || !isPdf(files[0]);
+}
+
+// One PDF of the files in order. files are multer files ({ buffer, mimetype, originalname }).
+// Returns { buffer, pageCount, ocrPageCount }.
+async function assembleDocument(files, { title }) {
+    const pdf = await PDFDocument.create();
+    pdf.setTitle(title);
+    pdf.setCreator('Transplant Wizard');
+    pdf.setCreationDate(new Date());
+
+    // One Tesseract worker per document, started only when an image needs OCR
+    let worker = null;
+    let font = null;
+    let ocrPageCount = 0;
+
+    try {
+        for (const file of files) {
+            if (isPdf(file)) {
+                const source = await PDFDocument.load(file.buffer, { ignoreEncryption: true });
+                const pages = await pdf.copyPages(source, source.getPageIndices());
+                pages.forEach(page => pdf.addPage(page));
+                continue;
+            }
+
+            const image = await normalizeImage(file);
+            const placement = addImagePage(pdf, await pdf.embedJpg(image.buffer), image);
+
+            try {
+                if (!worker) {
+                    worker = await createWorker('eng', 1, { langPath: ocrLangPath(), cachePath: os.tmpdir(), gzip: true });
+                    font = await pdf.embedFont(StandardFonts.Helvetica);
+                }
+                const { data } = await worker.recognize(image.buffer);
+                addTextLayer(placement, data.lines || [], font);
+                ocrPageCount++;
+            } catch (error) {
+                console.warn(`⚠️ Could not OCR ${file.originalname}, keeping it as a scan:`, error.message);
+            }
+        }
+    } finally {
+        if (worker) await worker.terminate();
+    }
+
+    return { buffer: Buffer.from(await pdf.save()), pageCount: pdf.getPageCount(), ocrPageCount };
+}
+
+// Store an upload group in S3: the assembled PDF (when there is one) and the originals, named by page.
+// metadata is added to every object. Returns { originals: [{ file, s3Key, pageNumber }], assembly } where
+// assembly is { s3Key, fileSize, pageCount } or null.
+async function storeDocumentGroup(s3Client, { bucket, patientId, documentType, documentGroupId, files, title, metadata = {} }) {
+    const prefix = `patients/${patientId}/documents/${documentType}/${documentGroupId}`;
+    const baseMetadata = {
+        'patient-id': String(patientId),
+        'document-type': String(documentType),
+        ...metadata
+    };
+
+    let assembly = null;
+    if (needsAssembly(files)) {
+        try {
+            const assembled = await assembleDocument(files, { title });
+            assembly = { s3Key: `${prefix}/document.pdf`, fileSize: assembled.buffer.length, pageCount: assembled.pageCount };
+
+            await s3Client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: assembly.s3Key,
+                Body: assembled.buffer,
+                ContentType: 'application/pdf',
+                ServerSideEncryption: 'AES256',
+                Metadata: { ...baseMetadata, 'page-count': String(assembled.pageCount) }
+            }));
+            console.log(`✅ Assembled ${files.length} file(s) into ${assembled.pageCount}-page PDF (${assembled.ocrPageCount} page(s) OCR'd): ${assembly.s3Key}`);
+        } catch (error) {
+            console.warn(`⚠️ Could not assemble document group ${documentGroupId}, storing originals only:`, error.message);
+            assembly = null;
+        }
+    }
+
+    const originals = [];
+    for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        const pageNumber = i + 1;
+        const s3Key = `${prefix}/original-${pageNumber}.${fileExtension(file, 'jpg')}`;
+
+        await s3Client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: s3Key,
+            Body: file.buffer,
+            ContentType: file.mimetype,
+            ServerSideEncryption: 'AES256',
+            Metadata: {
+                ...baseMetadata,
+                'original-filename': String(file.originalname),
+                'page-number': String(pageNumber),
+                ...(assembly ? { 'assembled-pdf-key': assembly.s3Key } : {})
+            }
+        }));
+        originals.push({ file, s3Key, pageNumber });
+    }
+
+    return { originals, assembly };
+}
+
+module.exports = {
+    MAX_IMAGE_DIMENSION,
+    normalizeImage,
+    assembleDocument,
+    storeDocumentGroup
+};
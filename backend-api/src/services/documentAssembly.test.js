@@ -0,0 +1,176 @@
+const zlib = require('zlib');
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const {
+    MAX_IMAGE_DIMENSION,
+    normalizeImage,
+    assembleDocument,
+    storeDocumentGroup
+} = require('./documentAssembly');
+
+// A multer-style file holding a solid-colour image
+async function imageFile(name, width, height, { format = 'png', orientation } = {}) {
+    let image = sharp({ create: { width, height, channels: 3, background: '#3366cc' } });
+    if (orientation) {
+        image = image.withMetadata({ orientation });
+    }
+    const buffer = await image.toFormat(format).toBuffer();
+    return { originalname: name, mimetype: `image/${format === 'jpeg' ? 'jpeg' : format}`, buffer };
+}
+
+async function pdfFile(name, pageCount) {
+    const pdf = await PDFDocument.create();
+    for (let i = 0; i < pageCount; i++) {
+        pdf.addPage([612, 792]);
+    }
+    return { originalname: name, mimetype: 'application/pdf', buffer: Buffer.from(await pdf.save()) };
+}
+
+// A white image with one line of black text
+async function textImageFile(name, text) {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="400">
+        <rect width="100%" height="100%" fill="white"/>
+        <text x="40" y="200" font-family="sans-serif" font-size="96" fill="black">${text}</text>
+    </svg>`;
+    return { originalname: name, mimetype: 'image/png', buffer: await sharp(Buffer.from(svg)).png().toBuffer() };
+}
+
+// The strings a PDF draws in invisible text (rendering mode 3), from its compressed content streams
+function invisibleText(pdfBuffer) {
+    const raw = pdfBuffer.toString('latin1');
+    const words = [];
+    for (const match of raw.matchAll(/stream\r?\n([\s\S]*?)endstream/g)) {
+        let content;
+        try {
+            content = zlib.inflateSync(Buffer.from(match[1], 'latin1')).toString('latin1');
+        } catch (error) {
+            continue;
+        }
+        const invisible = content.split('3 Tr')[1] || '';
+        for (const [, hex] of invisible.matchAll(/<([0-9A-F]+)> Tj/g)) {
+            words.push(Buffer.from(hex, 'hex').toString('latin1'));
+        }
+    }
+    return words;
+}
+
+// An S3 client that keeps what was put
+function recordingS3() {
+    return {
+        objects: [],
+        async send(command) {
+            this.objects.push(command.input);
+            return {};
+        }
+    };
+}
+
+describe('normalizeImage', () => {
+    it('converts to JPEG no larger than the maximum dimension', async () => {
+        const image = await normalizeImage(await imageFile('scan.png', 4000, 3000));
+
+        expect([image.width, image.height]).toEqual([MAX_IMAGE_DIMENSION, 1500]);
+        expect((await sharp(image.buffer).metadata()).format).toBe('jpeg');
+    });
+
+    it('turns photos upright and leaves small images at their size', async () => {
+        // EXIF orientation 6: stored landscape, displayed rotated a quarter turn
+        const image = await normalizeImage(await imageFile('photo.jpg', 400, 300, { format: 'jpeg', orientation: 6 }));
+
+        expect([image.width, image.height]).toEqual([300, 400]);
+    });
+});
+
+describe('assembleDocument', () => {
+    it('puts each image on its own page and keeps every page of uploaded PDFs', async () => {
+        const files = [
+            await imageFile('front.png', 1200, 800),
+            await imageFile('back.png', 800, 1200),
+            await pdfFile('labs.pdf', 2)
+        ];
+
+        const assembled = await assembleDocument(files, { title: 'Insurance Card' });
+
+        expect(assembled.pageCount).toBe(4);
+        const pdf = await PDFDocument.load(assembled.buffer);
+        expect(pdf.getTitle()).toBe('Insurance Card');
+        // Wide images get a landscape page
+        expect(pdf.getPages().map(page => [page.getWidth(), page.getHeight()])).toEqual([
+            [792, 612],
+            [612, 792],
+            [612, 792],
+            [612, 792]
+        ]);
+    });
+});
+
+describe('OCR text layer', () => {
+    it('lays the words read from image pages over the image as invisible text', async () => {
+        const assembled = await assembleDocument([
+            await textImageFile('labs.png', 'POTASSIUM 4.2'),
+            await pdfFile('summary.pdf', 1)
+        ], { title: 'Current labs' });
+
+        expect(assembled).toMatchObject({ pageCount: 2, ocrPageCount: 1 });
+        expect(invisibleText(assembled.buffer)).toEqual(['POTASSIUM', '4.2']);
+    });
+});
+
+describe('storeDocumentGroup', () => {
+    const group = files => ({
+        bucket: 'test-documents',
+        patientId: 'patient-1',
+        documentType: 'insurance_card',
+        documentGroupId: 'group-1',
+        files: files,
+        title: 'Insurance Card',
+        metadata: { 'uploaded-by': 'patient' }
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('stores the assembled PDF and the originals, which point at it', async () => {
+        const s3 = recordingS3();
+
+        const stored = await storeDocumentGroup(s3, group([await imageFile('front.png', 600, 400), await imageFile('back.png', 600, 400)]));
+
+        const prefix = 'patients/patient-1/documents/insurance_card/group-1';
+        expect(stored.assembly).toEqual({ s3Key: `${prefix}/document.pdf`, fileSize: expect.any(Number), pageCount: 2 });
+        expect(stored.originals.map(original => [original.s3Key, original.pageNumber])).toEqual([
+            [`${prefix}/original-1.png`, 1],
+            [`${prefix}/original-2.png`, 2]
+        ]);
+        expect(s3.objects.map(object => [object.Key, object.ContentType, object.Metadata])).toEqual([
+            [`${prefix}/document.pdf`, 'application/pdf', { 'patient-id': 'patient-1', 'document-type': 'insurance_card', 'uploaded-by': 'patient', 'page-count': '2' }],
+            [`${prefix}/original-1.png`, 'image/png', expect.objectContaining({ 'original-filename': 'front.png', 'page-number': '1', 'assembled-pdf-key': `${prefix}/document.pdf` })],
+            [`${prefix}/original-2.png`, 'image/png', expect.objectContaining({ 'original-filename': 'back.png', 'page-number': '2', 'assembled-pdf-key': `${prefix}/document.pdf` })]
+        ]);
+    });
+
+    it('does not reassemble a single uploaded PDF', async () => {
+        const s3 = recordingS3();
+
+        const stored = await storeDocumentGroup(s3, group([await pdfFile('labs.pdf', 3)]));
+
+        expect(stored.assembly).toBeNull();
+        expect(s3.objects.map(object => object.Key)).toEqual(['patients/patient-1/documents/insurance_card/group-1/original-1.pdf']);
+    });
+
+    it('falls back to the originals when a file cannot be read', async () => {
+        const s3 = recordingS3();
+        const unreadable = { originalname: 'broken.jpg', mimetype: 'image/jpeg', buffer: Buffer.from('not an image') };
+
+        const stored = await storeDocumentGroup(s3, group([unreadable]));
+
+        expect(stored.assembly).toBeNull();
+        expect(s3.objects).toEqual([expect.objectContaining({ Key: 'patients/patient-1/documents/insurance_card/group-1/original-1.jpg', Body: unreadable.buffer })]);
+        expect(s3.objects[0].Metadata).not.toHaveProperty('assembled-pdf-key');
+    });
+});
@@ -0,0 +1,232 @@
+// Document freshness (see migration 015_add_document_expiry.sql), shared by the patient API, both portals
+// and the expiry reminder job.
+//
+// Every document has an effective date: the upload date, replaced by the lab date when the document
+// processor extracts one or a reviewer confirms one. Types with validForDays in DOCUMENT_TYPES get an
+// expiry date (the last day they are current). Only the document with the most recent content for each
+// patient and type matters; older ones are superseded rather than stale.
+//
+// DocumentExpiryJob runs in the patient API. Shortly before a patient's newest document of a type expires,
+// it asks whoever provided it for a current one:
+//   dusw    - documents the assigned DUSW uploaded: a 'document_expiring' DUSW notification
+//   patient - everything else: the patient's document_upload todo for the type is (re)opened, with a push
+// Each document is reminded about once; a new effective date clears the reminder.
+
+const { enqueueDuswNotification, enqueuePush } = require('./notificationOutbox');
+const { EXPIRY_REMINDER_DAYS, expiryDateFor, documentTypeName, toIsoDate } = require('./documentRequirements');
+
+const DEFAULT_OPTIONS = {
+    intervalMs: 6 * 60 * 60 * 1000,
+    reminderDays: EXPIRY_REMINDER_DAYS,
+    batchSize: 100
+};
+
+// Newest current (not replaced or deleted) document per patient and type among the rows matching condition
+function latestDocuments(condition) {
+    return `
+        SELECT DISTINCT ON (patient_id, document_type)
+               id, patient_id, document_type, document_group_id, uploaded_by_type, uploaded_by_id,
+               COALESCE(effective_date, created_at::date) as effective_date, expiry_date, expiry_reminder_sent_at
+        FROM patient_documents
+        WHERE ${condition} AND superseded_at IS NULL AND deleted_at IS NULL
+        ORDER BY patient_id, document_type, COALESCE(effective_date, created_at::date) DESC, created_at DESC
+    `;
+}
+
+function formatDate(value) {
+    return new Date(`${toIsoDate(value)}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+// Set the date a document's content is from and recompute its expiry, for the document and the other
+// pages uploaded with it. source is 'lab_date' or 'reviewer'. Returns false if the document is not found.
+async function setDocumentEffectiveDate(db, { documentId, effectiveDate, source }) {
+    const document = await db.query(`
+        SELECT document_type, document_group_id FROM patient_documents WHERE id = $1
+    `, [documentId]);
+    if (document.rows.length === 0) {
+        return false;
+    }
+    const { document_type: documentType, document_group_id: groupId } = document.rows[0];
+
+    await db.query(`
+        UPDATE patient_documents
+        SET effective_date = $2, effective_date_source = $3, expiry_date = $4, expiry_reminder_sent_at = NULL
+        WHERE id = $1 OR (document_group_id IS NOT NULL AND document_group_id = $5)
+    `, [documentId, toIsoDate(effectiveDate), source, expiryDateFor(documentType, effectiveDate), groupId]);
+    return true;
+}
+
+// { patientId: { expired, expiring } } counting each patient's newest document per type, for patient lists
+async function countStaleDocuments(db, patientIds, reminderDays = EXPIRY_REMINDER_DAYS) {
+    if (patientIds.length === 0) {
+        return {};
+    }
+    const result = await db.query(`
+        SELECT latest.patient_id,
+               COUNT(*) FILTER (WHERE latest.expiry_date < CURRENT_DATE)::int as expired,
+               COUNT(*) FILTER (WHERE latest.expiry_date >= CURRENT_DATE AND latest.expiry_date <= CURRENT_DATE + $2::int)::int as expiring
+        FROM (${latestDocuments('patient_id = ANY($1::uuid[])')}) latest
+        WHERE latest.expiry_date IS NOT NULL
+        GROUP BY latest.patient_id
+    `, [patientIds, reminderDays]);
+    return Object.fromEntries(result.rows.map(row => [row.patient_id, { expired: row.expired, expiring: row.expiring }]));
+}
+
+// Documents a social worker uploaded for their currently assigned patients that are expired or expiring,
+// soonest first
+async function listExpiringDuswDocuments(db, duswId, reminderDays = EXPIRY_REMINDER_DAYS) {
+    const result = await db.query(`
+        SELECT latest.id, latest.patient_id, latest.document_type, latest.effective_date, latest.expiry_date,
+               u.first_name as patient_first_name, u.last_name as patient_last_name
+        FROM (${latestDocuments('patient_id IN (SELECT patient_id FROM patient_dusw_assignments WHERE dusw_social_worker_id = $1)')}) latest
+        JOIN patients p ON latest.patient_id = p.id
+        JOIN users u ON p.user_id = u.id
+        WHERE latest.uploaded_by_type = 'dusw'
+          AND latest.expiry_date <= CURRENT_DATE + $2::int
+        ORDER BY latest.expiry_date ASC
+    `, [duswId, reminderDays]);
+    return result.rows.map(row => ({ ...row, document_type_name: documentTypeName(row.document_type) }));
+}
+
+// Reopen (or create) the patient's document_upload todo for the type, due on the expiry date
+async function openRefreshTodo(db, document, message) {
+    const title = `Upload ${documentTypeName(document.document_type)}`;
+    const existing = await db.query(`
+        UPDATE patient_todos
+        SET status = 'pending', completed_at = NULL, priority = 'high', description = $3, due_date = $4, updated_at = NOW()
+        WHERE patient_id = $1 AND todo_type = 'document_upload' AND metadata->>'documentType' = $2
+        RETURNING id
+    `, [document.patient_id, document.document_type, message, toIsoDate(document.expiry_date)]);
+    if (existing.rows.length > 0) {
+        return existing.rows[0].id;
+    }
+
+    const created = await db.query(`
+        INSERT INTO patient_todos (patient_id, title, description, todo_type, priority, due_date, metadata)
+        VALUES ($1, $2, $3, 'document_upload', 'high', $4, $5)
+        RETURNING id
+    `, [document.patient_id, title, message, toIsoDate(document.expiry_date), JSON.stringify({ documentType: document.document_type })]);
+    return created.rows[0].id;
+}
+
+class DocumentExpiryJob {
+    constructor(pool, options = {}) {
+        this.pool = pool;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        const run = () => {
+            this.runOnce().catch(error => {
+                console.error('❌ Document expiry job error:', error.message);
+            });
+        };
+        this.timer = setInterval(run, this.options.intervalMs);
+        this.timer.unref();
+        run();
+
+        console.log(`📅 Document expiry job started (reminders ${this.options.reminderDays} days ahead, every ${this.options.intervalMs}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Send reminders for one batch of documents nearing expiry. Returns the number of documents reminded.
+    async runOnce() {
+        if (this.running) return 0;
+        this.running = true;
+
+        try {
+            const documents = await this.findDue();
+            for (const document of documents) {
+                await this.remind(document);
+            }
+            if (documents.length > 0) {
+                console.log(`📅 Sent ${documents.length} document expiry reminder(s)`);
+            }
+            return documents.length;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Newest documents expiring within the reminder window for patients with an active referral
+    async findDue() {
+        const result = await this.pool.query(`
+            SELECT latest.*, u.first_name as patient_first_name, u.last_name as patient_last_name,
+                   (SELECT pda.dusw_social_worker_id FROM patient_dusw_assignments pda
+                    WHERE pda.patient_id = latest.patient_id LIMIT 1) as dusw_id
+            FROM (${latestDocuments('expiry_date IS NOT NULL')}) latest
+            JOIN patients p ON latest.patient_id = p.id
+            JOIN users u ON p.user_id = u.id
+            WHERE latest.expiry_reminder_sent_at IS NULL
+              AND latest.expiry_date <= CURRENT_DATE + $1::int
+              AND EXISTS (
+                  SELECT 1 FROM patient_referrals pr
+                  WHERE pr.patient_id = latest.patient_id AND pr.status::text != 'withdrawn'
+              )
+            ORDER BY latest.expiry_date ASC
+            LIMIT $2
+        `, [this.options.reminderDays, this.options.batchSize]);
+        return result.rows;
+    }
+
+    async remind(document) {
+        const typeName = documentTypeName(document.document_type);
+        const expired = toIsoDate(document.expiry_date) < toIsoDate(new Date());
+        const when = `${expired ? 'expired' : 'expires'} on ${formatDate(document.expiry_date)}`;
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            if (document.uploaded_by_type === 'dusw' && document.dusw_id) {
+                await enqueueDuswNotification(client, {
+                    duswId: document.dusw_id,
+                    patientId: document.patient_id,
+                    notificationType: 'document_expiring',
+                    title: expired ? 'Document Expired' : 'Document Expiring',
+                    message: `The ${typeName} you uploaded for ${document.patient_first_name} ${document.patient_last_name} ${when}. Please upload a current one.`
+                });
+            } else {
+                const message = `Your ${typeName} ${when}. Upload a current one so your transplant centers can keep reviewing your evaluation.`;
+                const todoId = await openRefreshTodo(client, document, message);
+                await enqueuePush(client, {
+                    patientId: document.patient_id,
+                    category: 'todo',
+                    eventType: 'document_expiring',
+                    title: `Time to refresh your ${typeName}`,
+                    body: message,
+                    data: { screen: 'todos', todoId: todoId, todoType: 'document_upload', documentType: document.document_type }
+                });
+            }
+
+            await client.query(`
+                UPDATE patient_documents SET expiry_reminder_sent_at = NOW()
+                WHERE id = $1 OR (document_group_id IS NOT NULL AND document_group_id = $2)
+            `, [document.id, document.document_group_id]);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+}
+
+module.exports = {
+    DocumentExpiryJob,
+    setDocumentEffectiveDate,
+    countStaleDocuments,
+    listExpiringDuswDocuments
+};
@@ -0,0 +1,185 @@
+const {
+    DocumentExpiryJob,
+    setDocumentEffectiveDate,
+    countStaleDocuments,
+    listExpiringDuswDocuments
+} = require('./documentExpiry');
+const { getPatientChecklist, toIsoDate } = require('./documentRequirements');
+const { createTestDatabase } = require('../../test/database');
+const {
+    createPatient,
+    createCenter,
+    createSocialWorker,
+    assignSocialWorker,
+    createReferral,
+    createDocument
+} = require('../../test/fixtures');
+
+// 'YYYY-MM-DD' the given number of days from today (negative for the past)
+function daysFromToday(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return toIsoDate(date);
+}
+
+describe('document expiry', () => {
+    let database;
+    let db;
+    let patient;
+    let socialWorker;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        db = database.pool;
+    });
+
+    afterAll(async () => {
+        await database.drop();
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await db.query('UPDATE patient_documents SET expiry_reminder_sent_at = NOW()');
+        patient = await createPatient(db);
+        socialWorker = await createSocialWorker(db);
+        await assignSocialWorker(db, patient, socialWorker);
+        await createReferral(db, patient, await createCenter(db));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // A document whose content is from effectiveDaysAgo days back, expiring per its type
+    async function documentFrom(documentType, effectiveDaysAgo, fields = {}) {
+        const document = await createDocument(db, patient, { document_type: documentType, ...fields });
+        await setDocumentEffectiveDate(db, { documentId: document.id, effectiveDate: daysFromToday(-effectiveDaysAgo), source: 'lab_date' });
+        return (await db.query('SELECT * FROM patient_documents WHERE id = $1', [document.id])).rows[0];
+    }
+
+    async function queued(channel) {
+        const result = await db.query(
+            'SELECT recipient_id, event_type, payload FROM notification_outbox WHERE channel = $1 AND patient_id = $2',
+            [channel, patient.id]
+        );
+        return result.rows;
+    }
+
+    describe('setDocumentEffectiveDate', () => {
+        it('dates every page of the upload and clears a sent reminder', async () => {
+            const groupId = '00000000-0000-4000-8000-000000000001';
+            const first = await createDocument(db, patient, { document_type: 'current_labs', document_group_id: groupId, expiry_reminder_sent_at: new Date() });
+            const second = await createDocument(db, patient, { document_type: 'current_labs', document_group_id: groupId });
+
+            expect(await setDocumentEffectiveDate(db, { documentId: first.id, effectiveDate: '2026-03-02', source: 'reviewer' })).toBe(true);
+
+            const pages = await db.query(
+                'SELECT effective_date_source, expiry_date, expiry_reminder_sent_at FROM patient_documents WHERE id = ANY($1::uuid[])',
+                [[first.id, second.id]]
+            );
+            expect(pages.rows.map(row => [row.effective_date_source, toIsoDate(row.expiry_date), row.expiry_reminder_sent_at])).toEqual([
+                ['reviewer', '2026-04-01', null],
+                ['reviewer', '2026-04-01', null]
+            ]);
+        });
+
+        it('leaves types that do not go stale without an expiry date', async () => {
+            const card = await documentFrom('insurance_card', 400);
+
+            expect(card.expiry_date).toBeNull();
+            expect(await setDocumentEffectiveDate(db, { documentId: '00000000-0000-4000-8000-000000000002', effectiveDate: '2026-03-02', source: 'reviewer' })).toBe(false);
+        });
+    });
+
+    it('counts only the newest document of each type as stale', async () => {
+        await documentFrom('current_labs', 40);
+        await documentFrom('current_labs', 5);
+        await documentFrom('immunization_record', 360);
+        await documentFrom('medicare_2728', 400);
+
+        expect(await countStaleDocuments(db, [patient.id])).toEqual({ [patient.id]: { expired: 1, expiring: 1 } });
+        expect(await countStaleDocuments(db, [])).toEqual({});
+    });
+
+    it("no longer counts a document past its expiry date on the patient's checklist", async () => {
+        await db.query("UPDATE patient_referrals SET status = 'withdrawn' WHERE patient_id = $1", [patient.id]);
+        const center = await createCenter(db);
+        await db.query(
+            "INSERT INTO center_document_requirements (transplant_center_id, document_type, is_required) VALUES ($1, 'current_labs', true)",
+            [center.id]
+        );
+        await createReferral(db, patient, center);
+        const labs = await documentFrom('current_labs', 40);
+
+        expect((await getPatientChecklist(db, patient.id)).items).toEqual([
+            expect.objectContaining({ documentType: 'current_labs', status: 'expired', currentUntil: toIsoDate(labs.expiry_date) })
+        ]);
+
+        await documentFrom('current_labs', 20);
+        expect((await getPatientChecklist(db, patient.id)).items[0].status).toBe('expiring');
+    });
+
+    it("lists the social worker's own uploads that need refreshing", async () => {
+        const expiring = await documentFrom('current_labs', 25, { uploaded_by_type: 'dusw', uploaded_by_id: String(socialWorker.id) });
+        await documentFrom('immunization_record', 360);
+
+        expect((await listExpiringDuswDocuments(db, socialWorker.id)).map(d => [d.id, d.document_type_name])).toEqual([
+            [expiring.id, 'One week of current labs']
+        ]);
+    });
+
+    describe('DocumentExpiryJob', () => {
+        const runJob = () => new DocumentExpiryJob(db).runOnce();
+
+        it("reopens the patient's todo and pushes a reminder for their own uploads, once", async () => {
+            await db.query(
+                "INSERT INTO patient_todos (patient_id, title, todo_type, status, metadata) VALUES ($1, 'Upload One week of current labs', 'document_upload', 'completed', $2)",
+                [patient.id, JSON.stringify({ documentType: 'current_labs' })]
+            );
+            const labs = await documentFrom('current_labs', 25);
+
+            expect(await runJob()).toBe(1);
+
+            const todos = await db.query("SELECT status, priority, due_date FROM patient_todos WHERE patient_id = $1 AND todo_type = 'document_upload'", [patient.id]);
+            expect(todos.rows.map(row => [row.status, row.priority, toIsoDate(row.due_date)])).toEqual([['pending', 'high', toIsoDate(labs.expiry_date)]]);
+            expect(await queued('push')).toEqual([expect.objectContaining({
+                event_type: 'document_expiring',
+                payload: expect.objectContaining({ category: 'todo', title: 'Time to refresh your One week of current labs' })
+            })]);
+
+            expect(await runJob()).toBe(0);
+        });
+
+        it('asks the social worker to refresh what they uploaded', async () => {
+            await documentFrom('medicare_2728', 370, { uploaded_by_type: 'dusw', uploaded_by_id: String(socialWorker.id) });
+
+            await runJob();
+
+            expect(await queued('dusw_notification')).toEqual([expect.objectContaining({
+                recipient_id: String(socialWorker.id),
+                payload: expect.objectContaining({ notificationType: 'document_expiring', title: 'Document Expired' })
+            })]);
+            expect(await queued('push')).toEqual([]);
+        });
+
+        it('skips superseded documents, documents far from expiry and patients with no active referral', async () => {
+            await documentFrom('current_labs', 40);
+            await documentFrom('current_labs', 2);
+            const withdrawn = await createPatient(db);
+            await createReferral(db, withdrawn, await createCenter(db), { status: 'withdrawn' });
+            const withdrawnLabs = await createDocument(db, withdrawn, { document_type: 'current_labs' });
+            await setDocumentEffectiveDate(db, { documentId: withdrawnLabs.id, effectiveDate: daysFromToday(-40), source: 'lab_date' });
+
+            expect(await runJob()).toBe(0);
+        });
+
+        it('picks up a document again once its effective date changes', async () => {
+            const labs = await documentFrom('current_labs', 25);
+            await runJob();
+
+            await setDocumentEffectiveDate(db, { documentId: labs.id, effectiveDate: daysFromToday(-28), source: 'reviewer' });
+
+            expect(await runJob()).toBe(1);
+        });
+    });
+});
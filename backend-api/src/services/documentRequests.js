@@ -0,0 +1,222 @@
+// Document requests (see migration 013_create_document_requests.sql), shared by the patient API and both portals.
+//
+// A transplant center asks for one document type by a due date, from either:
+//   patient - a patient_todos item (todo_type document_request) plus a push in the 'document_request' category
+//   dusw    - the patient's assigned social worker, through a DUSW notification; the request is their task
+// Any upload of the requested type by the patient or the DUSW closes every open request for it.
+// Pass the caller's transaction client as `db` so the request, todo and alerts commit together.
+
+const { enqueueTcNotification, enqueueDuswNotification, enqueuePush } = require('./notificationOutbox');
+const { DOCUMENT_TYPES, CHECKLIST_DOCUMENT_TYPES, documentTypeName } = require('./documentRequirements');
+
+// Types a center can ask for, and who can upload each one (see DOCUMENT_TYPES in documentRequirements)
+const REQUESTABLE_DOCUMENT_TYPES = Object.fromEntries(
+    CHECKLIST_DOCUMENT_TYPES.map(type => [type, { name: DOCUMENT_TYPES[type].name, providers: DOCUMENT_TYPES[type].providers }])
+);
+
+const REQUEST_COLUMNS = `
+    dr.id, dr.patient_id, dr.transplant_center_id, dr.document_type, dr.notes, dr.due_date,
+    dr.assignee_type, dr.dusw_id, dr.patient_todo_id, dr.status, dr.fulfilled_document_id,
+    dr.fulfilled_at, dr.cancelled_at, dr.created_at,
+    tc.name as center_name,
+    CONCAT(tce.first_name, ' ', tce.last_name) as requested_by_name,
+    CONCAT(dsw.first_name, ' ', dsw.last_name) as dusw_name
+`;
+
+const REQUEST_JOINS = `
+    FROM document_requests dr
+    JOIN transplant_centers tc ON dr.transplant_center_id = tc.id
+    LEFT JOIN transplant_center_employees tce ON dr.requested_by_tc_employee_id = tce.id
+    LEFT JOIN dusw_social_workers dsw ON dr.dusw_id = dsw.id
+`;
+
+// Validate a new request; returns an error string or null
+function validateDocumentRequest({ documentType, dueDate, assigneeType }) {
+    const type = REQUESTABLE_DOCUMENT_TYPES[documentType];
+    if (!type) {
+        return 'Invalid document type';
+    }
+    if (!['patient', 'dusw'].includes(assigneeType)) {
+        return 'Choose whether the patient or the social worker should provide the document';
+    }
+    if (!type.providers.includes(assigneeType)) {
+        return `${type.name} can only be provided by the patient`;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dueDate || '') || Number.isNaN(Date.parse(dueDate))) {
+        return 'A valid due date is required';
+    }
+    return null;
+}
+
+// Requests for a patient, optionally limited to one center, open ones first
+async function listDocumentRequests(db, { patientId, transplantCenterId = null }) {
+    const result = await db.query(`
+        SELECT ${REQUEST_COLUMNS}
+        ${REQUEST_JOINS}
+        WHERE dr.patient_id = $1
+          AND ($2::uuid IS NULL OR dr.transplant_center_id = $2::uuid)
+        ORDER BY CASE dr.status WHEN 'open' THEN 0 ELSE 1 END, dr.due_date ASC, dr.created_at DESC
+    `, [patientId, transplantCenterId]);
+    return result.rows.map(row => ({ ...row, document_type_name: documentTypeName(row.document_type) }));
+}
+
+// Open requests assigned to a social worker across their currently assigned patients, soonest due first
+async function listOpenDuswRequests(db, duswId) {
+    const result = await db.query(`
+        SELECT ${REQUEST_COLUMNS}, u.first_name as patient_first_name, u.last_name as patient_last_name
+        ${REQUEST_JOINS}
+        JOIN patients p ON dr.patient_id = p.id
+        JOIN users u ON p.user_id = u.id
+        JOIN patient_dusw_assignments pda ON pda.patient_id = dr.patient_id AND pda.dusw_social_worker_id = $1
+        WHERE dr.status = 'open' AND dr.assignee_type = 'dusw'
+        ORDER BY dr.due_date ASC
+    `, [duswId]);
+    return result.rows.map(row => ({ ...row, document_type_name: documentTypeName(row.document_type) }));
+}
+
+// Create a request and its todo or DUSW task. Returns the request row, or null when the request is for
+// the DUSW and the patient has none assigned.
+async function createDocumentRequest(db, { patientId, transplantCenterId, requestedBy, documentType, dueDate, notes = null, assigneeType }) {
+    const typeName = documentTypeName(documentType);
+
+    const context = await db.query(`
+        SELECT tc.name as center_name, pda.dusw_social_worker_id as dusw_id,
+               u.first_name as patient_first_name, u.last_name as patient_last_name
+        FROM patients p
+        JOIN users u ON p.user_id = u.id
+        JOIN transplant_centers tc ON tc.id = $2
+        LEFT JOIN patient_dusw_assignments pda ON pda.patient_id = p.id
+        WHERE p.id = $1
+        LIMIT 1
+    `, [patientId, transplantCenterId]);
+    const { center_name: centerName, dusw_id: duswId, patient_first_name: firstName, patient_last_name: lastName } = context.rows[0];
+
+    if (assigneeType === 'dusw' && !duswId) {
+        return null;
+    }
+
+    const result = await db.query(`
+        INSERT INTO document_requests (
+            patient_id, transplant_center_id, requested_by_tc_employee_id, document_type, notes, due_date,
+            assignee_type, dusw_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id
+    `, [
+        patientId, transplantCenterId, requestedBy, documentType, notes, dueDate,
+        assigneeType, assigneeType === 'dusw' ? duswId : null
+    ]);
+    const requestId = result.rows[0].id;
+    const dueText = new Date(`${dueDate}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+    if (assigneeType === 'patient') {
+        const todo = await db.query(`
+            INSERT INTO patient_todos (patient_id, title, description, todo_type, priority, due_date, metadata)
+            VALUES ($1, $2, $3, 'document_request', 'high', $4, $5)
+            RETURNING id
+        `, [
+            patientId,
+            `Upload ${typeName}`,
+            notes ? `${centerName} requested this document: ${notes}` : `${centerName} requested this document.`,
+            dueDate,
+            JSON.stringify({ documentType: documentType, documentRequestId: requestId })
+        ]);
+
+        await db.query('UPDATE document_requests SET patient_todo_id = $2 WHERE id = $1', [requestId, todo.rows[0].id]);
+
+        await enqueuePush(db, {
+            patientId: patientId,
+            category: 'document_request',
+            eventType: 'document_requested',
+            title: `${centerName} needs a document`,
+            body: `Please upload your ${typeName} by ${dueText}.`,
+            data: { screen: 'todos', todoId: todo.rows[0].id, documentRequestId: requestId, documentType: documentType },
+            transplantCenterId: transplantCenterId
+        });
+    } else {
+        await enqueueDuswNotification(db, {
+            duswId: duswId,
+            patientId: patientId,
+            notificationType: 'document_request',
+            title: 'Document Requested',
+            message: `${centerName} requested "${typeName}" for ${firstName} ${lastName}, due ${dueText}.`,
+            transplantCenterId: transplantCenterId
+        });
+    }
+
+    const created = await db.query(`SELECT ${REQUEST_COLUMNS} ${REQUEST_JOINS} WHERE dr.id = $1`, [requestId]);
+    return { ...created.rows[0], document_type_name: typeName };
+}
+
+// Close every open request for a document type after an upload, complete their todos, and tell each
+// requester. Returns the closed requests.
+async function fulfillDocumentRequests(db, { patientId, documentType, documentId, uploadedBy }) {
+    const result = await db.query(`
+        UPDATE document_requests
+        SET status = 'fulfilled', fulfilled_document_id = $3, fulfilled_at = NOW(), updated_at = NOW()
+        WHERE patient_id = $1 AND document_type = $2 AND status = 'open'
+        RETURNING id, patient_todo_id, requested_by_tc_employee_id
+    `, [patientId, documentType, documentId]);
+
+    if (result.rows.length === 0) {
+        return [];
+    }
+
+    const todoIds = result.rows.map(row => row.patient_todo_id).filter(Boolean);
+    if (todoIds.length > 0) {
+        await db.query(`
+            UPDATE patient_todos
+            SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+            WHERE id = ANY($1::uuid[]) AND status = 'pending'
+        `, [todoIds]);
+    }
+
+    const patient = await db.query(`
+        SELECT u.first_name, u.last_name FROM patients p JOIN users u ON p.user_id = u.id WHERE p.id = $1
+    `, [patientId]);
+    const patientName = `${patient.rows[0].first_name} ${patient.rows[0].last_name}`;
+    const uploader = uploadedBy === 'dusw' ? 'their social worker' : patientName;
+
+    const requesters = new Set(result.rows.map(row => row.requested_by_tc_employee_id).filter(Boolean));
+    for (const tcEmployeeId of requesters) {
+        await enqueueTcNotification(db, {
+            tcEmployeeId: tcEmployeeId,
+            patientId: patientId,
+            notificationType: 'document_request_fulfilled',
+            title: 'Requested Document Received',
+            message: `The ${documentTypeName(documentType)} you requested for ${patientName} was uploaded by ${uploader}.`
+        });
+    }
+
+    console.log(`✅ Fulfilled ${result.rows.length} document request(s) for ${documentType}, patient ${patientId}`);
+    return result.rows;
+}
+
+// Cancel an open request made by the given center; its patient todo is removed. Returns false if not found.
+async function cancelDocumentRequest(db, requestId, transplantCenterId) {
+    const result = await db.query(`
+        UPDATE document_requests
+        SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+        WHERE id = $1 AND transplant_center_id = $2 AND status = 'open'
+        RETURNING patient_todo_id
+    `, [requestId, transplantCenterId]);
+
+    if (result.rows.length === 0) {
+        return false;
+    }
+
+    if (result.rows[0].patient_todo_id) {
+        await db.query(`DELETE FROM patient_todos WHERE id = $1 AND status = 'pending'`, [result.rows[0].patient_todo_id]);
+    }
+    return true;
+}
+
+module.exports = {
+    REQUESTABLE_DOCUMENT_TYPES,
+    documentTypeName,
+    validateDocumentRequest,
+    listDocumentRequests,
+    listOpenDuswRequests,
+    createDocumentRequest,
+    fulfillDocumentRequests,
+    cancelDocumentRequest
+};
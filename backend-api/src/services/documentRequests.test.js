@@ -0,0 +1,221 @@
+const {
+    validateDocumentRequest,
+    listDocumentRequests,
+    listOpenDuswRequests,
+    createDocumentRequest,
+    fulfillDocumentRequests,
+    cancelDocumentRequest
+} = require('./documentRequests');
+const { createTestDatabase } = require('../../test/database');
+const {
+    createPatient,
+    createCenter,
+    createEmployee,
+    createSocialWorker,
+    assignSocialWorker,
+    createDocument
+} = require('../../test/fixtures');
+
+describe('document requests', () => {
+    let database;
+    let db;
+    let patient;
+    let center;
+    let coordinator;
+    let socialWorker;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        db = database.pool;
+    });
+
+    afterAll(async () => {
+        await database.drop();
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        patient = await createPatient(db);
+        center = await createCenter(db);
+        coordinator = await createEmployee(db, center);
+        socialWorker = await createSocialWorker(db);
+        await assignSocialWorker(db, patient, socialWorker);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const request = (fields = {}) => createDocumentRequest(db, {
+        patientId: patient.id,
+        transplantCenterId: center.id,
+        requestedBy: coordinator.id,
+        documentType: 'current_labs',
+        dueDate: '2026-04-01',
+        assigneeType: 'patient',
+        ...fields
+    });
+
+    async function queued(channel) {
+        const result = await db.query(
+            'SELECT recipient_id, event_type, payload FROM notification_outbox WHERE channel = $1 AND patient_id = $2 ORDER BY created_at',
+            [channel, patient.id]
+        );
+        return result.rows;
+    }
+
+    async function todo(id) {
+        const result = await db.query('SELECT title, todo_type, status, due_date, metadata FROM patient_todos WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    describe('asking the patient', () => {
+        it('adds a todo and pushes it to the patient', async () => {
+            const created = await request({ notes: 'Drawn this week, please' });
+
+            expect(created).toMatchObject({
+                status: 'open',
+                assignee_type: 'patient',
+                dusw_id: null,
+                center_name: center.name,
+                requested_by_name: `${coordinator.first_name} ${coordinator.last_name}`,
+                document_type_name: 'One week of current labs'
+            });
+            expect(await todo(created.patient_todo_id)).toMatchObject({
+                title: 'Upload One week of current labs',
+                todo_type: 'document_request',
+                status: 'pending',
+                metadata: { documentType: 'current_labs', documentRequestId: created.id }
+            });
+            expect(await queued('push')).toEqual([expect.objectContaining({
+                event_type: 'document_requested',
+                payload: expect.objectContaining({
+                    category: 'document_request',
+                    title: `${center.name} needs a document`,
+                    data: expect.objectContaining({ screen: 'todos', todoId: created.patient_todo_id, documentRequestId: created.id })
+                })
+            })]);
+            expect(await queued('dusw_notification')).toEqual([]);
+        });
+    });
+
+    describe('asking the social worker', () => {
+        it('notifies the assigned social worker and lists the request as their task', async () => {
+            const created = await request({ assigneeType: 'dusw' });
+
+            expect(created).toMatchObject({ assignee_type: 'dusw', dusw_id: socialWorker.id, patient_todo_id: null });
+            expect(await queued('dusw_notification')).toEqual([expect.objectContaining({
+                recipient_id: String(socialWorker.id),
+                event_type: 'document_request'
+            })]);
+            expect(await queued('push')).toEqual([]);
+            expect((await listOpenDuswRequests(db, socialWorker.id)).map(r => [r.id, r.patient_last_name])).toEqual([
+                [created.id, patient.user.last_name]
+            ]);
+
+            // The task moves with the patient
+            await assignSocialWorker(db, patient, await createSocialWorker(db));
+            expect(await listOpenDuswRequests(db, socialWorker.id)).toEqual([]);
+        });
+
+        it('is refused when the patient has no social worker', async () => {
+            await db.query('DELETE FROM patient_dusw_assignments WHERE patient_id = $1', [patient.id]);
+
+            expect(await request({ assigneeType: 'dusw' })).toBeNull();
+            expect(await listDocumentRequests(db, { patientId: patient.id })).toEqual([]);
+        });
+    });
+
+    describe('fulfilling', () => {
+        it('closes every open request for the uploaded type and completes their todos', async () => {
+            const fromPatient = await request();
+            const fromSocialWorker = await request({ assigneeType: 'dusw' });
+            const otherType = await request({ documentType: 'medication_list' });
+            const document = await createDocument(db, patient, { document_type: 'current_labs' });
+
+            const fulfilled = await fulfillDocumentRequests(db, {
+                patientId: patient.id, documentType: 'current_labs', documentId: document.id, uploadedBy: 'patient'
+            });
+
+            expect(fulfilled.map(r => r.id).sort()).toEqual([fromPatient.id, fromSocialWorker.id].sort());
+            const requests = await listDocumentRequests(db, { patientId: patient.id });
+            expect(requests.map(r => [r.id, r.status, r.fulfilled_document_id])).toEqual([
+                [otherType.id, 'open', null],
+                [fromSocialWorker.id, 'fulfilled', document.id],
+                [fromPatient.id, 'fulfilled', document.id]
+            ]);
+            expect((await todo(fromPatient.patient_todo_id)).status).toBe('completed');
+            expect((await todo(otherType.patient_todo_id)).status).toBe('pending');
+        });
+
+        it('tells each requester once who uploaded the document', async () => {
+            const colleague = await createEmployee(db, center);
+            await request({ assigneeType: 'dusw' });
+            await request();
+            await request({ requestedBy: colleague.id });
+
+            await fulfillDocumentRequests(db, {
+                patientId: patient.id, documentType: 'current_labs', documentId: null, uploadedBy: 'dusw'
+            });
+
+            const notifications = await queued('tc_notification');
+            expect(notifications.map(n => n.recipient_id).sort()).toEqual([coordinator.id, colleague.id].sort());
+            expect(notifications[0].payload).toEqual({
+                notificationType: 'document_request_fulfilled',
+                title: 'Requested Document Received',
+                message: `The One week of current labs you requested for ${patient.user.first_name} ${patient.user.last_name} was uploaded by their social worker.`
+            });
+        });
+
+        it('does nothing when no request is open for the type', async () => {
+            await request();
+
+            expect(await fulfillDocumentRequests(db, {
+                patientId: patient.id, documentType: 'insurance_card', documentId: null, uploadedBy: 'patient'
+            })).toEqual([]);
+            expect(await queued('tc_notification')).toEqual([]);
+        });
+    });
+
+    describe('cancelling', () => {
+        it("removes the patient's todo and only works for the requesting center", async () => {
+            const created = await request();
+
+            expect(await cancelDocumentRequest(db, created.id, (await createCenter(db)).id)).toBe(false);
+            expect(await cancelDocumentRequest(db, created.id, center.id)).toBe(true);
+            expect(await cancelDocumentRequest(db, created.id, center.id)).toBe(false);
+
+            expect(await todo(created.patient_todo_id)).toBeUndefined();
+            const [cancelled] = await listDocumentRequests(db, { patientId: patient.id, transplantCenterId: center.id });
+            expect(cancelled).toMatchObject({ id: created.id, status: 'cancelled', cancelled_at: expect.any(Date) });
+        });
+    });
+
+    it("lists only the given center's requests when asked", async () => {
+        const otherCenter = await createCenter(db);
+        const ours = await request();
+        const theirs = await request({ transplantCenterId: otherCenter.id, requestedBy: null });
+
+        expect((await listDocumentRequests(db, { patientId: patient.id, transplantCenterId: center.id })).map(r => r.id)).toEqual([ours.id]);
+        expect((await listDocumentRequests(db, { patientId: patient.id })).map(r => r.id).sort()).toEqual([ours.id, theirs.id].sort());
+    });
+});
+
+describe('validateDocumentRequest', () => {
+    const valid = { documentType: 'current_labs', dueDate: '2026-04-01', assigneeType: 'dusw' };
+
+    it('accepts a requestable type, an assignee who can provide it and a due date', () => {
+        expect(validateDocumentRequest(valid)).toBeNull();
+    });
+
+    it('only lets the patient provide their own documents', () => {
+        expect(validateDocumentRequest({ ...valid, documentType: 'insurance_card' })).toBe('Insurance Card can only be provided by the patient');
+        expect(validateDocumentRequest({ ...valid, documentType: 'insurance_card', assigneeType: 'patient' })).toBeNull();
+    });
+
+    it('rejects unknown types, assignees and dates', () => {
+        expect(validateDocumentRequest({ ...valid, documentType: 'tax_return' })).toBe('Invalid document type');
+        expect(validateDocumentRequest({ ...valid, assigneeType: 'tc' })).toMatch(/^Choose whether/);
+        expect(validateDocumentRequest({ ...valid, dueDate: '04/01/2026' })).toBe('A valid due date is required');
+    });
+});
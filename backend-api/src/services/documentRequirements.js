@@ -0,0 +1,373 @@
+// Document catalog and per-center document requirements (see migration 014_create_center_document_requirements.sql),
+// shared by the patient API and both portals.
+//
+// Each transplant center keeps a checklist per organ program: the document types it wants, whether each is
+// required or optional, and optionally how old the newest upload may be. A patient's checklist is the union
+// of the checklists for their non-withdrawn referrals (matched on the referral's organ_program):
+//   - an item is required if any of those centers requires it
+//   - its maximum age is the strictest one set by the centers that require it (for an optional item,
+//     by any center), so a center that lists an item as optional can't hold the others to its limit
+// Centers without a checklist for the program, and patients who have not selected a center yet, get
+// DEFAULT_REQUIREMENTS. Age is measured from a document's effective date (the lab date when known), and a
+// document past its expiry date (see migration 015_add_document_expiry.sql) no longer counts.
+// Pass the caller's transaction client as `db` to keep todo changes in its transaction.
+
+// Every document type the platform accepts, who can upload it (the DUSW portal only accepts clinic documents),
+// and for types that go stale, how many days after its effective date a document expires
+const DOCUMENT_TYPES = {
+    'insurance_card': { name: 'Insurance Card', requiresFrontBack: true, providers: ['patient'] },
+    'medication_list': { name: 'Medication list', requiresFrontBack: false, providers: ['patient', 'dusw'] },
+    'government_id': { name: 'Government-Issued ID', requiresFrontBack: false, providers: ['patient'] },
+    'medical_records': { name: 'Medical Records', requiresFrontBack: false, providers: ['patient'] },
+    'lab_results': { name: 'Lab Results', requiresFrontBack: false, providers: ['patient'], validForDays: 90 },
+    'referral_letter': { name: 'Referral Letter', requiresFrontBack: false, providers: ['patient'] },
+    'immunization_record': { name: 'Immunization record', requiresFrontBack: false, providers: ['patient', 'dusw'], validForDays: 365 },
+    'current_labs': { name: 'One week of current labs', requiresFrontBack: false, providers: ['patient', 'dusw'], validForDays: 30 },
+    'medicare_2728': { name: 'Medicare 2728 form', requiresFrontBack: false, providers: ['patient', 'dusw'], validForDays: 365 },
+    'social_work_summary': { name: 'Social work summary', requiresFrontBack: false, providers: ['patient', 'dusw'] },
+    'dietitian_summary': { name: 'Dietitian summary', requiresFrontBack: false, providers: ['patient', 'dusw'] },
+    'care_plan_notes': { name: 'Recent care plan or progress notes', requiresFrontBack: false, providers: ['patient', 'dusw'], validForDays: 90 },
+    'dialysis_shift': { name: 'Hemodialysis/Peritoneal Shift', requiresFrontBack: false, providers: ['patient', 'dusw'] },
+    'other': { name: 'Other Document', requiresFrontBack: false, providers: ['patient'] }
+};
+
+// Types that can appear on a checklist ('other' is a catch-all, not something a center can ask for)
+const CHECKLIST_DOCUMENT_TYPES = Object.keys(DOCUMENT_TYPES).filter(type => type !== 'other');
+
+const ORGAN_PROGRAMS = {
+    'kidney': 'Kidney',
+    'kidney_pancreas': 'Kidney-Pancreas'
+};
+
+// The package every patient was asked for before centers could configure their own
+const DEFAULT_REQUIREMENTS = [
+    { documentType: 'insurance_card', isRequired: true, maxAgeDays: null },
+    { documentType: 'medication_list', isRequired: true, maxAgeDays: null },
+    { documentType: 'government_id', isRequired: true, maxAgeDays: null }
+];
+
+// Documents this many days from their expiry date are 'expiring': they still count, but are due for a refresh
+const EXPIRY_REMINDER_DAYS = 14;
+
+// 'YYYY-MM-DD' for a DATE column value (pg returns local midnight) or a Date
+function toIsoDate(value) {
+    if (typeof value === 'string') {
+        return value.slice(0, 10);
+    }
+    const date = new Date(value);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function addDays(isoDate, days) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+// Last day a document of this type with this effective date is current, or null if the type does not expire
+function expiryDateFor(documentType, effectiveDate) {
+    const validForDays = DOCUMENT_TYPES[documentType]?.validForDays;
+    return validForDays ? addDays(toIsoDate(effectiveDate), validForDays) : null;
+}
+
+function documentTypeName(documentType) {
+    return DOCUMENT_TYPES[documentType]?.name || documentType;
+}
+
+// { type: name } for the types the given uploader can provide
+function documentTypesFor(provider) {
+    return Object.fromEntries(
+        Object.entries(DOCUMENT_TYPES)
+            .filter(([, type]) => type.providers.includes(provider))
+            .map(([key, type]) => [key, type.name])
+    );
+}
+
+// A center's checklist for one program, in display order. Empty when the center has not configured one.
+async function getCenterRequirements(db, transplantCenterId, organProgram) {
+    const result = await db.query(`
+        SELECT document_type, is_required, max_age_days, sort_order, updated_at
+        FROM center_document_requirements
+        WHERE transplant_center_id = $1 AND organ_program = $2
+        ORDER BY sort_order ASC, document_type ASC
+    `, [transplantCenterId, organProgram]);
+    return result.rows.map(row => ({
+        documentType: row.document_type,
+        name: documentTypeName(row.document_type),
+        isRequired: row.is_required,
+        maxAgeDays: row.max_age_days,
+        updatedAt: row.updated_at
+    }));
+}
+
+// Validate a checklist submitted by a center admin; returns an error string or null
+function validateRequirements(organProgram, requirements) {
+    if (!ORGAN_PROGRAMS[organProgram]) {
+        return 'Invalid organ program';
+    }
+    if (!Array.isArray(requirements)) {
+        return 'Requirements must be a list';
+    }
+    const seen = new Set();
+    for (const requirement of requirements) {
+        if (!CHECKLIST_DOCUMENT_TYPES.includes(requirement.documentType)) {
+            return `Invalid document type: ${requirement.documentType}`;
+        }
+        if (seen.has(requirement.documentType)) {
+            return `${documentTypeName(requirement.documentType)} is listed more than once`;
+        }
+        seen.add(requirement.documentType);
+        const maxAge = requirement.maxAgeDays;
+        if (maxAge !== null && maxAge !== undefined && maxAge !== '' && !(Number.isInteger(Number(maxAge)) && Number(maxAge) > 0)) {
+            return `Maximum age for ${documentTypeName(requirement.documentType)} must be a whole number of days`;
+        }
+    }
+    return null;
+}
+
+// Replace a center's checklist for one program. Call validateRequirements first.
+async function saveCenterRequirements(db, { transplantCenterId, organProgram, requirements, updatedBy }) {
+    await db.query(`
+        DELETE FROM center_document_requirements WHERE transplant_center_id = $1 AND organ_program = $2
+    `, [transplantCenterId, organProgram]);
+
+    for (const [index, requirement] of requirements.entries()) {
+        const maxAge = requirement.maxAgeDays === null || requirement.maxAgeDays === undefined || requirement.maxAgeDays === ''
+            ? null
+            : Number(requirement.maxAgeDays);
+        await db.query(`
+            INSERT INTO center_document_requirements (
+                transplant_center_id, organ_program, document_type, is_required, max_age_days, sort_order, updated_by_tc_employee_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [transplantCenterId, organProgram, requirement.documentType, requirement.isRequired !== false, maxAge, index, updatedBy]);
+    }
+}
+
+// Last day the newest document satisfies a requirement: its own expiry date or the requirement's maximum
+// age, whichever comes first
+function currentUntil(latest, maxAgeDays) {
+    const limits = [
+        latest.expiryDate,
+        maxAgeDays ? addDays(latest.effectiveDate, maxAgeDays) : null
+    ].filter(Boolean);
+    return limits.length > 0 ? limits.sort()[0] : null;
+}
+
+function itemStatus(latest, maxAgeDays, today) {
+    if (!latest) {
+        return 'missing';
+    }
+    const until = currentUntil(latest, maxAgeDays);
+    if (until && until < today) {
+        return 'expired';
+    }
+    if (until && until <= addDays(today, EXPIRY_REMINDER_DAYS)) {
+        return 'expiring';
+    }
+    return 'complete';
+}
+
+// Expiring documents still satisfy the checklist
+function isSatisfied(status) {
+    return status === 'complete' || status === 'expiring';
+}
+
+// The patient's combined checklist, with the status of each item and of each center's own requirement:
+//   { items: [{ documentType, name, isRequired, maxAgeDays, status, latestUploadAt, effectiveDate,
+//               currentUntil, centers: [...] }],
+//     requiredCount, completedRequiredCount, isComplete }
+// status is 'missing', 'expired' (the newest document is past its expiry date or older than the item's
+// maximum age), 'expiring' (within EXPIRY_REMINDER_DAYS of that) or 'complete'.
+async function getPatientChecklist(db, patientId) {
+    const referrals = await db.query(`
+        SELECT pr.transplant_center_id, pr.organ_program, tc.name as center_name
+        FROM patient_referrals pr
+        JOIN transplant_centers tc ON pr.transplant_center_id = tc.id
+        WHERE pr.patient_id = $1 AND pr.status::text != 'withdrawn'
+    `, [patientId]);
+
+    const configured = await db.query(`
+        SELECT cdr.transplant_center_id, cdr.organ_program, cdr.document_type, cdr.is_required, cdr.max_age_days
+        FROM center_document_requirements cdr
+        JOIN patient_referrals pr
+            ON pr.transplant_center_id = cdr.transplant_center_id AND pr.organ_program = cdr.organ_program
+        WHERE pr.patient_id = $1 AND pr.status::text != 'withdrawn'
+        ORDER BY cdr.sort_order ASC
+    `, [patientId]);
+
+    // The current document with the most recent content for each type
+    const uploads = await db.query(`
+        SELECT DISTINCT ON (document_type)
+               document_type, created_at, COALESCE(effective_date, created_at::date) as effective_date, expiry_date
+        FROM patient_documents
+        WHERE patient_id = $1 AND document_type = ANY($2::text[])
+          AND superseded_at IS NULL AND deleted_at IS NULL
+        ORDER BY document_type, COALESCE(effective_date, created_at::date) DESC, created_at DESC
+    `, [patientId, CHECKLIST_DOCUMENT_TYPES]);
+    const latestDocuments = new Map(uploads.rows.map(row => [row.document_type, {
+        uploadedAt: row.created_at,
+        effectiveDate: toIsoDate(row.effective_date),
+        expiryDate: row.expiry_date ? toIsoDate(row.expiry_date) : null
+    }]));
+
+    // Each referral contributes its center's checklist for the program, or the default one
+    const sources = referrals.rows.map(referral => {
+        const rows = configured.rows.filter(row =>
+            row.transplant_center_id === referral.transplant_center_id && row.organ_program === referral.organ_program);
+        return {
+            center: { transplantCenterId: referral.transplant_center_id, centerName: referral.center_name, organProgram: referral.organ_program },
+            requirements: rows.length > 0
+                ? rows.map(row => ({ documentType: row.document_type, isRequired: row.is_required, maxAgeDays: row.max_age_days }))
+                : DEFAULT_REQUIREMENTS
+        };
+    });
+    if (sources.length === 0) {
+        sources.push({ center: null, requirements: DEFAULT_REQUIREMENTS });
+    }
+
+    const today = toIsoDate(new Date());
+    const items = new Map();
+    for (const { center, requirements } of sources) {
+        for (const requirement of requirements) {
+            const latest = latestDocuments.get(requirement.documentType) || null;
+            let item = items.get(requirement.documentType);
+            if (!item) {
+                item = {
+                    documentType: requirement.documentType,
+                    name: documentTypeName(requirement.documentType),
+                    isRequired: false,
+                    maxAgeDays: null,
+                    latestUploadAt: latest ? latest.uploadedAt : null,
+                    effectiveDate: latest ? latest.effectiveDate : null,
+                    latest: latest,
+                    requirements: [],
+                    centers: []
+                };
+                items.set(requirement.documentType, item);
+            }
+            item.isRequired = item.isRequired || requirement.isRequired;
+            item.requirements.push(requirement);
+            if (center) {
+                item.centers.push({
+                    ...center,
+                    isRequired: requirement.isRequired,
+                    maxAgeDays: requirement.maxAgeDays,
+                    currentUntil: latest ? currentUntil(latest, requirement.maxAgeDays) : null,
+                    status: itemStatus(latest, requirement.maxAgeDays, today)
+                });
+            }
+        }
+    }
+
+    const list = [...items.values()].map(({ latest, requirements, ...item }) => {
+        const maxAges = requirements
+            .filter(requirement => requirement.isRequired || !item.isRequired)
+            .map(requirement => requirement.maxAgeDays)
+            .filter(Boolean);
+        const maxAgeDays = maxAges.length > 0 ? Math.min(...maxAges) : null;
+        return {
+            ...item,
+            maxAgeDays: maxAgeDays,
+            currentUntil: latest ? currentUntil(latest, maxAgeDays) : null,
+            status: itemStatus(latest, maxAgeDays, today)
+        };
+    });
+    list.sort((a, b) => Number(b.isRequired) - Number(a.isRequired));
+
+    const required = list.filter(item => item.isRequired);
+    const completedRequiredCount = required.filter(item => isSatisfied(item.status)).length;
+
+    return {
+        items: list,
+        requiredCount: required.length,
+        completedRequiredCount: completedRequiredCount,
+        isComplete: completedRequiredCount === required.length
+    };
+}
+
+function todoDescription(item) {
+    const centerNames = item.centers.filter(center => center.isRequired || !item.isRequired).map(center => center.centerName);
+    let description = item.isRequired ? 'Required' : 'Optional';
+    description += centerNames.length > 0 ? ` for ${centerNames.join(', ')}.` : ' for your transplant evaluation.';
+    if (item.maxAgeDays) {
+        description += ` Must be no older than ${item.maxAgeDays} days.`;
+    }
+    if (item.status === 'expired') {
+        description += ' Your last upload is too old, please upload a current one.';
+    }
+    return description;
+}
+
+// Bring the patient's document_upload todos in line with their checklist: add todos for checklist items
+// still needed, complete those that are satisfied, and reopen those whose document is missing or too old.
+// Expiring items are left as they are, so a refresh todo reopened by the expiry job stays open until a
+// current document arrives. Todos for types no longer on the checklist are completed once a document of
+// that type exists. Returns the checklist.
+async function syncDocumentTodos(db, patientId) {
+    const checklist = await getPatientChecklist(db, patientId);
+
+    const todos = await db.query(`
+        SELECT id, status, metadata->>'documentType' as document_type
+        FROM patient_todos
+        WHERE patient_id = $1 AND todo_type = 'document_upload'
+    `, [patientId]);
+    const todosByType = new Map(todos.rows.map(todo => [todo.document_type, todo]));
+
+    for (const item of checklist.items) {
+        const todo = todosByType.get(item.documentType);
+        const priority = item.isRequired ? 'high' : 'low';
+
+        if (!todo) {
+            if (!isSatisfied(item.status)) {
+                await db.query(`
+                    INSERT INTO patient_todos (patient_id, title, description, todo_type, priority, metadata)
+                    VALUES ($1, $2, $3, 'document_upload', $4, $5)
+                `, [patientId, `Upload ${item.name}`, todoDescription(item), priority, JSON.stringify({ documentType: item.documentType })]);
+            }
+        } else if (item.status === 'complete' && todo.status === 'pending') {
+            await db.query(`
+                UPDATE patient_todos SET status = 'completed', completed_at = NOW(), updated_at = NOW() WHERE id = $1
+            `, [todo.id]);
+        } else if (!isSatisfied(item.status) && todo.status === 'completed') {
+            await db.query(`
+                UPDATE patient_todos
+                SET status = 'pending', completed_at = NULL, priority = $2, description = $3, updated_at = NOW()
+                WHERE id = $1
+            `, [todo.id, priority, todoDescription(item)]);
+        }
+    }
+
+    const checklistTypes = checklist.items.map(item => item.documentType);
+    await db.query(`
+        UPDATE patient_todos pt
+        SET status = 'completed', completed_at = NOW(), updated_at = NOW()
+        WHERE pt.patient_id = $1
+          AND pt.todo_type = 'document_upload'
+          AND pt.status = 'pending'
+          AND NOT (pt.metadata->>'documentType' = ANY($2::text[]))
+          AND EXISTS (
+              SELECT 1 FROM patient_documents pd
+              WHERE pd.patient_id = pt.patient_id AND pd.document_type = pt.metadata->>'documentType'
+                AND pd.superseded_at IS NULL AND pd.deleted_at IS NULL
+          )
+    `, [patientId, checklistTypes]);
+
+    return checklist;
+}
+
+module.exports = {
+    DOCUMENT_TYPES,
+    CHECKLIST_DOCUMENT_TYPES,
+    ORGAN_PROGRAMS,
+    DEFAULT_REQUIREMENTS,
+    EXPIRY_REMINDER_DAYS,
+    toIsoDate,
+    expiryDateFor,
+    documentTypeName,
+    documentTypesFor,
+    getCenterRequirements,
+    validateRequirements,
+    saveCenterRequirements,
+    getPatientChecklist,
+    syncDocumentTodos
+};
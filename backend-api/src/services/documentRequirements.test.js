@@ -0,0 +1,175 @@
+const {
+    validateRequirements,
+    saveCenterRequirements,
+    getCenterRequirements,
+    getPatientChecklist,
+    syncDocumentTodos
+} = require('./documentRequirements');
+const { createTestDatabase } = require('../../test/database');
+const { createPatient, createCenter, createEmployee, createReferral, createDocument } = require('../../test/fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('document requirements', () => {
+    let database;
+    let db;
+    let patient;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        db = database.pool;
+    });
+
+    afterAll(async () => {
+        await database.drop();
+    });
+
+    beforeEach(async () => {
+        patient = await createPatient(db);
+    });
+
+    async function centerRequiring(requirements, organProgram = 'kidney') {
+        const center = await createCenter(db);
+        const admin = await createEmployee(db, center, { role: 'admin' });
+        await saveCenterRequirements(db, { transplantCenterId: center.id, organProgram, requirements, updatedBy: admin.id });
+        return center;
+    }
+
+    const uploadedDaysAgo = (documentType, days) =>
+        createDocument(db, patient, { document_type: documentType, created_at: new Date(Date.now() - days * DAY_MS) });
+
+    const summary = checklist => checklist.items.map(item => [item.documentType, item.isRequired, item.maxAgeDays, item.status]);
+
+    it('saves a checklist in the order the center gave', async () => {
+        const center = await centerRequiring([
+            { documentType: 'current_labs', isRequired: true, maxAgeDays: '30' },
+            { documentType: 'insurance_card', isRequired: false, maxAgeDays: '' }
+        ]);
+
+        expect((await getCenterRequirements(db, center.id, 'kidney')).map(r => [r.documentType, r.name, r.isRequired, r.maxAgeDays])).toEqual([
+            ['current_labs', 'One week of current labs', true, 30],
+            ['insurance_card', 'Insurance Card', false, null]
+        ]);
+        expect(await getCenterRequirements(db, center.id, 'kidney_pancreas')).toEqual([]);
+    });
+
+    it('gives patients without a referral the default checklist', async () => {
+        await uploadedDaysAgo('insurance_card', 1);
+
+        const checklist = await getPatientChecklist(db, patient.id);
+
+        expect(summary(checklist)).toEqual([
+            ['insurance_card', true, null, 'complete'],
+            ['medication_list', true, null, 'missing'],
+            ['government_id', true, null, 'missing']
+        ]);
+        expect(checklist).toMatchObject({ requiredCount: 3, completedRequiredCount: 1, isComplete: false });
+    });
+
+    it('combines the checklists of every center the patient is referred to', async () => {
+        const labsCenter = await centerRequiring([
+            { documentType: 'current_labs', isRequired: true, maxAgeDays: 30 },
+            { documentType: 'immunization_record', isRequired: false }
+        ]);
+        const strictCenter = await centerRequiring([
+            { documentType: 'current_labs', isRequired: true, maxAgeDays: 7 },
+            { documentType: 'immunization_record', isRequired: true }
+        ]);
+        await createReferral(db, patient, labsCenter);
+        await createReferral(db, patient, strictCenter);
+        await uploadedDaysAgo('current_labs', 10);
+
+        const checklist = await getPatientChecklist(db, patient.id);
+
+        expect(summary(checklist)).toEqual([
+            ['current_labs', true, 7, 'expired'],
+            ['immunization_record', true, null, 'missing']
+        ]);
+        expect(checklist.items[0].centers.map(center => [center.centerName, center.status])).toEqual([
+            [labsCenter.name, 'complete'],
+            [strictCenter.name, 'expired']
+        ]);
+    });
+
+    it('limits a required item by the centers that require it, not by those listing it as optional', async () => {
+        const requiring = await centerRequiring([{ documentType: 'dietitian_summary', isRequired: true, maxAgeDays: 30 }]);
+        const optional = await centerRequiring([{ documentType: 'dietitian_summary', isRequired: false, maxAgeDays: 7 }]);
+        await createReferral(db, patient, requiring);
+        await createReferral(db, patient, optional);
+        await uploadedDaysAgo('dietitian_summary', 20);
+
+        const checklist = await getPatientChecklist(db, patient.id);
+
+        expect(summary(checklist)).toEqual([['dietitian_summary', true, 30, 'expiring']]);
+        expect(checklist.isComplete).toBe(true);
+        // Each center still sees the document against its own limit
+        expect(checklist.items[0].centers.map(center => [center.centerName, center.status])).toEqual([
+            [requiring.name, 'expiring'],
+            [optional.name, 'expired']
+        ]);
+    });
+
+    it('uses the strictest limit of any center for an item no center requires', async () => {
+        await createReferral(db, patient, await centerRequiring([{ documentType: 'dietitian_summary', isRequired: false, maxAgeDays: 30 }]));
+        await createReferral(db, patient, await centerRequiring([{ documentType: 'dietitian_summary', isRequired: false, maxAgeDays: 14 }]));
+
+        const checklist = await getPatientChecklist(db, patient.id);
+
+        expect(summary(checklist)).toEqual([['dietitian_summary', false, 14, 'missing']]);
+        expect(checklist.requiredCount).toBe(0);
+    });
+
+    it('ignores withdrawn referrals and checklists for other programs', async () => {
+        const withdrawn = await centerRequiring([{ documentType: 'current_labs', isRequired: true }]);
+        const pancreasOnly = await centerRequiring([{ documentType: 'dietitian_summary', isRequired: true }], 'kidney_pancreas');
+        await createReferral(db, patient, withdrawn, { status: 'withdrawn' });
+        await createReferral(db, patient, pancreasOnly);
+
+        // The kidney referral to a center with only a pancreas checklist falls back to the default
+        expect(summary(await getPatientChecklist(db, patient.id)).map(([type]) => type)).toEqual([
+            'insurance_card', 'medication_list', 'government_id'
+        ]);
+    });
+
+    it('keeps document upload todos in line with the checklist', async () => {
+        const center = await centerRequiring([{ documentType: 'social_work_summary', isRequired: true, maxAgeDays: 60 }]);
+        await createReferral(db, patient, center);
+        const todos = async () => (await db.query(
+            "SELECT title, status, priority FROM patient_todos WHERE patient_id = $1 AND todo_type = 'document_upload'",
+            [patient.id]
+        )).rows;
+
+        await syncDocumentTodos(db, patient.id);
+        expect(await todos()).toEqual([{ title: 'Upload Social work summary', status: 'pending', priority: 'high' }]);
+
+        await uploadedDaysAgo('social_work_summary', 1);
+        await syncDocumentTodos(db, patient.id);
+        expect(await todos()).toEqual([expect.objectContaining({ status: 'completed' })]);
+
+        // The only upload ages past the limit
+        await db.query("UPDATE patient_documents SET created_at = NOW() - INTERVAL '61 days' WHERE patient_id = $1", [patient.id]);
+        const checklist = await syncDocumentTodos(db, patient.id);
+        expect(checklist.isComplete).toBe(false);
+        expect(await todos()).toEqual([expect.objectContaining({ status: 'pending' })]);
+    });
+});
+
+describe('validateRequirements', () => {
+    it('accepts a checklist of known types with optional whole-day limits', () => {
+        expect(validateRequirements('kidney', [
+            { documentType: 'current_labs', maxAgeDays: '30' },
+            { documentType: 'insurance_card', maxAgeDays: '' }
+        ])).toBeNull();
+        expect(validateRequirements('kidney_pancreas', [])).toBeNull();
+    });
+
+    it('rejects unknown programs and types, duplicates and bad limits', () => {
+        expect(validateRequirements('liver', [])).toBe('Invalid organ program');
+        expect(validateRequirements('kidney', {})).toBe('Requirements must be a list');
+        expect(validateRequirements('kidney', [{ documentType: 'other' }])).toBe('Invalid document type: other');
+        expect(validateRequirements('kidney', [{ documentType: 'current_labs' }, { documentType: 'current_labs' }]))
+            .toBe('One week of current labs is listed more than once');
+        expect(validateRequirements('kidney', [{ documentType: 'current_labs', maxAgeDays: '1.5' }]))
+            .toBe('Maximum age for One week of current labs must be a whole number of days');
+    });
+});
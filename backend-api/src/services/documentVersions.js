@@ -0,0 +1,81 @@
+// Document replacement and soft deletion (see migration 016_add_document_versioning.sql), shared by the
+// patient API and the DUSW portal.
+//
+// A document is an upload group (document_group_id): the front and back of a card, or a single file.
+// Replacing one uploads a new group with the next version number, linked both ways to the group it
+// supersedes. Deleting one marks the group deleted. Neither touches S3, so every version stays
+// available for audit; only current documents (not superseded, not deleted) count toward checklists,
+// expiry and document lists.
+
+const { DOCUMENT_TYPES } = require('./documentRequirements');
+
+// Message attachments belong to their conversations and are never replaced or deleted on their own
+const VERSIONED_DOCUMENT_TYPES = Object.keys(DOCUMENT_TYPES);
+
+const MAX_DELETION_REASON_LENGTH = 500;
+
+// The current document with this id for the patient, or null. Pass forUpdate inside a transaction to lock
+// the row against a concurrent replace or delete.
+async function findCurrentDocument(db, { patientId, documentId, forUpdate = false }) {
+    const result = await db.query(`
+        SELECT id, patient_id, document_type, document_group_id, version, uploaded_by_type, uploaded_by_id
+        FROM patient_documents
+        WHERE id = $1 AND patient_id = $2 AND document_type = ANY($3::text[])
+          AND superseded_at IS NULL AND deleted_at IS NULL
+        ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [documentId, patientId, VERSIONED_DOCUMENT_TYPES]);
+    return result.rows[0] || null;
+}
+
+// Mark the document's upload group as replaced by newGroupId
+async function supersedeDocument(db, document, newGroupId) {
+    await db.query(`
+        UPDATE patient_documents
+        SET superseded_at = NOW(), superseded_by_group_id = $3
+        WHERE (id = $1 OR (document_group_id IS NOT NULL AND document_group_id = $2))
+          AND superseded_at IS NULL AND deleted_at IS NULL
+    `, [document.id, document.document_group_id, newGroupId]);
+}
+
+// Soft-delete the document's upload group. principal is { type: 'patient' | 'dusw', id }.
+async function deleteDocument(db, document, principal, reason) {
+    await db.query(`
+        UPDATE patient_documents
+        SET deleted_at = NOW(), deleted_by_type = $3, deleted_by_id = $4, deletion_reason = $5
+        WHERE (id = $1 OR (document_group_id IS NOT NULL AND document_group_id = $2))
+          AND deleted_at IS NULL
+    `, [
+        document.id, document.document_group_id, principal.type, String(principal.id),
+        reason ? String(reason).trim().substring(0, MAX_DELETION_REASON_LENGTH) || null : null
+    ]);
+}
+
+// Write a replace or delete to the patient's audit trail. audit_logs.user_id is a UUID, so DUSW ids are
+// only recorded in metadata (as in DocumentAccessPolicy).
+async function logDocumentEvent(auditLogger, document, principal, eventType, description, context = {}) {
+    await auditLogger.logPatientEvent(
+        document.patient_id,
+        principal.type === 'dusw' ? null : principal.id,
+        eventType,
+        description,
+        {
+            document_id: document.id,
+            document_group_id: document.document_group_id,
+            document_type: document.document_type,
+            version: document.version,
+            actor_type: principal.type,
+            actor_id: String(principal.id),
+            ...(context.metadata || {})
+        },
+        context.ipAddress || null,
+        context.userAgent || null
+    );
+}
+
+module.exports = {
+    VERSIONED_DOCUMENT_TYPES,
+    findCurrentDocument,
+    supersedeDocument,
+    deleteDocument,
+    logDocumentEvent
+};
@@ -0,0 +1,168 @@
+const {
+    VERSIONED_DOCUMENT_TYPES,
+    findCurrentDocument,
+    supersedeDocument,
+    deleteDocument,
+    logDocumentEvent
+} = require('./documentVersions');
+const { getPatientChecklist } = require('./documentRequirements');
+const DocumentAccessPolicy = require('./documentAccessPolicy');
+const AuditLogger = require('../middleware/auditLogger');
+const { createTestDatabase } = require('../../test/database');
+const { createPatient, createSocialWorker, createDocument } = require('../../test/fixtures');
+
+describe('document versions', () => {
+    let database;
+    let db;
+    let patient;
+    let front;
+    let back;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        db = database.pool;
+    });
+
+    afterAll(async () => {
+        await database.drop();
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        patient = await createPatient(db);
+        const groupId = (await db.query('SELECT uuid_generate_v4() as id')).rows[0].id;
+        front = await createDocument(db, patient, { document_type: 'insurance_card', document_group_id: groupId });
+        back = await createDocument(db, patient, { document_type: 'insurance_card', document_group_id: groupId });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function documentRow(id) {
+        const result = await db.query('SELECT * FROM patient_documents WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    const current = documentId => findCurrentDocument(db, { patientId: patient.id, documentId });
+
+    describe('findCurrentDocument', () => {
+        it("finds the patient's current document", async () => {
+            expect(await current(front.id)).toMatchObject({ id: front.id, document_group_id: front.document_group_id, version: 1 });
+            expect(await findCurrentDocument(db, { patientId: (await createPatient(db)).id, documentId: front.id })).toBeNull();
+        });
+
+        it('never treats a message attachment as a document that can be replaced or deleted', async () => {
+            const attachment = await createDocument(db, patient, { document_type: 'message_attachment' });
+
+            expect(VERSIONED_DOCUMENT_TYPES).not.toContain('care_team_attachment');
+            expect(await current(attachment.id)).toBeNull();
+        });
+
+        it('locks the row inside a transaction', async () => {
+            const client = await db.connect();
+            try {
+                await client.query('BEGIN');
+                expect(await findCurrentDocument(client, { patientId: patient.id, documentId: front.id, forUpdate: true })).toMatchObject({ id: front.id });
+
+                const locked = await db.query(
+                    'SELECT id FROM patient_documents WHERE id = $1 FOR UPDATE SKIP LOCKED',
+                    [front.id]
+                );
+                expect(locked.rows).toEqual([]);
+            } finally {
+                await client.query('ROLLBACK');
+                client.release();
+            }
+        });
+    });
+
+    describe('supersedeDocument', () => {
+        it('marks every file of the current version as replaced by the new group, keeping the rows', async () => {
+            const replacement = await createDocument(db, patient, { document_type: 'insurance_card', version: 2 });
+            const newGroupId = (await db.query('SELECT uuid_generate_v4() as id')).rows[0].id;
+            await db.query('UPDATE patient_documents SET document_group_id = $2, supersedes_group_id = $3 WHERE id = $1', [replacement.id, newGroupId, front.document_group_id]);
+
+            await supersedeDocument(db, await current(front.id), newGroupId);
+
+            for (const page of [front, back]) {
+                expect(await documentRow(page.id)).toMatchObject({ superseded_at: expect.any(Date), superseded_by_group_id: newGroupId, deleted_at: null });
+            }
+            expect(await current(front.id)).toBeNull();
+            expect(await current(replacement.id)).toMatchObject({ version: 2 });
+        });
+    });
+
+    describe('deleteDocument', () => {
+        it('soft-deletes the whole upload group and records who deleted it and why', async () => {
+            const socialWorker = await createSocialWorker(db);
+
+            await deleteDocument(db, await current(back.id), { type: 'dusw', id: socialWorker.id }, '  Wrong patient  ');
+
+            for (const page of [front, back]) {
+                expect(await documentRow(page.id)).toMatchObject({
+                    deleted_at: expect.any(Date),
+                    deleted_by_type: 'dusw',
+                    deleted_by_id: String(socialWorker.id),
+                    deletion_reason: 'Wrong patient',
+                    s3_key: page.s3_key
+                });
+            }
+            expect(await current(front.id)).toBeNull();
+        });
+
+        it('keeps at most 500 characters of the reason, and none for a blank one', async () => {
+            const other = await createDocument(db, patient, { document_type: 'medication_list' });
+
+            await deleteDocument(db, front, { type: 'patient', id: patient.user.id }, 'x'.repeat(600));
+            await deleteDocument(db, other, { type: 'patient', id: patient.user.id }, '   ');
+
+            expect((await documentRow(front.id)).deletion_reason).toHaveLength(500);
+            expect((await documentRow(other.id)).deletion_reason).toBeNull();
+        });
+
+        it('takes the document off the checklist and out of reach', async () => {
+            const policy = new DocumentAccessPolicy(db, new AuditLogger(db));
+            const cardStatus = async () => (await getPatientChecklist(db, patient.id)).items
+                .find(item => item.documentType === 'insurance_card').status;
+            expect(await cardStatus()).toBe('complete');
+
+            await deleteDocument(db, front, { type: 'patient', id: patient.user.id }, null);
+
+            expect(await cardStatus()).toBe('missing');
+            expect(await policy.authorize(front.id, { type: 'patient', id: patient.user.id })).toBeNull();
+        });
+    });
+
+    describe('logDocumentEvent', () => {
+        it("records a social worker's change in metadata, since audit_logs.user_id only holds users", async () => {
+            const socialWorker = await createSocialWorker(db);
+
+            await logDocumentEvent(new AuditLogger(db), await current(front.id), { type: 'dusw', id: socialWorker.id }, 'document_deleted', 'DUSW deleted Insurance Card', {
+                metadata: { deletion_reason: 'Wrong patient' },
+                ipAddress: '10.0.0.1'
+            });
+
+            const logged = await db.query(
+                "SELECT user_id, event_type, description, metadata, ip_address FROM audit_logs WHERE metadata->>'document_id' = $1",
+                [front.id]
+            );
+            expect(logged.rows).toEqual([{
+                user_id: null,
+                event_type: 'document_deleted',
+                description: 'DUSW deleted Insurance Card',
+                metadata: expect.objectContaining({
+                    patient_id: patient.id,
+                    document_group_id: front.document_group_id,
+                    document_type: 'insurance_card',
+                    version: 1,
+                    actor_type: 'dusw',
+                    actor_id: String(socialWorker.id),
+                    deletion_reason: 'Wrong patient'
+                }),
+                ip_address: '10.0.0.1'
+            }]);
+        });
+    });
+});
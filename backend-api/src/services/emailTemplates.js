@@ -0,0 +1,323 @@
+// Email template rendering
+//
+// Templates live in src/templates/email/<name>.ejs and are wrapped in layout.ejs. Strings come from
+// locales/<locale>.json, keyed by template name (plus a shared "common" section):
+//   t(key, params)     - plain text; output with <%= %> so EJS escapes it
+//   tHtml(key, params) - locale strings may contain markup; params are escaped before substitution,
+//                        so output it with <%- %>
+// Keys are looked up under the current template first, then from the root. Missing Spanish strings
+// fall back to English.
+//
+// renderEmail(name, data, locale) returns { subject, html, text, locale }, where text is generated from
+// the rendered HTML so every email has a plain-text alternative.
+
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+const DEFAULT_LOCALE = 'en';
+
+// Locale codes and the language names stored in patients.preferred_language
+const SUPPORTED_LOCALES = {
+    'en': 'English',
+    'es': 'Spanish'
+};
+
+const LOCALE_ALIASES = {
+    'en': 'en', 'english': 'en', 'en-us': 'en',
+    'es': 'es', 'spanish': 'es', 'español': 'es', 'espanol': 'es', 'es-us': 'es', 'es-mx': 'es'
+};
+
+const THEMES = {
+    patient: { primary: '#667eea', secondary: '#764ba2', tint: '#f0f4ff' },
+    tc: { primary: '#059669', secondary: '#10b981', tint: '#f0fdf4' },
+    dusw: { primary: '#2563eb', secondary: '#3b82f6', tint: '#eff6ff' }
+};
+
+const SAMPLE_PATIENT = { name: 'Maria Garcia', email: 'maria.garcia@example.com', phone: '(555) 123-4567' };
+
+// Every template, the audience it is written for (layout theme and footer) and sample data for previews
+const TEMPLATES = {
+    'referral-invitation': {
+        audience: 'patient',
+        description: 'Invitation sent to a patient when a social worker refers them',
+        sample: {
+            patientName: 'Ms. Maria Garcia',
+            patientEmail: SAMPLE_PATIENT.email,
+            dialysisClinicName: 'Riverside Dialysis Center',
+            nephrologist: 'Dr. James Lee',
+            duswName: 'Ms. Sarah Johnson',
+            referralLink: 'https://transplantwizard.com/register?referralToken=sample',
+            expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+        }
+    },
+    'referral-reminder': {
+        audience: 'patient',
+        description: 'Reminder to finish registering from a referral',
+        sample: {
+            patientFirstName: 'Maria',
+            duswName: 'Ms. Sarah Johnson',
+            referralLink: 'https://transplantwizard.com/register?referralToken=sample'
+        }
+    },
+    'referral-status-update': {
+        audience: 'patient',
+        description: 'Tells a patient their application status at a center changed',
+        sample: {
+            patientFirstName: 'Maria',
+            centerName: 'University Transplant Center',
+            status: 'under_review'
+        }
+    },
+    'new-referral': {
+        audience: 'tc',
+        description: 'Tells center admins a patient selected their center',
+        sample: {
+            recipientName: 'Alex',
+            centerName: 'University Transplant Center',
+            patientName: SAMPLE_PATIENT.name,
+            patient: SAMPLE_PATIENT,
+            submittedAt: new Date(),
+            portalUrl: 'https://tc.transplantwizard.com/dashboard'
+        }
+    },
+    'referral-withdrawn': {
+        audience: 'tc',
+        description: 'Tells center admins a patient withdrew their referral',
+        sample: {
+            recipientName: 'Alex',
+            patientName: SAMPLE_PATIENT.name,
+            centerName: 'University Transplant Center',
+            reason: 'Patient relocated'
+        }
+    },
+    'document-uploaded': {
+        audience: 'tc',
+        description: 'Tells center staff a patient uploaded a document',
+        sample: {
+            patientName: SAMPLE_PATIENT.name,
+            documentType: 'Insurance Card',
+            portalUrl: 'https://tc.transplantwizard.com/dashboard'
+        }
+    },
+    'intake-complete-tc': {
+        audience: 'tc',
+        description: 'Tells center admins a patient submitted their intake form',
+        sample: {
+            patientName: SAMPLE_PATIENT.name,
+            portalUrl: 'https://tc.transplantwizard.com/dashboard'
+        }
+    },
+    'intake-complete-dusw': {
+        audience: 'dusw',
+        description: 'Tells the assigned social worker a patient submitted their intake form',
+        sample: {
+            patientName: SAMPLE_PATIENT.name,
+            portalUrl: 'https://dusw.transplantwizard.com/dashboard'
+        }
+    },
+    'documents-complete-dusw': {
+        audience: 'dusw',
+        description: 'Tells the assigned social worker a patient uploaded all required documents',
+        sample: {
+            patientName: SAMPLE_PATIENT.name,
+            portalUrl: 'https://dusw.transplantwizard.com/dashboard'
+        }
+    },
+    'tc-account-approved': {
+        audience: 'tc',
+        description: 'Tells a self-registered center employee an admin approved their account',
+        sample: {
+            recipientName: 'Jordan',
+            centerName: 'University Transplant Center',
+            portalUrl: 'https://tc.transplantwizard.com/login'
+        }
+    },
+    'tc-staff-invitation': {
+        audience: 'tc',
+        description: 'Invitation from a center admin to set up a portal account',
+        sample: {
+            inviterName: 'Alex Chen',
+            centerName: 'University Transplant Center',
+            role: 'coordinator',
+            inviteUrl: 'https://tc.transplantwizard.com/invite/sample',
+            expiryHours: 72
+        }
+    },
+    'tc-registration-pending': {
+        audience: 'tc',
+        description: 'Tells center admins someone self-registered and is waiting for approval',
+        sample: {
+            recipientName: 'Alex',
+            employeeName: 'Jordan Lee',
+            employeeEmail: 'jordan.lee@example.com',
+            portalUrl: 'https://tc.transplantwizard.com/staff'
+        }
+    }
+};
+
+const locales = {};
+const compiledTemplates = {};
+
+function loadLocale(locale) {
+    if (!locales[locale]) {
+        locales[locale] = JSON.parse(fs.readFileSync(path.join(TEMPLATE_DIR, 'locales', `${locale}.json`), 'utf8'));
+    }
+    return locales[locale];
+}
+
+function compileTemplate(name) {
+    if (!compiledTemplates[name]) {
+        const filename = path.join(TEMPLATE_DIR, `${name}.ejs`);
+        compiledTemplates[name] = ejs.compile(fs.readFileSync(filename, 'utf8'), { filename });
+    }
+    return compiledTemplates[name];
+}
+
+function resolveLocale(value) {
+    if (!value) return DEFAULT_LOCALE;
+    return LOCALE_ALIASES[String(value).trim().toLowerCase()] || DEFAULT_LOCALE;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function lookup(strings, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), strings);
+}
+
+function interpolate(template, params, escape) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+        if (params[name] === undefined || params[name] === null) return match;
+        return escape ? escapeHtml(params[name]) : String(params[name]);
+    });
+}
+
+function createTranslator(templateName, locale) {
+    const candidates = [loadLocale(locale), loadLocale(DEFAULT_LOCALE)];
+
+    const resolve = (key) => {
+        for (const strings of candidates) {
+            const value = lookup(strings, `${templateName}.${key}`);
+            if (typeof value === 'string') return value;
+            const rootValue = lookup(strings, key);
+            if (typeof rootValue === 'string') return rootValue;
+        }
+        throw new Error(`Missing email string "${key}" for template ${templateName}`);
+    };
+
+    return {
+        t: (key, params = {}) => interpolate(resolve(key), params, false),
+        tHtml: (key, params = {}) => interpolate(resolve(key), params, true),
+        has: (key) => {
+            try {
+                resolve(key);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }
+    };
+}
+
+function formatDateFor(locale) {
+    return (value, withTime = false) => {
+        const options = { year: 'numeric', month: 'long', day: 'numeric' };
+        if (withTime) {
+            options.hour = '2-digit';
+            options.minute = '2-digit';
+        }
+        return new Date(value).toLocaleDateString(locale === 'es' ? 'es-US' : 'en-US', options);
+    };
+}
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ', '&copy;': '©' };
+
+// Plain-text alternative generated from the rendered HTML
+function htmlToText(html) {
+    return html
+        .replace(/<head[\s\S]*?<\/head>/gi, '')
+        .replace(/\s+/g, ' ')
+        .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+            const text = label.replace(/<[^>]+>/g, '').trim();
+            return text && text !== href ? `${text}: ${href}` : href;
+        })
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<(p|h[1-6])(\s[^>]*)?>/gi, '\n\n')
+        .replace(/<(ul|ol)(\s[^>]*)?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '- ')
+        .replace(/<\/(p|h[1-6]|ul|ol)>/gi, '\n\n')
+        .replace(/<\/(div|li|code)>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&[#\w]+;/g, entity => HTML_ENTITIES[entity] || entity)
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function renderEmail(name, data, locale) {
+    const definition = TEMPLATES[name];
+    if (!definition) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const resolvedLocale = resolveLocale(locale);
+    const translator = createTranslator(name, resolvedLocale);
+    const helpers = {
+        t: translator.t,
+        tHtml: translator.tHtml,
+        formatDate: formatDateFor(resolvedLocale),
+        locale: resolvedLocale
+    };
+
+    const body = compileTemplate(name)({ ...data, ...helpers });
+    const html = compileTemplate('layout')({
+        ...helpers,
+        body: body,
+        audience: definition.audience,
+        theme: THEMES[definition.audience],
+        heading: translator.t('heading', data),
+        subheading: translator.has('subheading') ? translator.t('subheading', data) : null,
+        year: new Date().getFullYear()
+    });
+
+    return {
+        subject: translator.t('subject', data),
+        html: html,
+        text: htmlToText(html),
+        locale: resolvedLocale
+    };
+}
+
+// Template names, descriptions and audiences for the preview screen
+function listTemplates() {
+    return Object.keys(TEMPLATES).map(name => ({
+        name: name,
+        audience: TEMPLATES[name].audience,
+        description: TEMPLATES[name].description
+    }));
+}
+
+function renderSample(name, locale) {
+    if (!TEMPLATES[name]) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+    return renderEmail(name, TEMPLATES[name].sample, locale);
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    renderEmail,
+    renderSample,
+    listTemplates,
+    resolveLocale
+};
@@ -0,0 +1,67 @@
+const { renderEmail, renderSample, listTemplates, resolveLocale } = require('./emailTemplates');
+
+describe('email templates', () => {
+    const templates = listTemplates().map(template => template.name);
+
+    it.each(templates)('renders %s in every supported locale with a plain-text part', name => {
+        const english = renderSample(name, 'en');
+        const spanish = renderSample(name, 'es');
+
+        for (const email of [english, spanish]) {
+            expect(email.subject).toEqual(expect.any(String));
+            expect(email.subject).not.toMatch(/\{\w+\}/);
+            expect(email.html).toContain('<html');
+            expect(email.text).not.toMatch(/<[a-z][^>]*>/i);
+            expect(email.text.length).toBeGreaterThan(0);
+        }
+        expect(english.locale).toBe('en');
+        expect(spanish.locale).toBe('es');
+    });
+
+    it('escapes the data it is given', () => {
+        const email = renderEmail('referral-invitation', {
+            patientName: '<script>alert(1)</script>',
+            patientEmail: 'maria@example.com',
+            dialysisClinicName: 'Riverside & Sons',
+            nephrologist: null,
+            duswName: '<b>Sarah</b>',
+            referralLink: 'https://transplantwizard.com/register?referralToken=abc',
+            expiresAt: new Date('2026-11-01T00:00:00Z')
+        }, 'en');
+
+        expect(email.html).not.toContain('<script>');
+        expect(email.html).not.toContain('<b>Sarah</b>');
+        expect(email.html).toContain('&lt;script&gt;');
+        expect(email.html).toContain('Riverside &amp; Sons');
+        // The text part reads as the patient would see it
+        expect(email.text).toContain('<script>alert(1)</script>');
+        expect(email.text).toContain('https://transplantwizard.com/register?referralToken=abc');
+    });
+
+    it('escapes names and addresses in staff emails', () => {
+        const email = renderEmail('tc-registration-pending', {
+            recipientName: 'Alex',
+            employeeName: '<img src=x onerror=alert(1)>',
+            employeeEmail: 'jordan@example.com"><script>',
+            portalUrl: 'https://tc.transplantwizard.com/staff'
+        }, 'en');
+
+        expect(email.html).not.toContain('<img');
+        expect(email.html).not.toContain('<script>');
+        expect(email.html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+        expect(email.text).toContain('<img src=x onerror=alert(1)> (jordan@example.com"><script>) has requested access');
+        expect(email.text).toContain('Review Pending Registrations: https://tc.transplantwizard.com/staff');
+    });
+
+    it('maps stored language names to locales and falls back to English', () => {
+        expect(resolveLocale('Spanish')).toBe('es');
+        expect(resolveLocale('es-MX')).toBe('es');
+        expect(resolveLocale('English')).toBe('en');
+        expect(resolveLocale('French')).toBe('en');
+        expect(resolveLocale(null)).toBe('en');
+    });
+
+    it('refuses templates it does not know', () => {
+        expect(() => renderEmail('not-a-template', {}, 'en')).toThrow('Unknown email template: not-a-template');
+    });
+});
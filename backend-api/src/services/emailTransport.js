@@ -0,0 +1,73 @@
+// Email transports used by the notification dispatcher.
+// Both expose send({ to, subject, html, text }) -> { messageId } and throw on failure.
+//   ses   - AWS SES v2 (production and staging)
+//   local - keeps messages in memory and logs them, so the outbox can run locally and in tests without SES
+// Select with EMAIL_TRANSPORT=ses|local (default ses).
+
+const { SendEmailCommand } = require('@aws-sdk/client-sesv2');
+const { v4: uuidv4 } = require('uuid');
+
+function createSesTransport(sesClient, fromEmail) {
+    return {
+        name: 'ses',
+
+        async send({ to, subject, html, text }) {
+            const command = new SendEmailCommand({
+                FromEmailAddress: fromEmail,
+                Destination: {
+                    ToAddresses: [to]
+                },
+                Content: {
+                    Simple: {
+                        Subject: {
+                            Data: subject,
+                            Charset: 'UTF-8'
+                        },
+                        Body: {
+                            Html: {
+                                Data: html,
+                                Charset: 'UTF-8'
+                            },
+                            Text: {
+                                Data: text || '',
+                                Charset: 'UTF-8'
+                            }
+                        }
+                    }
+                }
+            });
+
+            const response = await sesClient.send(command);
+            return { messageId: response.MessageId };
+        }
+    };
+}
+
+function createLocalTransport() {
+    const sent = [];
+
+    return {
+        name: 'local',
+        sent: sent,
+
+        async send({ to, subject, html, text }) {
+            const messageId = `local-${uuidv4()}`;
+            sent.push({ messageId, to, subject, html, text, sentAt: new Date() });
+            console.log(`📧 [local transport] ${to}: ${subject}`);
+            return { messageId };
+        },
+
+        clear() {
+            sent.length = 0;
+        }
+    };
+}
+
+function createEmailTransport(sesClient, fromEmail) {
+    if (process.env.EMAIL_TRANSPORT === 'local') {
+        return createLocalTransport();
+    }
+    return createSesTransport(sesClient, fromEmail);
+}
+
+module.exports = { createEmailTransport, createSesTransport, createLocalTransport };
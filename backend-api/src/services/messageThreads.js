@@ -0,0 +1,182 @@
+// Patient <-> social worker message threads (see migration 011_create_patient_message_threads.sql),
+// shared by the patient API and the DUSW portal.
+//
+// Messages are patient_messages rows with message_type 'social_worker', so DUSW replies also show up in
+// the patient's GET /api/v1/messages inbox. is_read / read_at on a message record when its recipient
+// read it, which gives both sides read receipts. Pass the caller's transaction client as `db` so the
+// message and its alert commit together:
+//   patient -> DUSW: an in-app DUSW notification, once per run of unread messages in the thread
+//   DUSW -> patient: a generic push in the patient's 'message' category
+
+const { enqueueDuswNotification, enqueuePush } = require('./notificationOutbox');
+
+const MESSAGE_ATTACHMENT_TYPE = 'message_attachment';
+const MAX_MESSAGE_LENGTH = 5000;
+
+const THREAD_COLUMNS = `
+    t.id, t.patient_id, t.dusw_id, t.subject, t.started_by_type, t.last_message_at, t.created_at,
+    u.first_name as patient_first_name, u.last_name as patient_last_name,
+    dsw.first_name as dusw_first_name, dsw.last_name as dusw_last_name
+`;
+
+const THREAD_JOINS = `
+    FROM patient_message_threads t
+    JOIN patients p ON t.patient_id = p.id
+    JOIN users u ON p.user_id = u.id
+    JOIN dusw_social_workers dsw ON t.dusw_id = dsw.id
+`;
+
+// The social worker currently assigned to a patient, or null
+async function getAssignedDusw(db, patientId) {
+    const result = await db.query(`
+        SELECT dsw.id, dsw.first_name, dsw.last_name, dsw.email
+        FROM patient_dusw_assignments pda
+        JOIN dusw_social_workers dsw ON pda.dusw_social_worker_id = dsw.id
+        WHERE pda.patient_id = $1
+        LIMIT 1
+    `, [patientId]);
+    return result.rows[0] || null;
+}
+
+// Whether a social worker is (still) assigned to a patient. A social worker's threads with a patient
+// are closed to them once the patient is reassigned.
+async function isAssignedDusw(db, patientId, duswId) {
+    const result = await db.query(`
+        SELECT 1 FROM patient_dusw_assignments
+        WHERE patient_id = $1 AND dusw_social_worker_id = $2
+    `, [patientId, duswId]);
+    return result.rows.length > 0;
+}
+
+async function createThread(db, { patientId, duswId, subject, startedByType }) {
+    const result = await db.query(`
+        INSERT INTO patient_message_threads (patient_id, dusw_id, subject, started_by_type)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+    `, [patientId, duswId, subject, startedByType]);
+    return getThread(db, result.rows[0].id);
+}
+
+async function getThread(db, threadId) {
+    const result = await db.query(`
+        SELECT ${THREAD_COLUMNS}
+        ${THREAD_JOINS}
+        WHERE t.id = $1
+    `, [threadId]);
+    return result.rows[0] || null;
+}
+
+// Threads for one side of the conversation, newest activity first, with the caller's unread count.
+// A social worker only sees threads with the patients currently assigned to them.
+async function listThreads(db, { patientId = null, duswId = null, readerType }) {
+    const result = await db.query(`
+        SELECT ${THREAD_COLUMNS},
+               (SELECT COUNT(*) FROM patient_messages m
+                WHERE m.thread_id = t.id AND m.sender_type != $3 AND m.is_read = false)::int as unread_count,
+               (SELECT m.content FROM patient_messages m
+                WHERE m.thread_id = t.id ORDER BY m.created_at DESC LIMIT 1) as last_message
+        ${THREAD_JOINS}
+        WHERE ($1::uuid IS NULL OR t.patient_id = $1::uuid)
+          AND ($2::int IS NULL OR (t.dusw_id = $2::int AND EXISTS (
+              SELECT 1 FROM patient_dusw_assignments pda
+              WHERE pda.patient_id = t.patient_id AND pda.dusw_social_worker_id = t.dusw_id
+          )))
+        ORDER BY t.last_message_at DESC
+    `, [patientId, duswId, readerType]);
+    return result.rows;
+}
+
+async function getThreadMessages(db, threadId) {
+    const result = await db.query(`
+        SELECT m.id, m.thread_id, m.content, m.sender_type, m.sender_dusw_id, m.is_read, m.read_at, m.created_at,
+               m.attachment_document_id, pd.file_name as attachment_file_name, pd.mime_type as attachment_mime_type
+        FROM patient_messages m
+        LEFT JOIN patient_documents pd ON m.attachment_document_id = pd.id
+        WHERE m.thread_id = $1
+        ORDER BY m.created_at ASC
+    `, [threadId]);
+    return result.rows;
+}
+
+// Add a message to a thread and queue the recipient's alert. Returns the new message row.
+async function addMessage(db, thread, { senderType, senderDuswId = null, content, attachmentDocumentId = null }) {
+    const result = await db.query(`
+        INSERT INTO patient_messages (
+            patient_id, thread_id, message_type, content, sender_type, sender_dusw_id,
+            attachment_document_id, is_read, created_at
+        ) VALUES ($1, $2, 'social_worker', $3, $4, $5, $6, false, NOW())
+        RETURNING id, thread_id, content, sender_type, sender_dusw_id, attachment_document_id, is_read, read_at, created_at
+    `, [thread.patient_id, thread.id, content, senderType, senderDuswId, attachmentDocumentId]);
+    const message = result.rows[0];
+
+    await db.query(`
+        UPDATE patient_message_threads SET last_message_at = NOW(), updated_at = NOW() WHERE id = $1
+    `, [thread.id]);
+
+    const patientName = `${thread.patient_first_name} ${thread.patient_last_name}`;
+
+    if (senderType === 'patient') {
+        // Only the first unread message in a run alerts the social worker
+        const earlierUnread = await db.query(`
+            SELECT 1 FROM patient_messages
+            WHERE thread_id = $1 AND sender_type = 'patient' AND is_read = false AND id != $2
+            LIMIT 1
+        `, [thread.id, message.id]);
+
+        if (earlierUnread.rows.length === 0) {
+            await enqueueDuswNotification(db, {
+                duswId: thread.dusw_id,
+                patientId: thread.patient_id,
+                notificationType: 'new_message',
+                title: 'New Message',
+                message: `${patientName} sent you a message: "${thread.subject}"`
+            });
+        }
+    } else {
+        // Pushes show on the lock screen, so the alert carries no names or message text
+        await enqueuePush(db, {
+            patientId: thread.patient_id,
+            category: 'message',
+            eventType: 'dusw_message',
+            title: 'New message',
+            body: 'You have a new message from your care team',
+            data: { screen: 'messages', threadId: thread.id, messageId: message.id }
+        });
+    }
+
+    return message;
+}
+
+// Mark every message the reader received in a thread as read. Returns the number of messages updated.
+async function markThreadRead(db, threadId, readerType) {
+    const result = await db.query(`
+        UPDATE patient_messages
+        SET is_read = true, read_at = NOW()
+        WHERE thread_id = $1 AND sender_type != $2 AND is_read = false
+    `, [threadId, readerType]);
+    return result.rowCount;
+}
+
+// Validate message text; returns an error string or null
+function validateMessageContent(content) {
+    if (typeof content !== 'string' || !content.trim()) {
+        return 'Message is required';
+    }
+    if (content.length > MAX_MESSAGE_LENGTH) {
+        return `Message must be ${MAX_MESSAGE_LENGTH} characters or fewer`;
+    }
+    return null;
+}
+
+module.exports = {
+    MESSAGE_ATTACHMENT_TYPE,
+    getAssignedDusw,
+    isAssignedDusw,
+    createThread,
+    getThread,
+    listThreads,
+    getThreadMessages,
+    addMessage,
+    markThreadRead,
+    validateMessageContent
+};
@@ -0,0 +1,125 @@
+const {
+    createThread,
+    listThreads,
+    getThreadMessages,
+    addMessage,
+    markThreadRead,
+    isAssignedDusw,
+    validateMessageContent
+} = require('./messageThreads');
+const { createTestDatabase } = require('../../test/database');
+const { createPatient, createSocialWorker, assignSocialWorker } = require('../../test/fixtures');
+
+describe('message threads', () => {
+    let database;
+    let db;
+    let patient;
+    let socialWorker;
+    let thread;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        db = database.pool;
+    });
+
+    afterAll(async () => {
+        await database.drop();
+    });
+
+    beforeEach(async () => {
+        patient = await createPatient(db);
+        socialWorker = await createSocialWorker(db);
+        await assignSocialWorker(db, patient, socialWorker);
+        thread = await createThread(db, { patientId: patient.id, duswId: socialWorker.id, subject: 'Insurance question', startedByType: 'patient' });
+    });
+
+    async function queued(channel) {
+        const result = await db.query(
+            'SELECT recipient_id, event_type, payload FROM notification_outbox WHERE channel = $1 AND patient_id = $2 ORDER BY created_at',
+            [channel, patient.id]
+        );
+        return result.rows;
+    }
+
+    const fromPatient = content => addMessage(db, thread, { senderType: 'patient', content });
+    const fromSocialWorker = content => addMessage(db, thread, { senderType: 'dusw', senderDuswId: socialWorker.id, content });
+
+    it('alerts the social worker once per run of unread patient messages', async () => {
+        await fromPatient('Does my plan cover the evaluation?');
+        await fromPatient('Also, is parking validated?');
+
+        expect(await queued('dusw_notification')).toEqual([{
+            recipient_id: String(socialWorker.id),
+            event_type: 'new_message',
+            payload: expect.objectContaining({ notificationType: 'new_message', title: 'New Message' })
+        }]);
+
+        await markThreadRead(db, thread.id, 'dusw');
+        await fromPatient('One more thing');
+
+        expect(await queued('dusw_notification')).toHaveLength(2);
+    });
+
+    it("pushes a generic alert for the social worker's replies, carrying only ids", async () => {
+        const message = await fromSocialWorker('Yes, it is covered.');
+
+        expect(await queued('push')).toEqual([{
+            recipient_id: null,
+            event_type: 'dusw_message',
+            payload: {
+                category: 'message',
+                title: 'New message',
+                body: 'You have a new message from your care team',
+                data: { screen: 'messages', threadId: thread.id, messageId: message.id, category: 'message', eventType: 'dusw_message' }
+            }
+        }]);
+    });
+
+    it('keeps messages in order with read receipts for the recipient only', async () => {
+        await fromPatient('Hello');
+        await fromSocialWorker('Hi there');
+
+        expect(await markThreadRead(db, thread.id, 'patient')).toBe(1);
+        expect(await markThreadRead(db, thread.id, 'patient')).toBe(0);
+
+        const messages = await getThreadMessages(db, thread.id);
+        expect(messages.map(m => [m.sender_type, m.content, m.is_read])).toEqual([
+            ['patient', 'Hello', false],
+            ['dusw', 'Hi there', true]
+        ]);
+        expect(messages[1].read_at).toEqual(expect.any(Date));
+    });
+
+    it("lists each side's threads with its own unread count", async () => {
+        const otherPatient = await createPatient(db);
+        await assignSocialWorker(db, otherPatient, socialWorker);
+        await createThread(db, { patientId: otherPatient.id, duswId: socialWorker.id, subject: 'Transport', startedByType: 'dusw' });
+        await fromPatient('First');
+        await fromPatient('Second');
+        await fromSocialWorker('Reply');
+
+        const patientThreads = await listThreads(db, { patientId: patient.id, readerType: 'patient' });
+        expect(patientThreads).toEqual([expect.objectContaining({ id: thread.id, unread_count: 1, last_message: 'Reply' })]);
+
+        const duswThreads = await listThreads(db, { duswId: socialWorker.id, readerType: 'dusw' });
+        expect(duswThreads.map(t => [t.subject, t.unread_count])).toEqual([['Insurance question', 2], ['Transport', 0]]);
+    });
+
+    it("closes a social worker's threads once the patient is reassigned", async () => {
+        const successor = await createSocialWorker(db);
+        await assignSocialWorker(db, patient, successor);
+
+        expect(await isAssignedDusw(db, patient.id, socialWorker.id)).toBe(false);
+        expect(await isAssignedDusw(db, patient.id, successor.id)).toBe(true);
+        expect(await listThreads(db, { duswId: socialWorker.id, readerType: 'dusw' })).toEqual([]);
+        // The patient keeps the conversation
+        expect(await listThreads(db, { patientId: patient.id, readerType: 'patient' })).toEqual([expect.objectContaining({ id: thread.id })]);
+    });
+
+    it('requires message text within the length limit', () => {
+        expect(validateMessageContent('  ')).toBe('Message is required');
+        expect(validateMessageContent(undefined)).toBe('Message is required');
+        expect(validateMessageContent('x'.repeat(5001))).toBe('Message must be 5000 characters or fewer');
+        expect(validateMessageContent('Thanks!')).toBeNull();
+    });
+});
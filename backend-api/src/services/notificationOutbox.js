@@ -0,0 +1,370 @@
+// Notification outbox (see migration 008_create_notification_outbox.sql)
+//
+// Request handlers call the enqueue* helpers with the same client as their business transaction, so
+// a notification is queued if and only if the change that caused it commits. NotificationDispatcher
+// then delivers queued items in the background:
+//   email             - through the email transport (SES or the local stand-in, see emailTransport.js)
+//   tc_notification   - inserted into tc_notifications
+//   dusw_notification - inserted into dusw_notifications
+//   push              - sent to the patient's active devices through the push provider (see pushProvider.js),
+//                       or marked 'skipped' if the patient turned that category off or has no device
+// Failed items are retried with exponential backoff and marked 'dead' once out of attempts.
+// Pass transplantCenterId to any enqueue* helper when a center's action caused the notification, so that
+// center's admins can follow up on it if it fails.
+
+const DEFAULT_OPTIONS = {
+    batchSize: 20,
+    pollIntervalMs: 5000,
+    baseRetryDelaySeconds: 30,
+    maxRetryDelaySeconds: 3600,
+    staleLockMinutes: 5,
+    sandboxRecipients: null,
+    pushProvider: null
+};
+
+// Push categories and the patient_notification_preferences column that controls each
+const PUSH_CATEGORIES = {
+    referral_update: 'referral_updates',
+    message: 'messages',
+    todo: 'todos',
+    document_request: 'document_requests'
+};
+
+async function enqueue(db, item) {
+    const result = await db.query(`
+        INSERT INTO notification_outbox (
+            channel, event_type, recipient_type, recipient_id, recipient_email, patient_id, transplant_center_id, payload
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING id
+    `, [
+        item.channel,
+        item.eventType,
+        item.recipientType,
+        item.recipientId != null ? String(item.recipientId) : null,
+        item.recipientEmail || null,
+        item.patientId || null,
+        item.transplantCenterId || null,
+        JSON.stringify(item.payload)
+    ]);
+    return result.rows[0].id;
+}
+
+// Queue an email. recipientType/recipientId identify who it is for so admins can trace failures.
+async function enqueueEmail(db, { to, subject, html, text, eventType, recipientType, recipientId = null, patientId = null, transplantCenterId = null }) {
+    return enqueue(db, {
+        channel: 'email',
+        eventType: eventType,
+        recipientType: recipientType,
+        recipientId: recipientId,
+        recipientEmail: to,
+        patientId: patientId,
+        transplantCenterId: transplantCenterId,
+        payload: { subject, html, text }
+    });
+}
+
+// Queue an in-app notification for a transplant center employee
+async function enqueueTcNotification(db, { tcEmployeeId, patientId, notificationType, title, message, transplantCenterId = null }) {
+    return enqueue(db, {
+        channel: 'tc_notification',
+        eventType: notificationType,
+        recipientType: 'tc_employee',
+        recipientId: tcEmployeeId,
+        patientId: patientId,
+        transplantCenterId: transplantCenterId,
+        payload: { notificationType, title, message }
+    });
+}
+
+// Queue an in-app notification for a dialysis unit social worker
+async function enqueueDuswNotification(db, { duswId, patientId, notificationType, title, message, transplantCenterId = null }) {
+    return enqueue(db, {
+        channel: 'dusw_notification',
+        eventType: notificationType,
+        recipientType: 'dusw',
+        recipientId: duswId,
+        patientId: patientId,
+        transplantCenterId: transplantCenterId,
+        payload: { notificationType, title, message }
+    });
+}
+
+// Queue a push to every active device of a patient. data is delivered alongside the alert so the app
+// can open the right screen. Preferences are checked at delivery time.
+async function enqueuePush(db, { patientId, userId = null, category, eventType, title, body, data = {}, transplantCenterId = null }) {
+    if (!PUSH_CATEGORIES[category]) {
+        throw new Error(`Unknown push category: ${category}`);
+    }
+
+    return enqueue(db, {
+        channel: 'push',
+        eventType: eventType,
+        recipientType: 'patient',
+        recipientId: userId,
+        patientId: patientId,
+        transplantCenterId: transplantCenterId,
+        payload: { category, title, body, data: { ...data, category, eventType } }
+    });
+}
+
+// Put a dead or blocked item back in the queue with a fresh set of attempts
+async function requeueNotification(db, outboxId) {
+    const result = await db.query(`
+        UPDATE notification_outbox
+        SET status = 'pending', attempts = 0, next_attempt_at = NOW(), locked_at = NULL,
+            last_error = NULL, updated_at = NOW()
+        WHERE id = $1 AND status IN ('dead', 'blocked')
+        RETURNING id
+    `, [outboxId]);
+    return result.rows.length > 0;
+}
+
+class NotificationDispatcher {
+    constructor(pool, transport, options = {}) {
+        this.pool = pool;
+        this.transport = transport;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.sandboxRecipients = this.options.sandboxRecipients
+            ? this.options.sandboxRecipients.map(email => email.toLowerCase())
+            : null;
+        this.pushProvider = this.options.pushProvider;
+        this.timer = null;
+        this.running = false;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.runOnce().catch(error => {
+                console.error('❌ Notification dispatcher error:', error.message);
+            });
+        }, this.options.pollIntervalMs);
+        this.timer.unref();
+
+        const pushName = this.pushProvider ? this.pushProvider.name : 'disabled';
+        console.log(`📬 Notification dispatcher started (transport: ${this.transport.name}, push: ${pushName}, every ${this.options.pollIntervalMs}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.pushProvider) {
+            this.pushProvider.close();
+        }
+    }
+
+    // Deliver one batch of due items. Returns the number of items processed.
+    async runOnce() {
+        if (this.running) return 0;
+        this.running = true;
+
+        try {
+            const items = await this.claimBatch();
+            for (const item of items) {
+                await this.deliver(item);
+            }
+            return items.length;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    // Claim due items; items stuck in 'processing' (e.g. a crashed dispatcher) are picked up again
+    async claimBatch() {
+        const result = await this.pool.query(`
+            UPDATE notification_outbox
+            SET status = 'processing', locked_at = NOW(), updated_at = NOW()
+            WHERE id IN (
+                SELECT id FROM notification_outbox
+                WHERE (status = 'pending' AND next_attempt_at <= NOW())
+                   OR (status = 'processing' AND locked_at < NOW() - make_interval(mins => $2))
+                ORDER BY next_attempt_at
+                LIMIT $1
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *
+        `, [this.options.batchSize, this.options.staleLockMinutes]);
+        return result.rows;
+    }
+
+    async deliver(item) {
+        try {
+            if (item.channel === 'email') {
+                await this.deliverEmail(item);
+            } else if (item.channel === 'tc_notification' || item.channel === 'dusw_notification') {
+                await this.deliverPortalNotification(item);
+            } else if (item.channel === 'push') {
+                await this.deliverPush(item);
+            } else {
+                throw new Error(`Unknown channel: ${item.channel}`);
+            }
+        } catch (error) {
+            await this.markFailed(item, error);
+        }
+    }
+
+    async deliverEmail(item) {
+        const recipient = item.recipient_email;
+
+        if (this.sandboxRecipients && !this.sandboxRecipients.includes(recipient.toLowerCase())) {
+            console.warn(`⚠️  Email to ${recipient} blocked - not in sandbox recipients list`);
+            await this.pool.query(`
+                UPDATE notification_outbox
+                SET status = 'blocked', locked_at = NULL, last_error = $2, updated_at = NOW()
+                WHERE id = $1
+            `, [item.id, 'Recipient not verified in sandbox mode']);
+            return;
+        }
+
+        const { messageId } = await this.transport.send({
+            to: recipient,
+            subject: item.payload.subject,
+            html: item.payload.html,
+            text: item.payload.text
+        });
+
+        await this.markSent(this.pool, item);
+        console.log(`✅ Email sent to ${recipient}: ${messageId} (${item.event_type})`);
+    }
+
+    // The portal row and the outbox status change commit together so a retry never duplicates it
+    async deliverPortalNotification(item) {
+        const table = item.channel === 'tc_notification' ? 'tc_notifications' : 'dusw_notifications';
+        const recipientColumn = item.channel === 'tc_notification' ? 'tc_employee_id' : 'dusw_id';
+        const { notificationType, title, message } = item.payload;
+
+        const client = await this.pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(`
+                INSERT INTO ${table} (${recipientColumn}, patient_id, notification_type, title, message, is_read, created_at)
+                VALUES ($1, $2, $3, $4, $5, false, NOW())
+            `, [item.recipient_id, item.patient_id, notificationType, title, message]);
+            await this.markSent(client, item);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Send to each active device. Tokens APNs reports as invalid are deactivated; the item is retried only
+    // if no device accepted it, so a partial failure never pushes twice to the devices that got it.
+    async deliverPush(item) {
+        if (!this.pushProvider) {
+            throw new Error('No push provider configured');
+        }
+
+        const { category, title, body, data } = item.payload;
+        const preferenceColumn = PUSH_CATEGORIES[category];
+
+        const preferences = await this.pool.query(`
+            SELECT push_enabled, ${preferenceColumn} as category_enabled
+            FROM patient_notification_preferences
+            WHERE patient_id = $1
+        `, [item.patient_id]);
+
+        if (preferences.rows.length > 0 && !(preferences.rows[0].push_enabled && preferences.rows[0].category_enabled)) {
+            await this.markSkipped(item, `Patient turned off ${preferenceColumn.replace('_', ' ')} notifications`);
+            return;
+        }
+
+        const devices = await this.pool.query(`
+            SELECT id, device_token, apns_environment
+            FROM patient_device_tokens
+            WHERE patient_id = $1 AND is_active = true
+        `, [item.patient_id]);
+
+        let delivered = 0;
+        let lastError = null;
+
+        for (const device of devices.rows) {
+            try {
+                const result = await this.pushProvider.send({
+                    deviceToken: device.device_token,
+                    environment: device.apns_environment,
+                    title: title,
+                    body: body,
+                    data: data,
+                    collapseId: item.id
+                });
+
+                if (result.status === 'invalid_token') {
+                    await this.pool.query(`
+                        UPDATE patient_device_tokens
+                        SET is_active = false, deactivated_at = NOW(), deactivated_reason = $2, updated_at = NOW()
+                        WHERE id = $1
+                    `, [device.id, result.reason]);
+                    console.warn(`⚠️  Deactivated device token ${device.id}: ${result.reason}`);
+                } else {
+                    delivered++;
+                }
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        if (delivered > 0) {
+            await this.markSent(this.pool, item);
+            console.log(`✅ Push sent to ${delivered} device(s) for patient ${item.patient_id} (${item.event_type})`);
+        } else if (lastError) {
+            throw lastError;
+        } else {
+            await this.markSkipped(item, 'No active devices');
+        }
+    }
+
+    async markSkipped(item, reason) {
+        await this.pool.query(`
+            UPDATE notification_outbox
+            SET status = 'skipped', locked_at = NULL, last_error = $2, updated_at = NOW()
+            WHERE id = $1
+        `, [item.id, reason]);
+    }
+
+    async markSent(db, item) {
+        await db.query(`
+            UPDATE notification_outbox
+            SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), locked_at = NULL,
+                last_error = NULL, updated_at = NOW()
+            WHERE id = $1
+        `, [item.id]);
+    }
+
+    async markFailed(item, error) {
+        const attempts = item.attempts + 1;
+        const dead = attempts >= item.max_attempts;
+        const delaySeconds = Math.min(
+            this.options.baseRetryDelaySeconds * Math.pow(2, attempts - 1),
+            this.options.maxRetryDelaySeconds
+        );
+
+        await this.pool.query(`
+            UPDATE notification_outbox
+            SET status = $2, attempts = $3, last_error = $4, locked_at = NULL,
+                next_attempt_at = NOW() + make_interval(secs => $5), updated_at = NOW()
+            WHERE id = $1
+        `, [item.id, dead ? 'dead' : 'pending', attempts, error.message, delaySeconds]);
+
+        if (dead) {
+            console.error(`❌ ${item.channel} ${item.id} (${item.event_type}) failed permanently after ${attempts} attempts: ${error.message}`);
+        } else {
+            console.warn(`⚠️  ${item.channel} ${item.id} (${item.event_type}) failed, retrying in ${delaySeconds}s: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    NotificationDispatcher,
+    enqueueEmail,
+    enqueueTcNotification,
+    enqueueDuswNotification,
+    enqueuePush,
+    requeueNotification,
+    PUSH_CATEGORIES
+};
@@ -0,0 +1,279 @@
+const {
+    NotificationDispatcher,
+    enqueueEmail,
+    enqueueTcNotification,
+    enqueueDuswNotification,
+    enqueuePush,
+    requeueNotification
+} = require('./notificationOutbox');
+const { createLocalTransport } = require('./emailTransport');
+const { createLocalPushProvider } = require('./pushProvider');
+const { createTestDatabase } = require('../../test/database');
+const { insert, createPatient, createCenter, createEmployee, createSocialWorker } = require('../../test/fixtures');
+
+describe('notification outbox', () => {
+    let database;
+    let db;
+    let patient;
+    let transport;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        db = database.pool;
+        patient = await createPatient(db);
+    });
+
+    afterAll(async () => {
+        await database.drop();
+    });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        await db.query('DELETE FROM notification_outbox');
+        transport = createLocalTransport();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const welcomeEmail = (to = patient.user.email) => ({
+        to: to,
+        subject: 'Welcome',
+        html: '<p>Welcome</p>',
+        text: 'Welcome',
+        eventType: 'welcome',
+        recipientType: 'patient',
+        recipientId: patient.user.id,
+        patientId: patient.id
+    });
+
+    async function outboxItem(id) {
+        const result = await db.query('SELECT * FROM notification_outbox WHERE id = $1', [id]);
+        return result.rows[0];
+    }
+
+    it('queues a notification only if the transaction it belongs to commits', async () => {
+        const client = await db.connect();
+        try {
+            await client.query('BEGIN');
+            await enqueueEmail(client, welcomeEmail());
+            await client.query('ROLLBACK');
+
+            await client.query('BEGIN');
+            const id = await enqueueEmail(client, welcomeEmail());
+            await client.query('COMMIT');
+
+            const queued = await db.query('SELECT id, status FROM notification_outbox');
+            expect(queued.rows).toEqual([{ id: id, status: 'pending' }]);
+        } finally {
+            client.release();
+        }
+    });
+
+    it('sends queued emails through the transport', async () => {
+        const id = await enqueueEmail(db, welcomeEmail());
+
+        expect(await new NotificationDispatcher(db, transport).runOnce()).toBe(1);
+
+        expect(transport.sent).toEqual([expect.objectContaining({ to: patient.user.email, subject: 'Welcome', html: '<p>Welcome</p>', text: 'Welcome' })]);
+        expect(await outboxItem(id)).toMatchObject({ status: 'sent', attempts: 1, sent_at: expect.any(Date), last_error: null });
+
+        // Sent items are not delivered again
+        expect(await new NotificationDispatcher(db, transport).runOnce()).toBe(0);
+        expect(transport.sent).toHaveLength(1);
+    });
+
+    it('writes portal notifications into the portal tables', async () => {
+        const employee = await createEmployee(db, await createCenter(db));
+        const socialWorker = await createSocialWorker(db);
+        await enqueueTcNotification(db, { tcEmployeeId: employee.id, patientId: patient.id, notificationType: 'new_referral', title: 'New referral', message: 'A patient selected your center' });
+        await enqueueDuswNotification(db, { duswId: socialWorker.id, patientId: patient.id, notificationType: 'document_uploaded', title: 'New document', message: 'A document was uploaded' });
+
+        await new NotificationDispatcher(db, transport).runOnce();
+
+        const tc = await db.query('SELECT tc_employee_id, patient_id, notification_type, title, is_read FROM tc_notifications');
+        expect(tc.rows).toEqual([{ tc_employee_id: employee.id, patient_id: patient.id, notification_type: 'new_referral', title: 'New referral', is_read: false }]);
+        const dusw = await db.query('SELECT dusw_id, notification_type FROM dusw_notifications');
+        expect(dusw.rows).toEqual([{ dusw_id: socialWorker.id, notification_type: 'document_uploaded' }]);
+
+        const statuses = await db.query('SELECT DISTINCT status FROM notification_outbox');
+        expect(statuses.rows).toEqual([{ status: 'sent' }]);
+    });
+
+    it('records the center whose action caused a notification', async () => {
+        const center = await createCenter(db);
+        const socialWorker = await createSocialWorker(db);
+        const caused = await enqueueEmail(db, { ...welcomeEmail(), transplantCenterId: center.id });
+        const request = await enqueueDuswNotification(db, { duswId: socialWorker.id, patientId: patient.id, notificationType: 'document_request', title: 'Document Requested', message: 'Labs', transplantCenterId: center.id });
+        const uncaused = await enqueuePush(db, { patientId: patient.id, category: 'todo', eventType: 'todo_created', title: 'New task', body: 'You have a new task' });
+
+        const centers = await db.query('SELECT id, transplant_center_id FROM notification_outbox WHERE id = ANY($1::uuid[])', [[caused, request, uncaused]]);
+        expect(Object.fromEntries(centers.rows.map(row => [row.id, row.transplant_center_id]))).toEqual({
+            [caused]: center.id,
+            [request]: center.id,
+            [uncaused]: null
+        });
+    });
+
+    it('retries a failed delivery later and gives up once out of attempts', async () => {
+        const failing = { name: 'failing', send: jest.fn().mockRejectedValue(new Error('SES throttled')) };
+        const id = await enqueueEmail(db, welcomeEmail());
+        await db.query('UPDATE notification_outbox SET max_attempts = 2 WHERE id = $1', [id]);
+        const dispatcher = new NotificationDispatcher(db, failing, { baseRetryDelaySeconds: 60 });
+
+        await dispatcher.runOnce();
+
+        const retrying = await outboxItem(id);
+        expect(retrying).toMatchObject({ status: 'pending', attempts: 1, last_error: 'SES throttled', locked_at: null });
+        expect(retrying.next_attempt_at.getTime()).toBeGreaterThan(Date.now() + 50 * 1000);
+
+        // Not due yet
+        expect(await dispatcher.runOnce()).toBe(0);
+
+        await db.query('UPDATE notification_outbox SET next_attempt_at = NOW() WHERE id = $1', [id]);
+        await dispatcher.runOnce();
+
+        expect(await outboxItem(id)).toMatchObject({ status: 'dead', attempts: 2 });
+        expect(failing.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('holds back emails to recipients outside the sandbox list until requeued', async () => {
+        const blockedId = await enqueueEmail(db, welcomeEmail('someone@example.com'));
+        await enqueueEmail(db, welcomeEmail('verified@example.com'));
+
+        await new NotificationDispatcher(db, transport, { sandboxRecipients: ['Verified@example.com'] }).runOnce();
+
+        expect(transport.sent.map(email => email.to)).toEqual(['verified@example.com']);
+        expect(await outboxItem(blockedId)).toMatchObject({ status: 'blocked', last_error: 'Recipient not verified in sandbox mode' });
+
+        expect(await requeueNotification(db, blockedId)).toBe(true);
+        await new NotificationDispatcher(db, transport).runOnce();
+
+        expect(transport.sent.map(email => email.to)).toEqual(['verified@example.com', 'someone@example.com']);
+        expect(await outboxItem(blockedId)).toMatchObject({ status: 'sent', attempts: 1 });
+        // Only dead or blocked items can be requeued
+        expect(await requeueNotification(db, blockedId)).toBe(false);
+    });
+
+    it('picks up items a crashed dispatcher left in processing', async () => {
+        const staleId = await enqueueEmail(db, welcomeEmail());
+        const claimedId = await enqueueEmail(db, welcomeEmail('claimed@example.com'));
+        await db.query("UPDATE notification_outbox SET status = 'processing', locked_at = NOW() - INTERVAL '10 minutes' WHERE id = $1", [staleId]);
+        await db.query("UPDATE notification_outbox SET status = 'processing', locked_at = NOW() WHERE id = $1", [claimedId]);
+
+        await new NotificationDispatcher(db, transport, { staleLockMinutes: 5 }).runOnce();
+
+        expect(await outboxItem(staleId)).toMatchObject({ status: 'sent' });
+        expect(await outboxItem(claimedId)).toMatchObject({ status: 'processing' });
+    });
+
+    describe('push', () => {
+        let pushProvider;
+        let pushPatient;
+
+        beforeEach(async () => {
+            await db.query('DELETE FROM patient_device_tokens');
+            pushProvider = createLocalPushProvider();
+            pushPatient = await createPatient(db);
+        });
+
+        const registerDevice = (deviceToken, fields = {}) => insert(db, 'patient_device_tokens', {
+            patient_id: pushPatient.id,
+            device_token: deviceToken,
+            apns_environment: 'sandbox',
+            ...fields
+        });
+
+        const queueMessagePush = () => enqueuePush(db, {
+            patientId: pushPatient.id,
+            userId: pushPatient.user.id,
+            category: 'message',
+            eventType: 'new_message',
+            title: 'New message',
+            body: 'You have a new message',
+            data: { threadId: 'thread-1' }
+        });
+
+        const dispatch = (provider = pushProvider) => new NotificationDispatcher(db, transport, { pushProvider: provider }).runOnce();
+
+        it("sends to each of the patient's active devices", async () => {
+            await registerDevice('device-a');
+            await registerDevice('device-b', { apns_environment: 'production' });
+            await registerDevice('device-c', { is_active: false });
+            const id = await queueMessagePush();
+
+            await dispatch();
+
+            expect(pushProvider.sent.map(push => [push.deviceToken, push.environment])).toEqual([['device-a', 'sandbox'], ['device-b', 'production']]);
+            expect(pushProvider.sent[0]).toMatchObject({
+                title: 'New message',
+                body: 'You have a new message',
+                data: { threadId: 'thread-1', category: 'message', eventType: 'new_message' },
+                collapseId: id
+            });
+            expect(await outboxItem(id)).toMatchObject({ status: 'sent', attempts: 1 });
+        });
+
+        it('deactivates device tokens the provider reports as invalid', async () => {
+            await registerDevice('device-a');
+            const invalid = await registerDevice('invalid-device');
+            await queueMessagePush();
+
+            await dispatch();
+
+            expect(pushProvider.sent.map(push => push.deviceToken)).toEqual(['device-a']);
+            const token = await db.query('SELECT is_active, deactivated_reason FROM patient_device_tokens WHERE id = $1', [invalid.id]);
+            expect(token.rows[0]).toEqual({ is_active: false, deactivated_reason: 'Unregistered' });
+        });
+
+        it.each([
+            ['the category is turned off', { messages: false }],
+            ['push is turned off', { push_enabled: false }]
+        ])('skips the push when %s', async (_, preferences) => {
+            await registerDevice('device-a');
+            await insert(db, 'patient_notification_preferences', { patient_id: pushPatient.id, ...preferences });
+            const id = await queueMessagePush();
+
+            await dispatch();
+
+            expect(pushProvider.sent).toEqual([]);
+            expect(await outboxItem(id)).toMatchObject({ status: 'skipped', last_error: 'Patient turned off messages notifications' });
+        });
+
+        it('still sends categories the patient kept on', async () => {
+            await registerDevice('device-a');
+            await insert(db, 'patient_notification_preferences', { patient_id: pushPatient.id, todos: false });
+            const id = await queueMessagePush();
+
+            await dispatch();
+
+            expect(await outboxItem(id)).toMatchObject({ status: 'sent' });
+        });
+
+        it('skips the push when the patient has no active device', async () => {
+            const id = await queueMessagePush();
+
+            await dispatch();
+
+            expect(await outboxItem(id)).toMatchObject({ status: 'skipped', last_error: 'No active devices' });
+        });
+
+        it('retries when no device accepted the push', async () => {
+            await registerDevice('device-a');
+            const unreachable = { name: 'unreachable', send: jest.fn().mockRejectedValue(new Error('APNs connection reset')), close() {} };
+            const id = await queueMessagePush();
+
+            await dispatch(unreachable);
+
+            expect(await outboxItem(id)).toMatchObject({ status: 'pending', attempts: 1, last_error: 'APNs connection reset' });
+        });
+
+        it('refuses categories it does not know', async () => {
+            await expect(enqueuePush(db, { patientId: pushPatient.id, category: 'marketing', eventType: 'promo', title: 'Hi', body: 'Hi' }))
+                .rejects.toThrow('Unknown push category: marketing');
+        });
+    });
+});
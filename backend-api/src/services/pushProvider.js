@@ -0,0 +1,207 @@
+// Push providers used by the notification dispatcher.
+// Both expose send({ deviceToken, environment, title, body, data, collapseId }) and resolve to
+//   { status: 'sent', id }            - accepted for delivery
+//   { status: 'invalid_token', reason } - the token is no longer valid; stop sending to it
+// Anything else (network errors, throttling, bad credentials) throws so the outbox retries.
+//   apns  - Apple Push Notification service over HTTP/2 with token-based (.p8 key) authentication
+//   local - keeps pushes in memory and, with PUSH_LOCAL_FILE set, appends them to a JSON-lines file.
+//           Tokens starting with "invalid" are reported as invalid so token cleanup can be exercised.
+// Select with PUSH_PROVIDER=apns|local. Without it, APNs is used when APNS_KEY_ID is configured.
+
+const fs = require('fs');
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+
+const APNS_HOSTS = {
+    production: 'https://api.push.apple.com',
+    sandbox: 'https://api.sandbox.push.apple.com'
+};
+
+// APNs rejects provider tokens older than an hour and throttles ones refreshed more often than every 20 minutes
+const PROVIDER_TOKEN_TTL_MS = 50 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// APNs reasons meaning the device token itself is bad, as opposed to the request or our credentials
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+function buildApnsPayload({ title, body, data, badge }) {
+    const aps = {
+        alert: { title, body },
+        sound: 'default'
+    };
+    if (badge !== undefined && badge !== null) {
+        aps.badge = badge;
+    }
+    return JSON.stringify({ aps, ...(data || {}) });
+}
+
+function createApnsProvider({ keyId, teamId, privateKey, bundleId }) {
+    const sessions = {};
+    let providerToken = null;
+    let providerTokenIssuedAt = 0;
+
+    function getProviderToken() {
+        if (!providerToken || Date.now() - providerTokenIssuedAt > PROVIDER_TOKEN_TTL_MS) {
+            providerToken = jwt.sign({ iss: teamId }, privateKey, {
+                algorithm: 'ES256',
+                header: { alg: 'ES256', kid: keyId }
+            });
+            providerTokenIssuedAt = Date.now();
+        }
+        return providerToken;
+    }
+
+    // One HTTP/2 connection per APNs environment, reopened if Apple closes it
+    function getSession(environment) {
+        const existing = sessions[environment];
+        if (existing && !existing.closed && !existing.destroyed) {
+            return existing;
+        }
+
+        const session = http2.connect(APNS_HOSTS[environment]);
+        session.on('error', (error) => {
+            console.error(`❌ APNs ${environment} connection error:`, error.message);
+        });
+        session.on('close', () => {
+            if (sessions[environment] === session) {
+                delete sessions[environment];
+            }
+        });
+        session.unref();
+        sessions[environment] = session;
+        return session;
+    }
+
+    function request(environment, deviceToken, headers, payload) {
+        return new Promise((resolve, reject) => {
+            const stream = getSession(environment).request({
+                ':method': 'POST',
+                ':path': `/3/device/${deviceToken}`,
+                ...headers
+            });
+
+            let status = 0;
+            let apnsId = null;
+            let responseBody = '';
+
+            stream.setEncoding('utf8');
+            stream.setTimeout(REQUEST_TIMEOUT_MS, () => {
+                stream.close(http2.constants.NGHTTP2_CANCEL);
+                reject(new Error('APNs request timed out'));
+            });
+            stream.on('response', (responseHeaders) => {
+                status = responseHeaders[':status'];
+                apnsId = responseHeaders['apns-id'] || null;
+            });
+            stream.on('data', (chunk) => {
+                responseBody += chunk;
+            });
+            stream.on('end', () => resolve({ status, apnsId, body: responseBody }));
+            stream.on('error', reject);
+            stream.end(payload);
+        });
+    }
+
+    return {
+        name: 'apns',
+
+        async send({ deviceToken, environment = 'production', title, body, data, badge, collapseId }) {
+            const headers = {
+                'authorization': `bearer ${getProviderToken()}`,
+                'apns-topic': bundleId,
+                'apns-push-type': 'alert',
+                'apns-priority': '10'
+            };
+            if (collapseId) {
+                headers['apns-collapse-id'] = collapseId;
+            }
+
+            const response = await request(
+                APNS_HOSTS[environment] ? environment : 'production',
+                deviceToken,
+                headers,
+                buildApnsPayload({ title, body, data, badge })
+            );
+
+            if (response.status === 200) {
+                return { status: 'sent', id: response.apnsId };
+            }
+
+            let reason = `HTTP ${response.status}`;
+            try {
+                reason = JSON.parse(response.body).reason || reason;
+            } catch (parseError) {
+                // Keep the HTTP status as the reason
+            }
+
+            if (response.status === 410 || INVALID_TOKEN_REASONS.includes(reason)) {
+                return { status: 'invalid_token', reason };
+            }
+            if (reason === 'ExpiredProviderToken') {
+                providerToken = null;
+            }
+            throw new Error(`APNs rejected push: ${reason}`);
+        },
+
+        close() {
+            Object.values(sessions).forEach(session => session.close());
+        }
+    };
+}
+
+function createLocalPushProvider({ filePath } = {}) {
+    const sent = [];
+
+    return {
+        name: 'local',
+        sent: sent,
+
+        async send({ deviceToken, environment, title, body, data, badge, collapseId }) {
+            if (deviceToken.startsWith('invalid')) {
+                return { status: 'invalid_token', reason: 'Unregistered' };
+            }
+
+            const push = { id: `local-${uuidv4()}`, deviceToken, environment, title, body, data, badge, collapseId, sentAt: new Date() };
+            sent.push(push);
+            if (filePath) {
+                fs.appendFileSync(filePath, JSON.stringify(push) + '\n');
+            }
+            console.log(`📱 [local push] ${deviceToken.substring(0, 8)}…: ${title}`);
+            return { status: 'sent', id: push.id };
+        },
+
+        clear() {
+            sent.length = 0;
+        },
+
+        close() {}
+    };
+}
+
+function createPushProvider() {
+    const useApns = process.env.PUSH_PROVIDER
+        ? process.env.PUSH_PROVIDER === 'apns'
+        : Boolean(process.env.APNS_KEY_ID);
+
+    if (!useApns) {
+        return createLocalPushProvider({ filePath: process.env.PUSH_LOCAL_FILE });
+    }
+
+    if (!process.env.APNS_KEY_ID || !process.env.APNS_TEAM_ID || !(process.env.APNS_PRIVATE_KEY || process.env.APNS_PRIVATE_KEY_PATH)) {
+        throw new Error('APNs push requires APNS_KEY_ID, APNS_TEAM_ID and APNS_PRIVATE_KEY or APNS_PRIVATE_KEY_PATH');
+    }
+
+    const privateKey = process.env.APNS_PRIVATE_KEY
+        ? process.env.APNS_PRIVATE_KEY.replace(/\\n/g, '\n')
+        : fs.readFileSync(process.env.APNS_PRIVATE_KEY_PATH, 'utf8');
+
+    return createApnsProvider({
+        keyId: process.env.APNS_KEY_ID,
+        teamId: process.env.APNS_TEAM_ID,
+        privateKey: privateKey,
+        bundleId: process.env.APNS_BUNDLE_ID || 'com.transplantwizard.transplantplatform'
+    });
+}
+
+module.exports = { createPushProvider, createApnsProvider, createLocalPushProvider };
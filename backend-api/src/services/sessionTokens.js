@@ -0,0 +1,126 @@
+// Patient sessions and their tokens (see migration 007_create_user_sessions.sql)
+//
+// Each login starts a session for the device and issues a token pair: a short-lived access token bound
+// to the session (claim `sid`) and a refresh token, stored only as its SHA-256 hash. A refresh token
+// works once: refreshing marks it used and issues the next pair. Presenting a used one means it was
+// copied, so the whole session is revoked and every token issued for it stops working.
+
+const crypto = require('crypto');
+
+function hashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+// `generateToken` is passed in so the server keeps its own signing options
+function createSessionTokens(generateToken, { accessTokenTtlSeconds, refreshTokenTtlDays }) {
+    // Issue an access token bound to the session plus a new single-use refresh token.
+    // `db` is the pool or a client inside an open transaction.
+    async function issueTokenPair(db, sessionId, tokenPayload) {
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+        await db.query(`
+            INSERT INTO user_refresh_tokens (session_id, token_hash, expires_at)
+            VALUES ($1, $2, NOW() + make_interval(days => $3))
+        `, [sessionId, hashRefreshToken(refreshToken), refreshTokenTtlDays]);
+
+        return {
+            accessToken: generateToken({ ...tokenPayload, sid: sessionId }),
+            refreshToken: refreshToken,
+            expiresIn: accessTokenTtlSeconds
+        };
+    }
+
+    // Start a session for the device making this request and issue its first token pair
+    async function createSession(db, tokenPayload, req) {
+        const sessionResult = await db.query(`
+            INSERT INTO user_sessions (user_id, device_name, user_agent, ip_address, expires_at)
+            VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+            RETURNING id
+        `, [
+            tokenPayload.userId,
+            req.body?.deviceName || req.get('x-device-name') || null,
+            req.get('user-agent') || null,
+            req.ip || null,
+            refreshTokenTtlDays
+        ]);
+
+        return issueTokenPair(db, sessionResult.rows[0].id, tokenPayload);
+    }
+
+    // Exchange a refresh token for the session's next token pair. Returns { status, tokens, userId, sessionId }:
+    //   refreshed - tokens is the new pair
+    //   invalid   - no such token
+    //   reused    - the token was already used; the session is now revoked
+    //   ended     - the token or session expired, the session was revoked, or the account is not active
+    async function refreshSession(pool, refreshToken, { ip = null } = {}) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                SELECT
+                    rt.id,
+                    rt.used_at,
+                    rt.expires_at <= NOW() as token_expired,
+                    s.id as session_id,
+                    s.revoked_at,
+                    s.expires_at <= NOW() as session_expired,
+                    u.id as user_id,
+                    u.email,
+                    u.status
+                FROM user_refresh_tokens rt
+                JOIN user_sessions s ON rt.session_id = s.id
+                JOIN users u ON s.user_id = u.id
+                WHERE rt.token_hash = $1
+                FOR UPDATE OF rt, s
+            `, [hashRefreshToken(refreshToken)]);
+
+            if (result.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return { status: 'invalid' };
+            }
+
+            const stored = result.rows[0];
+            const session = { userId: stored.user_id, sessionId: stored.session_id };
+
+            if (stored.used_at) {
+                await client.query(`
+                    UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'refresh_token_reuse'
+                    WHERE id = $1 AND revoked_at IS NULL
+                `, [stored.session_id]);
+                await client.query('COMMIT');
+                return { status: 'reused', ...session };
+            }
+
+            if (stored.revoked_at || stored.token_expired || stored.session_expired || stored.status !== 'active') {
+                await client.query('ROLLBACK');
+                return { status: 'ended', ...session };
+            }
+
+            await client.query('UPDATE user_refresh_tokens SET used_at = NOW() WHERE id = $1', [stored.id]);
+            await client.query(`
+                UPDATE user_sessions
+                SET last_used_at = NOW(), ip_address = $2, expires_at = NOW() + make_interval(days => $3)
+                WHERE id = $1
+            `, [stored.session_id, ip, refreshTokenTtlDays]);
+
+            const tokens = await issueTokenPair(client, stored.session_id, {
+                userId: stored.user_id,
+                email: stored.email,
+                type: 'patient'
+            });
+
+            await client.query('COMMIT');
+            return { status: 'refreshed', tokens, ...session };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    return { issueTokenPair, createSession, refreshSession };
+}
+
+module.exports = { createSessionTokens, hashRefreshToken };
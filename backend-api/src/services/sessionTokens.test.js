@@ -0,0 +1,97 @@
+const { createSessionTokens, hashRefreshToken } = require('./sessionTokens');
+const { createTestDatabase } = require('../../test/database');
+const { createPatient } = require('../../test/fixtures');
+
+const request = { body: { deviceName: 'iPhone' }, ip: '10.0.0.1', get: header => (header === 'user-agent' ? 'TransplantWizard/1.0' : undefined) };
+
+describe('session tokens', () => {
+    const { createSession, refreshSession } = createSessionTokens(payload => `access:${payload.userId}:${payload.sid}`, {
+        accessTokenTtlSeconds: 900,
+        refreshTokenTtlDays: 30
+    });
+    let database;
+    let db;
+    let patient;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        db = database.pool;
+    });
+
+    afterAll(async () => {
+        await database.drop();
+    });
+
+    beforeEach(async () => {
+        patient = await createPatient(db);
+    });
+
+    const signIn = () => createSession(db, { userId: patient.user.id, email: patient.user.email, type: 'patient' }, request);
+
+    async function sessionOf(userId) {
+        const result = await db.query('SELECT * FROM user_sessions WHERE user_id = $1', [userId]);
+        return result.rows[0];
+    }
+
+    it('starts a session for the device and stores only the hash of its refresh token', async () => {
+        const tokens = await signIn();
+
+        const session = await sessionOf(patient.user.id);
+        expect(session).toMatchObject({ device_name: 'iPhone', user_agent: 'TransplantWizard/1.0', ip_address: '10.0.0.1', revoked_at: null });
+        expect(tokens).toEqual({ accessToken: `access:${patient.user.id}:${session.id}`, refreshToken: expect.any(String), expiresIn: 900 });
+
+        const stored = await db.query('SELECT token_hash FROM user_refresh_tokens WHERE session_id = $1', [session.id]);
+        expect(stored.rows).toEqual([{ token_hash: hashRefreshToken(tokens.refreshToken) }]);
+    });
+
+    it('rotates the refresh token: the next pair belongs to the same session and the old token is spent', async () => {
+        const first = await signIn();
+
+        const result = await refreshSession(db, first.refreshToken, { ip: '10.0.0.2' });
+
+        const session = await sessionOf(patient.user.id);
+        expect(result).toMatchObject({ status: 'refreshed', userId: patient.user.id, sessionId: session.id });
+        expect(result.tokens.accessToken).toBe(`access:${patient.user.id}:${session.id}`);
+        expect(result.tokens.refreshToken).not.toBe(first.refreshToken);
+        expect(session.ip_address).toBe('10.0.0.2');
+
+        // The new token keeps working, one use at a time
+        const second = await refreshSession(db, result.tokens.refreshToken);
+        expect(second.status).toBe('refreshed');
+    });
+
+    it('revokes the whole session when a spent refresh token is presented again', async () => {
+        const first = await signIn();
+        const rotated = await refreshSession(db, first.refreshToken);
+
+        const replay = await refreshSession(db, first.refreshToken);
+
+        expect(replay).toEqual({ status: 'reused', userId: patient.user.id, sessionId: rotated.sessionId });
+        expect(await sessionOf(patient.user.id)).toMatchObject({ revoked_reason: 'refresh_token_reuse', revoked_at: expect.any(Date) });
+        // The token issued by the legitimate refresh dies with the session
+        expect(await refreshSession(db, rotated.tokens.refreshToken)).toMatchObject({ status: 'ended' });
+    });
+
+    it('rejects a refresh token it never issued', async () => {
+        expect(await refreshSession(db, 'not-a-token')).toEqual({ status: 'invalid' });
+    });
+
+    it.each([
+        ['the refresh token expired', "UPDATE user_refresh_tokens SET expires_at = NOW() - INTERVAL '1 minute' WHERE session_id IN (SELECT id FROM user_sessions WHERE user_id = $1)"],
+        ['the session expired', "UPDATE user_sessions SET expires_at = NOW() - INTERVAL '1 minute' WHERE user_id = $1"],
+        ['the session was revoked', "UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'logout' WHERE user_id = $1"],
+        ['the account is not active', "UPDATE users SET status = 'inactive' WHERE id = $1"]
+    ])('ends the session without issuing tokens when %s', async (_, endSession) => {
+        const tokens = await signIn();
+        await db.query(endSession, [patient.user.id]);
+
+        const result = await refreshSession(db, tokens.refreshToken);
+
+        expect(result.status).toBe('ended');
+        expect(result.tokens).toBeUndefined();
+        const issued = await db.query(`
+            SELECT COUNT(*)::int AS count FROM user_refresh_tokens rt JOIN user_sessions s ON rt.session_id = s.id WHERE s.user_id = $1
+        `, [patient.user.id]);
+        expect(issued.rows[0].count).toBe(1);
+    });
+});
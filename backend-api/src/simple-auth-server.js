@@ -5,11 +5,51 @@ const helmet = require('helmet');
 const { Pool } = require('pg');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const { SESv2Client, SendEmailCommand } = require('@aws-sdk/client-sesv2');
+const { SESv2Client } = require('@aws-sdk/client-sesv2');
 const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
+const { createRequestAuth } = require('./middleware/requestAuth');
+const { verifyApiToken } = require('./middleware/apiTokens');
+const { createSessionTokens } = require('./services/sessionTokens');
+const AuditLogger = require('./middleware/auditLogger');
+const DocumentAccessPolicy = require('./services/documentAccessPolicy');
+const { createEmailTransport } = require('./services/emailTransport');
+const { createPushProvider } = require('./services/pushProvider');
+const {
+    MESSAGE_ATTACHMENT_TYPE,
+    getAssignedDusw,
+    createThread,
+    getThread,
+    listThreads,
+    getThreadMessages,
+    addMessage,
+    markThreadRead,
+    validateMessageContent
+} = require('./services/messageThreads');
+const { renderEmail, resolveLocale, SUPPORTED_LOCALES } = require('./services/emailTemplates');
+const {
+    NotificationDispatcher,
+    enqueueEmail,
+    enqueueTcNotification,
+    enqueueDuswNotification,
+    enqueuePush
+} = require('./services/notificationOutbox');
+const { listDocumentRequests, fulfillDocumentRequests } = require('./services/documentRequests');
+const {
+    DOCUMENT_TYPES,
+    toIsoDate,
+    expiryDateFor,
+    documentTypeName,
+    ORGAN_PROGRAMS,
+    getPatientChecklist,
+    syncDocumentTodos
+} = require('./services/documentRequirements');
+const { DocumentExpiryJob } = require('./services/documentExpiry');
+const { findCurrentDocument, supersedeDocument, deleteDocument, logDocumentEvent } = require('./services/documentVersions');
+const { storeDocumentGroup } = require('./services/documentAssembly');
+const { recordAssembly } = require('./services/documentAssemblies');
 
 // Load environment variables
 require('dotenv').config();
@@ -87,67 +127,6 @@ if (SES_CONFIG.sandboxMode) {
     console.log(`📧 Sandbox Recipients: ${SES_CONFIG.sandboxRecipients.join(', ')}`);
 }
 
-// Send Email Helper Function
-async function sendEmail(toEmail, subject, htmlContent, textContent) {
-    try {
-        // Validate recipient in sandbox mode
-        if (SES_CONFIG.sandboxMode) {
-            if (!SES_CONFIG.sandboxRecipients.includes(toEmail.toLowerCase())) {
-                console.warn(`⚠️  Email to ${toEmail} blocked - not in sandbox recipients list`);
-                console.warn(`⚠️  Sandbox recipients: ${SES_CONFIG.sandboxRecipients.join(', ')}`);
-                return {
-                    success: false,
-                    message: `Email blocked - recipient not verified in sandbox mode`,
-                    sandboxMode: true,
-                    recipientEmail: toEmail
-                };
-            }
-        }
-
-        const command = new SendEmailCommand({
-            FromEmailAddress: SES_CONFIG.fromEmail,
-            Destination: {
-                ToAddresses: [toEmail]
-            },
-            Content: {
-                Simple: {
-                    Subject: {
-                        Data: subject,
-                        Charset: 'UTF-8'
-                    },
-                    Body: {
-                        Html: {
-                            Data: htmlContent,
-                            Charset: 'UTF-8'
-                        },
-                        Text: {
-                            Data: textContent,
-                            Charset: 'UTF-8'
-                        }
-                    }
-                }
-            }
-        });
-
-        const response = await sesClient.send(command);
-        console.log(`✅ Email sent to ${toEmail}: ${response.MessageId}`);
-
-        return {
-            success: true,
-            messageId: response.MessageId,
-            recipient: toEmail
-        };
-
-    } catch (error) {
-        console.error(`❌ Email sending error for ${toEmail}:`, error.message);
-        return {
-            success: false,
-            error: error.message,
-            recipient: toEmail
-        };
-    }
-}
-
 // Database connection
 const pool = new Pool({
     host: process.env.DB_HOST,
@@ -197,17 +176,19 @@ const authLimiter = rateLimit({
     }
 });
 
+// Ids in paths and bodies are UUIDs; anything else can't match a row and would fail the query
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Access tokens are short-lived; refresh tokens rotate on every use and are stored hashed
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 900;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
 // Helper functions
+
+// Session access tokens for the app; verified in middleware/apiTokens.js
 function generateToken(payload) {
     return jwt.sign(payload, process.env.JWT_SECRET, { 
-        expiresIn: process.env.JWT_EXPIRES_IN || '24h',
-        issuer: 'transplant-platform',
-        audience: 'patient-app'
-    });
-}
-
-function verifyToken(token) {
-    return jwt.verify(token, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
         issuer: 'transplant-platform',
         audience: 'patient-app'
     });
@@ -222,6 +203,40 @@ async function verifyPassword(password, hash) {
     return await bcrypt.compare(password, hash);
 }
 
+// Sessions, token pairs and refresh token rotation; see services/sessionTokens.js
+const { createSession, refreshSession } = createSessionTokens(generateToken, {
+    accessTokenTtlSeconds: ACCESS_TOKEN_TTL_SECONDS,
+    refreshTokenTtlDays: REFRESH_TOKEN_TTL_DAYS
+});
+
+// Revoke every active session for a user, optionally keeping one. Returns the number revoked.
+async function revokeUserSessions(db, userId, reason, exceptSessionId = null) {
+    const result = await db.query(`
+        UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+        WHERE user_id = $1 AND revoked_at IS NULL
+          AND ($3::uuid IS NULL OR id != $3::uuid)
+    `, [userId, reason, exceptSessionId]);
+    return result.rowCount;
+}
+
+// Authenticate /api/v1 requests and load the caller's context; see middleware/requestAuth.js
+const authenticate = createRequestAuth(pool, verifyApiToken);
+
+const auditLogger = new AuditLogger(pool);
+const documentAccessPolicy = new DocumentAccessPolicy(pool, auditLogger);
+
+// Emails, portal notifications and pushes are queued in notification_outbox and delivered in the background
+const notificationDispatcher = new NotificationDispatcher(pool, createEmailTransport(sesClient, SES_CONFIG.fromEmail), {
+    sandboxRecipients: SES_CONFIG.sandboxMode ? SES_CONFIG.sandboxRecipients : null,
+    pushProvider: createPushProvider(),
+    pollIntervalMs: parseInt(process.env.NOTIFICATION_POLL_INTERVAL_MS || '5000', 10)
+});
+
+// Reminds patients and social workers to refresh documents shortly before they expire
+const documentExpiryJob = new DocumentExpiryJob(pool, {
+    intervalMs: parseInt(process.env.DOCUMENT_EXPIRY_INTERVAL_MS || String(6 * 60 * 60 * 1000), 10)
+});
+
 // Health check
 app.get('/health', async (req, res) => {
     try {
@@ -244,25 +259,29 @@ app.get('/health', async (req, res) => {
 
 app.use('/api/v1/auth', authLimiter);
 
-// Clear existing data endpoint
-app.post('/api/v1/clear-data', async (req, res) => {
-    try {
-        await pool.query('DELETE FROM user_credentials');
-        await pool.query('DELETE FROM patients');
-        await pool.query('DELETE FROM users');
-        
-        res.json({
-            success: true,
-            message: 'All user data cleared'
-        });
-    } catch (error) {
-        console.error('❌ Clear data error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
-    }
-});
+// Clear existing data endpoint - deletes every user, so it only exists in test environments
+if (process.env.ENABLE_TEST_DATA_RESET === 'true' && process.env.NODE_ENV !== 'production') {
+    console.warn('⚠️ ENABLE_TEST_DATA_RESET is set: POST /api/v1/clear-data is enabled');
+
+    app.post('/api/v1/clear-data', async (req, res) => {
+        try {
+            await pool.query('DELETE FROM user_credentials');
+            await pool.query('DELETE FROM patients');
+            await pool.query('DELETE FROM users');
+            
+            res.json({
+                success: true,
+                message: 'All user data cleared'
+            });
+        } catch (error) {
+            console.error('❌ Clear data error:', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+}
 
 // Registration endpoint
 app.post('/api/v1/auth/register/patient', async (req, res) => {
@@ -275,7 +294,7 @@ app.post('/api/v1/auth/register/patient', async (req, res) => {
             title, firstName, lastName, email, phoneNumber,
             dateOfBirth, address, primaryCarePhysician,
             insuranceProvider, dialysisClinic, socialWorkerName, password,
-            nephrologist, referralToken
+            nephrologist, referralToken, preferredLanguage
         } = req.body;
         
         console.log(`📝 Registering patient: ${email}`);
@@ -421,9 +440,9 @@ app.post('/api/v1/auth/register/patient', async (req, res) => {
         const patientResult = await client.query(`
             INSERT INTO patients (
                 user_id, date_of_birth, address, primary_care_physician,
-                insurance_provider, nephrologist, profile_completed, onboarding_completed,
+                insurance_provider, nephrologist, preferred_language, profile_completed, onboarding_completed,
                 created_at, updated_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, false, false, NOW(), NOW())
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, false, false, NOW(), NOW())
             RETURNING id
         `, [
             userId,
@@ -431,7 +450,9 @@ app.post('/api/v1/auth/register/patient', async (req, res) => {
             address || '',
             primaryCarePhysician || '',
             insuranceProvider || '',
-            nephrologist || ''
+            nephrologist || '',
+            // A language chosen by the referring social worker carries over unless the patient picked one
+            SUPPORTED_LOCALES[resolveLocale(preferredLanguage || (referralData && referralData.preferred_language))]
         ]);
         
         // Store the social worker and clinic info in a separate table for DUSW linkage
@@ -478,16 +499,14 @@ app.post('/api/v1/auth/register/patient', async (req, res) => {
 
             // Create notification for DUSW that their referred patient registered
             if (referralData.dusw_id) {
-                await client.query(`
-                    INSERT INTO dusw_notifications (
-                        dusw_id, patient_id, notification_type, title, message, is_read, created_at
-                    ) VALUES ($1, $2, 'patient_registered', 'Patient Registered', $3, false, NOW())
-                `, [
-                    referralData.dusw_id,
-                    patientId,
-                    `${firstName.trim()} ${lastName.trim()} has registered in the app and is now in your patient list.`
-                ]);
-                console.log(`✅ Created DUSW notification for patient registration`);
+                await enqueueDuswNotification(client, {
+                    duswId: referralData.dusw_id,
+                    patientId: patientId,
+                    notificationType: 'patient_registered',
+                    title: 'Patient Registered',
+                    message: `${firstName.trim()} ${lastName.trim()} has registered in the app and is now in your patient list.`
+                });
+                console.log(`✅ Queued DUSW notification for patient registration`);
             }
         }
 
@@ -497,18 +516,18 @@ app.post('/api/v1/auth/register/patient', async (req, res) => {
             VALUES ($1, 'CREATE', 'user', 'Patient registered successfully', NOW())
         `, [userId]);
 
-        await client.query('COMMIT');
-        
-        console.log(`✅ Registration successful: ${userId}`);
-        
-        // Generate token for auto-login
+        // Start a session for auto-login
         const tokenPayload = {
             userId: userId,
             email: email.toLowerCase(),
             type: 'patient'
         };
         
-        const accessToken = generateToken(tokenPayload);
+        const tokens = await createSession(client, tokenPayload, req);
+
+        await client.query('COMMIT');
+        
+        console.log(`✅ Registration successful: ${userId}`);
         
         // Return login response instead of just success message
         res.status(201).json({
@@ -516,10 +535,10 @@ app.post('/api/v1/auth/register/patient', async (req, res) => {
             message: 'Registration successful! Automatically logged in.',
             autoLogin: true,
             data: {
-                accessToken: accessToken,
-                refreshToken: accessToken,
-                idToken: accessToken,
-                expiresIn: 86400,
+                accessToken: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                idToken: tokens.accessToken,
+                expiresIn: tokens.expiresIn,
                 user: {
                     id: userId,
                     email: email.toLowerCase(),
@@ -576,8 +595,12 @@ app.post('/api/v1/auth/register/patient', async (req, res) => {
     }
 });
 
+// A referral invitation belongs to the DUSW who created it. Invitations created before
+// dusw_id was taken from the token may only have the DUSW's email. Params: $2 = id, $3 = email.
+const DUSW_REFERRAL_OWNER_CONDITION = `(dusw_id = $2 OR (dusw_id IS NULL AND LOWER(dusw_email) = $3))`;
+
 // DUSW Create Patient Referral Endpoint
-app.post('/api/v1/dusw/referrals/create', async (req, res) => {
+app.post('/api/v1/dusw/referrals/create', authenticate('dusw'), async (req, res) => {
     const client = await pool.connect();
 
     try {
@@ -590,11 +613,14 @@ app.post('/api/v1/dusw/referrals/create', async (req, res) => {
             patientEmail,
             patientNephrologist,
             dialysisClinicId,
-            dialysisClinicName,
-            duswId,
-            duswEmail,
-            duswName
+            dialysisClinicName
         } = req.body;
+        const preferredLanguage = SUPPORTED_LOCALES[resolveLocale(req.body.preferredLanguage)];
+
+        // The referring social worker is whoever the token belongs to
+        const duswId = req.dusw.id;
+        const duswEmail = req.dusw.email;
+        const duswName = [req.dusw.title, req.dusw.firstName, req.dusw.lastName].filter(Boolean).join(' ');
 
         console.log(`📝 DUSW creating referral for: ${patientEmail}`);
 
@@ -604,9 +630,9 @@ app.post('/api/v1/dusw/referrals/create', async (req, res) => {
         if (!patientLastName?.trim()) missingFields.push('Patient Last Name');
         if (!patientEmail?.trim()) missingFields.push('Patient Email');
         if (!dialysisClinicName?.trim()) missingFields.push('Dialysis Clinic');
-        if (!duswEmail?.trim()) missingFields.push('DUSW Email');
 
         if (missingFields.length > 0) {
+            await client.query('ROLLBACK');
             return res.status(400).json({
                 success: false,
                 error: `Please fill in the following required fields: ${missingFields.join(', ')}`
@@ -616,6 +642,7 @@ app.post('/api/v1/dusw/referrals/create', async (req, res) => {
         // Validate email format
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         if (!emailRegex.test(patientEmail.trim())) {
+            await client.query('ROLLBACK');
             return res.status(400).json({
                 success: false,
                 error: 'Please enter a valid patient email address'
@@ -627,13 +654,13 @@ app.post('/api/v1/dusw/referrals/create', async (req, res) => {
             INSERT INTO patient_referral_invitations (
                 referral_token, patient_email, patient_title, patient_first_name,
                 patient_last_name, patient_nephrologist, dialysis_clinic_name,
-                dialysis_clinic_id, dusw_id, dusw_email, dusw_name,
+                dialysis_clinic_id, dusw_id, dusw_email, dusw_name, preferred_language,
                 redeemed, created_at, expires_at
             ) VALUES (
-                gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+                gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
                 false, NOW(), NOW() + INTERVAL '30 days'
             )
-            RETURNING referral_token, referral_token::text as token
+            RETURNING referral_token, referral_token::text as token, expires_at
         `, [
             patientEmail.toLowerCase(),
             patientTitle || '',
@@ -642,9 +669,10 @@ app.post('/api/v1/dusw/referrals/create', async (req, res) => {
             patientNephrologist || '',
             dialysisClinicName.trim(),
             dialysisClinicId || null,
-            duswId || null,
+            duswId,
             duswEmail.toLowerCase(),
-            duswName || ''
+            duswName,
+            preferredLanguage
         ]);
 
         const referralToken = referralResult.rows[0].token;
@@ -669,165 +697,32 @@ app.post('/api/v1/dusw/referrals/create', async (req, res) => {
         // iOS will open the app if installed, otherwise shows web registration
         const referralLink = `https://transplantwizard.com/register?referralToken=${referralToken}`;
 
-        // Send email notification to patient with referral link and DUSW info
-        const referralEmailSubject = `Welcome to Transplant Wizard - Referral from ${duswName}`;
-
-        const referralEmailHTML = `<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <style>
-        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #333; margin: 0; padding: 0; }
-        .container { max-width: 600px; margin: 0 auto; padding: 0; }
-        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 40px 30px; text-align: center; border-radius: 10px 10px 0 0; }
-        .header h1 { margin: 0; font-size: 28px; font-weight: 300; letter-spacing: 0.5px; }
-        .header p { margin: 10px 0 0 0; font-size: 16px; opacity: 0.95; }
-        .content { background: #ffffff; padding: 40px 30px; }
-        .greeting { font-size: 16px; margin-bottom: 20px; line-height: 1.6; }
-        .info-section { margin: 30px 0; }
-        .info-box { background: #f0f4ff; border-left: 4px solid #667eea; padding: 20px; margin: 20px 0; border-radius: 4px; }
-        .info-box h3 { margin: 0 0 15px 0; color: #667eea; font-size: 14px; text-transform: uppercase; letter-spacing: 1px; }
-        .info-item { margin: 8px 0; font-size: 15px; }
-        .info-item strong { color: #333; }
-        .cta-section { text-align: center; margin: 30px 0; }
-        .cta-button { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 14px 40px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: 600; font-size: 16px; transition: transform 0.2s; margin: 20px 0; }
-        .cta-button:hover { transform: translateY(-2px); }
-        .steps { margin: 30px 0; }
-        .steps ol { padding-left: 20px; }
-        .steps li { margin: 12px 0; line-height: 1.6; }
-        .expiration-warning { background: #fff3cd; border: 1px solid #ffc107; border-radius: 4px; padding: 15px; margin: 20px 0; font-size: 14px; color: #856404; }
-        .footer { background: #f5f5f5; padding: 30px; text-align: center; font-size: 12px; color: #666; border-radius: 0 0 10px 10px; }
-        .footer p { margin: 8px 0; }
-        .footer-link { color: #667eea; text-decoration: none; }
-        .hipaa-notice { background: #e8f4f8; border: 1px solid #b3d9e8; border-radius: 4px; padding: 12px; margin-top: 15px; font-size: 12px; color: #0c5460; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>Welcome to Transplant Wizard</h1>
-            <p>Your Healthcare Team is Here to Support You</p>
-        </div>
-        <div class="content">
-            <div class="greeting">
-                <p>Hello ${patientTitle ? patientTitle + ' ' : ''}${patientFirstName} ${patientLastName},</p>
-                <p>You've been referred to <strong>Transplant Wizard</strong> by <strong>${duswName}</strong> at <strong>${dialysisClinicName}</strong>. This is a secure patient portal designed to help you manage your transplant journey and stay connected with your healthcare team.</p>
-            </div>
-
-            <div class="info-box">
-                <h3>Your Pre-filled Information</h3>
-                <div class="info-item"><strong>Name:</strong> ${patientTitle ? patientTitle + ' ' : ''}${patientFirstName} ${patientLastName}</div>
-                <div class="info-item"><strong>Email:</strong> ${patientEmail}</div>
-                <div class="info-item"><strong>Dialysis Clinic:</strong> ${dialysisClinicName}</div>
-                ${patientNephrologist ? `<div class="info-item"><strong>Nephrologist:</strong> ${patientNephrologist}</div>` : ''}
-            </div>
-
-            <div class="info-section">
-                <h2 style="color: #333; font-size: 18px; margin-bottom: 15px;">How to Get Started</h2>
-                <div class="steps">
-                    <ol>
-                        <li><strong>Click the button below</strong> - this will open the Transplant Wizard app on your iPhone</li>
-                        <li><strong>If you don't have the app yet</strong> - you'll be taken to TestFlight to install it (free, no approval needed)</li>
-                        <li><strong>Review your pre-filled information</strong> - your details are already there</li>
-                        <li><strong>Create a secure password</strong> and complete your registration</li>
-                    </ol>
-                </div>
-            </div>
-
-            <div class="cta-section">
-                <a href="${referralLink}" class="cta-button" style="display: inline-block; text-decoration: none;">📱 Complete Your Registration</a>
-                <p style="font-size: 12px; color: #999; margin-top: 20px; line-height: 1.6;">
-                    <strong>iPhone Users:</strong> Tap the button to open the Transplant Wizard app. If you don't have the app yet, you'll be able to complete registration on the web.<br>
-                    <strong>Other Devices:</strong> The link works on any device and will open in your browser.
-                </p>
-                <p style="font-size: 11px; color: #999; margin-top: 15px;">
-                    If the button doesn't work, copy and paste this link into your browser:<br>
-                    <code style="background: #f5f5f5; padding: 6px 10px; border-radius: 3px; word-break: break-all; display: block; margin-top: 8px;">${referralLink}</code>
-                </p>
-            </div>
-
-            <div class="expiration-warning">
-                <strong>⏰ Important:</strong> This referral link expires on <strong>${new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</strong>. Please complete your registration before then.
-            </div>
-
-            <div class="info-section">
-                <p style="font-size: 15px; line-height: 1.8;">If you have any questions or need assistance, please don't hesitate to contact:</p>
-                <p style="margin: 15px 0; padding: 15px; background: #f9f9f9; border-radius: 4px;">
-                    <strong>${duswName}</strong><br>
-                    ${dialysisClinicName}
-                </p>
-            </div>
-
-            <p style="color: #666; font-size: 14px; margin-top: 30px;">Thank you for choosing Transplant Wizard. We're committed to supporting your transplant journey.</p>
-        </div>
-        <div class="footer">
-            <p><strong>Transplant Wizard Patient Portal</strong></p>
-            <div class="hipaa-notice">
-                <p style="margin: 0;">🔒 <strong>HIPAA Notice:</strong> This is a secure, encrypted communication containing protected health information. Do not forward this email or share this link with unauthorized persons.</p>
-            </div>
-            <p style="margin-top: 15px;">&copy; 2025 Transplant Wizard. All rights reserved.</p>
-        </div>
-    </div>
-</body>
-</html>`;
-
-        const referralEmailText = `Welcome to Transplant Wizard
-Your Healthcare Team is Here to Support You
-
-Hello ${patientTitle ? patientTitle + ' ' : ''}${patientFirstName} ${patientLastName},
-
-You've been referred to Transplant Wizard by ${duswName} at ${dialysisClinicName}. This is a secure patient portal designed to help you manage your transplant journey.
-
-YOUR PRE-FILLED INFORMATION:
-- Name: ${patientTitle ? patientTitle + ' ' : ''}${patientFirstName} ${patientLastName}
-- Email: ${patientEmail}
-- Dialysis Clinic: ${dialysisClinicName}
-${patientNephrologist ? `- Nephrologist: ${patientNephrologist}` : ''}
-
-GET STARTED IN 4 EASY STEPS:
-1. Click or copy the link below to open Transplant Wizard
-2. Review your pre-filled information
-3. Create a secure password
-4. Complete your registration
-
-REGISTRATION LINK:
-${referralLink}
-
-IMPORTANT: This referral link expires on ${new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}
-
-If you need assistance, please contact:
-${duswName}
-${dialysisClinicName}
-
----
-HIPAA NOTICE: This is a secure, encrypted communication containing protected health information. Do not forward this email or share this link with unauthorized persons.
-
-© 2025 Transplant Wizard. All rights reserved.
-`;
-
-        // Send email via AWS SES
-        const emailResult = await sendEmail(
-            patientEmail,
-            referralEmailSubject,
-            referralEmailHTML,
-            referralEmailText
-        );
-
-        if (!emailResult.success) {
-            console.warn(`⚠️  Email sending failed for referral: ${emailResult.message || emailResult.error}`);
-            // Log but continue - referral is created even if email fails in sandbox mode
-            if (SES_CONFIG.sandboxMode && emailResult.sandboxMode) {
-                console.log(`📧 Note: Email blocked due to sandbox mode. Recipient must be in: ${SES_CONFIG.sandboxRecipients.join(', ')}`);
-            }
-        } else {
-            console.log(`✅ Referral email sent successfully to ${patientEmail}`);
-        }
+        // Send email notification to patient with referral link and DUSW info, in their language
+        const referralEmail = renderEmail('referral-invitation', {
+            patientName: `${patientTitle ? patientTitle + ' ' : ''}${patientFirstName.trim()} ${patientLastName.trim()}`,
+            patientEmail: patientEmail.toLowerCase(),
+            dialysisClinicName: dialysisClinicName.trim(),
+            nephrologist: patientNephrologist || '',
+            duswName: duswName,
+            referralLink: referralLink,
+            expiresAt: referralResult.rows[0].expires_at
+        }, preferredLanguage);
+
+        // Queued with the referral; the dispatcher sends it once the transaction commits
+        await enqueueEmail(client, {
+            to: patientEmail,
+            ...referralEmail,
+            eventType: 'patient_referral_invitation',
+            recipientType: 'patient'
+        });
 
         await client.query('COMMIT');
 
+        console.log(`✅ Referral email queued for ${patientEmail}`);
+
         res.status(201).json({
             success: true,
-            message: 'Referral created successfully. Email sent to patient.',
+            message: 'Referral created successfully. Email will be sent to patient.',
             data: {
                 referralToken,
                 referralLink,
@@ -851,10 +746,18 @@ HIPAA NOTICE: This is a secure, encrypted communication containing protected hea
 });
 
 // Get Pending Referrals for a DUSW - returns unredeemed referral invitations
-app.get('/api/v1/dusw/referrals/pending/:duswId', async (req, res) => {
+app.get('/api/v1/dusw/referrals/pending/:duswId', authenticate('dusw'), async (req, res) => {
     try {
         const { duswId } = req.params;
 
+        if (String(duswId) !== String(req.dusw.id)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You can only view your own referrals',
+                code: 'FORBIDDEN'
+            });
+        }
+
         console.log(`📋 Fetching pending referrals for DUSW: ${duswId}`);
 
         const result = await pool.query(`
@@ -896,17 +799,17 @@ app.get('/api/v1/dusw/referrals/pending/:duswId', async (req, res) => {
 });
 
 // Resend Referral Invitation Email
-app.post('/api/v1/dusw/referrals/:referralId/resend', async (req, res) => {
+app.post('/api/v1/dusw/referrals/:referralId/resend', authenticate('dusw'), async (req, res) => {
     try {
         const { referralId } = req.params;
 
         console.log(`📧 Resending referral invitation: ${referralId}`);
 
-        // Get the referral data
+        // Get the referral data, only if the caller sent it
         const result = await pool.query(`
             SELECT * FROM patient_referral_invitations
-            WHERE id = $1 AND redeemed = false
-        `, [referralId]);
+            WHERE id = $1 AND redeemed = false AND ${DUSW_REFERRAL_OWNER_CONDITION}
+        `, [referralId, req.dusw.id, req.dusw.email.toLowerCase()]);
 
         if (result.rows.length === 0) {
             return res.status(404).json({
@@ -918,31 +821,22 @@ app.post('/api/v1/dusw/referrals/:referralId/resend', async (req, res) => {
         const referral = result.rows[0];
         const referralLink = `https://transplantwizard.com/register?referralToken=${referral.referral_token}`;
 
-        // Send email
-        const emailResult = await sendEmail(
-            referral.patient_email,
-            `Reminder: Complete Your Registration - Transplant Wizard`,
-            `<h2>Reminder from ${referral.dusw_name}</h2>
-            <p>Hello ${referral.patient_first_name},</p>
-            <p>This is a friendly reminder to complete your registration with Transplant Wizard.</p>
-            <p><a href="${referralLink}" style="background: #667eea; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Complete Registration</a></p>
-            <p>If the button doesn't work, copy this link: ${referralLink}</p>`,
-            `Reminder from ${referral.dusw_name}\n\nHello ${referral.patient_first_name},\n\nPlease complete your registration: ${referralLink}`
-        );
+        await enqueueEmail(pool, {
+            to: referral.patient_email,
+            ...renderEmail('referral-reminder', {
+                patientFirstName: referral.patient_first_name,
+                duswName: referral.dusw_name,
+                referralLink: referralLink
+            }, referral.preferred_language),
+            eventType: 'patient_referral_reminder',
+            recipientType: 'patient'
+        });
 
-        if (emailResult.success) {
-            console.log(`✅ Resent referral email to ${referral.patient_email}`);
-            res.json({
-                success: true,
-                message: 'Referral invitation resent successfully'
-            });
-        } else {
-            console.warn(`⚠️ Failed to resend email: ${emailResult.error}`);
-            res.status(500).json({
-                success: false,
-                error: 'Failed to send email. Please try again.'
-            });
-        }
+        console.log(`✅ Queued referral reminder for ${referral.patient_email}`);
+        res.json({
+            success: true,
+            message: 'Referral invitation resent successfully'
+        });
 
     } catch (error) {
         console.error('❌ Error resending referral:', error);
@@ -954,7 +848,7 @@ app.post('/api/v1/dusw/referrals/:referralId/resend', async (req, res) => {
 });
 
 // Cancel/Delete a Pending Referral
-app.delete('/api/v1/dusw/referrals/:referralId', async (req, res) => {
+app.delete('/api/v1/dusw/referrals/:referralId', authenticate('dusw'), async (req, res) => {
     try {
         const { referralId } = req.params;
 
@@ -962,9 +856,9 @@ app.delete('/api/v1/dusw/referrals/:referralId', async (req, res) => {
 
         const result = await pool.query(`
             DELETE FROM patient_referral_invitations
-            WHERE id = $1 AND redeemed = false
+            WHERE id = $1 AND redeemed = false AND ${DUSW_REFERRAL_OWNER_CONDITION}
             RETURNING patient_email, patient_first_name, patient_last_name
-        `, [referralId]);
+        `, [referralId, req.dusw.id, req.dusw.email.toLowerCase()]);
 
         if (result.rows.length === 0) {
             return res.status(404).json({
@@ -1129,7 +1023,7 @@ app.post('/api/v1/auth/login', async (req, res) => {
             type: 'patient'
         };
         
-        const accessToken = generateToken(tokenPayload);
+        const tokens = await createSession(pool, tokenPayload, req);
         
         // Update last login
         await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.user_id]);
@@ -1150,7 +1044,7 @@ app.post('/api/v1/auth/login', async (req, res) => {
                 (SELECT signed_at FROM patient_consents WHERE patient_id = p.id AND consent_type = 'medical_records_consent') as medical_records_consent_signed_at,
                 COUNT(pr.id) as referral_count
             FROM patients p
-            LEFT JOIN patient_referrals pr ON p.id = pr.patient_id
+            LEFT JOIN patient_referrals pr ON p.id = pr.patient_id AND pr.status::text != 'withdrawn'
             WHERE p.id = $1
             GROUP BY p.id
         `, [user.patient_id]);
@@ -1165,10 +1059,10 @@ app.post('/api/v1/auth/login', async (req, res) => {
         res.json({
             success: true,
             data: {
-                accessToken: accessToken,
-                refreshToken: accessToken,
-                idToken: accessToken,
-                expiresIn: 86400,
+                accessToken: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                idToken: tokens.accessToken,
+                expiresIn: tokens.expiresIn,
                 user: {
                     id: user.user_id,
                     email: user.email,
@@ -1207,28 +1101,8 @@ app.post('/api/v1/auth/login', async (req, res) => {
 });
 
 // Get current user profile (for token validation and user status refresh)
-app.get('/api/v1/auth/me', async (req, res) => {
+app.get('/api/v1/auth/me', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid token'
-            });
-        }
-
         // Get user profile with consent status
         const result = await queryWithRetry(`
             SELECT 
@@ -1243,11 +1117,11 @@ app.get('/api/v1/auth/me', async (req, res) => {
                 (SELECT MAX(signed_at) FROM roi_consents WHERE patient_id = p.id) as roi_signed_at,
                 (SELECT signed_at FROM patient_consents WHERE patient_id = p.id AND consent_type = 'services_consent') as services_consent_signed_at,
                 (SELECT signed_at FROM patient_consents WHERE patient_id = p.id AND consent_type = 'medical_records_consent') as medical_records_consent_signed_at,
-                (SELECT COUNT(*) FROM patient_referrals WHERE patient_id = p.id) as referral_count
+                (SELECT COUNT(*) FROM patient_referrals WHERE patient_id = p.id AND status::text != 'withdrawn') as referral_count
             FROM users u
             JOIN patients p ON u.id = p.user_id
             WHERE u.id = $1
-        `, [decoded.userId]);
+        `, [req.auth.userId]);
 
         if (result.rows.length === 0) {
             return res.status(404).json({
@@ -1286,351 +1160,455 @@ app.get('/api/v1/auth/me', async (req, res) => {
     }
 });
 
-// MARK: - Transplant Center Endpoints
-
-// Get all transplant centers
-app.get('/api/v1/transplant-centers', async (req, res) => {
-    try {
-        const result = await pool.query(`
-            SELECT * FROM transplant_centers 
-            WHERE is_active = true 
-            ORDER BY name
-        `);
+// MARK: - Session Endpoints
 
-        res.json({
-            success: true,
-            data: result.rows
-        });
+// Exchange a refresh token for a new token pair. Each refresh token works once;
+// presenting one that was already used revokes the whole session.
+app.post('/api/v1/auth/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
 
-    } catch (error) {
-        console.error('❌ Error fetching transplant centers:', error);
-        res.status(500).json({
+    if (!refreshToken) {
+        return res.status(400).json({
             success: false,
-            error: 'Failed to retrieve transplant centers'
+            error: 'Refresh token is required'
         });
     }
-});
 
-// Select transplant centers for a patient
-app.post('/api/v1/transplant-centers/select', async (req, res) => {
     try {
-        const { transplantCenterIds } = req.body;
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
-        }
+        const result = await refreshSession(pool, refreshToken, { ip: req.ip || null });
 
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
+        if (result.status === 'invalid') {
             return res.status(401).json({
                 success: false,
-                error: 'Invalid token'
+                error: 'Invalid refresh token'
             });
         }
 
-        if (!transplantCenterIds || !Array.isArray(transplantCenterIds)) {
-            return res.status(400).json({
-                success: false,
-                error: 'transplantCenterIds must be an array'
-            });
+        if (result.status === 'reused') {
+            console.warn(`⚠️ Refresh token reuse detected for user ${result.userId}; session ${result.sessionId} revoked`);
         }
 
-        // Get patient ID and info from user ID
-        const patientResult = await pool.query(`
-            SELECT p.id, u.first_name, u.last_name, u.email, u.phone_number
-            FROM patients p
-            JOIN users u ON p.user_id = u.id
-            WHERE p.user_id = $1
-        `, [decoded.userId]);
-
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({
+        if (result.status !== 'refreshed') {
+            return res.status(401).json({
                 success: false,
-                error: 'Patient not found'
+                error: 'Your session has ended. Please log in again.'
             });
         }
 
-        const patient = patientResult.rows[0];
-        const patientId = patient.id;
-
-        // Clear existing referrals for this patient
-        await pool.query('DELETE FROM patient_referrals WHERE patient_id = $1', [patientId]);
-
-        // Insert new referrals (status: applied is the initial status in the new enum)
-        const referralPromises = transplantCenterIds.map(centerId => 
-            pool.query(`
-                INSERT INTO patient_referrals (
-                    patient_id, transplant_center_id, status, submitted_at, created_at
-                ) VALUES ($1, $2, 'applied', NOW(), NOW())
-            `, [patientId, centerId])
-        );
-
-        await Promise.all(referralPromises);
-
-        // Mark patient as having completed profile and onboarding
-        await pool.query(`
-            UPDATE patients 
-            SET profile_completed = true, onboarding_completed = true, updated_at = NOW()
-            WHERE id = $1
-        `, [patientId]);
+        // The iOS TokenResponse reads the tokens from the top level
+        res.json({
+            success: true,
+            accessToken: result.tokens.accessToken,
+            refreshToken: result.tokens.refreshToken,
+            expiresIn: result.tokens.expiresIn
+        });
 
-        console.log(`✅ Saved ${transplantCenterIds.length} transplant center selections for patient ${patientId}`);
-        console.log(`✅ Updated completion status for patient ${patientId}`);
+    } catch (error) {
+        console.error('❌ Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to refresh session'
+        });
+    }
+});
 
-        // Notify TC admins for each selected transplant center
-        for (const centerId of transplantCenterIds) {
-            try {
-                // Get transplant center info and admin emails
-                const tcResult = await pool.query(`
-                    SELECT tc.name, tc.city, tc.state,
-                           tce.email as admin_email, tce.first_name as admin_first_name, tce.last_name as admin_last_name
-                    FROM transplant_centers tc
-                    LEFT JOIN transplant_center_employees tce ON tc.id = tce.transplant_center_id AND tce.role = 'admin'
-                    WHERE tc.id = $1
-                `, [centerId]);
-
-                if (tcResult.rows.length > 0) {
-                    const tcInfo = tcResult.rows[0];
-                    
-                    // Send notification email to each admin
-                    for (const row of tcResult.rows) {
-                        if (row.admin_email) {
-                            const notificationSubject = `New Patient Referral - ${patient.first_name} ${patient.last_name}`;
-                            
-                            const notificationHTML = `<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <style>
-        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #333; margin: 0; padding: 0; }
-        .container { max-width: 600px; margin: 0 auto; padding: 0; }
-        .header { background: linear-gradient(135deg, #059669 0%, #10b981 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-        .header h1 { margin: 0; font-size: 24px; }
-        .content { background: #ffffff; padding: 30px; }
-        .patient-info { background: #f0fdf4; border-left: 4px solid #059669; padding: 20px; margin: 20px 0; border-radius: 4px; }
-        .patient-info h3 { margin: 0 0 15px 0; color: #059669; }
-        .info-item { margin: 8px 0; font-size: 15px; }
-        .cta-button { background: linear-gradient(135deg, #059669 0%, #10b981 100%); color: white; padding: 14px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: 600; margin: 20px 0; }
-        .footer { background: #f5f5f5; padding: 20px; text-align: center; font-size: 12px; color: #666; border-radius: 0 0 10px 10px; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🏥 New Patient Referral</h1>
-        </div>
-        <div class="content">
-            <p>Hello ${row.admin_first_name || 'Admin'},</p>
-            <p>A new patient has selected <strong>${tcInfo.name}</strong> as one of their transplant centers.</p>
-            
-            <div class="patient-info">
-                <h3>Patient Information</h3>
-                <div class="info-item"><strong>Name:</strong> ${patient.first_name} ${patient.last_name}</div>
-                <div class="info-item"><strong>Email:</strong> ${patient.email}</div>
-                ${patient.phone_number ? `<div class="info-item"><strong>Phone:</strong> ${patient.phone_number}</div>` : ''}
-                <div class="info-item"><strong>Submitted:</strong> ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</div>
-            </div>
-            
-            <p>Please log in to the Transplant Center Portal to review this patient's full information and update their referral status.</p>
-            
-            <div style="text-align: center;">
-                <a href="https://tc.transplantwizard.com/dashboard" class="cta-button">View Patient Details</a>
-            </div>
-        </div>
-        <div class="footer">
-            <p><strong>Transplant Wizard</strong> - Streamlining Patient Referrals</p>
-            <p>🔒 This email contains patient information protected under HIPAA.</p>
-        </div>
-    </div>
-</body>
-</html>`;
-
-                            const notificationText = `New Patient Referral for ${tcInfo.name}
-
-Hello ${row.admin_first_name || 'Admin'},
-
-A new patient has selected ${tcInfo.name} as one of their transplant centers.
-
-Patient Information:
-- Name: ${patient.first_name} ${patient.last_name}
-- Email: ${patient.email}
-${patient.phone_number ? `- Phone: ${patient.phone_number}` : ''}
-- Submitted: ${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}
-
-Please log in to the Transplant Center Portal to review this patient's full information:
-https://tc.transplantwizard.com/dashboard
-
----
-Transplant Wizard - Streamlining Patient Referrals
-This email contains patient information protected under HIPAA.`;
-
-                            const emailResult = await sendEmail(
-                                row.admin_email,
-                                notificationSubject,
-                                notificationHTML,
-                                notificationText
-                            );
-
-                            if (emailResult.success) {
-                                console.log(`✅ Notification sent to TC admin: ${row.admin_email} for ${tcInfo.name}`);
-                            } else {
-                                console.warn(`⚠️  Failed to notify TC admin ${row.admin_email}: ${emailResult.message || emailResult.error}`);
-                            }
-                        }
-                    }
-                    
-                    // Create in-app notifications for ALL TC employees at this center
-                    const tcEmployeesResult = await pool.query(`
-                        SELECT id FROM transplant_center_employees WHERE transplant_center_id = $1
-                    `, [centerId]);
-                    
-                    for (const employee of tcEmployeesResult.rows) {
-                        await pool.query(`
-                            INSERT INTO tc_notifications (
-                                tc_employee_id, patient_id, notification_type, title, message, is_read, created_at
-                            ) VALUES ($1, $2, 'new_referral', 'New Patient Referral', $3, false, NOW())
-                        `, [
-                            employee.id,
-                            patientId,
-                            `${patient.first_name} ${patient.last_name} has selected ${tcInfo.name} as one of their transplant centers.`
-                        ]);
-                    }
-                    console.log(`✅ Created in-app notifications for ${tcEmployeesResult.rows.length} TC employees at ${tcInfo.name}`);
-                }
-            } catch (notifyError) {
-                console.error(`⚠️  Error notifying TC admin for center ${centerId}:`, notifyError.message);
-            }
+// Log out of the current session
+app.post('/api/v1/auth/logout', authenticate('patient'), async (req, res) => {
+    try {
+        if (req.auth.sessionId) {
+            await pool.query(`
+                UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'logout'
+                WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+            `, [req.auth.sessionId, req.auth.userId]);
         }
 
         res.json({
             success: true,
-            message: `Successfully selected ${transplantCenterIds.length} transplant centers`,
-            selectedCenters: transplantCenterIds.length
+            message: 'Logged out successfully'
         });
 
     } catch (error) {
-        console.error('❌ Error selecting transplant centers:', error);
+        console.error('❌ Logout error:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to save transplant center selections'
+            error: 'Failed to log out'
         });
     }
 });
 
-// Get patient's transplant center selections
-app.get('/api/v1/transplant-centers/my-selections', async (req, res) => {
+// List the patient's active sessions and devices
+app.get('/api/v1/auth/sessions', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
+        const result = await queryWithRetry(`
+            SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+            FROM user_sessions
+            WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+            ORDER BY last_used_at DESC
+        `, [req.auth.userId]);
 
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
-        }
+        res.json({
+            success: true,
+            data: result.rows.map(session => ({
+                id: session.id,
+                deviceName: session.device_name,
+                userAgent: session.user_agent,
+                ipAddress: session.ip_address,
+                createdAt: session.created_at,
+                lastUsedAt: session.last_used_at,
+                expiresAt: session.expires_at,
+                current: session.id === req.auth.sessionId
+            }))
+        });
 
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({
+    } catch (error) {
+        console.error('❌ Error listing sessions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list sessions'
+        });
+    }
+});
+
+// Revoke one of the patient's sessions
+app.delete('/api/v1/auth/sessions/:sessionId', authenticate('patient'), async (req, res) => {
+    try {
+        if (!UUID_PATTERN.test(req.params.sessionId)) {
+            return res.status(404).json({
                 success: false,
-                error: 'Invalid token'
+                error: 'Session not found'
             });
         }
 
-        // Get patient ID from user ID
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
+        const result = await pool.query(`
+            UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'revoked_by_user'
+            WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+            RETURNING id
+        `, [req.params.sessionId, req.auth.userId]);
 
-        if (patientResult.rows.length === 0) {
+        if (result.rows.length === 0) {
             return res.status(404).json({
                 success: false,
-                error: 'Patient not found'
+                error: 'Session not found'
             });
         }
 
-        const patientId = patientResult.rows[0].id;
-
-        // Get patient's referrals with center details
-        const result = await pool.query(`
-            SELECT 
-                pr.*,
-                tc.name,
-                tc.city,
-                tc.state,
-                tc.average_wait_time_months
-            FROM patient_referrals pr
-            JOIN transplant_centers tc ON pr.transplant_center_id = tc.id
-            WHERE pr.patient_id = $1
-            ORDER BY pr.submitted_at DESC
-        `, [patientId]);
-
-        // After successful selection, mark profile as completed
-        if (result.rows.length > 0) {
-            await pool.query(`
-                UPDATE patients 
-                SET profile_completed = true, onboarding_completed = true, updated_at = NOW()
-                WHERE id = $1
-            `, [patientId]);
-            console.log(`✅ Updated completion status for patient ${patientId}`);
-        }
+        console.log(`✅ Session ${req.params.sessionId} revoked by user ${req.auth.userId}`);
 
         res.json({
             success: true,
-            data: result.rows
+            message: 'Session revoked'
         });
 
     } catch (error) {
-        console.error('❌ Error fetching patient selections:', error);
+        console.error('❌ Error revoking session:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to retrieve transplant center selections'
+            error: 'Failed to revoke session'
         });
     }
 });
 
-// MARK: - ROI Consent Endpoints
-
-// Sign ROI consent
-app.post('/api/v1/patients/roi-consent', async (req, res) => {
+// Revoke all of the patient's sessions. Pass ?keepCurrent=true to stay signed in on this device.
+app.delete('/api/v1/auth/sessions', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
+        const keepSessionId = req.query.keepCurrent === 'true' ? (req.auth.sessionId || null) : null;
+        const revokedCount = await revokeUserSessions(pool, req.auth.userId, 'revoked_by_user', keepSessionId);
 
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
+        console.log(`✅ ${revokedCount} session(s) revoked by user ${req.auth.userId}`);
+
+        res.json({
+            success: true,
+            message: 'Sessions revoked',
+            revokedCount: revokedCount
+        });
+
+    } catch (error) {
+        console.error('❌ Error revoking sessions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke sessions'
+        });
+    }
+});
+
+// Change password. Every existing session is revoked and this device gets a fresh one.
+app.post('/api/v1/auth/change-password', authenticate('patient'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                error: 'Current and new passwords are required'
+            });
         }
 
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
+        if (newPassword.length < 8) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password must be at least 8 characters long'
+            });
+        }
+
+        const credentialResult = await client.query(`
+            SELECT uc.id, uc.password_hash, u.email
+            FROM users u
+            JOIN patients p ON u.id = p.user_id
+            JOIN user_credentials uc ON uc.patient_id = p.id
+            WHERE u.id = $1
+        `, [req.auth.userId]);
+
+        if (credentialResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const credential = credentialResult.rows[0];
+
+        const passwordValid = await verifyPassword(currentPassword, credential.password_hash);
+        if (!passwordValid) {
             return res.status(401).json({
                 success: false,
-                error: 'Invalid token'
+                error: 'Current password is incorrect'
             });
         }
 
-        // Get patient ID from user ID
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
+        const passwordHash = await hashPassword(newPassword);
+
+        await client.query('BEGIN');
+
+        await client.query(
+            'UPDATE user_credentials SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+            [passwordHash, credential.id]
         );
 
+        const revokedCount = await revokeUserSessions(client, req.auth.userId, 'password_changed');
+
+        const tokens = await createSession(client, {
+            userId: req.auth.userId,
+            email: credential.email,
+            type: 'patient'
+        }, req);
+
+        await client.query('COMMIT');
+
+        console.log(`✅ Password changed for user ${req.auth.userId}; ${revokedCount} session(s) revoked`);
+
+        res.json({
+            success: true,
+            message: 'Password changed successfully',
+            data: {
+                accessToken: tokens.accessToken,
+                refreshToken: tokens.refreshToken,
+                expiresIn: tokens.expiresIn
+            }
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('❌ Password change error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to change password'
+        });
+    } finally {
+        client.release();
+    }
+});
+
+// MARK: - Transplant Center Endpoints
+
+// Get all transplant centers
+app.get('/api/v1/transplant-centers', async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT * FROM transplant_centers 
+            WHERE is_active = true 
+            ORDER BY name
+        `);
+
+        res.json({
+            success: true,
+            data: result.rows,
+            // Programs a referral can be for; each center keeps a document checklist per program
+            organPrograms: Object.entries(ORGAN_PROGRAMS).map(([id, name]) => ({ id, name }))
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching transplant centers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve transplant centers'
+        });
+    }
+});
+
+// Reasons a patient can give for withdrawing a referral
+const WITHDRAWAL_REASON_CODES = {
+    'patient_deselected': 'Patient removed this center from their selections',
+    'chose_other_center': 'Patient chose a different center',
+    'relocated': 'Patient relocated',
+    'no_longer_interested': 'Patient no longer pursuing transplant at this center',
+    'other': 'Other'
+};
+
+// Append a row to referral_status_history for a patient-initiated change
+async function recordReferralHistory(client, referralId, patientId, centerId, fromStatus, toStatus, action, reasonCode = null, note = null) {
+    await client.query(`
+        INSERT INTO referral_status_history (
+            referral_id, patient_id, transplant_center_id, from_status, to_status,
+            action, reason_code, note, changed_by_type
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'patient')
+    `, [referralId, patientId, centerId, fromStatus, toStatus, action, reasonCode, note || null]);
+}
+
+// Bring back a withdrawn referral when its center is selected again. It returns to the status it had
+// before the withdrawal, so the center's review progress is kept; a declined referral stays withdrawn,
+// since only the center can reopen it. Pass organProgram to move the referral to another program.
+// Returns the restored status, or null for a declined referral.
+async function reactivateWithdrawnReferral(client, referralId, patientId, centerId, initialStatus, organProgram = null) {
+    const previous = await client.query(`
+        SELECT from_status
+        FROM referral_status_history
+        WHERE referral_id = $1 AND action = 'withdrawn'
+        ORDER BY created_at DESC
+        LIMIT 1
+    `, [referralId]);
+    // Referrals withdrawn before their history was kept start over
+    const restoredStatus = previous.rows[0]?.from_status || initialStatus;
+
+    if (restoredStatus === 'declined') {
+        return null;
+    }
+
+    await client.query(`
+        UPDATE patient_referrals
+        SET status = $2, organ_program = COALESCE($3, organ_program),
+            submitted_at = COALESCE(submitted_at, NOW()), withdrawn_at = NULL, updated_at = NOW()
+        WHERE id = $1
+    `, [referralId, restoredStatus, organProgram]);
+    await recordReferralHistory(client, referralId, patientId, centerId, 'withdrawn', restoredStatus, 'selected');
+    return restoredStatus;
+}
+
+// Queue in-app notifications for every active employee at a center and emails for its admins that a referral was withdrawn
+async function notifyReferralWithdrawn(db, patient, patientId, centerId, reasonCode) {
+    const centerResult = await db.query('SELECT name FROM transplant_centers WHERE id = $1', [centerId]);
+    const centerName = centerResult.rows.length > 0 ? centerResult.rows[0].name : 'your transplant center';
+    const patientName = `${patient.first_name} ${patient.last_name}`;
+    const reasonLabel = WITHDRAWAL_REASON_CODES[reasonCode] || reasonCode;
+
+    const tcEmployees = await db.query(
+        "SELECT id, email, first_name, role FROM transplant_center_employees WHERE transplant_center_id = $1 AND status = 'active'",
+        [centerId]
+    );
+
+    for (const employee of tcEmployees.rows) {
+        await enqueueTcNotification(db, {
+            tcEmployeeId: employee.id,
+            patientId: patientId,
+            notificationType: 'application_withdrawn',
+            title: 'Application Withdrawn',
+            message: `${patientName} has withdrawn their application from ${centerName}. Reason: ${reasonLabel}.`
+        });
+    }
+
+    for (const admin of tcEmployees.rows.filter(employee => employee.role === 'admin' && employee.email)) {
+        await enqueueEmail(db, {
+            to: admin.email,
+            ...renderEmail('referral-withdrawn', {
+                recipientName: admin.first_name,
+                patientName: patientName,
+                centerName: centerName,
+                reason: reasonLabel
+            }),
+            eventType: 'application_withdrawn',
+            recipientType: 'tc_employee',
+            recipientId: admin.id,
+            patientId: patientId
+        });
+    }
+
+    console.log(`✅ Queued withdrawal notifications for ${tcEmployees.rows.length} TC employees at ${centerName}`);
+}
+
+// Queue in-app notifications for every active employee at a newly selected center and emails for its admins
+async function notifyNewReferral(db, patient, patientId, centerId) {
+    const centerResult = await db.query('SELECT name FROM transplant_centers WHERE id = $1', [centerId]);
+    if (centerResult.rows.length === 0) return;
+    const tcInfo = centerResult.rows[0];
+
+    const tcEmployees = await db.query(
+        "SELECT id, email, first_name, role FROM transplant_center_employees WHERE transplant_center_id = $1 AND status = 'active'",
+        [centerId]
+    );
+
+    for (const admin of tcEmployees.rows.filter(employee => employee.role === 'admin' && employee.email)) {
+        await enqueueEmail(db, {
+            to: admin.email,
+            ...renderEmail('new-referral', {
+                recipientName: admin.first_name,
+                centerName: tcInfo.name,
+                patientName: `${patient.first_name} ${patient.last_name}`,
+                patient: {
+                    name: `${patient.first_name} ${patient.last_name}`,
+                    email: patient.email,
+                    phone: patient.phone_number
+                },
+                submittedAt: new Date(),
+                portalUrl: 'https://tc.transplantwizard.com/dashboard'
+            }),
+            eventType: 'new_referral',
+            recipientType: 'tc_employee',
+            recipientId: admin.id,
+            patientId: patientId
+        });
+    }
+
+    for (const employee of tcEmployees.rows) {
+        await enqueueTcNotification(db, {
+            tcEmployeeId: employee.id,
+            patientId: patientId,
+            notificationType: 'new_referral',
+            title: 'New Patient Referral',
+            message: `${patient.first_name} ${patient.last_name} has selected ${tcInfo.name} as one of their transplant centers.`
+        });
+    }
+
+    console.log(`✅ Queued new referral notifications for ${tcEmployees.rows.length} TC employees at ${tcInfo.name}`);
+}
+
+// Select transplant centers for a patient
+app.post('/api/v1/transplant-centers/select', authenticate('patient'), async (req, res) => {
+    try {
+        const { transplantCenterIds, organProgram } = req.body;
+        if (!transplantCenterIds || !Array.isArray(transplantCenterIds)) {
+            return res.status(400).json({
+                success: false,
+                error: 'transplantCenterIds must be an array'
+            });
+        }
+
+        // The organ program decides which of each center's checklists applies. Without one, new
+        // referrals are kidney referrals and existing ones keep their program.
+        if (organProgram !== undefined && !ORGAN_PROGRAMS[organProgram]) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid organ program'
+            });
+        }
+
+        // Get patient ID and info from user ID
+        const patientResult = await pool.query(`
+            SELECT p.id, u.first_name, u.last_name, u.email, u.phone_number
+            FROM patients p
+            JOIN users u ON p.user_id = u.id
+            WHERE p.user_id = $1
+        `, [req.auth.userId]);
+
         if (patientResult.rows.length === 0) {
             return res.status(404).json({
                 success: false,
@@ -1638,7 +1616,194 @@ app.post('/api/v1/patients/roi-consent', async (req, res) => {
             });
         }
 
-        const patientId = patientResult.rows[0].id;
+        const patient = patientResult.rows[0];
+        const patientId = patient.id;
+
+        const withdrawalReason = req.body.withdrawalReason || 'patient_deselected';
+        if (!WITHDRAWAL_REASON_CODES[withdrawalReason]) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid withdrawal reason'
+            });
+        }
+
+        // Center IDs from the app may be upper-case UUID strings
+        const requestedCenterIds = [...new Set(transplantCenterIds.map(id => String(id).toLowerCase()))];
+        if (!requestedCenterIds.every(id => UUID_PATTERN.test(id))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid transplant center ID'
+            });
+        }
+        const addedCenterIds = [];
+        const withdrawnReferrals = [];
+        // Withdrawn referrals the center had declined, which selecting the center again can't reopen
+        const declinedCenterIds = [];
+
+        // Diff the selection against existing referrals so TC progress is preserved
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const existingResult = await client.query(`
+                SELECT id, transplant_center_id, status::text as status, organ_program
+                FROM patient_referrals
+                WHERE patient_id = $1
+                FOR UPDATE
+            `, [patientId]);
+
+            const existingByCenter = {};
+            existingResult.rows.forEach(row => {
+                existingByCenter[row.transplant_center_id] = row;
+            });
+
+            for (const centerId of requestedCenterIds) {
+                const existing = existingByCenter[centerId];
+
+                if (!existing) {
+                    // New center (status: applied is the initial status in the new enum)
+                    const insertResult = await client.query(`
+                        INSERT INTO patient_referrals (
+                            patient_id, transplant_center_id, status, organ_program, submitted_at, created_at
+                        ) VALUES ($1, $2, 'applied', $3, NOW(), NOW())
+                        RETURNING id
+                    `, [patientId, centerId, organProgram || 'kidney']);
+                    await recordReferralHistory(client, insertResult.rows[0].id, patientId, centerId, null, 'applied', 'selected');
+                    addedCenterIds.push(centerId);
+                } else if (existing.status === 'withdrawn') {
+                    // Previously withdrawn center selected again
+                    if (await reactivateWithdrawnReferral(client, existing.id, patientId, centerId, 'applied', organProgram)) {
+                        addedCenterIds.push(centerId);
+                    } else {
+                        declinedCenterIds.push(centerId);
+                    }
+                } else if (organProgram && existing.organ_program !== organProgram) {
+                    // The patient changed programs; the referral keeps its status and history
+                    await client.query(`
+                        UPDATE patient_referrals SET organ_program = $2, updated_at = NOW() WHERE id = $1
+                    `, [existing.id, organProgram]);
+                }
+                // Existing active referrals keep their status and history
+            }
+
+            if (declinedCenterIds.length > 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({
+                    success: false,
+                    error: 'A transplant center you selected declined your referral. Only the center can reopen it.',
+                    declinedCenterIds
+                });
+            }
+
+            for (const existing of existingResult.rows) {
+                if (existing.status === 'withdrawn' || requestedCenterIds.includes(existing.transplant_center_id)) {
+                    continue;
+                }
+
+                await client.query(`
+                    UPDATE patient_referrals
+                    SET status = 'withdrawn', withdrawn_at = NOW(), updated_at = NOW()
+                    WHERE id = $1
+                `, [existing.id]);
+                await recordReferralHistory(client, existing.id, patientId, existing.transplant_center_id, existing.status, 'withdrawn', 'withdrawn', withdrawalReason, req.body.withdrawalNote);
+                withdrawnReferrals.push(existing);
+            }
+
+            // Mark patient as having completed profile and onboarding
+            await client.query(`
+                UPDATE patients 
+                SET profile_completed = true, onboarding_completed = true, updated_at = NOW()
+                WHERE id = $1
+            `, [patientId]);
+
+            // Notifications are queued with the selection so centers only hear about changes that commit
+            for (const referral of withdrawnReferrals) {
+                await notifyReferralWithdrawn(client, patient, patientId, referral.transplant_center_id, withdrawalReason);
+            }
+            for (const centerId of addedCenterIds) {
+                await notifyNewReferral(client, patient, patientId, centerId);
+            }
+
+            // The selected centers decide which documents the patient is asked for
+            await syncDocumentTodos(client, patientId);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`✅ Saved ${requestedCenterIds.length} transplant center selections for patient ${patientId} (${addedCenterIds.length} added, ${withdrawnReferrals.length} withdrawn)`);
+        console.log(`✅ Updated completion status for patient ${patientId}`);
+
+        res.json({
+            success: true,
+            message: `Successfully selected ${requestedCenterIds.length} transplant centers`,
+            selectedCenters: requestedCenterIds.length,
+            addedCenters: addedCenterIds.length,
+            withdrawnCenters: withdrawnReferrals.length
+        });
+
+    } catch (error) {
+        console.error('❌ Error selecting transplant centers:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save transplant center selections'
+        });
+    }
+});
+
+// Get patient's transplant center selections
+app.get('/api/v1/transplant-centers/my-selections', authenticate('patient'), async (req, res) => {
+    try {
+        const patientId = req.patient.id;
+
+        // Get patient's referrals with center details
+        const result = await pool.query(`
+            SELECT 
+                pr.*,
+                tc.name,
+                tc.city,
+                tc.state,
+                tc.average_wait_time_months
+            FROM patient_referrals pr
+            JOIN transplant_centers tc ON pr.transplant_center_id = tc.id
+            WHERE pr.patient_id = $1 AND pr.status::text != 'withdrawn'
+            ORDER BY pr.submitted_at DESC
+        `, [patientId]);
+
+        // After successful selection, mark profile as completed
+        if (result.rows.length > 0) {
+            await pool.query(`
+                UPDATE patients 
+                SET profile_completed = true, onboarding_completed = true, updated_at = NOW()
+                WHERE id = $1
+            `, [patientId]);
+            console.log(`✅ Updated completion status for patient ${patientId}`);
+        }
+
+        res.json({
+            success: true,
+            data: result.rows
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching patient selections:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve transplant center selections'
+        });
+    }
+});
+
+// MARK: - ROI Consent Endpoints
+
+// Sign ROI consent
+app.post('/api/v1/patients/roi-consent', authenticate('patient'), async (req, res) => {
+    try {
+        const patientId = req.patient.id;
 
         // Check if ROI already exists
         const existingROI = await pool.query(
@@ -1701,28 +1866,8 @@ app.post('/api/v1/patients/roi-consent', async (req, res) => {
 });
 
 // Get ROI consent status
-app.get('/api/v1/patients/roi-consent', async (req, res) => {
+app.get('/api/v1/patients/roi-consent', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid token'
-            });
-        }
-
         // Get patient ID and ROI status
         const result = await pool.query(`
             SELECT 
@@ -1733,10 +1878,10 @@ app.get('/api/v1/patients/roi-consent', async (req, res) => {
                 COUNT(pr.id) as referral_count
             FROM patients p
             LEFT JOIN roi_consents rc ON p.id = rc.patient_id
-            LEFT JOIN patient_referrals pr ON p.id = pr.patient_id
+            LEFT JOIN patient_referrals pr ON p.id = pr.patient_id AND pr.status::text != 'withdrawn'
             WHERE p.user_id = $1
             GROUP BY p.id, p.profile_completed, p.onboarding_completed, rc.signed_at
-        `, [decoded.userId]);
+        `, [req.auth.userId]);
 
         if (result.rows.length === 0) {
             return res.status(404).json({
@@ -1772,28 +1917,8 @@ app.get('/api/v1/patients/roi-consent', async (req, res) => {
 // ============================================
 
 // Submit patient consent (services_consent or medical_records_consent)
-app.post('/api/v1/patients/consent', async (req, res) => {
+app.post('/api/v1/patients/consent', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid token'
-            });
-        }
-
         const { consentType, signatureData } = req.body;
 
         // Validate consent type
@@ -1818,7 +1943,7 @@ app.post('/api/v1/patients/consent', async (req, res) => {
             FROM patients p
             JOIN users u ON p.user_id = u.id
             WHERE p.user_id = $1
-        `, [decoded.userId]);
+        `, [req.auth.userId]);
 
         if (patientResult.rows.length === 0) {
             return res.status(404).json({
@@ -1996,28 +2121,8 @@ app.post('/api/v1/patients/consent', async (req, res) => {
 });
 
 // Get patient consent status
-app.get('/api/v1/patients/consent-status', async (req, res) => {
+app.get('/api/v1/patients/consent-status', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid token'
-            });
-        }
-
         // Get patient ID and consent status
         const result = await pool.query(`
             SELECT 
@@ -2026,7 +2131,7 @@ app.get('/api/v1/patients/consent-status', async (req, res) => {
                 (SELECT signed_at FROM patient_consents WHERE patient_id = p.id AND consent_type = 'medical_records_consent') as medical_records_consent_signed_at
             FROM patients p
             WHERE p.user_id = $1
-        `, [decoded.userId]);
+        `, [req.auth.userId]);
 
         if (result.rows.length === 0) {
             return res.status(404).json({
@@ -2062,28 +2167,8 @@ app.get('/api/v1/patients/consent-status', async (req, res) => {
 // ============================================
 
 // Get patient profile
-app.get('/api/v1/patients/profile', async (req, res) => {
+app.get('/api/v1/patients/profile', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid token'
-            });
-        }
-
         // Get comprehensive patient profile
         const result = await pool.query(`
             SELECT 
@@ -2097,6 +2182,7 @@ app.get('/api/v1/patients/profile', async (req, res) => {
                 p.address,
                 p.primary_care_physician,
                 p.nephrologist,
+                p.preferred_language,
                 pif.full_name,
                 pif.phone,
                 pif.emergency_contact_name,
@@ -2123,7 +2209,7 @@ app.get('/api/v1/patients/profile', async (req, res) => {
             JOIN patients p ON u.id = p.user_id
             LEFT JOIN patient_intake_forms pif ON p.id = pif.patient_id
             WHERE u.id = $1
-        `, [decoded.userId]);
+        `, [req.auth.userId]);
 
         if (result.rows.length === 0) {
             return res.status(404).json({
@@ -2163,7 +2249,8 @@ app.get('/api/v1/patients/profile', async (req, res) => {
                 dialysis_clinic_address: patient.dialysis_unit_address,
                 services_consent_signed_at: patient.services_consent_signed_at,
                 medical_records_consent_signed_at: patient.medical_records_consent_signed_at,
-                intake_form_submitted_at: patient.intake_form_submitted_at
+                intake_form_submitted_at: patient.intake_form_submitted_at,
+                preferred_language: patient.preferred_language
             }
         });
 
@@ -2177,28 +2264,8 @@ app.get('/api/v1/patients/profile', async (req, res) => {
 });
 
 // Update patient profile
-app.put('/api/v1/patients/profile', async (req, res) => {
+app.put('/api/v1/patients/profile', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid token'
-            });
-        }
-
         const {
             full_name,
             date_of_birth,
@@ -2215,24 +2282,19 @@ app.put('/api/v1/patients/profile', async (req, res) => {
             other_physicians,
             last_gfr,
             diagnosed_conditions,
-            past_surgeries
+            past_surgeries,
+            preferred_language
         } = req.body;
 
-        // Get patient ID
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
+        const patientId = req.patient.id;
 
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({
+        if (preferred_language && !Object.values(SUPPORTED_LOCALES).includes(preferred_language)) {
+            return res.status(400).json({
                 success: false,
-                error: 'Patient not found'
+                error: `preferred_language must be one of: ${Object.values(SUPPORTED_LOCALES).join(', ')}`
             });
         }
 
-        const patientId = patientResult.rows[0].id;
-
         // Update users table
         if (email || full_name) {
             const nameParts = full_name ? full_name.split(' ') : [];
@@ -2247,7 +2309,7 @@ app.put('/api/v1/patients/profile', async (req, res) => {
                     phone_number = COALESCE($4, phone_number),
                     updated_at = NOW()
                 WHERE id = $5
-            `, [email, firstName, lastName, phone, decoded.userId]);
+            `, [email, firstName, lastName, phone, req.auth.userId]);
         }
 
         // Update patients table
@@ -2257,9 +2319,10 @@ app.put('/api/v1/patients/profile', async (req, res) => {
                 address = COALESCE($2, address),
                 primary_care_physician = COALESCE($3, primary_care_physician),
                 nephrologist = COALESCE($4, nephrologist),
+                preferred_language = COALESCE($5, preferred_language),
                 updated_at = NOW()
-            WHERE id = $5
-        `, [date_of_birth, address, pcp_name, nephrologist_name, patientId]);
+            WHERE id = $6
+        `, [date_of_birth, address, pcp_name, nephrologist_name, preferred_language, patientId]);
 
         // Update intake form if exists
         const intakeExists = await pool.query(
@@ -2306,32 +2369,15 @@ app.put('/api/v1/patients/profile', async (req, res) => {
 });
 
 // Delete patient account
-app.delete('/api/v1/patients/account', async (req, res) => {
+app.delete('/api/v1/patients/account', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid token'
-            });
-        }
+        // Revoke sessions first so refresh tokens stop working even if the delete fails partway
+        await revokeUserSessions(pool, req.auth.userId, 'account_deleted');
 
         // Delete user - CASCADE will handle related records
-        await pool.query('DELETE FROM users WHERE id = $1', [decoded.userId]);
+        await pool.query('DELETE FROM users WHERE id = $1', [req.auth.userId]);
 
-        console.log(`✅ Account deleted for user ${decoded.userId}`);
+        console.log(`✅ Account deleted for user ${req.auth.userId}`);
 
         res.json({
             success: true,
@@ -2352,42 +2398,9 @@ app.delete('/api/v1/patients/account', async (req, res) => {
 // ============================================
 
 // Get patient's transplant centers with status
-app.get('/api/v1/patients/centers', async (req, res) => {
+app.get('/api/v1/patients/centers', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid token'
-            });
-        }
-
-        // Get patient ID
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
-
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: 'Patient not found'
-            });
-        }
-
-        const patientId = patientResult.rows[0].id;
+        const patientId = req.patient.id;
 
         // Get patient's centers with status (status values: applied, under_review, accepted, waitlisted, declined)
         const result = await pool.query(`
@@ -2400,10 +2413,11 @@ app.get('/api/v1/patients/centers', async (req, res) => {
                 tc.phone,
                 tc.email,
                 pr.status::text as status,
+                pr.organ_program,
                 pr.submitted_at as applied_at
             FROM patient_referrals pr
             JOIN transplant_centers tc ON pr.transplant_center_id = tc.id
-            WHERE pr.patient_id = $1
+            WHERE pr.patient_id = $1 AND pr.status::text != 'withdrawn'
             ORDER BY pr.submitted_at DESC
         `, [patientId]);
 
@@ -2422,111 +2436,88 @@ app.get('/api/v1/patients/centers', async (req, res) => {
 });
 
 // Add a transplant center for patient
-app.post('/api/v1/patients/centers', async (req, res) => {
+app.post('/api/v1/patients/centers', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                error: 'Authentication required'
-            });
-        }
+        const { center_id, organ_program } = req.body;
 
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({
+        if (!center_id) {
+            return res.status(400).json({
                 success: false,
-                error: 'Invalid token'
+                error: 'Center ID is required'
             });
         }
 
-        const { center_id } = req.body;
-
-        if (!center_id) {
+        if (!UUID_PATTERN.test(String(center_id))) {
             return res.status(400).json({
                 success: false,
-                error: 'Center ID is required'
+                error: 'Invalid transplant center ID'
             });
         }
 
-        // Get patient ID
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
-
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({
+        if (organ_program !== undefined && !ORGAN_PROGRAMS[organ_program]) {
+            return res.status(400).json({
                 success: false,
-                error: 'Patient not found'
+                error: 'Invalid organ program'
             });
         }
 
-        const patientId = patientResult.rows[0].id;
+        const patientId = req.patient.id;
 
         // Check if already added
         const existing = await pool.query(
-            'SELECT id FROM patient_referrals WHERE patient_id = $1 AND transplant_center_id = $2',
+            'SELECT id, status::text as status FROM patient_referrals WHERE patient_id = $1 AND transplant_center_id = $2',
             [patientId, center_id]
         );
 
-        if (existing.rows.length > 0) {
+        if (existing.rows.length > 0 && existing.rows[0].status !== 'withdrawn') {
             return res.status(400).json({
                 success: false,
                 error: 'Center already added'
             });
         }
 
-        // Add the center (use 'submitted' status which is valid in the enum)
-        await pool.query(`
-            INSERT INTO patient_referrals (patient_id, transplant_center_id, status, submitted_at, created_at)
-            VALUES ($1, $2, 'submitted', NOW(), NOW())
-        `, [patientId, center_id]);
-
-        console.log(`✅ Center ${center_id} added for patient ${patientId}`);
-
-        // Try to notify the transplant center (non-blocking - don't fail if TC tables don't exist)
-        try {
-            const centerResult = await pool.query(
-                'SELECT name FROM transplant_centers WHERE id = $1',
-                [center_id]
-            );
-
-            if (centerResult.rows.length > 0) {
-                const centerName = centerResult.rows[0].name;
-                
-                const patientInfo = await pool.query(
-                    'SELECT u.first_name, u.last_name FROM users u JOIN patients p ON u.id = p.user_id WHERE p.id = $1',
-                    [patientId]
-                );
-                const patientName = patientInfo.rows.length > 0 ? 
-                    `${patientInfo.rows[0].first_name} ${patientInfo.rows[0].last_name}` : 'A patient';
-
-                // Create notification for ALL TC employees at this center
-                const tcEmployees = await pool.query(
-                    'SELECT id FROM transplant_center_employees WHERE transplant_center_id = $1',
-                    [center_id]
-                );
+        const patientInfo = await pool.query(
+            'SELECT u.first_name, u.last_name, u.email, u.phone_number FROM users u JOIN patients p ON u.id = p.user_id WHERE p.id = $1',
+            [patientId]
+        );
+        const patient = patientInfo.rows[0];
 
-                for (const employee of tcEmployees.rows) {
-                    await pool.query(`
-                        INSERT INTO tc_notifications (tc_employee_id, patient_id, notification_type, title, message, is_read, created_at)
-                        VALUES ($1, $2, 'new_referral', 'New Patient Referral', $3, false, NOW())
-                    `, [employee.id, patientId, `${patientName} has selected ${centerName} as one of their transplant centers.`]);
-                }
-                
-                if (tcEmployees.rows.length > 0) {
-                    console.log(`✅ Created in-app notifications for ${tcEmployees.rows.length} TC employees at ${centerName}`);
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            if (existing.rows.length > 0) {
+                // Re-adding a withdrawn center picks that referral up where it was withdrawn
+                if (!await reactivateWithdrawnReferral(client, existing.rows[0].id, patientId, center_id, 'submitted', organ_program)) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({
+                        success: false,
+                        error: 'This transplant center declined your referral. Only the center can reopen it.'
+                    });
                 }
+            } else {
+                // Add the center (use 'submitted' status which is valid in the enum)
+                const insertResult = await client.query(`
+                    INSERT INTO patient_referrals (patient_id, transplant_center_id, status, organ_program, submitted_at, created_at)
+                    VALUES ($1, $2, 'submitted', $3, NOW(), NOW())
+                    RETURNING id
+                `, [patientId, center_id, organ_program || 'kidney']);
+                await recordReferralHistory(client, insertResult.rows[0].id, patientId, center_id, null, 'submitted', 'selected');
             }
-        } catch (notifyError) {
-            console.log('⚠️ Could not notify TC (table may not exist yet):', notifyError.message);
+
+            await notifyNewReferral(client, patient, patientId, center_id);
+            await syncDocumentTodos(client, patientId);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
         }
 
+        console.log(`✅ Center ${center_id} added for patient ${patientId}`);
+
         res.json({
             success: true,
             message: 'Center added successfully'
@@ -2542,77 +2533,69 @@ app.post('/api/v1/patients/centers', async (req, res) => {
 });
 
 // Remove a transplant center for patient
-app.delete('/api/v1/patients/centers/:centerId', async (req, res) => {
+app.delete('/api/v1/patients/centers/:centerId', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
+        const { centerId } = req.params;
 
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
+        const patientId = req.patient.id;
+
+        const withdrawalReason = req.body && req.body.reason ? req.body.reason : 'patient_deselected';
+        if (!WITHDRAWAL_REASON_CODES[withdrawalReason]) {
+            return res.status(400).json({
                 success: false,
-                error: 'Authentication required'
+                error: 'Invalid withdrawal reason'
             });
         }
 
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({
+        if (!UUID_PATTERN.test(centerId)) {
+            return res.status(404).json({
                 success: false,
-                error: 'Invalid token'
+                error: 'Center not found in your selections'
             });
         }
 
-        const { centerId } = req.params;
-
-        // Get patient ID
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
+        const referralResult = await pool.query(
+            'SELECT id, status::text as status FROM patient_referrals WHERE patient_id = $1 AND transplant_center_id = $2',
+            [patientId, centerId]
         );
 
-        if (patientResult.rows.length === 0) {
+        if (referralResult.rows.length === 0 || referralResult.rows[0].status === 'withdrawn') {
             return res.status(404).json({
                 success: false,
-                error: 'Patient not found'
+                error: 'Center not found in your selections'
             });
         }
 
-        const patientId = patientResult.rows[0].id;
+        const referral = referralResult.rows[0];
 
-        // Remove the center
-        await pool.query(
-            'DELETE FROM patient_referrals WHERE patient_id = $1 AND transplant_center_id = $2',
-            [patientId, centerId]
+        const patientInfo = await pool.query(
+            'SELECT u.first_name, u.last_name FROM users u JOIN patients p ON u.id = p.user_id WHERE p.id = $1',
+            [patientId]
         );
+        const patient = patientInfo.rows[0] || { first_name: 'A', last_name: 'patient' };
 
-        console.log(`✅ Center ${centerId} removed for patient ${patientId}`);
-
-        // Try to notify the transplant center (non-blocking - don't fail if TC tables don't exist)
+        // Withdraw rather than delete so the TC keeps the referral and its history
+        const client = await pool.connect();
         try {
-            const patientInfo = await pool.query(
-                'SELECT u.first_name, u.last_name FROM users u JOIN patients p ON u.id = p.user_id WHERE p.id = $1',
-                [patientId]
-            );
-            const patientName = patientInfo.rows.length > 0 ? 
-                `${patientInfo.rows[0].first_name} ${patientInfo.rows[0].last_name}` : 'A patient';
-
-            const tcEmployees = await pool.query(
-                'SELECT id FROM tc_employees WHERE transplant_center_id = $1',
-                [centerId]
-            );
-
-            for (const employee of tcEmployees.rows) {
-                await pool.query(`
-                    INSERT INTO tc_notifications (tc_employee_id, patient_id, notification_type, title, message, is_read, created_at)
-                    VALUES ($1, $2, 'application_withdrawn', 'Application Withdrawn', $3, false, NOW())
-                `, [employee.id, patientId, `${patientName} has withdrawn their application from your transplant center.`]);
-            }
-        } catch (notifyError) {
-            console.log('⚠️ Could not notify TC (table may not exist yet):', notifyError.message);
+            await client.query('BEGIN');
+            await client.query(`
+                UPDATE patient_referrals
+                SET status = 'withdrawn', withdrawn_at = NOW(), updated_at = NOW()
+                WHERE id = $1
+            `, [referral.id]);
+            await recordReferralHistory(client, referral.id, patientId, centerId, referral.status, 'withdrawn', 'withdrawn', withdrawalReason, req.body && req.body.note);
+            await notifyReferralWithdrawn(client, patient, patientId, centerId, withdrawalReason);
+            await syncDocumentTodos(client, patientId);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
         }
 
+        console.log(`✅ Center ${centerId} withdrawn for patient ${patientId}`);
+
         res.json({
             success: true,
             message: 'Center removed successfully'
@@ -2631,77 +2614,110 @@ app.delete('/api/v1/patients/centers/:centerId', async (req, res) => {
 // PATIENT MESSAGING ENDPOINTS
 // ============================================
 
-// Send message to social worker
-app.post('/api/v1/patients/messages/social-worker', async (req, res) => {
+// Send a message to the patient's assigned social worker.
+// Optional: threadId to reply in an existing thread, subject to start a new one (otherwise the most recent
+// thread is continued), and an attachment - either an uploaded `attachment` file or attachmentDocumentId
+// of one of the patient's documents.
+app.post('/api/v1/patients/messages/social-worker', authenticate('patient'), upload.single('attachment'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
+        const { message, threadId, subject, attachmentDocumentId } = req.body;
+        const patientId = req.patient.id;
 
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
+        const contentError = validateMessageContent(message);
+        if (contentError) {
+            return res.status(400).json({
                 success: false,
-                error: 'Authentication required'
+                error: contentError
             });
         }
 
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({
+        const dusw = await getAssignedDusw(pool, patientId);
+        if (!dusw) {
+            return res.status(404).json({
                 success: false,
-                error: 'Invalid token'
+                error: 'No social worker is assigned to you yet'
             });
         }
 
-        const { message } = req.body;
+        let thread = null;
+        if (threadId) {
+            thread = await getThread(pool, threadId);
+            if (!thread || thread.patient_id !== patientId) {
+                return res.status(404).json({ success: false, error: 'Conversation not found' });
+            }
+            if (thread.dusw_id !== dusw.id) {
+                return res.status(409).json({ success: false, error: 'Your social worker has changed. Please start a new conversation.' });
+            }
+        } else if (!subject) {
+            const threads = await listThreads(pool, { patientId: patientId, readerType: 'patient' });
+            thread = threads.find(t => t.dusw_id === dusw.id) || null;
+        }
 
-        if (!message?.trim()) {
-            return res.status(400).json({
-                success: false,
-                error: 'Message is required'
-            });
+        if (attachmentDocumentId) {
+            const ownDocument = await pool.query(
+                'SELECT id FROM patient_documents WHERE id = $1 AND patient_id = $2 AND deleted_at IS NULL',
+                [attachmentDocumentId, patientId]
+            );
+            if (ownDocument.rows.length === 0) {
+                return res.status(404).json({ success: false, error: 'Attachment document not found' });
+            }
         }
 
-        // Get patient ID and social worker info
-        const patientResult = await pool.query(`
-            SELECT 
-                p.id as patient_id,
-                u.first_name,
-                u.last_name,
-                pif.social_worker_email,
-                pif.social_worker_name
-            FROM patients p
-            JOIN users u ON p.user_id = u.id
-            LEFT JOIN patient_intake_forms pif ON p.id = pif.patient_id
-            WHERE p.user_id = $1
-        `, [decoded.userId]);
+        // Upload the attachment before the transaction, like document uploads
+        const attachment = req.file ? await storeMessageAttachment(patientId, req.file) : null;
 
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({
-                success: false,
-                error: 'Patient not found'
-            });
-        }
+        const client = await pool.connect();
+        let sent;
+        try {
+            await client.query('BEGIN');
+
+            if (!thread) {
+                thread = await createThread(client, {
+                    patientId: patientId,
+                    duswId: dusw.id,
+                    subject: (subject || 'Message to my social worker').trim().substring(0, 200),
+                    startedByType: 'patient'
+                });
+            }
 
-        const patient = patientResult.rows[0];
+            let documentId = attachmentDocumentId || null;
+            if (attachment) {
+                const docResult = await client.query(`
+                    INSERT INTO patient_documents (
+                        patient_id, document_type, file_name, file_size, mime_type,
+                        s3_key, s3_bucket, upload_status, is_front, document_group_id
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'completed', true, $8)
+                    RETURNING id
+                `, [
+                    patientId, MESSAGE_ATTACHMENT_TYPE, attachment.file.originalname, attachment.file.size,
+                    attachment.file.mimetype, attachment.s3Key, S3_CONFIG.bucket, attachment.documentGroupId
+                ]);
+                documentId = docResult.rows[0].id;
+            }
 
-        // Store the message
-        await pool.query(`
-            INSERT INTO patient_messages (patient_id, message_type, content, sender_type, created_at)
-            VALUES ($1, 'social_worker', $2, 'patient', NOW())
-        `, [patient.patient_id, message]);
+            sent = await addMessage(client, thread, {
+                senderType: 'patient',
+                content: message.trim(),
+                attachmentDocumentId: documentId
+            });
 
-        // TODO: Send email notification to social worker if email exists
-        if (patient.social_worker_email) {
-            console.log(`📧 Would send email to ${patient.social_worker_email}`);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
         }
 
-        console.log(`✅ Message sent to social worker for patient ${patient.patient_id}`);
+        console.log(`✅ Message sent to social worker for patient ${patientId}`);
 
         res.json({
             success: true,
-            message: 'Message sent successfully'
+            message: 'Message sent successfully',
+            data: {
+                threadId: thread.id,
+                message: sent
+            }
         });
 
     } catch (error) {
@@ -2713,6 +2729,28 @@ app.post('/api/v1/patients/messages/social-worker', async (req, res) => {
     }
 });
 
+// Upload a message attachment to the document store; the caller inserts the patient_documents row
+async function storeMessageAttachment(patientId, file) {
+    const documentGroupId = uuidv4();
+    const fileExtension = file.originalname.split('.').pop() || 'pdf';
+    const s3Key = `patients/${patientId}/documents/${MESSAGE_ATTACHMENT_TYPE}/${documentGroupId}/file.${fileExtension}`;
+
+    await s3Client.send(new PutObjectCommand({
+        Bucket: S3_CONFIG.bucket,
+        Key: s3Key,
+        Body: file.buffer,
+        ContentType: file.mimetype,
+        ServerSideEncryption: 'AES256',
+        Metadata: {
+            'patient-id': String(patientId),
+            'document-type': MESSAGE_ATTACHMENT_TYPE,
+            'original-filename': String(file.originalname)
+        }
+    }));
+
+    return { file, s3Key, documentGroupId };
+}
+
 // Lookup Referral by Email - for mobile app first-launch flow
 app.post('/api/v1/patient/referral/lookup', async (req, res) => {
     try {
@@ -2822,24 +2860,6 @@ app.get('/api/social-workers', async (req, res) => {
 
 // MARK: - Document Upload Endpoints
 
-// Document types configuration
-const DOCUMENT_TYPES = {
-    'insurance_card': { name: 'Insurance Card', requiresFrontBack: true },
-    'medication_list': { name: 'Medication list', requiresFrontBack: false },
-    'government_id': { name: 'Government-Issued ID', requiresFrontBack: false },
-    'medical_records': { name: 'Medical Records', requiresFrontBack: false },
-    'lab_results': { name: 'Lab Results', requiresFrontBack: false },
-    'referral_letter': { name: 'Referral Letter', requiresFrontBack: false },
-    'immunization_record': { name: 'Immunization record', requiresFrontBack: false },
-    'current_labs': { name: 'One week of current labs', requiresFrontBack: false },
-    'medicare_2728': { name: 'Medicare 2728 form', requiresFrontBack: false },
-    'social_work_summary': { name: 'Social work summary', requiresFrontBack: false },
-    'dietitian_summary': { name: 'Dietitian summary', requiresFrontBack: false },
-    'care_plan_notes': { name: 'Recent care plan or progress notes', requiresFrontBack: false },
-    'dialysis_shift': { name: 'Hemodialysis/Peritoneal Shift', requiresFrontBack: false },
-    'other': { name: 'Other Document', requiresFrontBack: false }
-};
-
 // Get document types list
 app.get('/api/v1/documents/types', (req, res) => {
     res.json({
@@ -2852,26 +2872,43 @@ app.get('/api/v1/documents/types', (req, res) => {
     });
 });
 
-// Upload document
-app.post('/api/v1/documents/upload', upload.array('files', 10), async (req, res) => {
-    console.log('📄 Document upload request received');
+// Documents the patient's selected transplant centers require, and which are still missing or too old
+app.get('/api/v1/documents/checklist', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            console.log('❌ Upload failed: No auth header');
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
+        const checklist = await getPatientChecklist(pool, req.patient.id);
 
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            console.log('❌ Upload failed: Invalid token');
-            return res.status(401).json({ success: false, error: 'Invalid token' });
-        }
+        res.json({
+            success: true,
+            data: {
+                isComplete: checklist.isComplete,
+                requiredCount: checklist.requiredCount,
+                completedRequiredCount: checklist.completedRequiredCount,
+                items: checklist.items.map(item => ({
+                    documentType: item.documentType,
+                    name: item.name,
+                    isRequired: item.isRequired,
+                    maxAgeDays: item.maxAgeDays,
+                    status: item.status,
+                    lastUploadedAt: item.latestUploadAt,
+                    effectiveDate: item.effectiveDate,
+                    currentUntil: item.currentUntil,
+                    centers: item.centers.map(center => center.centerName)
+                }))
+            }
+        });
 
-        const { documentType, isFront } = req.body;
+    } catch (error) {
+        console.error('❌ Error fetching document checklist:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch document checklist' });
+    }
+});
+
+// Upload document. With replacesDocumentId the upload becomes the next version of that document, which is
+// kept (in S3 and the database) as superseded.
+app.post('/api/v1/documents/upload', authenticate('patient'), upload.array('files', 10), async (req, res) => {
+    console.log('📄 Document upload request received');
+    try {
+        const { documentType, isFront, replacesDocumentId } = req.body;
         const files = req.files;
         console.log(`📄 Upload: documentType=${documentType}, files=${files?.length || 0}`);
 
@@ -2883,128 +2920,162 @@ app.post('/api/v1/documents/upload', upload.array('files', 10), async (req, res)
             return res.status(400).json({ success: false, error: 'Invalid document type' });
         }
 
-        // Get patient ID
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
+        const patientId = req.patient.id;
 
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
+        // Check the replaced document before storing anything
+        if (replacesDocumentId) {
+            const replaced = await findCurrentDocument(pool, { patientId, documentId: replacesDocumentId });
+            if (!replaced) {
+                return res.status(404).json({ success: false, error: 'Document to replace not found' });
+            }
+            if (replaced.document_type !== documentType) {
+                return res.status(400).json({ success: false, error: 'A replacement must be the same document type' });
+            }
         }
 
-        const patientId = patientResult.rows[0].id;
         const documentGroupId = uuidv4();
         const uploadedDocs = [];
 
-        for (let i = 0; i < files.length; i++) {
-            const file = files[i];
-            const fileExtension = file.originalname.split('.').pop() || 'jpg';
-            const s3Key = `patients/${patientId}/documents/${documentType}/${documentGroupId}/${i === 0 ? 'front' : 'back'}.${fileExtension}`;
+        // Store the originals in upload order, plus the group assembled into one PDF
+        console.log(`📄 Uploading ${files.length} file(s) to S3 for group ${documentGroupId}`);
+        const { originals, assembly } = await storeDocumentGroup(s3Client, {
+            bucket: S3_CONFIG.bucket,
+            patientId: patientId,
+            documentType: documentType,
+            documentGroupId: documentGroupId,
+            files: files,
+            title: documentTypeName(documentType)
+        });
+        console.log(`✅ ${originals.length} file(s) uploaded to S3 successfully`);
 
-            // Upload to S3
-            console.log(`📄 Uploading file ${i + 1}/${files.length} to S3: ${s3Key}`);
-            const putCommand = new PutObjectCommand({
-                Bucket: S3_CONFIG.bucket,
-                Key: s3Key,
-                Body: file.buffer,
-                ContentType: file.mimetype,
-                ServerSideEncryption: 'AES256',
-                Metadata: {
-                    'patient-id': String(patientId),
-                    'document-type': String(documentType),
-                    'original-filename': String(file.originalname)
-                }
-            });
+        // New uploads are current as of today until extraction or review finds the lab date
+        const effectiveDate = toIsoDate(new Date());
+        const expiryDate = expiryDateFor(documentType, effectiveDate);
 
-            await s3Client.send(putCommand);
-            console.log(`✅ File ${i + 1} uploaded to S3 successfully`);
+        // Document rows, notifications and todo updates commit together
+        const client = await pool.connect();
+        let replaced = null;
+        try {
+            await client.query('BEGIN');
 
-            // Save to database
-            const docResult = await pool.query(`
-                INSERT INTO patient_documents (
-                    patient_id, document_type, file_name, file_size, mime_type,
-                    s3_key, s3_bucket, upload_status, is_front, document_group_id
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'completed', $8, $9)
-                RETURNING id, document_type, file_name, is_front, created_at
-            `, [
-                patientId, documentType, file.originalname, file.size, file.mimetype,
-                s3Key, S3_CONFIG.bucket, i === 0, documentGroupId
-            ]);
+            if (replacesDocumentId) {
+                replaced = await findCurrentDocument(client, { patientId, documentId: replacesDocumentId, forUpdate: true });
+                if (!replaced) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({ success: false, error: 'This document was already replaced or deleted' });
+                }
+                await supersedeDocument(client, replaced, documentGroupId);
+            }
 
-            uploadedDocs.push(docResult.rows[0]);
-        }
+            for (const { file, s3Key, pageNumber } of originals) {
+                const docResult = await client.query(`
+                    INSERT INTO patient_documents (
+                        patient_id, document_type, file_name, file_size, mime_type,
+                        s3_key, s3_bucket, upload_status, is_front, document_group_id,
+                        effective_date, expiry_date, version, supersedes_group_id, page_number
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'completed', $8, $9, $10, $11, $12, $13, $14)
+                    RETURNING id, document_type, file_name, is_front, page_number, created_at, effective_date, expiry_date, version
+                `, [
+                    patientId, documentType, file.originalname, file.size, file.mimetype,
+                    s3Key, S3_CONFIG.bucket, pageNumber === 1, documentGroupId, effectiveDate, expiryDate,
+                    replaced ? replaced.version + 1 : 1, replaced ? replaced.document_group_id : null, pageNumber
+                ]);
 
-        // Get patient info and selected transplant centers for notifications
-        const patientInfo = await pool.query(`
-            SELECT u.first_name, u.last_name, u.email
-            FROM users u
-            JOIN patients p ON u.id = p.user_id
-            WHERE p.id = $1
-        `, [patientId]);
+                uploadedDocs.push(docResult.rows[0]);
+            }
 
-        const patient = patientInfo.rows[0];
+            if (assembly) {
+                await recordAssembly(client, { patientId, documentType, documentGroupId, bucket: S3_CONFIG.bucket, assembly });
+            }
 
-        // Notify TC admins about new document
-        const referrals = await pool.query(`
-            SELECT DISTINCT tc.id, tc.name, tce.email as admin_email, tce.first_name as admin_first_name
-            FROM patient_referrals pr
-            JOIN transplant_centers tc ON pr.transplant_center_id = tc.id
-            LEFT JOIN transplant_center_employees tce ON tc.id = tce.transplant_center_id AND tce.role = 'admin'
-            WHERE pr.patient_id = $1
-        `, [patientId]);
+            // Get patient info and selected transplant centers for notifications
+            const patientInfo = await client.query(`
+                SELECT u.first_name, u.last_name, u.email
+                FROM users u
+                JOIN patients p ON u.id = p.user_id
+                WHERE p.id = $1
+            `, [patientId]);
 
-        // Get all TC employees for notifications
-        const tcEmployeesResult = await pool.query(`
-            SELECT DISTINCT tce.id, tce.email, tc.name as center_name
-            FROM patient_referrals pr
-            JOIN transplant_centers tc ON pr.transplant_center_id = tc.id
-            JOIN transplant_center_employees tce ON tc.id = tce.transplant_center_id
-            WHERE pr.patient_id = $1
-        `, [patientId]);
+            const patient = patientInfo.rows[0];
+
+            // Get all TC employees for notifications
+            const tcEmployeesResult = await client.query(`
+                SELECT DISTINCT tce.id, tce.email, tc.name as center_name
+                FROM patient_referrals pr
+                JOIN transplant_centers tc ON pr.transplant_center_id = tc.id
+                JOIN transplant_center_employees tce ON tc.id = tce.transplant_center_id
+                WHERE pr.patient_id = $1 AND pr.status::text != 'withdrawn'
+            `, [patientId]);
 
-        const docTypeName = DOCUMENT_TYPES[documentType]?.name || documentType;
+            const docTypeName = DOCUMENT_TYPES[documentType]?.name || documentType;
+
+            for (const employee of tcEmployeesResult.rows) {
+                await enqueueTcNotification(client, {
+                    tcEmployeeId: employee.id,
+                    patientId: patientId,
+                    notificationType: 'new_document',
+                    title: replaced ? 'Document Replaced' : 'New Document Uploaded',
+                    message: replaced
+                        ? `${patient.first_name} ${patient.last_name} has replaced their ${docTypeName} with a new version.`
+                        : `${patient.first_name} ${patient.last_name} has uploaded a new ${docTypeName}.`
+                });
 
-        for (const employee of tcEmployeesResult.rows) {
-            // Add to tc_notifications table
-            await pool.query(`
-                INSERT INTO tc_notifications (tc_employee_id, patient_id, notification_type, title, message, is_read, created_at)
-                VALUES ($1, $2, 'new_document', 'New Document Uploaded', $3, false, NOW())
-            `, [employee.id, patientId, `${patient.first_name} ${patient.last_name} has uploaded a new ${docTypeName}.`]);
-            
-            // Send email notification
-            if (employee.email) {
-                await sendEmail(
-                    employee.email,
-                    `New Document Uploaded - ${patient.first_name} ${patient.last_name}`,
-                    `<h2>New Patient Document</h2>
-                    <p>Patient <strong>${patient.first_name} ${patient.last_name}</strong> has uploaded a new document.</p>
-                    <p><strong>Document Type:</strong> ${docTypeName}</p>
-                    <p>Please log in to the <a href="https://tc.transplantwizard.com/dashboard">TC Portal</a> to view the document.</p>`,
-                    `New document uploaded by ${patient.first_name} ${patient.last_name}. Document Type: ${docTypeName}. View at https://tc.transplantwizard.com/dashboard`
-                );
+                if (employee.email) {
+                    await enqueueEmail(client, {
+                        to: employee.email,
+                        ...renderEmail('document-uploaded', {
+                            patientName: `${patient.first_name} ${patient.last_name}`,
+                            documentType: docTypeName,
+                            portalUrl: 'https://tc.transplantwizard.com/dashboard'
+                        }),
+                        eventType: 'new_document',
+                        recipientType: 'tc_employee',
+                        recipientId: employee.id,
+                        patientId: patientId
+                    });
+                }
             }
-        }
-        console.log(`✅ Document notifications sent to ${tcEmployeesResult.rows.length} TC employees`);
+            console.log(`✅ Document notifications queued for ${tcEmployeesResult.rows.length} TC employees`);
+
+            // Close any transplant center requests for this document type
+            await fulfillDocumentRequests(client, {
+                patientId: patientId,
+                documentType: documentType,
+                documentId: uploadedDocs[0].id,
+                uploadedBy: 'patient'
+            });
 
-        // Remove from todo list if this was a required document
-        await pool.query(`
-            UPDATE patient_todos 
-            SET status = 'completed', completed_at = NOW(), updated_at = NOW()
-            WHERE patient_id = $1 AND todo_type = 'document_upload' AND metadata->>'documentType' = $2 AND status = 'pending'
-        `, [patientId, documentType]);
+            // Check off the document checklist and create the intake form todo once it is complete
+            await syncDocumentTodos(client, patientId);
+            await checkAndCreateIntakeFormTodo(client, patientId);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
 
         console.log(`✅ Document uploaded: ${documentType} for patient ${patientId}`);
 
-        // Check if all document todos are complete and create intake form todo if so
-        await checkAndCreateIntakeFormTodo(patientId);
+        if (replaced) {
+            await logDocumentEvent(auditLogger, replaced, { type: 'patient', id: req.auth.userId }, 'document_replaced',
+                `Patient replaced ${documentTypeName(documentType)} (version ${replaced.version})`, {
+                    metadata: { replaced_by_group_id: documentGroupId },
+                    ipAddress: req.ip,
+                    userAgent: req.get('user-agent')
+                });
+        }
 
         res.json({
             success: true,
-            message: 'Document uploaded successfully',
+            message: replaced ? 'Document replaced successfully' : 'Document uploaded successfully',
             data: {
                 documents: uploadedDocs,
-                groupId: documentGroupId
+                groupId: documentGroupId,
+                version: uploadedDocs[0].version,
+                assembledPageCount: assembly ? assembly.pageCount : null
             }
         });
 
@@ -3014,38 +3085,17 @@ app.post('/api/v1/documents/upload', upload.array('files', 10), async (req, res)
     }
 });
 
-// Get patient's documents
-app.get('/api/v1/documents', async (req, res) => {
+// Get patient's current documents (replaced and deleted versions are kept but not listed)
+app.get('/api/v1/documents', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({ success: false, error: 'Invalid token' });
-        }
-
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
-
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
-        }
-
-        const patientId = patientResult.rows[0].id;
+        const patientId = req.patient.id;
 
         const documents = await pool.query(`
             SELECT id, document_type, file_name, file_size, mime_type, is_front, 
-                   document_group_id, upload_status, created_at
+                   document_group_id, upload_status, created_at, effective_date, expiry_date, version
             FROM patient_documents
-            WHERE patient_id = $1
+            WHERE patient_id = $1 AND document_type != 'care_team_attachment'
+              AND superseded_at IS NULL AND deleted_at IS NULL
             ORDER BY created_at DESC
         `, [patientId]);
 
@@ -3060,38 +3110,75 @@ app.get('/api/v1/documents', async (req, res) => {
     }
 });
 
-// Get document download URL (pre-signed)
-app.get('/api/v1/documents/:documentId/url', async (req, res) => {
+// Delete a document (both sides of a card). The deletion is soft: the files and rows are kept for audit,
+// but the document no longer counts toward the checklist, so its todo reopens if it was required.
+app.delete('/api/v1/documents/:documentId', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
+        const patientId = req.patient.id;
+        const principal = { type: 'patient', id: req.auth.userId };
 
-        const token = authHeader.substring(7);
-        let decoded;
+        const client = await pool.connect();
+        let document;
         try {
-            decoded = verifyToken(token);
+            await client.query('BEGIN');
+
+            document = await findCurrentDocument(client, { patientId, documentId: req.params.documentId, forUpdate: true });
+            if (!document) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ success: false, error: 'Document not found' });
+            }
+
+            await deleteDocument(client, document, principal, req.body && req.body.reason);
+            await syncDocumentTodos(client, patientId);
+
+            await client.query('COMMIT');
         } catch (error) {
-            return res.status(401).json({ success: false, error: 'Invalid token' });
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
         }
 
+        await logDocumentEvent(auditLogger, document, principal, 'document_deleted',
+            `Patient deleted ${documentTypeName(document.document_type)} (version ${document.version})`, {
+                metadata: { reason: (req.body && req.body.reason) || null },
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+
+        console.log(`✅ Document ${document.id} deleted by patient ${patientId}`);
+
+        res.json({
+            success: true,
+            message: 'Document deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error deleting document:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete document' });
+    }
+});
+
+// Get document download URL (pre-signed)
+app.get('/api/v1/documents/:documentId/url', authenticate('patient', 'dusw'), async (req, res) => {
+    try {
         const { documentId } = req.params;
 
-        // Verify document belongs to patient or TC admin has access
-        const docResult = await pool.query(`
-            SELECT pd.*, p.user_id
-            FROM patient_documents pd
-            JOIN patients p ON pd.patient_id = p.id
-            WHERE pd.id = $1
-        `, [documentId]);
+        const principal = req.auth.role === 'dusw'
+            ? { type: 'dusw', id: req.dusw.id }
+            : { type: 'patient', id: req.auth.userId };
+
+        const doc = await documentAccessPolicy.authorize(documentId, principal, {
+            accessMethod: 'patient_api',
+            purpose: 'document_view',
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
 
-        if (docResult.rows.length === 0) {
+        if (!doc) {
             return res.status(404).json({ success: false, error: 'Document not found' });
         }
 
-        const doc = docResult.rows[0];
-
         // Generate pre-signed URL (valid for 15 minutes)
         const getCommand = new GetObjectCommand({
             Bucket: doc.s3_bucket,
@@ -3117,46 +3204,13 @@ app.get('/api/v1/documents/:documentId/url', async (req, res) => {
 // MARK: - Todo List Endpoints
 
 // Get patient's todos
-app.get('/api/v1/todos', async (req, res) => {
+app.get('/api/v1/todos', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({ success: false, error: 'Invalid token' });
-        }
-
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
-
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
-        }
-
-        const patientId = patientResult.rows[0].id;
+        const patientId = req.patient.id;
 
-        // Auto-sync document upload todos with actual documents
-        // Mark as complete if document exists, mark as pending if document was deleted
-        await pool.query(`
-            UPDATE patient_todos pt
-            SET status = 'completed', completed_at = NOW()
-            WHERE pt.patient_id = $1
-            AND pt.todo_type = 'document_upload'
-            AND pt.status = 'pending'
-            AND EXISTS (
-                SELECT 1 FROM patient_documents pd 
-                WHERE pd.patient_id = pt.patient_id 
-                AND pd.document_type = pt.metadata->>'documentType'
-            )
-        `, [patientId]);
+        // Sync document upload todos with the checklist for the patient's selected centers: adds todos
+        // for documents still needed, completes those uploaded, reopens those missing or too old
+        await syncDocumentTodos(pool, patientId);
 
         const todos = await pool.query(`
             SELECT id, title, description, todo_type, priority, status, due_date, 
@@ -3181,37 +3235,15 @@ app.get('/api/v1/todos', async (req, res) => {
 });
 
 // Create todo
-app.post('/api/v1/todos', async (req, res) => {
+app.post('/api/v1/todos', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({ success: false, error: 'Invalid token' });
-        }
-
         const { title, description, todoType, priority, dueDate, metadata } = req.body;
 
         if (!title) {
             return res.status(400).json({ success: false, error: 'Title is required' });
         }
 
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
-
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
-        }
-
-        const patientId = patientResult.rows[0].id;
+        const patientId = req.patient.id;
 
         // For document upload todos, check if one already exists for this document type
         if (todoType === 'document_upload' && metadata && metadata.documentType) {
@@ -3235,7 +3267,7 @@ app.post('/api/v1/todos', async (req, res) => {
             // Also check if document already uploaded - if so, create as completed
             const existingDoc = await pool.query(`
                 SELECT id FROM patient_documents 
-                WHERE patient_id = $1 AND document_type = $2
+                WHERE patient_id = $1 AND document_type = $2 AND superseded_at IS NULL AND deleted_at IS NULL
             `, [patientId, metadata.documentType]);
             
             if (existingDoc.rows.length > 0) {
@@ -3270,34 +3302,12 @@ app.post('/api/v1/todos', async (req, res) => {
 });
 
 // Update todo status
-app.patch('/api/v1/todos/:todoId', async (req, res) => {
+app.patch('/api/v1/todos/:todoId', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({ success: false, error: 'Invalid token' });
-        }
-
         const { todoId } = req.params;
         const { status, title, description } = req.body;
 
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
-
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
-        }
-
-        const patientId = patientResult.rows[0].id;
+        const patientId = req.patient.id;
 
         // Build update query dynamically
         const updates = [];
@@ -3348,33 +3358,11 @@ app.patch('/api/v1/todos/:todoId', async (req, res) => {
 });
 
 // Delete todo
-app.delete('/api/v1/todos/:todoId', async (req, res) => {
+app.delete('/api/v1/todos/:todoId', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({ success: false, error: 'Invalid token' });
-        }
-
         const { todoId } = req.params;
 
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
-
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
-        }
-
-        const patientId = patientResult.rows[0].id;
+        const patientId = req.patient.id;
 
         const result = await pool.query(`
             DELETE FROM patient_todos WHERE id = $1 AND patient_id = $2 RETURNING id
@@ -3397,44 +3385,44 @@ app.delete('/api/v1/todos/:todoId', async (req, res) => {
     }
 });
 
-// Add document submission todos for a patient (called after transplant center selection)
-async function createDocumentSubmissionTodos(patientId) {
-    const requiredDocs = [
-        { type: 'insurance_card', title: 'Upload Insurance Card', description: 'Upload front and back of your insurance card' },
-        { type: 'medication_list', title: 'Upload Medication List', description: 'Upload your medication card or list of current medications' },
-        { type: 'government_id', title: 'Upload Government ID', description: 'Upload a government-issued photo ID (driver\'s license, passport, etc.)' }
-    ];
-
-    for (const doc of requiredDocs) {
-        // Check if todo already exists
-        const existing = await pool.query(`
-            SELECT id FROM patient_todos 
-            WHERE patient_id = $1 AND todo_type = 'document_upload' AND metadata->>'documentType' = $2
-        `, [patientId, doc.type]);
+// MARK: - Document Request Endpoints
 
-        if (existing.rows.length === 0) {
-            await pool.query(`
-                INSERT INTO patient_todos (patient_id, title, description, todo_type, priority, metadata)
-                VALUES ($1, $2, $3, 'document_upload', 'high', $4)
-            `, [patientId, doc.title, doc.description, JSON.stringify({ documentType: doc.type })]);
-        }
-    }
+// Documents the patient's transplant centers have asked for, from the patient or their social worker
+app.get('/api/v1/document-requests', authenticate('patient'), async (req, res) => {
+    try {
+        const requests = await listDocumentRequests(pool, { patientId: req.patient.id });
 
-    console.log(`✅ Created document submission todos for patient ${patientId}`);
-}
+        res.json({
+            success: true,
+            data: requests.map(request => ({
+                id: request.id,
+                documentType: request.document_type,
+                documentTypeName: request.document_type_name,
+                centerName: request.center_name,
+                notes: request.notes,
+                dueDate: request.due_date,
+                assigneeType: request.assignee_type,
+                duswName: request.assignee_type === 'dusw' ? request.dusw_name : null,
+                todoId: request.patient_todo_id,
+                status: request.status,
+                fulfilledAt: request.fulfilled_at,
+                createdAt: request.created_at
+            }))
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching document requests:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch document requests' });
+    }
+});
 
 // ============================================
 // DIALYSIS CLINICS AND SOCIAL WORKERS ENDPOINTS
 // ============================================
 
 // Get all dialysis clinics
-app.get('/api/v1/dialysis-clinics', async (req, res) => {
+app.get('/api/v1/dialysis-clinics', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
         const clinics = await pool.query(`
             SELECT id, name, address, phone, email
             FROM dialysis_clinics
@@ -3454,13 +3442,8 @@ app.get('/api/v1/dialysis-clinics', async (req, res) => {
 });
 
 // Get social workers for a specific dialysis clinic
-app.get('/api/v1/dialysis-clinics/:clinicId/social-workers', async (req, res) => {
+app.get('/api/v1/dialysis-clinics/:clinicId/social-workers', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
         const { clinicId } = req.params;
 
         // Get social workers from dusw_social_workers table
@@ -3495,42 +3478,25 @@ app.get('/api/v1/dialysis-clinics/:clinicId/social-workers', async (req, res) =>
 // PATIENT MESSAGES ENDPOINTS
 // ============================================
 
-// Get patient messages (for chatbot)
-app.get('/api/v1/messages', async (req, res) => {
+// Get patient messages (chatbot messages and social worker conversations)
+app.get('/api/v1/messages', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({ success: false, error: 'Invalid token' });
-        }
-
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
-
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
-        }
-
-        const patientId = patientResult.rows[0].id;
+        const patientId = req.patient.id;
 
         const messages = await pool.query(`
-            SELECT id, message_type, content, is_read, read_at, created_at
-            FROM patient_messages
-            WHERE patient_id = $1
-            ORDER BY created_at DESC
+            SELECT m.id, m.message_type, m.content, m.is_read, m.read_at, m.created_at,
+                   m.thread_id, m.sender_type, m.attachment_document_id,
+                   pd.file_name as attachment_file_name,
+                   CASE WHEN m.sender_type = 'dusw' THEN CONCAT(dsw.first_name, ' ', dsw.last_name) END as sender_name
+            FROM patient_messages m
+            LEFT JOIN patient_documents pd ON m.attachment_document_id = pd.id
+            LEFT JOIN dusw_social_workers dsw ON m.sender_dusw_id = dsw.id
+            WHERE m.patient_id = $1
+            ORDER BY m.created_at DESC
         `, [patientId]);
 
-        // Count unread messages
-        const unreadCount = messages.rows.filter(m => !m.is_read).length;
+        // Count unread messages; the patient's own messages are unread until their social worker reads them
+        const unreadCount = messages.rows.filter(m => !m.is_read && m.sender_type !== 'patient').length;
 
         res.json({
             success: true,
@@ -3545,37 +3511,16 @@ app.get('/api/v1/messages', async (req, res) => {
 });
 
 // Mark message as read
-app.patch('/api/v1/messages/:messageId/read', async (req, res) => {
+app.patch('/api/v1/messages/:messageId/read', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({ success: false, error: 'Invalid token' });
-        }
-
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
-
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
-        }
-
-        const patientId = patientResult.rows[0].id;
+        const patientId = req.patient.id;
         const { messageId } = req.params;
 
+        // Read receipts are set by the recipient, so the patient cannot mark their own messages read
         const result = await pool.query(`
             UPDATE patient_messages 
             SET is_read = true, read_at = NOW()
-            WHERE id = $1 AND patient_id = $2
+            WHERE id = $1 AND patient_id = $2 AND sender_type IS DISTINCT FROM 'patient'
             RETURNING *
         `, [messageId, patientId]);
 
@@ -3594,26 +3539,221 @@ app.patch('/api/v1/messages/:messageId/read', async (req, res) => {
     }
 });
 
+// List the patient's conversations with their social worker
+app.get('/api/v1/messages/threads', authenticate('patient'), async (req, res) => {
+    try {
+        const threads = await listThreads(pool, { patientId: req.patient.id, readerType: 'patient' });
+
+        res.json({
+            success: true,
+            data: threads
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching message threads:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch conversations' });
+    }
+});
+
+// Get one conversation with its messages
+app.get('/api/v1/messages/threads/:threadId', authenticate('patient'), async (req, res) => {
+    try {
+        const thread = await getThread(pool, req.params.threadId);
+        if (!thread || thread.patient_id !== req.patient.id) {
+            return res.status(404).json({ success: false, error: 'Conversation not found' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                thread: thread,
+                messages: await getThreadMessages(pool, thread.id)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching message thread:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch conversation' });
+    }
+});
+
+// Mark every social worker message in a conversation as read
+app.post('/api/v1/messages/threads/:threadId/read', authenticate('patient'), async (req, res) => {
+    try {
+        const thread = await getThread(pool, req.params.threadId);
+        if (!thread || thread.patient_id !== req.patient.id) {
+            return res.status(404).json({ success: false, error: 'Conversation not found' });
+        }
+
+        const updated = await markThreadRead(pool, thread.id, 'patient');
+
+        res.json({ success: true, updated: updated });
+
+    } catch (error) {
+        console.error('❌ Error marking conversation as read:', error);
+        res.status(500).json({ success: false, error: 'Failed to mark conversation as read' });
+    }
+});
+
 // ============================================
-// INTAKE FORM ENDPOINTS
+// PUSH NOTIFICATION ENDPOINTS
 // ============================================
 
-// Get intake form (with pre-filled data)
-app.get('/api/v1/intake-form', async (req, res) => {
+const PUSH_PREFERENCE_FIELDS = {
+    pushEnabled: 'push_enabled',
+    referralUpdates: 'referral_updates',
+    messages: 'messages',
+    todos: 'todos',
+    documentRequests: 'document_requests'
+};
+
+function formatPushPreferences(row) {
+    const preferences = {};
+    for (const [field, column] of Object.entries(PUSH_PREFERENCE_FIELDS)) {
+        preferences[field] = row ? row[column] : true;
+    }
+    return preferences;
+}
+
+// Register (or re-register) the APNs token of the signed-in patient's device.
+// A token that previously belonged to another patient on the same device moves to this one.
+app.post('/api/v1/devices', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
+        const patientId = req.patient.id;
+        const { deviceToken, platform = 'ios', environment = 'production', appVersion } = req.body;
+
+        if (!deviceToken || !/^[0-9a-fA-F]{64,200}$/.test(deviceToken)) {
+            return res.status(400).json({ success: false, error: 'A valid APNs device token is required' });
         }
 
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({ success: false, error: 'Invalid token' });
+        if (platform !== 'ios') {
+            return res.status(400).json({ success: false, error: 'Only iOS devices are supported' });
+        }
+
+        if (!['production', 'sandbox'].includes(environment)) {
+            return res.status(400).json({ success: false, error: 'environment must be production or sandbox' });
+        }
+
+        const result = await pool.query(`
+            INSERT INTO patient_device_tokens (patient_id, device_token, platform, apns_environment, app_version)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (device_token) DO UPDATE SET
+                patient_id = EXCLUDED.patient_id,
+                apns_environment = EXCLUDED.apns_environment,
+                app_version = EXCLUDED.app_version,
+                is_active = true,
+                last_registered_at = NOW(),
+                deactivated_at = NULL,
+                deactivated_reason = NULL,
+                updated_at = NOW()
+            RETURNING id, platform, apns_environment, app_version, last_registered_at
+        `, [patientId, deviceToken.toLowerCase(), platform, environment, appVersion || null]);
+
+        console.log(`📱 Registered device for patient ${patientId}`);
+
+        res.json({
+            success: true,
+            data: result.rows[0]
+        });
+
+    } catch (error) {
+        console.error('❌ Error registering device:', error);
+        res.status(500).json({ success: false, error: 'Failed to register device' });
+    }
+});
+
+// Stop pushes to a device, e.g. when the patient signs out on it
+app.delete('/api/v1/devices/:deviceToken', authenticate('patient'), async (req, res) => {
+    try {
+        const patientId = req.patient.id;
+
+        const result = await pool.query(`
+            UPDATE patient_device_tokens
+            SET is_active = false, deactivated_at = NOW(), deactivated_reason = 'signed_out', updated_at = NOW()
+            WHERE device_token = $1 AND patient_id = $2 AND is_active = true
+            RETURNING id
+        `, [req.params.deviceToken.toLowerCase(), patientId]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Device not found' });
+        }
+
+        res.json({ success: true, message: 'Device unregistered' });
+
+    } catch (error) {
+        console.error('❌ Error unregistering device:', error);
+        res.status(500).json({ success: false, error: 'Failed to unregister device' });
+    }
+});
+
+// Get push notification preferences (every category is on until the patient changes it)
+app.get('/api/v1/notification-preferences', authenticate('patient'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT * FROM patient_notification_preferences WHERE patient_id = $1
+        `, [req.patient.id]);
+
+        res.json({
+            success: true,
+            data: formatPushPreferences(result.rows[0])
+        });
+
+    } catch (error) {
+        console.error('❌ Error fetching notification preferences:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch notification preferences' });
+    }
+});
+
+// Update push notification preferences; omitted fields keep their current value
+app.put('/api/v1/notification-preferences', authenticate('patient'), async (req, res) => {
+    try {
+        const patientId = req.patient.id;
+        const values = {};
+
+        for (const field of Object.keys(PUSH_PREFERENCE_FIELDS)) {
+            if (req.body[field] === undefined) continue;
+            if (typeof req.body[field] !== 'boolean') {
+                return res.status(400).json({ success: false, error: `${field} must be true or false` });
+            }
+            values[field] = req.body[field];
         }
 
+        if (Object.keys(values).length === 0) {
+            return res.status(400).json({ success: false, error: 'No preferences provided' });
+        }
+
+        const fields = Object.keys(PUSH_PREFERENCE_FIELDS);
+        const result = await pool.query(`
+            INSERT INTO patient_notification_preferences (patient_id, push_enabled, referral_updates, messages, todos, document_requests)
+            VALUES ($1, COALESCE($2, true), COALESCE($3, true), COALESCE($4, true), COALESCE($5, true), COALESCE($6, true))
+            ON CONFLICT (patient_id) DO UPDATE SET
+                push_enabled = COALESCE($2, patient_notification_preferences.push_enabled),
+                referral_updates = COALESCE($3, patient_notification_preferences.referral_updates),
+                messages = COALESCE($4, patient_notification_preferences.messages),
+                todos = COALESCE($5, patient_notification_preferences.todos),
+                document_requests = COALESCE($6, patient_notification_preferences.document_requests),
+                updated_at = NOW()
+            RETURNING *
+        `, [patientId, ...fields.map(field => values[field] !== undefined ? values[field] : null)]);
+
+        res.json({
+            success: true,
+            data: formatPushPreferences(result.rows[0])
+        });
+
+    } catch (error) {
+        console.error('❌ Error updating notification preferences:', error);
+        res.status(500).json({ success: false, error: 'Failed to update notification preferences' });
+    }
+});
+
+// ============================================
+// INTAKE FORM ENDPOINTS
+// ============================================
+
+// Get intake form (with pre-filled data)
+app.get('/api/v1/intake-form', authenticate('patient'), async (req, res) => {
+    try {
         // Get patient info including dialysis clinic and assigned DUSW
         const patientResult = await pool.query(`
             SELECT p.*, u.email, u.first_name, u.last_name, u.phone_number,
@@ -3632,7 +3772,7 @@ app.get('/api/v1/intake-form', async (req, res) => {
             LEFT JOIN patient_dusw_assignments pda ON p.id = pda.patient_id
             LEFT JOIN dusw_social_workers dsw ON pda.dusw_social_worker_id = dsw.id
             WHERE p.user_id = $1
-        `, [decoded.userId]);
+        `, [req.auth.userId]);
 
         if (patientResult.rows.length === 0) {
             return res.status(404).json({ success: false, error: 'Patient not found' });
@@ -3722,31 +3862,9 @@ app.get('/api/v1/intake-form', async (req, res) => {
 });
 
 // Save/Update intake form (partial save support)
-app.post('/api/v1/intake-form', async (req, res) => {
+app.post('/api/v1/intake-form', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({ success: false, error: 'Invalid token' });
-        }
-
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
-
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
-        }
-
-        const patientId = patientResult.rows[0].id;
+        const patientId = req.patient.id;
         const formData = req.body;
 
         // Check if form exists
@@ -3884,64 +4002,58 @@ app.post('/api/v1/intake-form', async (req, res) => {
 });
 
 // Submit intake form with signature
-app.post('/api/v1/intake-form/submit', async (req, res) => {
+app.post('/api/v1/intake-form/submit', authenticate('patient'), async (req, res) => {
     try {
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, error: 'Authentication required' });
-        }
-
-        const token = authHeader.substring(7);
-        let decoded;
-        try {
-            decoded = verifyToken(token);
-        } catch (error) {
-            return res.status(401).json({ success: false, error: 'Invalid token' });
-        }
-
-        const patientResult = await pool.query(
-            'SELECT id FROM patients WHERE user_id = $1',
-            [decoded.userId]
-        );
-
-        if (patientResult.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Patient not found' });
-        }
-
-        const patientId = patientResult.rows[0].id;
+        const patientId = req.patient.id;
         const { signatureData } = req.body;
 
         if (!signatureData) {
             return res.status(400).json({ success: false, error: 'Signature is required' });
         }
 
-        // Update form with signature and submit
-        const result = await pool.query(`
-            UPDATE patient_intake_forms 
-            SET signature_data = $2, signed_at = NOW(), status = 'submitted', submitted_at = NOW(), updated_at = NOW()
-            WHERE patient_id = $1
-            RETURNING *
-        `, [patientId, signatureData]);
+        const client = await pool.connect();
+        let result;
+        try {
+            await client.query('BEGIN');
 
-        if (result.rows.length === 0) {
-            return res.status(404).json({ success: false, error: 'Intake form not found' });
-        }
+            // Update form with signature and submit
+            result = await client.query(`
+                UPDATE patient_intake_forms 
+                SET signature_data = $2, signed_at = NOW(), status = 'submitted', submitted_at = NOW(), updated_at = NOW()
+                WHERE patient_id = $1
+                RETURNING *
+            `, [patientId, signatureData]);
 
-        // Mark the intake form todo as complete
-        await pool.query(`
-            UPDATE patient_todos 
-            SET status = 'completed', completed_at = NOW()
-            WHERE patient_id = $1 AND todo_type = 'intake_form' AND status = 'pending'
-        `, [patientId]);
+            if (result.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ success: false, error: 'Intake form not found' });
+            }
+
+            // Mark the intake form todo as complete
+            await client.query(`
+                UPDATE patient_todos 
+                SET status = 'completed', completed_at = NOW()
+                WHERE patient_id = $1 AND todo_type = 'intake_form' AND status = 'pending'
+            `, [patientId]);
 
-        // Notify TC and DUSW about intake form completion
-        await notifyIntakeFormComplete(patientId);
+            // Notify TC and DUSW about intake form completion
+            await notifyIntakeFormComplete(client, patientId);
 
-        // Create success message for patient chatbot
-        await pool.query(`
-            INSERT INTO patient_messages (patient_id, message_type, content, is_read, created_at)
-            VALUES ($1, 'intake_form_complete', 'Congratulations! 🎉 Your intake form has been successfully submitted and sent to your selected transplant centers. They will review your information and contact you with next steps. In the meantime, feel free to check your progress in the dashboard.', false, NOW())
-        `, [patientId]);
+            // Create success message for patient chatbot
+            const message = await client.query(`
+                INSERT INTO patient_messages (patient_id, message_type, content, is_read, created_at)
+                VALUES ($1, 'intake_form_complete', 'Congratulations! 🎉 Your intake form has been successfully submitted and sent to your selected transplant centers. They will review your information and contact you with next steps. In the meantime, feel free to check your progress in the dashboard.', false, NOW())
+                RETURNING id, message_type, content
+            `, [patientId]);
+            await notifyPatientMessage(client, patientId, message.rows[0]);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
 
         console.log(`✅ Intake form submitted for patient ${patientId}`);
 
@@ -3956,40 +4068,36 @@ app.post('/api/v1/intake-form/submit', async (req, res) => {
     }
 });
 
-// Check if all 3 document todos are complete and create intake form todo
-async function checkAndCreateIntakeFormTodo(patientId) {
-    // Check if all 3 document upload todos are completed
-    const docTodos = await pool.query(`
-        SELECT COUNT(*) as total,
-               SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed
-        FROM patient_todos
-        WHERE patient_id = $1 AND todo_type = 'document_upload'
-    `, [patientId]);
+// Create the intake form todo once every required document on the patient's checklist is uploaded and current
+async function checkAndCreateIntakeFormTodo(db, patientId) {
+    const checklist = await getPatientChecklist(db, patientId);
 
-    const { total, completed } = docTodos.rows[0];
-    
-    if (parseInt(total) >= 3 && parseInt(completed) >= 3) {
+    if (checklist.isComplete) {
         // Check if intake form todo already exists
-        const existingTodo = await pool.query(`
+        const existingTodo = await db.query(`
             SELECT id FROM patient_todos 
             WHERE patient_id = $1 AND todo_type = 'intake_form'
         `, [patientId]);
 
         if (existingTodo.rows.length === 0) {
             // Create intake form todo
-            await pool.query(`
+            const todo = await db.query(`
                 INSERT INTO patient_todos (patient_id, title, description, todo_type, priority, metadata)
                 VALUES ($1, 'Complete Intake Form', 'Fill out your medical intake form to continue the evaluation process', 'intake_form', 'high', '{}')
+                RETURNING id, title, description, todo_type
             `, [patientId]);
 
+            // The chatbot message below announces the same todo, so the patient gets one push for both
+            await notifyPatientTodo(db, patientId, todo.rows[0]);
+
             // Create a chatbot message for the patient
-            await pool.query(`
+            await db.query(`
                 INSERT INTO patient_messages (patient_id, message_type, content, is_read, created_at)
                 VALUES ($1, 'intake_form_prompt', 'Great job uploading all your documents! 🎉 Now let''s complete your intake form. This form helps your transplant center understand your medical history better. Don''t worry - we''ve already pre-filled some information for you!', false, NOW())
             `, [patientId]);
 
             // Notify DUSW about document completion
-            await notifyDUSWDocumentsComplete(patientId);
+            await notifyDUSWDocumentsComplete(db, patientId);
 
             console.log(`✅ Created intake form todo and message for patient ${patientId}`);
             return true;
@@ -3998,169 +4106,203 @@ async function checkAndCreateIntakeFormTodo(patientId) {
     return false;
 }
 
-// Notify TC and DUSW when patient completes intake form
-async function notifyIntakeFormComplete(patientId) {
-    try {
-        // Get patient info
-        const patientResult = await pool.query(`
-            SELECT p.id, u.first_name, u.last_name, u.email
-            FROM patients p
-            JOIN users u ON p.user_id = u.id
-            WHERE p.id = $1
-        `, [patientId]);
+// Queue a push for a todo the platform created for the patient, without its details
+async function notifyPatientTodo(db, patientId, todo) {
+    await enqueuePush(db, {
+        patientId: patientId,
+        category: 'todo',
+        eventType: 'patient_todo_created',
+        title: 'New task',
+        body: 'Open Transplant Wizard to see your new task.',
+        data: { screen: 'todos', todoId: todo.id }
+    });
+}
 
-        if (patientResult.rows.length === 0) return;
-        const patient = patientResult.rows[0];
+// Queue a push for a new message in the patient's inbox. The alert shows on the lock screen, so it says
+// nothing about the message; the app loads it by id once opened.
+async function notifyPatientMessage(db, patientId, message) {
+    await enqueuePush(db, {
+        patientId: patientId,
+        category: 'message',
+        eventType: 'patient_message',
+        title: 'New message',
+        body: 'You have a new message. Open Transplant Wizard to read it.',
+        data: { screen: 'messages', messageId: message.id }
+    });
+}
 
-        // Notify Transplant Centers
-        const tcResult = await pool.query(`
-            SELECT DISTINCT tc.id, tc.name, tce.email as admin_email, tce.first_name as admin_first_name
-            FROM patient_referrals pr
-            JOIN transplant_centers tc ON pr.transplant_center_id = tc.id
-            LEFT JOIN transplant_center_employees tce ON tc.id = tce.transplant_center_id AND tce.role = 'admin'
-            WHERE pr.patient_id = $1
-        `, [patientId]);
+// Queue TC and DUSW notifications when patient completes intake form
+async function notifyIntakeFormComplete(db, patientId) {
+    // Get patient info
+    const patientResult = await db.query(`
+        SELECT p.id, u.first_name, u.last_name, u.email
+        FROM patients p
+        JOIN users u ON p.user_id = u.id
+        WHERE p.id = $1
+    `, [patientId]);
 
-        for (const tc of tcResult.rows) {
-            if (tc.admin_email) {
-                await sendEmail(
-                    tc.admin_email,
-                    `Intake Form Completed - ${patient.first_name} ${patient.last_name}`,
-                    `<h2>Patient Intake Form Submitted</h2>
-                    <p>Patient <strong>${patient.first_name} ${patient.last_name}</strong> has completed and submitted their medical intake form.</p>
-                    <p>The form includes:</p>
-                    <ul>
-                        <li>Demographics and contact information</li>
-                        <li>Medical history and current conditions</li>
-                        <li>Healthcare provider information</li>
-                        <li>Patient signature</li>
-                    </ul>
-                    <p>Please log in to the <a href="https://tc.transplantwizard.com/dashboard">TC Portal</a> to review the complete intake form.</p>`,
-                    `Patient ${patient.first_name} ${patient.last_name} has submitted their intake form. View at https://tc.transplantwizard.com/dashboard`
-                );
-                console.log(`✅ Intake form notification sent to TC: ${tc.admin_email}`);
-            }
+    if (patientResult.rows.length === 0) return;
+    const patient = patientResult.rows[0];
 
-            // Create TC portal notification for all TC employees at this center
-            const tcEmployees = await pool.query(`
-                SELECT id FROM transplant_center_employees WHERE transplant_center_id = $1
-            `, [tc.id]);
+    // Notify Transplant Centers
+    const tcResult = await db.query(`
+        SELECT DISTINCT tc.id, tc.name, tce.id as admin_id, tce.email as admin_email, tce.first_name as admin_first_name
+        FROM patient_referrals pr
+        JOIN transplant_centers tc ON pr.transplant_center_id = tc.id
+        LEFT JOIN transplant_center_employees tce ON tc.id = tce.transplant_center_id AND tce.role = 'admin'
+        WHERE pr.patient_id = $1 AND pr.status::text != 'withdrawn'
+    `, [patientId]);
 
-            for (const employee of tcEmployees.rows) {
-                await pool.query(`
-                    INSERT INTO tc_notifications (tc_employee_id, patient_id, notification_type, title, message, is_read, created_at)
-                    VALUES ($1, $2, 'intake_form_complete', 'Intake Form Submitted', $3, false, NOW())
-                `, [employee.id, patientId, `${patient.first_name} ${patient.last_name} has submitted their medical intake form. Click to review their complete profile.`]);
-            }
-            console.log(`✅ TC portal notifications created for ${tcEmployees.rows.length} employees at ${tc.name}`);
+    const notifiedCenters = new Set();
+
+    for (const tc of tcResult.rows) {
+        if (tc.admin_email) {
+            await enqueueEmail(db, {
+                to: tc.admin_email,
+                ...renderEmail('intake-complete-tc', {
+                    patientName: `${patient.first_name} ${patient.last_name}`,
+                    portalUrl: 'https://tc.transplantwizard.com/dashboard'
+                }),
+                eventType: 'intake_form_complete',
+                recipientType: 'tc_employee',
+                recipientId: tc.admin_id,
+                patientId: patientId
+            });
         }
 
-        // Notify DUSW
-        const duswResult = await pool.query(`
-            SELECT dsw.id, dsw.email, dsw.first_name, dsw.last_name
-            FROM patient_dusw_assignments pda
-            JOIN dusw_social_workers dsw ON pda.dusw_social_worker_id = dsw.id
-            WHERE pda.patient_id = $1
-        `, [patientId]);
-
-        for (const dusw of duswResult.rows) {
-            // Send email notification
-            await sendEmail(
-                dusw.email,
-                `Intake Form Completed - ${patient.first_name} ${patient.last_name}`,
-                `<h2>Patient Intake Form Submitted</h2>
-                <p>Patient <strong>${patient.first_name} ${patient.last_name}</strong> has completed and submitted their medical intake form.</p>
-                <p>The form has been sent to their selected transplant centers for review.</p>
-                <p>Please log in to the <a href="https://dusw.transplantwizard.com/dashboard">DUSW Portal</a> to view the patient's progress.</p>`,
-                `Patient ${patient.first_name} ${patient.last_name} has submitted their intake form. View at https://dusw.transplantwizard.com/dashboard`
-            );
+        // One row per admin comes back for each center; portal notifications go out once per center
+        if (notifiedCenters.has(tc.id)) continue;
+        notifiedCenters.add(tc.id);
 
-            // Create portal notification
-            await pool.query(`
-                INSERT INTO dusw_notifications (dusw_id, patient_id, notification_type, title, message, is_read, created_at)
-                VALUES ($1, $2, 'intake_form_complete', 'Intake Form Completed', $3, false, NOW())
-            `, [dusw.id, patientId, `${patient.first_name} ${patient.last_name} has submitted their intake form.`]);
+        // Create TC portal notification for all TC employees at this center
+        const tcEmployees = await db.query(`
+            SELECT id FROM transplant_center_employees WHERE transplant_center_id = $1
+        `, [tc.id]);
 
-            console.log(`✅ Intake form notification sent to DUSW: ${dusw.email}`);
+        for (const employee of tcEmployees.rows) {
+            await enqueueTcNotification(db, {
+                tcEmployeeId: employee.id,
+                patientId: patientId,
+                notificationType: 'intake_form_complete',
+                title: 'Intake Form Submitted',
+                message: `${patient.first_name} ${patient.last_name} has submitted their medical intake form. Click to review their complete profile.`
+            });
         }
-    } catch (error) {
-        console.error('❌ Error notifying about intake form completion:', error);
+        console.log(`✅ TC portal notifications queued for ${tcEmployees.rows.length} employees at ${tc.name}`);
+    }
+
+    // Notify DUSW
+    const duswResult = await db.query(`
+        SELECT dsw.id, dsw.email, dsw.first_name, dsw.last_name
+        FROM patient_dusw_assignments pda
+        JOIN dusw_social_workers dsw ON pda.dusw_social_worker_id = dsw.id
+        WHERE pda.patient_id = $1
+    `, [patientId]);
+
+    for (const dusw of duswResult.rows) {
+        await enqueueEmail(db, {
+            to: dusw.email,
+            ...renderEmail('intake-complete-dusw', {
+                patientName: `${patient.first_name} ${patient.last_name}`,
+                portalUrl: 'https://dusw.transplantwizard.com/dashboard'
+            }),
+            eventType: 'intake_form_complete',
+            recipientType: 'dusw',
+            recipientId: dusw.id,
+            patientId: patientId
+        });
+
+        await enqueueDuswNotification(db, {
+            duswId: dusw.id,
+            patientId: patientId,
+            notificationType: 'intake_form_complete',
+            title: 'Intake Form Completed',
+            message: `${patient.first_name} ${patient.last_name} has submitted their intake form.`
+        });
+
+        console.log(`✅ Intake form notification queued for DUSW: ${dusw.email}`);
     }
 }
 
-// Notify DUSW when patient completes all document uploads
-async function notifyDUSWDocumentsComplete(patientId) {
-    try {
-        // Get patient info
-        const patientResult = await pool.query(`
-            SELECT p.id, u.first_name, u.last_name, u.email
-            FROM patients p
-            JOIN users u ON p.user_id = u.id
-            WHERE p.id = $1
-        `, [patientId]);
+// Queue DUSW notifications when patient completes all document uploads
+async function notifyDUSWDocumentsComplete(db, patientId) {
+    // Get patient info
+    const patientResult = await db.query(`
+        SELECT p.id, u.first_name, u.last_name, u.email
+        FROM patients p
+        JOIN users u ON p.user_id = u.id
+        WHERE p.id = $1
+    `, [patientId]);
 
-        if (patientResult.rows.length === 0) return;
-        const patient = patientResult.rows[0];
+    if (patientResult.rows.length === 0) return;
+    const patient = patientResult.rows[0];
 
-        // Get assigned DUSW from patient_dusw_assignments
-        const duswResult = await pool.query(`
-            SELECT dsw.id, dsw.email, dsw.first_name, dsw.last_name
-            FROM patient_dusw_assignments pda
-            JOIN dusw_social_workers dsw ON pda.dusw_social_worker_id = dsw.id
-            WHERE pda.patient_id = $1
-        `, [patientId]);
+    // Get assigned DUSW from patient_dusw_assignments
+    const duswResult = await db.query(`
+        SELECT dsw.id, dsw.email, dsw.first_name, dsw.last_name
+        FROM patient_dusw_assignments pda
+        JOIN dusw_social_workers dsw ON pda.dusw_social_worker_id = dsw.id
+        WHERE pda.patient_id = $1
+    `, [patientId]);
 
-        for (const dusw of duswResult.rows) {
-            // Send email notification
-            await sendEmail(
-                dusw.email,
-                `Documents Uploaded - ${patient.first_name} ${patient.last_name}`,
-                `<h2>Patient Document Upload Complete</h2>
-                <p>Patient <strong>${patient.first_name} ${patient.last_name}</strong> has successfully uploaded all required documents.</p>
-                <p><strong>Documents uploaded:</strong></p>
-                <ul>
-                    <li>Insurance Card (front and back)</li>
-                    <li>Medication List</li>
-                    <li>Government-issued ID</li>
-                </ul>
-                <p>The patient will now be prompted to complete their medical intake form.</p>
-                <p>Please log in to the <a href="https://dusw.transplantwizard.com/dashboard">DUSW Portal</a> to view the documents.</p>`,
-                `Patient ${patient.first_name} ${patient.last_name} has uploaded all required documents. View at https://dusw.transplantwizard.com/dashboard`
-            );
+    for (const dusw of duswResult.rows) {
+        await enqueueEmail(db, {
+            to: dusw.email,
+            ...renderEmail('documents-complete-dusw', {
+                patientName: `${patient.first_name} ${patient.last_name}`,
+                portalUrl: 'https://dusw.transplantwizard.com/dashboard'
+            }),
+            eventType: 'documents_complete',
+            recipientType: 'dusw',
+            recipientId: dusw.id,
+            patientId: patientId
+        });
 
-            // Create portal notification
-            await pool.query(`
-                INSERT INTO dusw_notifications (dusw_id, patient_id, notification_type, title, message, is_read, created_at)
-                VALUES ($1, $2, 'documents_complete', 'Documents Uploaded', $3, false, NOW())
-            `, [dusw.id, patientId, `${patient.first_name} ${patient.last_name} has uploaded all required documents.`]);
+        await enqueueDuswNotification(db, {
+            duswId: dusw.id,
+            patientId: patientId,
+            notificationType: 'documents_complete',
+            title: 'Documents Uploaded',
+            message: `${patient.first_name} ${patient.last_name} has uploaded all required documents.`
+        });
 
-            console.log(`✅ DUSW notification sent to ${dusw.email} for patient ${patientId}`);
-        }
-    } catch (error) {
-        console.error('❌ Error notifying DUSW about document completion:', error);
+        console.log(`✅ DUSW notification queued for ${dusw.email} for patient ${patientId}`);
     }
 }
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`🏥 Transplant Platform Simple Auth Server running on http://localhost:${PORT}`);
-    console.log(`📱 Mobile Access: http://192.168.1.69:${PORT}`);
-    console.log(`🔐 Authentication: Basic Auth with JWT`);
-    console.log(`🗄️  Database: AWS RDS PostgreSQL`);
-    console.log(`📊 Health Check: http://localhost:${PORT}/health`);
-});
+// Start server (tests require the app without listening)
+if (require.main === module) {
+    app.listen(PORT, '0.0.0.0', () => {
+        console.log(`🏥 Transplant Platform Simple Auth Server running on http://localhost:${PORT}`);
+        console.log(`📱 Mobile Access: http://192.168.1.69:${PORT}`);
+        console.log(`🔐 Authentication: Basic Auth with JWT`);
+        console.log(`🗄️  Database: AWS RDS PostgreSQL`);
+        console.log(`📊 Health Check: http://localhost:${PORT}/health`);
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-    console.log('🛑 Shutting down gracefully');
-    await pool.end();
-    process.exit(0);
-});
+        if (process.env.NOTIFICATION_DISPATCHER_ENABLED !== 'false') {
+            notificationDispatcher.start();
+        }
+        if (process.env.DOCUMENT_EXPIRY_JOB_ENABLED !== 'false') {
+            documentExpiryJob.start();
+        }
+    });
 
-process.on('SIGINT', async () => {
-    console.log('🛑 Shutting down gracefully');
-    await pool.end();
-    process.exit(0);
-});
+    // Graceful shutdown
+    process.on('SIGTERM', async () => {
+        console.log('🛑 Shutting down gracefully');
+        notificationDispatcher.stop();
+        documentExpiryJob.stop();
+        await pool.end();
+        process.exit(0);
+    });
+
+    process.on('SIGINT', async () => {
+        console.log('🛑 Shutting down gracefully');
+        notificationDispatcher.stop();
+        documentExpiryJob.stop();
+        await pool.end();
+        process.exit(0);
+    });
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = { app, pool };
\ No newline at end of file
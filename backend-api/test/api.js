@@ -0,0 +1,52 @@
+// Loads the patient API (src/simple-auth-server.js) against a fresh test database and mints the
+// Bearer tokens its routes expect.
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { createTestDatabase } = require('./database');
+
+const JWT_SECRET = 'test-jwt-secret';
+
+async function startApi() {
+    const database = await createTestDatabase();
+    Object.assign(process.env, database.config, {
+        JWT_SECRET: JWT_SECRET,
+        // Emails, pushes and uploads fail fast instead of reaching AWS
+        AWS_ACCESS_KEY_ID: 'test',
+        AWS_SECRET_ACCESS_KEY: 'test',
+        AWS_ENDPOINT_URL: 'http://127.0.0.1:9'
+    });
+
+    let server;
+    jest.isolateModules(() => {
+        server = require('../src/simple-auth-server');
+    });
+
+    return {
+        app: server.app,
+        db: database.pool,
+
+        // A supertest request signed in as the patient; claims can add a session id (sid)
+        as(patient, claims = {}) {
+            const token = jwt.sign({ userId: patient.user.id, email: patient.user.email, type: 'patient', ...claims }, JWT_SECRET, {
+                expiresIn: 900,
+                issuer: 'transplant-platform',
+                audience: 'patient-app'
+            });
+            const app = server.app;
+            const withToken = test => test.set('Authorization', `Bearer ${token}`);
+            return {
+                get: path => withToken(request(app).get(path)),
+                post: path => withToken(request(app).post(path)),
+                delete: path => withToken(request(app).delete(path))
+            };
+        },
+
+        async stop() {
+            await server.pool.end();
+            await database.drop();
+        }
+    };
+}
+
+module.exports = { startApi };
@@ -0,0 +1,43 @@
+// A database of its own for each test file, copied from the migrated template test/globalSetup.mjs
+// builds. Tests run against real PostgreSQL so they check what the queries actually do.
+
+const { Client, Pool } = require('pg');
+
+let databaseCount = 0;
+
+async function adminQuery(sql) {
+    const client = new Client({ connectionString: `${process.env.TEST_DATABASE_URL}/postgres` });
+    await client.connect();
+    try {
+        await client.query(sql);
+    } finally {
+        await client.end();
+    }
+}
+
+// Returns { pool, config, drop }. config holds the DB_* settings the servers read from the environment.
+async function createTestDatabase() {
+    const name = `test_${process.pid}_${++databaseCount}`;
+    await adminQuery(`CREATE DATABASE ${name} TEMPLATE ${process.env.TEST_TEMPLATE_DATABASE}`);
+
+    const url = new URL(`${process.env.TEST_DATABASE_URL}/${name}`);
+    const pool = new Pool({ connectionString: url.toString() });
+
+    return {
+        pool,
+        config: {
+            DB_HOST: url.hostname,
+            DB_PORT: url.port,
+            DB_NAME: name,
+            DB_USER: url.username,
+            DB_PASSWORD: url.password,
+            DB_SSL: 'false'
+        },
+        async drop() {
+            await pool.end();
+            await adminQuery(`DROP DATABASE IF EXISTS ${name} WITH (FORCE)`);
+        }
+    };
+}
+
+module.exports = { createTestDatabase };
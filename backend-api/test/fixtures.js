@@ -0,0 +1,97 @@
+// Rows the tests build on. Each function inserts one row, with fields overriding the defaults, and
+// returns it.
+
+let sequence = 0;
+const next = () => ++sequence;
+
+async function insert(db, table, fields) {
+    const columns = Object.keys(fields);
+    const result = await db.query(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        columns.map(column => fields[column])
+    );
+    return result.rows[0];
+}
+
+async function createPatient(db, fields = {}) {
+    const n = next();
+    const user = await insert(db, 'users', {
+        email: `patient${n}@example.com`,
+        first_name: 'Alex',
+        last_name: `Morgan${n}`,
+        role: 'patient',
+        status: 'active',
+        ...fields.user
+    });
+    const patient = await insert(db, 'patients', { user_id: user.id, ...fields.patient });
+    return { ...patient, user };
+}
+
+async function createCenter(db, fields = {}) {
+    return insert(db, 'transplant_centers', { name: `Transplant Center ${next()}`, city: 'Ann Arbor', state: 'MI', ...fields });
+}
+
+async function createEmployee(db, center, fields = {}) {
+    const n = next();
+    return insert(db, 'transplant_center_employees', {
+        transplant_center_id: center.id,
+        first_name: 'Jordan',
+        last_name: `Lee${n}`,
+        email: `employee${n}@center.example.com`,
+        password_hash: 'not-a-real-hash',
+        role: 'coordinator',
+        status: 'active',
+        ...fields
+    });
+}
+
+async function createSocialWorker(db, fields = {}) {
+    const n = next();
+    return insert(db, 'dusw_social_workers', {
+        first_name: 'Sam',
+        last_name: `Rivera${n}`,
+        email: `dusw${n}@clinic.example.com`,
+        dialysis_clinic: 'Lakeside Dialysis',
+        status: 'active',
+        ...fields
+    });
+}
+
+async function assignSocialWorker(db, patient, socialWorker) {
+    await db.query('DELETE FROM patient_dusw_assignments WHERE patient_id = $1', [patient.id]);
+    return insert(db, 'patient_dusw_assignments', {
+        patient_id: patient.id,
+        dusw_social_worker_id: socialWorker.id,
+        dialysis_clinic: socialWorker.dialysis_clinic,
+        social_worker_name: `${socialWorker.first_name} ${socialWorker.last_name}`
+    });
+}
+
+async function createReferral(db, patient, center, fields = {}) {
+    return insert(db, 'patient_referrals', { patient_id: patient.id, transplant_center_id: center.id, status: 'submitted', ...fields });
+}
+
+async function createDocument(db, patient, fields = {}) {
+    const n = next();
+    return insert(db, 'patient_documents', {
+        patient_id: patient.id,
+        document_type: 'insurance_card',
+        file_name: `document-${n}.pdf`,
+        file_size: 1024,
+        mime_type: 'application/pdf',
+        s3_bucket: 'test-documents',
+        s3_key: `patients/${patient.id}/documents/document-${n}.pdf`,
+        ...fields
+    });
+}
+
+module.exports = {
+    insert,
+    createPatient,
+    createCenter,
+    createEmployee,
+    createSocialWorker,
+    assignSocialWorker,
+    createReferral,
+    createDocument
+};
@@ -0,0 +1,4 @@
+// Stops the PostgreSQL server test/globalSetup.mjs started; its data directory goes with it
+export default async function globalTeardown() {
+    await globalThis.__POSTGRES__?.stop();
+}
@@ -0,0 +1,39 @@
+const { startApi } = require('./api');
+const { insert, createPatient } = require('./fixtures');
+
+describe('intake form submission', () => {
+    let api;
+
+    beforeAll(async () => {
+        api = await startApi();
+    });
+
+    afterAll(() => api.stop());
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('pushes a generic alert for the confirmation message, carrying only its id', async () => {
+        const patient = await createPatient(api.db);
+        await insert(api.db, 'patient_intake_forms', { patient_id: patient.id, full_name: 'Alex Morgan' });
+
+        const response = await api.as(patient).post('/api/v1/intake-form/submit').send({ signatureData: 'data:image/png;base64,AAAA' });
+
+        expect(response.status).toBe(200);
+        const message = await api.db.query("SELECT id FROM patient_messages WHERE patient_id = $1 AND message_type = 'intake_form_complete'", [patient.id]);
+        const pushes = await api.db.query("SELECT payload FROM notification_outbox WHERE channel = 'push' AND patient_id = $1", [patient.id]);
+        expect(pushes.rows).toEqual([{
+            payload: {
+                category: 'message',
+                title: 'New message',
+                body: 'You have a new message. Open Transplant Wizard to read it.',
+                data: { screen: 'messages', messageId: message.rows[0].id, category: 'message', eventType: 'patient_message' }
+            }
+        }]);
+    });
+});
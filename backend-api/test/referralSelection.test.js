@@ -0,0 +1,60 @@
+const { startApi } = require('./api');
+const { createPatient, createCenter, createEmployee, createReferral } = require('./fixtures');
+
+describe('transplant center selection', () => {
+    let api;
+    let center;
+    let active;
+
+    beforeAll(async () => {
+        api = await startApi();
+        center = await createCenter(api.db);
+        active = await createEmployee(api.db, center, { role: 'admin' });
+        await createEmployee(api.db, center, { role: 'admin', status: 'pending' });
+        await createEmployee(api.db, center, { role: 'admin', status: 'inactive' });
+    });
+
+    afterAll(() => api.stop());
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    async function notifiedEmployees(patient) {
+        const result = await api.db.query(
+            "SELECT DISTINCT recipient_id FROM notification_outbox WHERE patient_id = $1 AND recipient_type = 'tc_employee'",
+            [patient.id]
+        );
+        return result.rows.map(row => row.recipient_id);
+    }
+
+    it("notifies only the center's active staff of a new referral and of its withdrawal", async () => {
+        const patient = await createPatient(api.db);
+
+        const selected = await api.as(patient).post('/api/v1/transplant-centers/select').send({ transplantCenterIds: [center.id.toUpperCase()] });
+        expect(selected.status).toBe(200);
+        expect(await notifiedEmployees(patient)).toEqual([String(active.id)]);
+
+        await api.db.query('DELETE FROM notification_outbox WHERE patient_id = $1', [patient.id]);
+        const withdrawn = await api.as(patient).post('/api/v1/transplant-centers/select').send({ transplantCenterIds: [] });
+        expect(withdrawn.status).toBe(200);
+        expect(await notifiedEmployees(patient)).toEqual([String(active.id)]);
+    });
+
+    it('rejects center ids that are not UUIDs without touching existing referrals', async () => {
+        const patient = await createPatient(api.db);
+        await createReferral(api.db, patient, center, { status: 'under_review' });
+
+        const selected = await api.as(patient).post('/api/v1/transplant-centers/select').send({ transplantCenterIds: [center.id, 'center-1'] });
+        const added = await api.as(patient).post('/api/v1/patients/centers').send({ center_id: 42 });
+        const removed = await api.as(patient).delete('/api/v1/patients/centers/center-1');
+
+        expect([selected.status, added.status, removed.status]).toEqual([400, 400, 404]);
+        const referrals = await api.db.query('SELECT status FROM patient_referrals WHERE patient_id = $1', [patient.id]);
+        expect(referrals.rows).toEqual([{ status: 'under_review' }]);
+    });
+});
@@ -0,0 +1,253 @@
+-- Schema the migrations in database/migrations start from, for the test database only.
+--
+-- These tables predate the migrations folder and live only in production (see docs/DATABASE_SCHEMA.md
+-- and database/production-schema-updates.sql). Only the columns the code reads or writes are kept.
+
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TABLE users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    cognito_sub VARCHAR(255) UNIQUE,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    email_verified BOOLEAN DEFAULT false,
+    role VARCHAR(50) NOT NULL DEFAULT 'patient',
+    status VARCHAR(50) DEFAULT 'active',
+    title VARCHAR(50),
+    first_name VARCHAR(100) NOT NULL,
+    last_name VARCHAR(100) NOT NULL,
+    phone_number VARCHAR(20),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    deleted_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE user_credentials (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    patient_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE dialysis_clinics (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    address TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE patients (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    dialysis_clinic_id UUID REFERENCES dialysis_clinics(id),
+    date_of_birth DATE,
+    address TEXT,
+    primary_care_physician VARCHAR(200),
+    insurance_provider VARCHAR(200),
+    nephrologist VARCHAR(255),
+    profile_completed BOOLEAN DEFAULT false,
+    onboarding_completed BOOLEAN DEFAULT false,
+    roi_signed BOOLEAN DEFAULT false,
+    roi_signed_at TIMESTAMP WITH TIME ZONE,
+    stage VARCHAR(50),
+    referral_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE transplant_centers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(200) NOT NULL,
+    address TEXT,
+    city VARCHAR(100),
+    state VARCHAR(50),
+    zip_code VARCHAR(10),
+    phone VARCHAR(20),
+    email VARCHAR(255),
+    admin_email VARCHAR(255),
+    website VARCHAR(255),
+    specialties JSONB,
+    average_wait_time_months INTEGER,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE patient_referrals (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    transplant_center_id UUID NOT NULL REFERENCES transplant_centers(id),
+    status VARCHAR(50) DEFAULT 'submitted',
+    selection_order INTEGER,
+    submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT unique_patient_center UNIQUE (patient_id, transplant_center_id)
+);
+
+CREATE TABLE transplant_center_employees (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    transplant_center_id UUID NOT NULL REFERENCES transplant_centers(id),
+    employee_id VARCHAR(100),
+    title VARCHAR(50),
+    first_name VARCHAR(100) NOT NULL,
+    last_name VARCHAR(100) NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    phone_number VARCHAR(20),
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(50) DEFAULT 'admin',
+    department VARCHAR(100),
+    status VARCHAR(20) DEFAULT 'active',
+    last_login TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE dusw_social_workers (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(50),
+    first_name VARCHAR(100) NOT NULL,
+    last_name VARCHAR(100) NOT NULL,
+    email VARCHAR(255) UNIQUE,
+    phone_number VARCHAR(20),
+    password_hash VARCHAR(255),
+    dialysis_clinic VARCHAR(255) NOT NULL,
+    status VARCHAR(20) DEFAULT 'active',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE patient_dusw_assignments (
+    id SERIAL PRIMARY KEY,
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    dusw_social_worker_id INTEGER NOT NULL REFERENCES dusw_social_workers(id),
+    dialysis_clinic VARCHAR(255) NOT NULL,
+    social_worker_name VARCHAR(255) NOT NULL,
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (patient_id)
+);
+
+CREATE TABLE patient_referral_invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    referral_token UUID UNIQUE NOT NULL DEFAULT uuid_generate_v4(),
+    patient_email VARCHAR(255) NOT NULL,
+    patient_title VARCHAR(50),
+    patient_first_name VARCHAR(100) NOT NULL,
+    patient_last_name VARCHAR(100) NOT NULL,
+    patient_nephrologist VARCHAR(255),
+    dialysis_clinic_name VARCHAR(255) NOT NULL,
+    dialysis_clinic_id UUID REFERENCES dialysis_clinics(id),
+    dusw_id UUID,
+    dusw_email VARCHAR(255) NOT NULL,
+    dusw_name VARCHAR(200),
+    redeemed BOOLEAN DEFAULT false,
+    redeemed_at TIMESTAMP WITH TIME ZONE,
+    redeemed_patient_id UUID REFERENCES patients(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE DEFAULT (NOW() + INTERVAL '30 days')
+);
+
+CREATE TABLE patient_documents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    document_type VARCHAR(100) NOT NULL,
+    file_name VARCHAR(255),
+    file_size INTEGER,
+    mime_type VARCHAR(100),
+    s3_key VARCHAR(500),
+    s3_bucket VARCHAR(255),
+    upload_status VARCHAR(50) DEFAULT 'completed',
+    is_front BOOLEAN DEFAULT true,
+    document_group_id UUID,
+    uploaded_by_type VARCHAR(20) DEFAULT 'patient',
+    uploaded_by_id VARCHAR(100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE patient_todos (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    todo_type VARCHAR(50),
+    priority VARCHAR(20) DEFAULT 'medium',
+    status VARCHAR(20) DEFAULT 'pending',
+    due_date DATE,
+    metadata JSONB DEFAULT '{}',
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE patient_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    message_type VARCHAR(50),
+    sender_type VARCHAR(20),
+    content TEXT,
+    is_read BOOLEAN DEFAULT false,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE patient_intake_forms (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    full_name VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'draft',
+    signature_data TEXT,
+    signed_at TIMESTAMP WITH TIME ZONE,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE tc_notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tc_employee_id UUID REFERENCES transplant_center_employees(id) ON DELETE CASCADE,
+    patient_id UUID REFERENCES patients(id) ON DELETE CASCADE,
+    notification_type VARCHAR(50),
+    title VARCHAR(255),
+    message TEXT,
+    is_read BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE dusw_notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    dusw_id INTEGER REFERENCES dusw_social_workers(id) ON DELETE CASCADE,
+    patient_id UUID REFERENCES patients(id) ON DELETE CASCADE,
+    notification_type VARCHAR(50),
+    title VARCHAR(255),
+    message TEXT,
+    is_read BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Both shapes the code writes: the original (action, resource_type, occurred_at) and the
+-- production one (event_type, event_category, timestamp)
+CREATE TABLE audit_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID,
+    action VARCHAR(20),
+    resource_type VARCHAR(100),
+    event_type VARCHAR(100),
+    event_category VARCHAR(50),
+    description TEXT,
+    metadata JSONB DEFAULT '{}',
+    ip_address INET,
+    user_agent TEXT,
+    timestamp TIMESTAMP WITH TIME ZONE,
+    occurred_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
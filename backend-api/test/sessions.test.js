@@ -0,0 +1,52 @@
+const { startApi } = require('./api');
+const { insert, createPatient } = require('./fixtures');
+
+describe('patient sessions', () => {
+    let api;
+    let patient;
+    let current;
+    let other;
+
+    beforeAll(async () => {
+        api = await startApi();
+        patient = await createPatient(api.db);
+    });
+
+    afterAll(() => api.stop());
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        current = await insert(api.db, 'user_sessions', { user_id: patient.user.id, device_name: 'iPhone', expires_at: expiresAt });
+        other = await insert(api.db, 'user_sessions', { user_id: patient.user.id, device_name: 'iPad', expires_at: expiresAt });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const revoke = sessionId => api.as(patient, { sid: current.id }).delete(`/api/v1/auth/sessions/${sessionId}`);
+
+    async function revokedReason(session) {
+        const result = await api.db.query('SELECT revoked_reason FROM user_sessions WHERE id = $1', [session.id]);
+        return result.rows[0].revoked_reason;
+    }
+
+    it("revokes one of the patient's other sessions", async () => {
+        const response = await revoke(other.id);
+
+        expect(response.status).toBe(200);
+        expect(await revokedReason(other)).toBe('revoked_by_user');
+        expect(await revokedReason(current)).toBeNull();
+        expect((await revoke(other.id)).status).toBe(404);
+    });
+
+    it("answers 404 for session ids that are not UUIDs or not the patient's", async () => {
+        const stranger = await createPatient(api.db);
+        const theirs = await insert(api.db, 'user_sessions', { user_id: stranger.user.id, expires_at: new Date(Date.now() + 60000) });
+
+        expect((await revoke('not-a-session')).status).toBe(404);
+        expect((await revoke(theirs.id)).status).toBe(404);
+        expect(await revokedReason(theirs)).toBeNull();
+    });
+});
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const { createTestDatabase } = require('./database');
+const { createCenter, createEmployee } = require('./fixtures');
+
+const MIGRATION = fs.readFileSync(path.join(__dirname, '..', 'database', 'migrations', '005_add_tc_employee_roles.sql'), 'utf8');
+
+describe('migration 005: transplant center employee roles', () => {
+    let database;
+    let db;
+
+    beforeAll(async () => {
+        database = await createTestDatabase();
+        db = database.pool;
+        // Back to the table as it was before the migration, when self-registration made everyone an admin
+        await db.query('ALTER TABLE transplant_center_employees DROP CONSTRAINT transplant_center_employees_role_check');
+    });
+
+    afterAll(async () => {
+        await database.drop();
+    });
+
+    // An employee who self-registered the given number of days ago
+    const registered = (center, daysAgo, fields = {}) => createEmployee(db, center, {
+        role: 'admin',
+        created_at: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000),
+        ...fields
+    });
+
+    async function roles() {
+        const result = await db.query('SELECT id, role FROM transplant_center_employees');
+        return Object.fromEntries(result.rows.map(row => [row.id, row.role]));
+    }
+
+    it('keeps one admin per center, the earliest active employee, and makes everyone else read-only', async () => {
+        const center = await createCenter(db);
+        const founder = await registered(center, 300, { status: 'inactive' });
+        const first = await registered(center, 200);
+        const later = await registered(center, 100);
+        const legacy = await registered(center, 50, { role: 'manager' });
+        const soloCenter = await createCenter(db);
+        const solo = await registered(soloCenter, 10, { role: 'manager' });
+
+        await db.query(MIGRATION);
+
+        expect(await roles()).toEqual({
+            [founder.id]: 'read_only',
+            [first.id]: 'admin',
+            [later.id]: 'read_only',
+            [legacy.id]: 'read_only',
+            [solo.id]: 'admin'
+        });
+
+        // Roles granted after the migration survive running it again
+        await db.query("UPDATE transplant_center_employees SET role = 'admin' WHERE id = $1", [later.id]);
+        await db.query(MIGRATION);
+        expect((await roles())[later.id]).toBe('admin');
+        await expect(db.query("UPDATE transplant_center_employees SET role = 'owner' WHERE id = $1", [first.id])).rejects.toThrow(/role_check/);
+    });
+});
@@ -13,6 +13,38 @@ const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/clien
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
+const AuditLogger = require('../backend-api/src/middleware/auditLogger');
+const DocumentAccessPolicy = require('../backend-api/src/services/documentAccessPolicy');
+const {
+    MESSAGE_ATTACHMENT_TYPE,
+    createThread,
+    getThread,
+    isAssignedDusw,
+    listThreads,
+    getThreadMessages,
+    addMessage,
+    markThreadRead,
+    validateMessageContent
+} = require('../backend-api/src/services/messageThreads');
+const careTeam = require('../backend-api/src/services/careTeamThreads');
+const { listDocumentRequests, listOpenDuswRequests, fulfillDocumentRequests } = require('../backend-api/src/services/documentRequests');
+const { enqueueTcNotification } = require('../backend-api/src/services/notificationOutbox');
+const {
+    documentTypesFor,
+    documentTypeName,
+    toIsoDate,
+    expiryDateFor,
+    getPatientChecklist,
+    syncDocumentTodos
+} = require('../backend-api/src/services/documentRequirements');
+const { countStaleDocuments, listExpiringDuswDocuments } = require('../backend-api/src/services/documentExpiry');
+const {
+    VERSIONED_DOCUMENT_TYPES,
+    findCurrentDocument,
+    supersedeDocument,
+    deleteDocument,
+    logDocumentEvent
+} = require('../backend-api/src/services/documentVersions');
 require('dotenv').config();
 
 const app = express();
@@ -32,6 +64,10 @@ const pool = new Pool({
     connectionTimeoutMillis: 15000, // Increased timeout
 });
 
+// Document downloads use the same access policy and PHI audit trail as the patient API
+const auditLogger = new AuditLogger(pool);
+const documentAccessPolicy = new DocumentAccessPolicy(pool, auditLogger);
+
 // AWS S3 Client for document storage
 const s3Client = new S3Client({
     region: process.env.AWS_REGION || 'us-east-1'
@@ -58,17 +94,8 @@ const upload = multer({
     }
 });
 
-// Document type mapping for DUSW uploads
-const DUSW_DOCUMENT_TYPES = {
-    'current_labs': 'One week of current labs',
-    'medicare_2728': 'Medicare 2728 form',
-    'medication_list': 'Medication list',
-    'immunization_record': 'Immunization record',
-    'social_work_summary': 'Social work summary',
-    'dietitian_summary': 'Dietitian summary',
-    'care_plan_notes': 'Recent care plan or progress notes',
-    'dialysis_shift': 'Hemodialysis/Peritoneal Shift'
-};
+// Document types a DUSW can upload ({ type: name })
+const DUSW_DOCUMENT_TYPES = documentTypesFor('dusw');
 
 // Database query with automatic retry logic
 async function queryWithRetry(text, params, maxRetries = 3) {
@@ -141,10 +168,14 @@ async function verifyPassword(password, hash) {
     return await bcrypt.compare(password, hash);
 }
 
+// Short-lived token the portal's pages use to call the patient API as this social worker
+const API_TOKEN_TTL_SECONDS = 900;
+
 function generateToken(payload) {
     return jwt.sign(payload, process.env.JWT_SECRET, { 
-        expiresIn: '24h',
-        issuer: 'dusw-portal'
+        expiresIn: API_TOKEN_TTL_SECONDS,
+        issuer: 'dusw-portal',
+        audience: 'patient-api'
     });
 }
 
@@ -180,10 +211,21 @@ async function loadNotifications(req, res, next) {
             
             res.locals.duswNotifications = duswNotifications.rows;
             res.locals.unreadNotificationCount = duswNotifications.rows.filter(n => !n.is_read).length;
+
+            const unreadMessages = await queryWithRetry(`
+                SELECT COUNT(*) as count
+                FROM patient_messages m
+                JOIN patient_message_threads t ON m.thread_id = t.id
+                WHERE t.dusw_id = $1 AND m.sender_type = 'patient' AND m.is_read = false
+            `, [req.session.user.id]);
+            res.locals.unreadMessageCount = parseInt(unreadMessages.rows[0].count);
+            res.locals.unreadCareTeamCount = await careTeam.countUnreadThreads(pool, { type: 'dusw', id: req.session.user.id });
         } catch (error) {
             console.error('Error loading notifications:', error);
             res.locals.duswNotifications = [];
             res.locals.unreadNotificationCount = 0;
+            res.locals.unreadMessageCount = 0;
+            res.locals.unreadCareTeamCount = 0;
         }
     }
     next();
@@ -239,7 +281,7 @@ app.get('/dashboard', requireAuth, async (req, res) => {
             FROM patient_dusw_assignments pda
             JOIN patients p ON pda.patient_id = p.id
             JOIN users u ON p.user_id = u.id
-            LEFT JOIN patient_referrals pr ON p.id = pr.patient_id
+            LEFT JOIN patient_referrals pr ON p.id = pr.patient_id AND pr.status::text != 'withdrawn'
             WHERE pda.dusw_social_worker_id = $1
             GROUP BY u.first_name, u.last_name, u.email, u.phone_number, u.created_at, p.id, p.date_of_birth, pda.dialysis_clinic, pda.social_worker_name
             ORDER BY u.created_at DESC
@@ -297,12 +339,20 @@ app.get('/dashboard', requireAuth, async (req, res) => {
 
         const unreadCount = duswNotifications.rows.filter(n => !n.is_read).length;
 
+        // Documents transplant centers have asked this social worker for
+        const documentRequests = await listOpenDuswRequests(pool, duswId);
+
+        // Documents this social worker provided that need a current copy
+        const expiringDocuments = await listExpiringDuswDocuments(pool, duswId);
+
         res.render('dashboard', {
             title: 'Dashboard - DUSW Portal',
             user: req.session.user,
             patients: patients.rows,
             duswNotifications: duswNotifications.rows,
             unreadNotificationCount: unreadCount,
+            documentRequests: documentRequests,
+            expiringDocuments: expiringDocuments,
             stats: {
                 totalPatients,
                 patientsWithTC,
@@ -318,6 +368,8 @@ app.get('/dashboard', requireAuth, async (req, res) => {
             patients: [],
             duswNotifications: [],
             unreadNotificationCount: 0,
+            documentRequests: [],
+            expiringDocuments: [],
             stats: { totalPatients: 0, patientsWithTC: 0, tcSelectionPercent: 0, statusCounts: { applied: 0, under_review: 0, accepted: 0, waitlisted: 0, declined: 0, no_selection: 0 } }
         });
     }
@@ -445,6 +497,17 @@ app.post('/login', async (req, res) => {
     }
 });
 
+// Issue an API token for the signed-in social worker
+app.get('/api/token', requireAuth, (req, res) => {
+    const token = generateToken({
+        type: 'dusw',
+        duswId: req.session.user.id,
+        email: req.session.user.email
+    });
+
+    res.json({ success: true, token: token, expiresIn: API_TOKEN_TTL_SECONDS });
+});
+
 // Logout
 app.post('/logout', (req, res) => {
     req.session.destroy((err) => {
@@ -478,21 +541,24 @@ app.get('/patients', requireAuth, async (req, res) => {
                 COUNT(DISTINCT pd.id) as document_count,
                 (SELECT COUNT(*) FROM patient_consents pc WHERE pc.patient_id = p.id) as consent_count,
                 COALESCE(
-                    (SELECT MAX(pr2.status::text) FROM patient_referrals pr2 WHERE pr2.patient_id = p.id),
+                    (SELECT MAX(pr2.status::text) FROM patient_referrals pr2 WHERE pr2.patient_id = p.id AND pr2.status::text != 'withdrawn'),
                     'none'
                 ) as tc_status
             FROM patient_dusw_assignments pda
             JOIN patients p ON pda.patient_id = p.id
             JOIN users u ON p.user_id = u.id
-            LEFT JOIN patient_referrals pr ON p.id = pr.patient_id
-            LEFT JOIN patient_documents pd ON p.id = pd.patient_id
+            LEFT JOIN patient_referrals pr ON p.id = pr.patient_id AND pr.status::text != 'withdrawn'
+            LEFT JOIN patient_documents pd ON p.id = pd.patient_id AND pd.superseded_at IS NULL AND pd.deleted_at IS NULL
             WHERE pda.dusw_social_worker_id = $1
             GROUP BY p.id, u.first_name, u.last_name, u.email, u.phone_number, p.date_of_birth, u.created_at, pda.dialysis_clinic, pda.social_worker_name, p.profile_completed, p.onboarding_completed
             ORDER BY u.created_at DESC
         `, [duswId]);
 
-        // Calculate patient stages - Complete = documents uploaded (not onboarding_completed)
-        const patientsWithStages = patients.rows.map(patient => {
+        // Calculate patient stages - Complete = every required document on the selected centers' checklists
+        // is uploaded and current (not onboarding_completed)
+        const staleCounts = await countStaleDocuments(pool, patients.rows.map(patient => patient.patient_id));
+        const patientsWithStages = [];
+        for (const patient of patients.rows) {
             let stage = 'registered';
             let stageLabel = 'Registered';
             let stageColor = '#3b82f6'; // blue
@@ -500,6 +566,7 @@ app.get('/patients', requireAuth, async (req, res) => {
             const hasConsents = parseInt(patient.consent_count) >= 2; // Both consents signed
             const hasTCSelected = parseInt(patient.referral_count) > 0;
             const hasDocuments = parseInt(patient.document_count) > 0;
+            const checklist = hasDocuments ? await getPatientChecklist(pool, patient.patient_id) : null;
             
             if (hasConsents) {
                 stage = 'roi_signed';
@@ -512,18 +579,24 @@ app.get('/patients', requireAuth, async (req, res) => {
                 stageColor = '#f59e0b'; // amber
             }
             if (hasDocuments) {
+                stage = 'documents';
+                stageLabel = `Documents ${checklist.completedRequiredCount}/${checklist.requiredCount}`;
+                stageColor = '#10b981'; // green
+            }
+            if (hasDocuments && checklist.isComplete) {
                 stage = 'complete';
                 stageLabel = 'Complete';
                 stageColor = '#059669'; // dark green
             }
             
-            return {
+            patientsWithStages.push({
                 ...patient,
                 stage,
                 stageLabel,
-                stageColor
-            };
-        });
+                stageColor,
+                staleDocuments: staleCounts[patient.patient_id] || { expired: 0, expiring: 0 }
+            });
+        }
 
         // Get pending referrals (not yet registered)
         const pendingReferrals = await pool.query(`
@@ -636,7 +709,7 @@ app.get('/patients/:id', requireAuth, async (req, res) => {
             ORDER BY pr.submitted_at DESC
         `, [patientId]);
 
-        // Get documents with uploader info
+        // Get current documents with uploader info
         const documentsResult = await pool.query(`
             SELECT 
                 pd.id,
@@ -645,14 +718,16 @@ app.get('/patients/:id', requireAuth, async (req, res) => {
                 pd.file_size,
                 pd.mime_type,
                 pd.created_at,
+                pd.version,
                 pd.uploaded_by_type,
                 CASE 
                     WHEN pd.uploaded_by_type = 'dusw' THEN 
                         (SELECT CONCAT(dsw.first_name, ' ', dsw.last_name) FROM dusw_social_workers dsw WHERE dsw.id = pd.uploaded_by_id)
+                    WHEN pd.uploaded_by_type = 'tc_employee' THEN 'Transplant Center'
                     ELSE 'Patient'
                 END as uploaded_by_name
             FROM patient_documents pd
-            WHERE pd.patient_id = $1
+            WHERE pd.patient_id = $1 AND pd.superseded_at IS NULL AND pd.deleted_at IS NULL
             ORDER BY pd.created_at DESC
         `, [patientId]);
 
@@ -683,10 +758,14 @@ app.get('/patients/:id', requireAuth, async (req, res) => {
         const latestConsentDate = consents.length > 0 ? consents.reduce((latest, c) => 
             new Date(c.signed_at) > new Date(latest) ? c.signed_at : latest, consents[0].signed_at) : null;
 
-        // Patient is truly complete only when they have uploaded documents
+        // Patient is truly complete only when every required document on their checklist is uploaded and current
+        const documentChecklist = await getPatientChecklist(pool, patientId);
         const hasDocuments = documentsResult.rows.length > 0;
         const hasTCSelected = referralsResult.rows.length > 0;
-        const isComplete = hasDocuments; // Complete = documents uploaded
+        const isComplete = hasDocuments && documentChecklist.isComplete;
+
+        // Documents transplant centers have requested for this patient
+        const documentRequests = await listDocumentRequests(pool, { patientId: patientId });
 
         // Calculate patient journey stages for progress bar
         const stages = {
@@ -694,14 +773,15 @@ app.get('/patients/:id', requireAuth, async (req, res) => {
             roi_signed: { complete: allConsentsSigned, label: 'ROI Signed', icon: 'fa-file-signature', date: latestConsentDate },
             tc_selected: { complete: hasTCSelected, label: 'TC Selected', icon: 'fa-hospital', date: referralsResult.rows[0]?.submitted_at },
             documents: { complete: hasDocuments, label: 'Documents', icon: 'fa-file-alt', date: documentsResult.rows[0]?.created_at },
-            complete: { complete: isComplete, label: 'Complete', icon: 'fa-check-circle', date: hasDocuments ? documentsResult.rows[0]?.created_at : null }
+            complete: { complete: isComplete, label: 'Complete', icon: 'fa-check-circle', date: isComplete ? documentsResult.rows[0]?.created_at : null }
         };
 
         // Determine current stage (highest completed stage)
         let currentStage = 'registered';
         if (allConsentsSigned) currentStage = 'roi_signed';
         if (hasTCSelected) currentStage = 'tc_selected';
-        if (hasDocuments) currentStage = 'complete'; // Skip to complete when docs uploaded
+        if (hasDocuments) currentStage = 'documents';
+        if (isComplete) currentStage = 'complete';
 
         res.render('patient-details', {
             title: 'Patient Details - DUSW Portal',
@@ -714,7 +794,10 @@ app.get('/patients/:id', requireAuth, async (req, res) => {
             allConsentsSigned: allConsentsSigned,
             stages: stages,
             currentStage: currentStage,
-            documentTypes: DUSW_DOCUMENT_TYPES
+            documentTypes: DUSW_DOCUMENT_TYPES,
+            versionedDocumentTypes: VERSIONED_DOCUMENT_TYPES,
+            documentRequests: documentRequests,
+            documentChecklist: documentChecklist
         });
 
     } catch (error) {
@@ -870,11 +953,45 @@ app.post('/notifications/mark-all-read', requireAuth, async (req, res) => {
     }
 });
 
-// Upload document for patient (DUSW)
+// Queue a portal notification for every employee at the patient's transplant centers about a DUSW upload
+async function notifyCentersOfDuswUpload(db, { patient, patientId, duswId, documentType, replaced }) {
+    const duswInfo = await db.query(
+        'SELECT first_name, last_name FROM dusw_social_workers WHERE id = $1',
+        [duswId]
+    );
+    const duswName = duswInfo.rows.length > 0
+        ? `${duswInfo.rows[0].first_name} ${duswInfo.rows[0].last_name}`
+        : 'DUSW';
+
+    const employees = await db.query(`
+        SELECT DISTINCT tce.id
+        FROM patient_referrals pr
+        JOIN transplant_center_employees tce ON pr.transplant_center_id = tce.transplant_center_id
+        WHERE pr.patient_id = $1 AND pr.status::text != 'withdrawn'
+    `, [patientId]);
+
+    const docTypeName = DUSW_DOCUMENT_TYPES[documentType] || documentType;
+
+    for (const employee of employees.rows) {
+        await enqueueTcNotification(db, {
+            tcEmployeeId: employee.id,
+            patientId: patientId,
+            notificationType: 'document_uploaded',
+            title: replaced ? 'Document Replaced by DUSW' : 'Document Uploaded by DUSW',
+            message: replaced
+                ? `${duswName} (DUSW) replaced "${docTypeName}" for ${patient.first_name} ${patient.last_name} with a new version.`
+                : `${duswName} (DUSW) uploaded "${docTypeName}" for ${patient.first_name} ${patient.last_name}.`
+        });
+    }
+    console.log(`✅ TC notifications queued for DUSW document upload (${employees.rows.length} employees)`);
+}
+
+// Upload document for patient (DUSW). With replacesDocumentId the upload becomes the next version of that
+// document, which is kept as superseded.
 app.post('/patients/:patientId/documents/upload', requireAuth, upload.single('file'), async (req, res) => {
     try {
         const patientId = req.params.patientId;
-        const { documentType } = req.body;
+        const { documentType, replacesDocumentId } = req.body;
         const file = req.file;
         const duswId = req.session.user.id;
 
@@ -902,11 +1019,23 @@ app.post('/patients/:patientId/documents/upload', requireAuth, upload.single('fi
         }
 
         const patient = patientCheck.rows[0];
+
+        if (replacesDocumentId) {
+            const replaced = await findCurrentDocument(pool, { patientId, documentId: replacesDocumentId });
+            if (!replaced) {
+                return res.status(404).json({ success: false, error: 'Document to replace not found' });
+            }
+            if (replaced.document_type !== documentType) {
+                return res.status(400).json({ success: false, error: 'A replacement must be the same document type' });
+            }
+        }
+
         const documentGroupId = uuidv4();
+
         const fileExtension = file.originalname.split('.').pop() || 'pdf';
         const s3Key = `patients/${patientId}/documents/${documentType}/${documentGroupId}/file.${fileExtension}`;
 
-        // Upload to S3
+        // Upload to S3 as uploaded; only the patient API assembles images into searchable PDFs
         console.log(`📄 Uploading to S3: ${s3Key}`);
         const putCommand = new PutObjectCommand({
             Bucket: S3_CONFIG.bucket,
@@ -926,70 +1055,85 @@ app.post('/patients/:patientId/documents/upload', requireAuth, upload.single('fi
         await s3Client.send(putCommand);
         console.log(`✅ File uploaded to S3 successfully`);
 
-        // Save to database with uploaded_by info
-        const docResult = await pool.query(`
-            INSERT INTO patient_documents (
-                patient_id, document_type, file_name, file_size, mime_type,
-                s3_key, s3_bucket, upload_status, is_front, document_group_id,
-                uploaded_by_type, uploaded_by_id
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'completed', true, $8, 'dusw', $9)
-            RETURNING id, document_type, file_name, created_at
-        `, [
-            patientId, documentType, file.originalname, file.size, file.mimetype,
-            s3Key, S3_CONFIG.bucket, documentGroupId, duswId
-        ]);
-
-        console.log(`✅ Document saved to database: ${docResult.rows[0].id}`);
-
-        // Notify TC admins about new document uploaded by DUSW
+        // Save to database with uploaded_by info, closing any transplant center requests for this type
+        const client = await pool.connect();
+        let docResult;
+        let replaced = null;
         try {
-            const duswInfo = await pool.query(
-                'SELECT first_name, last_name FROM dusw_social_workers WHERE id = $1',
-                [duswId]
-            );
-            const duswName = duswInfo.rows.length > 0 
-                ? `${duswInfo.rows[0].first_name} ${duswInfo.rows[0].last_name}`
-                : 'DUSW';
-
-            // Get patient's selected transplant centers
-            const referrals = await pool.query(`
-                SELECT DISTINCT tc.id, tc.name, tce.id as employee_id
-                FROM patient_referrals pr
-                JOIN transplant_centers tc ON pr.transplant_center_id = tc.id
-                LEFT JOIN transplant_center_employees tce ON tc.id = tce.transplant_center_id
-                WHERE pr.patient_id = $1
-            `, [patientId]);
-
-            const docTypeName = DUSW_DOCUMENT_TYPES[documentType] || documentType;
-
-            // Create notification for each TC employee
-            for (const row of referrals.rows) {
-                if (row.employee_id) {
-                    await pool.query(`
-                        INSERT INTO tc_notifications (
-                            tc_employee_id, patient_id, notification_type, title, message, is_read, created_at
-                        ) VALUES ($1, $2, 'document_uploaded', 'Document Uploaded by DUSW', $3, false, NOW())
-                    `, [
-                        row.employee_id,
-                        patientId,
-                        `${duswName} (DUSW) uploaded "${docTypeName}" for ${patient.first_name} ${patient.last_name}.`
-                    ]);
+            await client.query('BEGIN');
+
+            if (replacesDocumentId) {
+                replaced = await findCurrentDocument(client, { patientId, documentId: replacesDocumentId, forUpdate: true });
+                if (!replaced) {
+                    await client.query('ROLLBACK');
+                    return res.status(409).json({ success: false, error: 'This document was already replaced or deleted' });
                 }
+                await supersedeDocument(client, replaced, documentGroupId);
             }
-            console.log(`✅ TC notifications sent for DUSW document upload`);
-        } catch (notifyError) {
-            console.error('⚠️ Error sending TC notifications:', notifyError.message);
+
+            // Current as of today until extraction or review finds the lab date
+            const effectiveDate = toIsoDate(new Date());
+            docResult = await client.query(`
+                INSERT INTO patient_documents (
+                    patient_id, document_type, file_name, file_size, mime_type,
+                    s3_key, s3_bucket, upload_status, is_front, document_group_id,
+                    uploaded_by_type, uploaded_by_id, effective_date, expiry_date, version, supersedes_group_id, page_number
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'completed', true, $8, 'dusw', $9, $10, $11, $12, $13, 1)
+                RETURNING id, document_type, file_name, created_at, version
+            `, [
+                patientId, documentType, file.originalname, file.size, file.mimetype,
+                s3Key, S3_CONFIG.bucket, documentGroupId, duswId, effectiveDate, expiryDateFor(documentType, effectiveDate),
+                replaced ? replaced.version + 1 : 1, replaced ? replaced.document_group_id : null
+            ]);
+
+            await fulfillDocumentRequests(client, {
+                patientId: patientId,
+                documentType: documentType,
+                documentId: docResult.rows[0].id,
+                uploadedBy: 'dusw'
+            });
+
+            // Let the staff at the patient's centers know, with the upload
+            await notifyCentersOfDuswUpload(client, {
+                patient: patient,
+                patientId: patientId,
+                duswId: duswId,
+                documentType: documentType,
+                replaced: Boolean(replaced)
+            });
+
+            // Uploads by the DUSW count toward the patient's checklist too
+            await syncDocumentTodos(client, patientId);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`✅ Document saved to database: ${docResult.rows[0].id}`);
+
+        if (replaced) {
+            await logDocumentEvent(auditLogger, replaced, { type: 'dusw', id: duswId }, 'document_replaced',
+                `DUSW replaced ${DUSW_DOCUMENT_TYPES[documentType]} (version ${replaced.version})`, {
+                    metadata: { replaced_by_group_id: documentGroupId },
+                    ipAddress: req.ip,
+                    userAgent: req.get('user-agent')
+                });
         }
 
         res.json({
             success: true,
-            message: 'Document uploaded successfully',
+            message: replaced ? 'Document replaced successfully' : 'Document uploaded successfully',
             document: {
                 id: docResult.rows[0].id,
                 documentType: documentType,
                 documentTypeName: DUSW_DOCUMENT_TYPES[documentType],
                 fileName: file.originalname,
-                createdAt: docResult.rows[0].created_at
+                createdAt: docResult.rows[0].created_at,
+                version: docResult.rows[0].version
             }
         });
 
@@ -999,26 +1143,76 @@ app.post('/patients/:patientId/documents/upload', requireAuth, upload.single('fi
     }
 });
 
+// Delete a patient's document (DUSW). Soft: the files and rows are kept for audit, and the patient's
+// todos reopen if the document was required.
+app.post('/patients/:patientId/documents/:documentId/delete', requireAuth, async (req, res) => {
+    try {
+        const { patientId, documentId } = req.params;
+        const duswId = req.session.user.id;
+        const principal = { type: 'dusw', id: duswId };
+
+        const assignment = await pool.query(`
+            SELECT 1 FROM patient_dusw_assignments WHERE patient_id = $1 AND dusw_social_worker_id = $2
+        `, [patientId, duswId]);
+        if (assignment.rows.length === 0) {
+            return res.status(403).json({ success: false, error: 'Patient not found or not assigned to you' });
+        }
+
+        const client = await pool.connect();
+        let document;
+        try {
+            await client.query('BEGIN');
+
+            document = await findCurrentDocument(client, { patientId, documentId, forUpdate: true });
+            if (!document) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({ success: false, error: 'Document not found' });
+            }
+
+            await deleteDocument(client, document, principal, req.body.reason);
+            await syncDocumentTodos(client, patientId);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await logDocumentEvent(auditLogger, document, principal, 'document_deleted',
+            `DUSW deleted ${documentTypeName(document.document_type)} (version ${document.version})`, {
+                metadata: { reason: req.body.reason || null },
+                ipAddress: req.ip,
+                userAgent: req.get('user-agent')
+            });
+
+        console.log(`✅ Document ${document.id} deleted by DUSW ${duswId}`);
+
+        res.json({ success: true, message: 'Document deleted successfully' });
+
+    } catch (error) {
+        console.error('❌ DUSW document delete error:', error);
+        res.status(500).json({ success: false, error: 'Failed to delete document' });
+    }
+});
+
 // Get signed URL to view/download document
 app.get('/patients/:patientId/documents/:documentId/view', requireAuth, async (req, res) => {
     try {
         const { patientId, documentId } = req.params;
-        const duswId = req.session.user.id;
 
-        // Verify document exists and patient is assigned to this DUSW
-        const docResult = await pool.query(`
-            SELECT pd.s3_key, pd.s3_bucket, pd.file_name, pd.mime_type
-            FROM patient_documents pd
-            JOIN patient_dusw_assignments pda ON pd.patient_id = pda.patient_id
-            WHERE pd.id = $1 AND pd.patient_id = $2 AND pda.dusw_social_worker_id = $3
-        `, [documentId, patientId, duswId]);
+        const doc = await documentAccessPolicy.authorize(documentId, { type: 'dusw', id: req.session.user.id }, {
+            accessMethod: 'dusw_portal',
+            purpose: 'patient_support',
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
 
-        if (docResult.rows.length === 0) {
+        if (!doc || doc.patient_id !== patientId) {
             return res.status(404).json({ success: false, error: 'Document not found' });
         }
 
-        const doc = docResult.rows[0];
-
         // Generate signed URL (valid for 15 minutes)
         const getCommand = new GetObjectCommand({
             Bucket: doc.s3_bucket,
@@ -1040,6 +1234,400 @@ app.get('/patients/:patientId/documents/:documentId/view', requireAuth, async (r
     }
 });
 
+// ═══════════════════════════════════════════════════════════════
+// PATIENT MESSAGES
+// ═══════════════════════════════════════════════════════════════
+
+// Multer errors (size, file type) go back to the form instead of an error page
+function attachmentUpload(basePath) {
+    return (req, res, next) => {
+        upload.single('attachment')(req, res, (error) => {
+            if (error) {
+                const back = req.params.threadId ? `${basePath}/${req.params.threadId}` : basePath;
+                return res.redirect(`${back}?error=${encodeURIComponent(error.message)}`);
+            }
+            next();
+        });
+    };
+}
+
+const messageAttachmentUpload = attachmentUpload('/messages');
+
+// Upload a message attachment to the document store; its patient_documents row is written with the message
+async function storeMessageAttachment(patientId, duswId, file, documentType = MESSAGE_ATTACHMENT_TYPE) {
+    const documentGroupId = uuidv4();
+    const fileExtension = file.originalname.split('.').pop() || 'pdf';
+    const s3Key = `patients/${patientId}/documents/${documentType}/${documentGroupId}/file.${fileExtension}`;
+
+    await s3Client.send(new PutObjectCommand({
+        Bucket: S3_CONFIG.bucket,
+        Key: s3Key,
+        Body: file.buffer,
+        ContentType: file.mimetype,
+        ServerSideEncryption: 'AES256',
+        Metadata: {
+            'patient-id': String(patientId),
+            'document-type': documentType,
+            'uploaded-by': 'dusw',
+            'dusw-id': String(duswId),
+            'original-filename': String(file.originalname)
+        }
+    }));
+
+    return { file, s3Key, documentGroupId, documentType };
+}
+
+// Write the patient_documents row for an uploaded attachment inside the message's transaction
+async function insertAttachmentDocument(client, patientId, duswId, attachment) {
+    const docResult = await client.query(`
+        INSERT INTO patient_documents (
+            patient_id, document_type, file_name, file_size, mime_type,
+            s3_key, s3_bucket, upload_status, is_front, document_group_id,
+            uploaded_by_type, uploaded_by_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'completed', true, $8, 'dusw', $9)
+        RETURNING id
+    `, [
+        patientId, attachment.documentType, attachment.file.originalname, attachment.file.size,
+        attachment.file.mimetype, attachment.s3Key, S3_CONFIG.bucket, attachment.documentGroupId, duswId
+    ]);
+    return docResult.rows[0].id;
+}
+
+// Send a DUSW message. resolveThread(client) returns the thread to post in (or creates one), so a new
+// conversation, its first message, the attachment row and the patient's push commit together.
+async function sendDuswMessage(patientId, duswId, content, file, resolveThread) {
+    const attachment = file ? await storeMessageAttachment(patientId, duswId, file) : null;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const thread = await resolveThread(client);
+
+        const attachmentDocumentId = attachment
+            ? await insertAttachmentDocument(client, patientId, duswId, attachment)
+            : null;
+
+        await addMessage(client, thread, {
+            senderType: 'dusw',
+            senderDuswId: duswId,
+            content: content.trim(),
+            attachmentDocumentId: attachmentDocumentId
+        });
+
+        await client.query('COMMIT');
+        return thread;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Load a thread if it belongs to the signed-in social worker and its patient is still assigned to them
+async function getOwnThread(threadId, duswId) {
+    const thread = await getThread(pool, threadId);
+    if (!thread || thread.dusw_id !== duswId) {
+        return null;
+    }
+    return await isAssignedDusw(pool, thread.patient_id, duswId) ? thread : null;
+}
+
+// Messages inbox
+app.get('/messages', requireAuth, async (req, res) => {
+    try {
+        const duswId = req.session.user.id;
+        const threads = await listThreads(pool, { duswId: duswId, readerType: 'dusw' });
+
+        // Assigned patients, for starting a new conversation
+        const patients = await queryWithRetry(`
+            SELECT p.id, u.first_name, u.last_name
+            FROM patient_dusw_assignments pda
+            JOIN patients p ON pda.patient_id = p.id
+            JOIN users u ON p.user_id = u.id
+            WHERE pda.dusw_social_worker_id = $1
+            ORDER BY u.last_name, u.first_name
+        `, [duswId]);
+
+        res.render('messages', {
+            title: 'Messages - DUSW Portal',
+            user: req.session.user,
+            threads: threads,
+            patients: patients.rows,
+            selectedPatientId: req.query.patientId || null,
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Messages page error:', error);
+        res.status(500).send('Server error');
+    }
+});
+
+// Start a conversation with an assigned patient
+app.post('/messages', requireAuth, messageAttachmentUpload, async (req, res) => {
+    try {
+        const duswId = req.session.user.id;
+        const { patientId, subject, message } = req.body;
+
+        const contentError = validateMessageContent(message);
+        if (contentError || !subject?.trim()) {
+            return res.redirect(`/messages?error=${encodeURIComponent(contentError || 'Subject is required')}`);
+        }
+
+        const assignment = await pool.query(`
+            SELECT 1 FROM patient_dusw_assignments WHERE patient_id = $1 AND dusw_social_worker_id = $2
+        `, [patientId, duswId]);
+
+        if (assignment.rows.length === 0) {
+            return res.redirect(`/messages?error=${encodeURIComponent('Patient not found or not assigned to you')}`);
+        }
+
+        const thread = await sendDuswMessage(patientId, duswId, message, req.file, (client) => createThread(client, {
+            patientId: patientId,
+            duswId: duswId,
+            subject: subject.trim().substring(0, 200),
+            startedByType: 'dusw'
+        }));
+
+        console.log(`✅ DUSW ${duswId} started conversation ${thread.id} with patient ${patientId}`);
+        res.redirect(`/messages/${thread.id}`);
+    } catch (error) {
+        console.error('❌ Error starting conversation:', error);
+        res.redirect(`/messages?error=${encodeURIComponent('Failed to send message')}`);
+    }
+});
+
+// Conversation view; opening it marks the patient's messages as read
+app.get('/messages/:threadId', requireAuth, async (req, res) => {
+    try {
+        const thread = await getOwnThread(req.params.threadId, req.session.user.id);
+        if (!thread) {
+            return res.status(404).send('Conversation not found');
+        }
+
+        const updated = await markThreadRead(pool, thread.id, 'dusw');
+        if (updated > 0) {
+            res.locals.unreadMessageCount = Math.max(0, (res.locals.unreadMessageCount || 0) - updated);
+        }
+
+        res.render('message-thread', {
+            title: `${thread.subject} - DUSW Portal`,
+            user: req.session.user,
+            thread: thread,
+            messages: await getThreadMessages(pool, thread.id),
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Conversation page error:', error);
+        res.status(500).send('Server error');
+    }
+});
+
+// Reply in a conversation
+app.post('/messages/:threadId/reply', requireAuth, messageAttachmentUpload, async (req, res) => {
+    const threadUrl = `/messages/${req.params.threadId}`;
+
+    try {
+        const duswId = req.session.user.id;
+        const thread = await getOwnThread(req.params.threadId, duswId);
+        if (!thread) {
+            return res.status(404).send('Conversation not found');
+        }
+
+        const contentError = validateMessageContent(req.body.message);
+        if (contentError) {
+            return res.redirect(`${threadUrl}?error=${encodeURIComponent(contentError)}`);
+        }
+
+        await sendDuswMessage(thread.patient_id, duswId, req.body.message, req.file, async () => thread);
+
+        res.redirect(threadUrl);
+    } catch (error) {
+        console.error('❌ Error sending reply:', error);
+        res.redirect(`${threadUrl}?error=${encodeURIComponent('Failed to send message')}`);
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// CARE TEAM MESSAGES (transplant center staff)
+// ═══════════════════════════════════════════════════════════════
+
+const careTeamAttachmentUpload = attachmentUpload('/care-team');
+
+function duswPrincipal(req) {
+    return { type: 'dusw', id: req.session.user.id };
+}
+
+function requestContext(req) {
+    return { ipAddress: req.ip, userAgent: req.get('User-Agent') };
+}
+
+// Post a care team message. resolveThread(client) returns the thread (or creates one) inside the
+// transaction, so the thread, message, attachment row and center notifications commit together.
+async function sendCareTeamMessage(req, patientId, content, resolveThread) {
+    const principal = duswPrincipal(req);
+    const attachment = req.file
+        ? await storeMessageAttachment(patientId, principal.id, req.file, careTeam.CARE_TEAM_ATTACHMENT_TYPE)
+        : null;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const thread = await resolveThread(client);
+        const attachmentDocumentId = attachment
+            ? await insertAttachmentDocument(client, patientId, principal.id, attachment)
+            : null;
+
+        const message = await careTeam.addMessage(client, thread, principal, {
+            content: content.trim(),
+            attachmentDocumentId: attachmentDocumentId,
+            senderName: `${req.session.user.firstName} ${req.session.user.lastName}`
+        });
+
+        await client.query('COMMIT');
+
+        await careTeam.logThreadEvent(auditLogger, thread, principal, 'care_team_message_sent',
+            `DUSW sent a care team message to ${thread.center_name}`,
+            { ...requestContext(req), metadata: { message_id: message.id, attachment_document_id: attachmentDocumentId } });
+
+        return thread;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Care team inbox; ?patientId= limits it to one patient and opens the new-thread form for them
+app.get('/care-team', requireAuth, async (req, res) => {
+    try {
+        const principal = duswPrincipal(req);
+        const patientId = req.query.patientId || null;
+        const threads = await careTeam.listThreads(pool, principal, { patientId: patientId });
+
+        // Referrals of assigned patients, for starting a new thread with that center
+        const referrals = await queryWithRetry(`
+            SELECT pr.id, pr.patient_id, u.first_name, u.last_name, tc.name as center_name
+            FROM patient_dusw_assignments pda
+            JOIN patient_referrals pr ON pr.patient_id = pda.patient_id
+            JOIN patients p ON pda.patient_id = p.id
+            JOIN users u ON p.user_id = u.id
+            JOIN transplant_centers tc ON pr.transplant_center_id = tc.id
+            WHERE pda.dusw_social_worker_id = $1 AND pr.status <> 'withdrawn'
+              AND ($2::uuid IS NULL OR pr.patient_id = $2::uuid)
+            ORDER BY u.last_name, u.first_name, tc.name
+        `, [principal.id, patientId]);
+
+        res.render('care-team', {
+            title: 'Care Team - DUSW Portal',
+            user: req.session.user,
+            threads: threads,
+            referrals: referrals.rows,
+            selectedPatientId: patientId,
+            selectedReferralId: req.query.referralId || null,
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Care team page error:', error);
+        res.status(500).send('Server error');
+    }
+});
+
+// Start a thread with a center the patient is referred to
+app.post('/care-team', requireAuth, careTeamAttachmentUpload, async (req, res) => {
+    try {
+        const principal = duswPrincipal(req);
+        const { referralId, subject, message } = req.body;
+
+        const contentError = validateMessageContent(message);
+        if (contentError || !subject?.trim()) {
+            return res.redirect(`/care-team?error=${encodeURIComponent(contentError || 'Subject is required')}`);
+        }
+
+        const referral = await pool.query(`
+            SELECT pr.patient_id, pr.transplant_center_id
+            FROM patient_referrals pr
+            JOIN patient_dusw_assignments pda ON pda.patient_id = pr.patient_id
+            WHERE pr.id = $1 AND pda.dusw_social_worker_id = $2 AND pr.status <> 'withdrawn'
+        `, [referralId, principal.id]);
+
+        if (referral.rows.length === 0) {
+            return res.redirect(`/care-team?error=${encodeURIComponent('Patient not found or not assigned to you')}`);
+        }
+
+        const { patient_id: patientId, transplant_center_id: transplantCenterId } = referral.rows[0];
+
+        const thread = await sendCareTeamMessage(req, patientId, message, (client) => careTeam.createThread(client, {
+            patientId: patientId,
+            transplantCenterId: transplantCenterId,
+            duswId: principal.id,
+            subject: subject.trim().substring(0, 200)
+        }, principal));
+
+        console.log(`✅ DUSW ${principal.id} started care team thread ${thread.id} with center ${transplantCenterId}`);
+        res.redirect(`/care-team/${thread.id}`);
+    } catch (error) {
+        console.error('❌ Error starting care team thread:', error);
+        res.redirect(`/care-team?error=${encodeURIComponent('Failed to send message')}`);
+    }
+});
+
+// Care team thread; opening it marks it read and is recorded in the patient's audit trail
+app.get('/care-team/:threadId', requireAuth, async (req, res) => {
+    try {
+        const principal = duswPrincipal(req);
+        const thread = await careTeam.getThread(pool, req.params.threadId, principal);
+        if (!thread) {
+            return res.status(404).send('Conversation not found');
+        }
+
+        const messages = await careTeam.getMessages(pool, thread.id, principal);
+        await careTeam.markRead(pool, thread.id, principal);
+        await careTeam.logThreadEvent(auditLogger, thread, principal, 'care_team_thread_viewed',
+            `DUSW viewed a care team thread with ${thread.center_name}`, requestContext(req));
+
+        res.locals.unreadCareTeamCount = await careTeam.countUnreadThreads(pool, principal);
+
+        res.render('care-team-thread', {
+            title: `${thread.subject} - DUSW Portal`,
+            user: req.session.user,
+            thread: thread,
+            messages: messages,
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Care team thread page error:', error);
+        res.status(500).send('Server error');
+    }
+});
+
+// Reply in a care team thread
+app.post('/care-team/:threadId/reply', requireAuth, careTeamAttachmentUpload, async (req, res) => {
+    const threadUrl = `/care-team/${req.params.threadId}`;
+
+    try {
+        const thread = await careTeam.getThread(pool, req.params.threadId, duswPrincipal(req));
+        if (!thread) {
+            return res.status(404).send('Conversation not found');
+        }
+
+        const contentError = validateMessageContent(req.body.message);
+        if (contentError) {
+            return res.redirect(`${threadUrl}?error=${encodeURIComponent(contentError)}`);
+        }
+
+        await sendCareTeamMessage(req, thread.patient_id, req.body.message, async () => thread);
+
+        res.redirect(threadUrl);
+    } catch (error) {
+        console.error('❌ Error sending care team reply:', error);
+        res.redirect(`${threadUrl}?error=${encodeURIComponent('Failed to send message')}`);
+    }
+});
+
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`🏥 DUSW Portal running on http://localhost:${PORT}`);
@@ -0,0 +1,202 @@
+/**
+ * Document type classification
+ *
+ * Uploaders pick a document type from a list, and often pick the wrong one (an insurance card
+ * uploaded as a government ID, labs uploaded as "other"). The text of each upload is scored
+ * against every type the platform accepts (the DOCUMENT_TYPES catalog in
+ * backend-api/src/services/documentRequirements.js): each type has signals, phrases that show
+ * up on that kind of document, weighted by how much they give it away ("CMS-2728" settles it,
+ * "date of birth" is on half the documents we get). A type's score is the total weight of its
+ * signals found in the text.
+ *
+ * The prediction is the best scoring type. Its confidence grows with its score, up to
+ * CLEAR_SCORE, and shrinks when another type scores nearly as well:
+ *   confidence = 100 * min(1, best / CLEAR_SCORE) * best / (best + runnerUp)
+ * Text too short to judge, or with no signals at all, is not classified.
+ */
+
+const { CONFIDENCE_LOW, CONFIDENCE_MEDIUM, CONFIDENCE_HIGH } = require('./results');
+
+// Score at which the best type is unmistakable, when nothing else scores
+const CLEAR_SCORE = 8;
+
+// Fewer characters than this can't tell one type from another (a photo with a few OCR'd words)
+const MIN_TEXT_LENGTH = 40;
+
+// Signals are case-insensitive regular expressions, matched on word boundaries
+const TYPE_SIGNALS = {
+    current_labs: [
+        ['potassium', 1], ['sodium', 0.5], ['chloride', 0.5], ['bun|blood urea nitrogen', 1], ['creatinine', 1],
+        ['glucose', 0.5], ['calcium', 0.5], ['phosphorus', 1], ['albumin', 1], ['hemoglobin|hgb', 1],
+        ['hematocrit|hct', 1], ['platelets?|plt', 1], ['wbc|white blood cell', 0.5], ['inr', 1], ['ptt|aptt', 1],
+        ['pth|parathyroid', 1], ['a1c', 1], ['bilirubin', 1], ['egfr', 1],
+        ['reference (?:range|interval)|ref(?:erence)? range', 2], ['specimen', 1], ['collect(?:ed|ion) (?:date|time)', 1.5],
+        ['mg/dl|mmol/l|g/dl|meq/l|k/ul|x ?10\\^?3', 1.5], ['laboratory|lab report|lab results', 1]
+    ],
+    medication_list: [
+        ['medication list|medication record|current medications|list of medications|home medications', 4],
+        ['medications?', 1], ['\\d+(?:\\.\\d+)? ?(?:mg|mcg)', 1], ['tablets?|capsules?|tab|cap', 1],
+        ['by mouth|orally|p\\.?o\\.?', 1], ['daily|bid|tid|qid|qhs|twice (?:a )?day|at bedtime', 1.5],
+        ['sig|directions', 1], ['prescriber|prescribed by', 1], ['pharmacy', 1], ['refills?', 1], ['as needed|prn', 1]
+    ],
+    medicare_2728: [
+        ['cms-?2728', 6], ['end stage renal disease medical evidence report', 6], ['medical evidence report', 3],
+        ['regular chronic dialysis began', 3], ['primary cause of renal failure', 3],
+        ['medicare (?:entitlement|coverage)', 1.5], ['entitled to medicare', 1.5], ['esrd', 1], ['medicare', 0.5]
+    ],
+    insurance_card: [
+        ['member (?:id|#|number|no)', 2], ['subscriber', 1.5], ['group (?:#|number|no)|grp', 1.5],
+        ['rx ?bin|rxbin', 2.5], ['rx ?pcn|rxpcn', 2.5], ['rx ?grp|rxgrp', 2], ['copays?|co-pay', 1.5],
+        ['payer (?:id|#)', 2], ['health (?:plan|insurance)|insurance', 1],
+        ['blue cross|blue shield|aetna|cigna|humana|united ?healthcare|kaiser|anthem|medicaid', 1.5],
+        ['customer service|member services|provider services', 1], ['in-network|out-of-network|deductible', 1]
+    ],
+    government_id: [
+        ['driver\'?s? licen[cs]e', 4], ['identification card', 3], ['passport', 3], ['real id', 2],
+        ['department of (?:motor vehicles|public safety|transportation)|dmv', 2],
+        ['dob|date of birth', 0.5], ['exp(?:ires)?', 0.5], ['iss(?:ued)?', 0.5], ['hgt|height', 1], ['wgt', 1],
+        ['eyes', 1], ['class', 0.5], ['restrictions?|endorsements?', 1.5], ['organ donor|donor', 1], ['sex', 0.5]
+    ],
+    immunization_record: [
+        ['immunizations?', 3], ['vaccines?|vaccinations?|vaccinated', 2], ['hepatitis b|hep b|heplisav|engerix|recombivax', 1.5],
+        ['influenza|flu shot|fluzone', 1], ['pneumococcal|pneumovax|prevnar|ppsv23|pcv\\d+', 1.5],
+        ['tdap|td|tetanus', 1], ['covid-19|sars-cov-2', 1], ['shingrix|zoster', 1], ['mmr|varicella', 1],
+        ['lot (?:#|number|no)', 2], ['administered|date given', 1], ['manufacturer', 1]
+    ],
+    referral_letter: [
+        ['referral', 1.5], ['dear (?:dr|doctor|colleague)', 2.5], ['(?:i am )?(?:referring|refer) (?:this|the|my|our) patient', 3],
+        ['(?:evaluation|evaluate|assessment) for (?:kidney |renal )?transplant(?:ation)?', 2],
+        ['thank you for (?:seeing|evaluating|your)', 2], ['sincerely|regards', 1.5], ['re:', 0.5]
+    ],
+    social_work_summary: [
+        ['social work(?:er)?|social services', 3], ['psychosocial', 3], ['lcsw|msw|licensed clinical social worker', 2],
+        ['support (?:system|person)|caregiver', 1.5], ['living situation|lives with|housing', 1],
+        ['transportation', 1], ['financial|income|employment', 1], ['substance (?:use|abuse)|alcohol|tobacco', 1],
+        ['coping|depression|anxiety', 1], ['adherence|compliance', 1]
+    ],
+    dietitian_summary: [
+        ['dietitian|dietician|nutritionist', 3], ['nutrition(?:al)? (?:assessment|summary|evaluation|note)', 3],
+        ['rdn?|registered dietitian', 1], ['bmi|body mass index', 1], ['dry weight|ideal body weight|ibw', 1],
+        ['protein intake|kcal|calories|g/kg', 1.5], ['fluid restriction', 1], ['malnutrition|subjective global assessment|sga', 1.5],
+        ['appetite', 1], ['diet(?:ary)?', 1], ['phosphorus binder|low potassium|renal diet', 1]
+    ],
+    care_plan_notes: [
+        ['plan of care|care plan', 3], ['progress note', 3], ['interdisciplinary|multidisciplinary', 1.5],
+        ['assessment and plan|assessment/plan|a/p', 1.5], ['subjective', 1], ['objective', 1],
+        ['goals?', 1], ['interventions?', 1], ['follow[- ]?up', 0.5], ['chief complaint|history of present illness|hpi', 1]
+    ],
+    dialysis_shift: [
+        ['(?:dialysis|treatment|chair) (?:schedule|shift|time|chair)', 3], ['shift', 1.5], ['chair', 1],
+        ['mwf|m/w/f|tts|t/th/s|tu/th/sa|monday,? wednesday,? (?:and )?friday|tuesday,? thursday,? (?:and )?saturday', 2],
+        ['dialyzer', 1.5], ['blood flow|qb', 1], ['dialysate|qd', 1], ['edw|estimated dry weight|target weight', 1.5],
+        ['avf|avg|fistula|graft|catheter', 1], ['peritoneal|cycler|exchanges?|fill volume|dwell', 1.5],
+        ['treatment time|run time', 1.5]
+    ],
+    medical_records: [
+        ['medical records?', 2], ['mrn|medical record (?:number|#)', 1], ['discharge summary', 3], ['history and physical|h&p', 3],
+        ['past medical history|pmh', 1.5], ['diagnos[ie]s', 0.5], ['admission|admitted', 1], ['operative report|procedure note', 2.5],
+        ['impression', 1], ['encounter', 1], ['attending', 1]
+    ]
+};
+
+// Types that describe the same document: a prediction of one agrees with an upload as the other
+const SAME_DOCUMENT_TYPES = [
+    ['current_labs', 'lab_results']
+];
+
+function compileSignals() {
+    const compiled = {};
+    for (const [documentType, signals] of Object.entries(TYPE_SIGNALS)) {
+        compiled[documentType] = signals.map(([phrase, weight]) => ({
+            pattern: new RegExp(`(?<![a-z0-9])(?:${phrase})(?![a-z0-9])`, 'i'),
+            weight
+        }));
+    }
+    return compiled;
+}
+
+const SIGNALS = compileSignals();
+
+/**
+ * Score every type against the text. Returns [{ documentType, score }], best first.
+ */
+function scoreDocumentTypes(text) {
+    return Object.entries(SIGNALS)
+        .map(([documentType, signals]) => ({
+            documentType,
+            score: signals.reduce((score, { pattern, weight }) => score + (pattern.test(text) ? weight : 0), 0)
+        }))
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Classify a document from its pages ([{ page, lines: [{ text, confidence }] }]).
+ * Returns { documentType, confidence, scores }; documentType is null when the text can't be classified.
+ */
+function classifyDocument(pages) {
+    // Lines read too poorly to be kept as answers are too poor to classify with
+    const text = pages
+        .flatMap(({ lines }) => lines)
+        .filter(line => line.confidence >= CONFIDENCE_LOW)
+        .map(line => line.text)
+        .join('\n');
+
+    if (text.replace(/\s+/g, '').length < MIN_TEXT_LENGTH) {
+        return { documentType: null, confidence: 0, scores: [] };
+    }
+
+    const scores = scoreDocumentTypes(text);
+    const [best, runnerUp] = scores;
+    if (best.score === 0) {
+        return { documentType: null, confidence: 0, scores };
+    }
+
+    const confidence = 100 * Math.min(1, best.score / CLEAR_SCORE) * best.score / (best.score + runnerUp.score);
+    return {
+        documentType: best.documentType,
+        confidence: Math.round(confidence * 10) / 10,
+        scores
+    };
+}
+
+/**
+ * Whether a predicted type agrees with the type the document was uploaded as
+ */
+function typesAgree(uploadedType, predictedType) {
+    return uploadedType === predictedType ||
+        SAME_DOCUMENT_TYPES.some(types => types.includes(uploadedType) && types.includes(predictedType));
+}
+
+/**
+ * Whether a classification confidently disagrees with the uploader's choice
+ */
+function isMislabeled(uploadedType, classification) {
+    return Boolean(classification?.documentType) &&
+        classification.confidence >= CONFIDENCE_MEDIUM &&
+        !typesAgree(uploadedType, classification.documentType);
+}
+
+/**
+ * The type to extract a document as. A very confident prediction of an extractable type wins over
+ * an upload it disagrees with, or one that isn't extracted itself (labs uploaded as "lab_results"
+ * or "other"); otherwise the uploaded type, if it is extractable. Null when the document isn't
+ * extracted.
+ */
+function chooseExtractionType(uploadedType, classification, extractableTypes) {
+    const predictedType = classification?.documentType;
+    if (predictedType && predictedType !== uploadedType &&
+        classification.confidence >= CONFIDENCE_HIGH &&
+        extractableTypes.includes(predictedType) &&
+        (!extractableTypes.includes(uploadedType) || !typesAgree(uploadedType, predictedType))) {
+        return predictedType;
+    }
+    return extractableTypes.includes(uploadedType) ? uploadedType : null;
+}
+
+module.exports = {
+    TYPE_SIGNALS,
+    classifyDocument,
+    typesAgree,
+    isMislabeled,
+    chooseExtractionType
+};
@@ -0,0 +1,226 @@
+/**
+ * Medicare 2728 (CMS-2728, ESRD Medical Evidence Report) extraction
+ *
+ * The form asks the same questions of every patient, so it is read like a lab report: one
+ * Textract query per field, or for the local provider a rule per field matching the form's
+ * printed label ("22. Date Regular Chronic Dialysis Began: 03/02/2023") with the answer after
+ * it or, when the label ends its line, on the line below. Checkbox answers ("[X] Hemodialysis
+ * [ ] CAPD") are read from the ticked box.
+ *
+ * Each answer is normalized to its patient_esrd_forms column: dates to ISO, the diagnosis code
+ * to ICD-10-CM form, the modality to HEMODIALYSIS, CAPD, CCPD or OTHER, and yes/no questions
+ * to booleans. An answer that doesn't fit its column is flagged for a second look, and one that
+ * can't be a real answer (a dialysis start in the future) is rejected.
+ */
+
+const { CONFIDENCE_LOW, adjustConfidence, parseLabDate } = require('./results');
+
+// Textract queries, one per patient_esrd_forms column
+const FORM_2728_QUERIES = [
+    { key: 'esrd_start_date', query: 'What is the date regular chronic dialysis began?' },
+    { key: 'primary_diagnosis', query: 'What is the primary cause of renal failure?' },
+    { key: 'primary_diagnosis_code', query: 'What is the ICD-10-CM code of the primary cause of renal failure?' },
+    { key: 'dialysis_modality', query: 'What is the primary type of dialysis?' },
+    { key: 'medicare_applying', query: 'Is the patient applying for ESRD Medicare coverage?' },
+    { key: 'medicare_entitled', query: 'Is the patient currently entitled to Medicare?' },
+    { key: 'medicare_number', query: 'What is the Medicare number or Medicare Beneficiary Identifier?' }
+];
+
+// Labels are case-insensitive regular expressions, matched after an optional item number
+const FORM_2728_RULES = {
+    esrd_start_date: ['date regular chronic dialysis began', 'date (?:of )?regular (?:chronic )?dialysis began', 'dialysis start date', 'esrd start date'],
+    primary_diagnosis: ['primary cause of renal failure', 'primary cause of esrd', 'primary diagnosis'],
+    primary_diagnosis_code: ['icd-?10(?:-cm)? code', 'icd-?10(?:-cm)?', 'diagnosis code'],
+    dialysis_modality: ['primary type of dialysis', 'type of dialysis', 'dialysis modality', 'modality'],
+    medicare_applying: ['is (?:the )?patient applying for esrd medicare coverage\\??', 'applying for (?:esrd )?medicare(?: coverage)?\\??'],
+    medicare_entitled: ['is (?:the )?patient currently entitled to medicare\\??', 'currently entitled to medicare\\??', 'entitled to medicare\\??'],
+    medicare_number: ['medicare beneficiary identifier(?: \\(mbi\\))?', 'medicare (?:claim )?(?:number|no\\.?|#)', 'mbi']
+};
+
+const MODALITIES = [
+    ['CAPD', /\b(?:capd|continuous ambulatory)\b/i],
+    ['CCPD', /\b(?:ccpd|continuous cycl\w*|apd|automated peritoneal)\b/i],
+    ['HEMODIALYSIS', /\b(?:hemodialysis|haemodialysis|hd|ichd|hhd)\b/i],
+    ['OTHER', /\bother\b/i]
+];
+
+// A ticked box followed by its option ("[X] Yes", "☒ CAPD")
+const TICKED_OPTION = /(?:\[\s*[x✓✔]\s*\]|\(\s*[x✓✔]\s*\)|[☒☑■✓✔])\s*([a-z][a-z -]*)/i;
+const UNTICKED_BOX = /\[\s*\]|\(\s*\)|[☐□]/;
+
+const ICD10_CODE = /\b([A-TV-Z]\d{2})\.?([A-Z0-9]{1,4})?\b/i;
+// Medicare Beneficiary Identifier, or the legacy claim number (HICN) still printed on older forms
+const MBI = /^[1-9][AC-HJKMNP-RT-Y][AC-HJKMNP-RT-Y0-9]\d[AC-HJKMNP-RT-Y][AC-HJKMNP-RT-Y0-9]\d[AC-HJKMNP-RT-Y]{2}\d{2}$/;
+const HICN = /^\d{9}[A-Z]\d?$/;
+const NOT_ANSWERED = /^(?:n\/?a|none|unknown|not applicable|-+)$/i;
+
+const ITEM_NUMBER = '^[\\s*•-]*(?:\\d{1,2}[a-z]?[.)]\\s*)?';
+
+function compileRules() {
+    const rules = [];
+    for (const [key, labels] of Object.entries(FORM_2728_RULES)) {
+        for (const label of labels) {
+            rules.push({ key, label, pattern: new RegExp(`${ITEM_NUMBER}(?:${label})(?![a-z0-9])[\\s:.-]*(.*)$`, 'i') });
+        }
+    }
+    return rules.sort((a, b) => b.label.length - a.label.length);
+}
+
+const RULES = compileRules();
+
+function matchRule(text) {
+    for (const rule of RULES) {
+        const match = text.match(rule.pattern);
+        if (match) return { key: rule.key, rest: match[1].trim() };
+    }
+    return null;
+}
+
+/**
+ * Find the form's answers in a page's lines ([{ text, confidence }], in reading order).
+ * Returns { [key]: { text, confidence } } with the first answer found for each key.
+ */
+function parseForm2728Lines(lines) {
+    const answers = {};
+
+    for (let i = 0; i < lines.length; i++) {
+        const match = matchRule(lines[i].text || '');
+        if (!match || answers[match.key]) continue;
+
+        if (match.rest) {
+            answers[match.key] = { text: match.rest, confidence: lines[i].confidence };
+            continue;
+        }
+
+        // Label on its own line, answer on the next (unless that is another label)
+        const next = lines[i + 1];
+        if (next && next.text && !matchRule(next.text)) {
+            answers[match.key] = { text: next.text.trim(), confidence: Math.min(lines[i].confidence, next.confidence) };
+        }
+    }
+
+    return answers;
+}
+
+/**
+ * Combine the answers found on each page of the form, keeping the most confident answer
+ */
+function mergeForm2728Pages(pages) {
+    const merged = {};
+    for (const { answers } of pages) {
+        for (const [key, answer] of Object.entries(answers)) {
+            if (!merged[key] || answer.confidence > merged[key].confidence) {
+                merged[key] = answer;
+            }
+        }
+    }
+    return merged;
+}
+
+/**
+ * The option a checkbox answer ticks, the answer itself when it has no boxes, or null when
+ * every box is empty
+ */
+function checkedText(text) {
+    const ticked = text.match(TICKED_OPTION);
+    if (ticked) return ticked[1].trim();
+    return UNTICKED_BOX.test(text) ? null : text;
+}
+
+/**
+ * Normalize an answer for a form field. Returns { value, issue } where issue is null,
+ * 'unreadable' (no answer in it), 'unrecognized' (not in the column's form) or 'implausible'.
+ */
+function normalizeForm2728Value(key, text) {
+    const answer = String(text).replace(/\s+/g, ' ').trim();
+
+    switch (key) {
+        case 'esrd_start_date': {
+            const date = parseLabDate(answer);
+            if (!date) return { value: answer, issue: 'unreadable' };
+            const today = new Date().toISOString().split('T')[0];
+            return { value: date, issue: date < '1970-01-01' || date > today ? 'implausible' : null };
+        }
+        case 'primary_diagnosis_code': {
+            const match = answer.match(ICD10_CODE);
+            if (!match) return { value: answer, issue: 'unrecognized' };
+            return { value: match[2] ? `${match[1]}.${match[2]}`.toUpperCase() : match[1].toUpperCase(), issue: null };
+        }
+        case 'dialysis_modality': {
+            const option = checkedText(answer);
+            if (!option) return { value: answer, issue: 'unreadable' };
+            const modality = MODALITIES.find(([, pattern]) => pattern.test(option));
+            return modality ? { value: modality[0], issue: null } : { value: option, issue: 'unrecognized' };
+        }
+        case 'medicare_applying':
+        case 'medicare_entitled': {
+            const option = checkedText(answer);
+            if (!option) return { value: answer, issue: 'unreadable' };
+            if (/^(?:yes|y)\b/i.test(option)) return { value: true, issue: null };
+            if (/^(?:no|n)\b/i.test(option)) return { value: false, issue: null };
+            return { value: option, issue: 'unrecognized' };
+        }
+        case 'medicare_number': {
+            if (NOT_ANSWERED.test(answer)) return { value: answer, issue: 'unreadable' };
+            const number = answer.replace(/[\s-]/g, '').toUpperCase();
+            return { value: number, issue: MBI.test(number) || HICN.test(number) ? null : 'unrecognized' };
+        }
+        default:
+            return NOT_ANSWERED.test(answer) ? { value: answer, issue: 'unreadable' } : { value: answer, issue: null };
+    }
+}
+
+/**
+ * Build the staged result from provider answers ({ [key]: { text, confidence } }):
+ * { data: { [key]: { value, rawText, confidence, issue } | null } }
+ */
+function toForm2728Result(answers) {
+    const data = {};
+
+    for (const { key } of FORM_2728_QUERIES) {
+        const answer = answers[key];
+        if (!answer?.text || answer.confidence < CONFIDENCE_LOW) {
+            data[key] = null;
+            continue;
+        }
+
+        const normalized = normalizeForm2728Value(key, answer.text);
+        const confidence = adjustConfidence(answer.confidence, normalized.issue);
+        if (confidence < CONFIDENCE_LOW) {
+            console.warn(`⚠️ Rejected ${key} answer "${answer.text}" (${normalized.issue})`);
+            data[key] = null;
+            continue;
+        }
+
+        data[key] = {
+            value: normalized.value,
+            rawText: answer.text,
+            confidence: Math.round(confidence * 10) / 10,
+            issue: normalized.issue
+        };
+    }
+
+    // The code is often printed with the cause rather than in its own box
+    if (!data.primary_diagnosis_code && data.primary_diagnosis) {
+        const match = data.primary_diagnosis.rawText.match(ICD10_CODE);
+        if (match) {
+            data.primary_diagnosis_code = {
+                value: match[2] ? `${match[1]}.${match[2]}`.toUpperCase() : match[1].toUpperCase(),
+                rawText: data.primary_diagnosis.rawText,
+                confidence: data.primary_diagnosis.confidence,
+                issue: null
+            };
+        }
+    }
+
+    return { data };
+}
+
+module.exports = {
+    FORM_2728_QUERIES,
+    FORM_2728_RULES,
+    parseForm2728Lines,
+    mergeForm2728Pages,
+    normalizeForm2728Value,
+    toForm2728Result
+};
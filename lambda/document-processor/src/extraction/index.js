@@ -0,0 +1,42 @@
+/**
+ * Extraction providers
+ *
+ * A provider reads a document with the extraction profile of its type (see profiles.js):
+ *   provider.extract(documentBytes, profile) -> { data, labDate }
+ * where data maps each field to { value, rawText, confidence }, or null when the value was
+ * not found with enough confidence (see results.js); a medication list's data is the list.
+ * Every provider also reads the text of a document's first page, which the document is
+ * classified by (see classification.js):
+ *   provider.readText(documentBytes) -> [{ page, lines: [{ text, confidence }] }]
+ *
+ * The provider is chosen with the EXTRACTION_PROVIDER environment variable:
+ *   - textract (default): AWS Textract Queries and text detection
+ *   - local: PDF text layer and Tesseract OCR with rule-based line parsing
+ */
+
+const { createTextractProvider } = require('./textractProvider');
+const { createLocalProvider } = require('./localProvider');
+
+const PROVIDERS = {
+    textract: createTextractProvider,
+    local: createLocalProvider
+};
+
+const DEFAULT_PROVIDER = 'textract';
+
+/**
+ * Create the named provider (EXTRACTION_PROVIDER when no name is given)
+ */
+function createExtractionProvider(name = process.env.EXTRACTION_PROVIDER || DEFAULT_PROVIDER, options = {}) {
+    const createProvider = PROVIDERS[String(name).toLowerCase()];
+    if (!createProvider) {
+        throw new Error(`Unknown extraction provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return createProvider(options);
+}
+
+module.exports = {
+    PROVIDERS,
+    DEFAULT_PROVIDER,
+    createExtractionProvider
+};
@@ -0,0 +1,159 @@
+/**
+ * Rule-based lab line parsing for the local extraction provider
+ *
+ * Lab reports print one result per line: the test name, then the value, then flags, units
+ * and the reference range ("Potassium, Serum   5.6  H  mEq/L  3.5-5.1"). A line answers a
+ * lab query when it starts with one of the query's labels and the value follows it, with
+ * only separators, qualifiers or a parenthetical in between. Requiring the value right
+ * after the label keeps "Hemoglobin A1c" from reading as Hemoglobin and
+ * "Albumin/Creatinine Ratio" from reading as Albumin.
+ *
+ * Urinalysis results are often printed under a "Urinalysis" heading with bare names
+ * ("Protein", "RBC"), so inside that section the bare names answer the urine queries.
+ *
+ * The answer is the rest of the line from the value on; its flag, unit and reference range
+ * are separated when the value is normalized (see labValues.js).
+ */
+
+// Labels are case-insensitive regular expressions, matched at the start of a line
+const LAB_LINE_RULES = {
+    potassium: { labels: ['potassium', 'k\\+?'] },
+    bun: { labels: ['blood urea nitrogen', 'urea nitrogen', 'bun'] },
+    phosphorus: { labels: ['phosphorus', 'phosphate', 'phos'] },
+    hemoglobin: { labels: ['hemoglobin', 'hgb', 'hb'] },
+    platelets: { labels: ['platelet count', 'platelets?', 'plt'] },
+    pt: { labels: ['prothrombin time', 'pro ?time', 'pt'] },
+    inr: { labels: ['international normalized ratio', 'inr'] },
+    ptt: { labels: ['activated partial thromboplastin time', 'partial thromboplastin time', 'a?ptt'] },
+    pth: { labels: ['parathyroid hormone', 'pth'] },
+    a1c: { labels: ['hemoglobin a1c', 'hgb a1c', 'hba1c', 'a1c'] },
+    albumin: { labels: ['albumin'] },
+    total_bilirubin: { labels: ['total bilirubin', 'bilirubin,? total', 't\\.? ?bili'] },
+    total_cholesterol: { labels: ['total cholesterol', 'cholesterol,? total', 'cholesterol'] },
+    urine_protein: {
+        labels: ['urine protein', 'protein,? urine', 'ua protein'],
+        urinalysisLabels: ['protein'],
+        qualitative: true
+    },
+    urine_rbc: {
+        labels: ['urine rbc', 'rbc,? urine', 'urine red (?:blood )?cells?'],
+        urinalysisLabels: ['rbc', 'red blood cells?', 'red cells?'],
+        qualitative: true
+    },
+    urine_wbc: {
+        labels: ['urine wbc', 'wbc,? urine', 'urine white (?:blood )?cells?'],
+        urinalysisLabels: ['wbc', 'white blood cells?', 'white cells?'],
+        qualitative: true
+    },
+    urine_hemoglobin: {
+        labels: ['urine hemoglobin', 'urine blood', 'occult blood,? urine'],
+        urinalysisLabels: ['hemoglobin', 'occult blood', 'blood'],
+        qualitative: true
+    }
+};
+
+// Labels that introduce the collection date; unlike results they may appear anywhere in a line
+const LAB_DATE_LABELS = [
+    'collection date(?:\\/time)?', 'date collected', 'date of collection', 'specimen collected',
+    'collected(?: on)?', 'date drawn', 'drawn(?: on)?', 'lab date', 'date of service', 'service date'
+];
+
+// Words allowed between a label and its value ("Potassium, Serum", "PTH, Intact")
+const QUALIFIERS = 'serum|plasma|whole blood|intact|level|random|quantitative|qn';
+
+const NUMBER = '(?:[<>]=?\\s*)?\\d+(?:\\.\\d+)?';
+const QUALITATIVE = 'negative|neg|trace|small|moderate|large|positive|pos|none seen|none|rare|few|many|\\d+\\s*-\\s*\\d+|\\d\\+';
+const DATE = '\\d{1,2}\\/\\d{1,2}\\/\\d{2,4}|\\d{4}-\\d{1,2}-\\d{1,2}|' +
+    '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?\\s+\\d{1,2},?\\s+\\d{4}';
+
+const SEPARATORS = `(?:\\s*(?:[,:\\-]|\\([^)]*\\)|(?:${QUALIFIERS})(?![a-z])))*\\s*`;
+
+function compileLabel(label, qualitative) {
+    const value = qualitative ? `${QUALITATIVE}|${NUMBER}` : NUMBER;
+    return new RegExp(`^[\\s*•-]*(?:${label})(?![a-z0-9])${SEPARATORS}(${value})(?![a-z0-9.])(.*)$`, 'i');
+}
+
+const LAB_DATE_PATTERN = new RegExp(`(?:^|[^a-z])(?:${LAB_DATE_LABELS.join('|')})[\\s:]*(${DATE})`, 'i');
+
+/**
+ * Rules for the queried metrics, longest labels first so the most specific one is tried first
+ */
+function compileRules(labQueries) {
+    const rules = [];
+    for (const { key } of labQueries) {
+        const rule = LAB_LINE_RULES[key];
+        if (!rule) continue;
+
+        for (const label of rule.labels) {
+            rules.push({ key, label, pattern: compileLabel(label, rule.qualitative), urinalysisOnly: false });
+        }
+        for (const label of rule.urinalysisLabels || []) {
+            rules.push({ key, label, pattern: compileLabel(label, true), urinalysisOnly: true });
+        }
+    }
+    return rules.sort((a, b) => b.label.length - a.label.length);
+}
+
+function isUrinalysisHeading(text) {
+    return /\b(?:urinalysis|urine)\b/i.test(text);
+}
+
+function isOtherHeading(text) {
+    return /\b(?:chemistry|hematology|cbc|coagulation|lipid|panel|profile|metabolic|hepatic|endocrine|renal)\b/i.test(text);
+}
+
+/**
+ * Find answers to the lab queries in a document's lines ([{ text, confidence }], in reading
+ * order). Returns { [key]: { text, confidence } } with the first answer found for each key.
+ */
+function parseLabLines(lines, labQueries) {
+    const rules = compileRules(labQueries);
+    const wantsLabDate = labQueries.some(q => q.key === 'lab_date');
+    const answers = {};
+    let inUrinalysis = false;
+
+    for (const line of lines) {
+        const text = line.text || '';
+
+        if (wantsLabDate && !answers.lab_date) {
+            const dateMatch = text.match(LAB_DATE_PATTERN);
+            if (dateMatch) {
+                answers.lab_date = { text: dateMatch[1], confidence: line.confidence };
+                continue;
+            }
+        }
+
+        // Inside a urinalysis section the bare names are tried first
+        const candidates = inUrinalysis
+            ? [...rules.filter(r => r.urinalysisOnly), ...rules.filter(r => !r.urinalysisOnly)]
+            : rules.filter(r => !r.urinalysisOnly);
+
+        let matched = false;
+        for (const rule of candidates) {
+            const match = text.match(rule.pattern);
+            if (!match) continue;
+
+            matched = true;
+            if (!answers[rule.key]) {
+                answers[rule.key] = { text: `${match[1]}${match[2]}`.trim(), confidence: line.confidence };
+            }
+            break;
+        }
+
+        // A line without a result may be a section heading
+        if (!matched && !/\d/.test(text)) {
+            if (isUrinalysisHeading(text)) {
+                inUrinalysis = true;
+            } else if (isOtherHeading(text)) {
+                inUrinalysis = false;
+            }
+        }
+    }
+
+    return answers;
+}
+
+module.exports = {
+    LAB_LINE_RULES,
+    parseLabLines
+};
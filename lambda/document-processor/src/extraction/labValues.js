@@ -0,0 +1,198 @@
+/**
+ * Lab value normalization
+ *
+ * An answer as printed on a report ("10.2 L g/dL (12.0-17.0)", "<2.5 mmol/L", "3-5 /HPF")
+ * is split into its value, flag, unit and reference range. Numeric values are converted
+ * to the canonical unit of their patient_lab_results column (migration 002) and checked
+ * against physiologic limits, which are far wider than the reference ranges: a value
+ * outside them is a misread (a wrong line, a dropped decimal point), not a sick patient.
+ */
+
+// Units are matched after normalizeUnit: lower case, no spaces, µ as u
+const LAB_UNITS = {
+    potassium: {
+        unit: 'mEq/L', decimals: 2, plausible: [1, 10],
+        units: { 'meq/l': 1, 'mmol/l': 1 }
+    },
+    bun: {
+        unit: 'mg/dL', decimals: 2, plausible: [1, 300],
+        // urea nitrogen in mmol/L
+        units: { 'mg/dl': 1, 'mmol/l': 2.801 }
+    },
+    phosphorus: {
+        unit: 'mg/dL', decimals: 2, plausible: [0.5, 20],
+        units: { 'mg/dl': 1, 'mmol/l': 3.097 }
+    },
+    hemoglobin: {
+        unit: 'g/dL', decimals: 2, plausible: [2, 25],
+        units: { 'g/dl': 1, 'g/l': 0.1, 'mmol/l': 1.611 }
+    },
+    platelets: {
+        unit: 'K/uL', decimals: 0, plausible: [1, 2000],
+        units: {
+            'k/ul': 1, 'x10^3/ul': 1, 'x10e3/ul': 1, '10^3/ul': 1, 'x10(3)/ul': 1, 'x10*3/ul': 1,
+            'thou/ul': 1, 'thou/mm3': 1, 'x10^3/mm3': 1, 'k/mm3': 1,
+            'x10^9/l': 1, 'x10e9/l': 1, '10^9/l': 1, 'x10(9)/l': 1, 'x10*9/l': 1, 'giga/l': 1,
+            '/ul': 0.001, '/mm3': 0.001, 'cells/ul': 0.001
+        }
+    },
+    pt: {
+        unit: 'sec', decimals: 2, plausible: [5, 150],
+        units: { 'sec': 1, 'secs': 1, 'seconds': 1, 's': 1 }
+    },
+    inr: {
+        unit: '', decimals: 2, plausible: [0.5, 20],
+        units: { 'ratio': 1 }
+    },
+    ptt: {
+        unit: 'sec', decimals: 2, plausible: [10, 200],
+        units: { 'sec': 1, 'secs': 1, 'seconds': 1, 's': 1 }
+    },
+    pth: {
+        unit: 'pg/mL', decimals: 2, plausible: [1, 5000],
+        units: { 'pg/ml': 1, 'ng/l': 1, 'pmol/l': 9.43 }
+    },
+    a1c: {
+        unit: '%', decimals: 2, plausible: [3, 20],
+        // IFCC mmol/mol to NGSP % (the IFCC-NGSP master equation)
+        units: { '%': 1, 'mmol/mol': (value) => 0.09148 * value + 2.152 }
+    },
+    albumin: {
+        unit: 'g/dL', decimals: 2, plausible: [0.5, 7],
+        units: { 'g/dl': 1, 'g/l': 0.1 }
+    },
+    total_bilirubin: {
+        unit: 'mg/dL', decimals: 2, plausible: [0, 50],
+        units: { 'mg/dl': 1, 'umol/l': 1 / 17.1 }
+    },
+    total_cholesterol: {
+        unit: 'mg/dL', decimals: 0, plausible: [30, 1000],
+        units: { 'mg/dl': 1, 'mmol/l': 38.67 }
+    }
+};
+
+// Urinalysis results are stored as printed: counts, ranges ("3-5") or grades ("Trace", "2+")
+const TEXT_VALUE = /^(?:negative|neg|trace|small|moderate|large|positive|pos|none seen|none|occasional|rare|few|many|\d+\s*-\s*\d+|\d\+|(?:[<>]=?\s*)?\d+(?:\.\d+)?)(?![a-z0-9.])/i;
+const NUMERIC_VALUE = /(?:^|[^a-z0-9.])([<>]=?|[≤≥])?\s*(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)(?![\d.])/i;
+
+const FLAGS = { h: 'H', high: 'H', hh: 'HH', l: 'L', low: 'L', ll: 'LL', a: 'A', abn: 'A', abnormal: 'A', c: 'C', crit: 'C', critical: 'C' };
+const REFERENCE_RANGE = /(\d+(?:\.\d+)?\s*-\s*\d+(?:\.\d+)?|(?:[<>]=?|[≤≥])\s*\d+(?:\.\d+)?)/;
+const QUALITATIVE_RANGE = /\b(negative|neg|none seen|none|trace)\b/i;
+const UNIT_LIKE = /[/%^]/;
+
+function normalizeUnit(unit) {
+    return unit.toLowerCase().replace(/[µμ]/g, 'u').replace(/×/g, 'x').replace(/\s+/g, '').replace(/^\(|\)$/g, '');
+}
+
+function roundTo(value, decimals) {
+    return String(Number(value.toFixed(decimals)));
+}
+
+/**
+ * Flag, unit and reference range from the text printed after a value
+ */
+function parseRest(rest, units) {
+    let flag = null;
+    let sourceUnit = null;
+    let unitKey = null;
+
+    const tokens = rest.split(/\s+/).filter(Boolean);
+    for (const token of tokens) {
+        const bare = token.replace(/^[([]|[)\],;]$/g, '');
+        if (!flag && FLAGS[bare.toLowerCase()]) {
+            flag = FLAGS[bare.toLowerCase()];
+        } else if (!flag && /^\*+$/.test(bare)) {
+            flag = 'A';
+        } else if (!sourceUnit && units && Object.prototype.hasOwnProperty.call(units, normalizeUnit(bare))) {
+            sourceUnit = bare;
+            unitKey = normalizeUnit(bare);
+        } else if (!sourceUnit && UNIT_LIKE.test(bare) && !REFERENCE_RANGE.test(bare)) {
+            sourceUnit = bare;
+        }
+    }
+
+    const withoutUnit = sourceUnit ? rest.replace(sourceUnit, ' ') : rest;
+    const rangeMatch = withoutUnit.match(REFERENCE_RANGE);
+    const referenceRange = rangeMatch ? rangeMatch[1].replace(/\s+/g, '') : null;
+
+    return { flag, sourceUnit, unitKey, referenceRange };
+}
+
+/**
+ * Normalize an answer for a lab query key. Returns
+ *   { value, unit, sourceValue, sourceUnit, comparator, flag, referenceRange, issue }
+ * where value is in the canonical unit and issue is null, 'unreadable' (no number found),
+ * 'unrecognized' (a urinalysis result in an unfamiliar form), 'qualified' (a "<" or ">"
+ * value), 'unknown_unit' or 'implausible'.
+ */
+function normalizeLabValue(key, text) {
+    const answer = String(text).replace(/\s+/g, ' ').trim();
+    const definition = LAB_UNITS[key];
+
+    if (!definition) {
+        // Text metrics (urinalysis)
+        const match = answer.match(TEXT_VALUE);
+        const value = match ? match[0].replace(/\s*-\s*/, '-').replace(/^([<>]=?)\s+/, '$1') : answer;
+        const rest = match ? answer.slice(match[0].length) : '';
+        const { flag, sourceUnit, referenceRange } = parseRest(rest, null);
+        const qualitativeRange = rest.match(QUALITATIVE_RANGE);
+
+        return {
+            value,
+            unit: sourceUnit,
+            sourceValue: value,
+            sourceUnit,
+            comparator: null,
+            flag,
+            referenceRange: referenceRange || (qualitativeRange ? qualitativeRange[1] : null),
+            issue: match ? null : 'unrecognized'
+        };
+    }
+
+    const match = answer.match(NUMERIC_VALUE);
+    if (!match) {
+        return {
+            value: answer, unit: definition.unit, sourceValue: answer, sourceUnit: null,
+            comparator: null, flag: null, referenceRange: null, issue: 'unreadable'
+        };
+    }
+
+    const comparator = match[1] ? match[1].replace('≤', '<=').replace('≥', '>=') : null;
+    const sourceValue = match[2].replace(/,/g, '');
+    const rest = answer.slice(match.index + match[0].length);
+    const { flag, sourceUnit, unitKey, referenceRange } = parseRest(rest, definition.units);
+
+    let value = Number(sourceValue);
+    let issue = null;
+    if (unitKey) {
+        const conversion = definition.units[unitKey];
+        value = typeof conversion === 'function' ? conversion(value) : value * conversion;
+    } else if (sourceUnit) {
+        issue = 'unknown_unit';
+    }
+
+    const [min, max] = definition.plausible;
+    if (!issue && (value < min || value > max)) {
+        issue = 'implausible';
+    } else if (!issue && comparator) {
+        issue = 'qualified';
+    }
+
+    // Converted values are rounded to the column's scale; others keep the digits as printed
+    const converted = unitKey && definition.units[unitKey] !== 1;
+    return {
+        value: converted || definition.decimals === 0 ? roundTo(value, definition.decimals) : sourceValue,
+        unit: definition.unit,
+        sourceValue,
+        sourceUnit,
+        comparator,
+        flag,
+        referenceRange,
+        issue
+    };
+}
+
+module.exports = {
+    LAB_UNITS,
+    normalizeLabValue
+};
@@ -0,0 +1,203 @@
+/**
+ * Local extraction provider
+ *
+ * Reads documents without calling out to a vendor: the document's text is read locally
+ * and matched line by line against the profile's rules (labLines.js, form2728.js), or
+ * handed to the profile as lines (medications.js).
+ *   - PDF pages with a text layer are read from it directly, including the image pages of
+ *     assembled uploads, which are OCR'd at upload (see backend-api documentAssembly.js)
+ *   - PDF pages without one (scans, and assembled image pages whose OCR failed) have their
+ *     embedded JPEG images read with Tesseract OCR
+ *   - JPEG, PNG and TIFF documents are read with Tesseract OCR
+ *
+ * Tesseract's English language data ships with the function (@tesseract.js-data/eng), since
+ * it runs in a VPC without internet access. TESSERACT_LANG_PATH overrides it with another
+ * directory or URL holding eng.traineddata.gz.
+ */
+
+const os = require('os');
+const path = require('path');
+
+// Text layer characters are exact, so a rule match on them is only as uncertain as the rule
+const TEXT_LAYER_CONFIDENCE = 95;
+
+// LSTM-only language data, matching the LSTM engine the worker is created with
+function bundledLangPath() {
+    return path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+}
+
+// Vertical distance (in PDF points) within which text items are on the same line
+const LINE_TOLERANCE = 3;
+
+function detectFormat(bytes) {
+    if (bytes.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+    if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+    if (bytes.subarray(0, 4).toString('hex') === '89504e47') return 'png';
+    if (['49492a00', '4d4d002a'].includes(bytes.subarray(0, 4).toString('hex'))) return 'tiff';
+    return null;
+}
+
+/**
+ * Text of each PDF page as lines, top to bottom (an empty array for a page without a text layer),
+ * for up to maxPages pages
+ */
+async function readPdfTextPages(bytes, maxPages = Infinity) {
+    // Loaded on first use: the Textract provider never needs pdf.js
+    const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+    const document = await pdfjs.getDocument({
+        data: new Uint8Array(bytes),
+        isEvalSupported: false,
+        disableFontFace: true,
+        verbosity: 0
+    }).promise;
+
+    const pages = [];
+    try {
+        for (let pageNumber = 1; pageNumber <= Math.min(document.numPages, maxPages); pageNumber++) {
+            const page = await document.getPage(pageNumber);
+            const content = await page.getTextContent();
+            const items = content.items
+                .filter(item => item.str && item.str.trim())
+                .map(item => ({ text: item.str, x: item.transform[4], y: item.transform[5] }))
+                .sort((a, b) => (Math.abs(a.y - b.y) <= LINE_TOLERANCE ? a.x - b.x : b.y - a.y));
+
+            const lines = [];
+            for (const item of items) {
+                const line = lines[lines.length - 1];
+                if (line && Math.abs(line.y - item.y) <= LINE_TOLERANCE) {
+                    line.parts.push(item.text);
+                } else {
+                    lines.push({ y: item.y, parts: [item.text] });
+                }
+            }
+            pages.push(lines.map(line => line.parts.join(' ').replace(/\s+/g, ' ').trim()));
+        }
+    } finally {
+        await document.destroy();
+    }
+    return pages;
+}
+
+/**
+ * JPEG images embedded in each PDF page, in drawing resource order
+ */
+async function readPdfPageImages(bytes) {
+    const { PDFDocument, PDFDict, PDFName, PDFRawStream } = require('pdf-lib');
+    const pdf = await PDFDocument.load(bytes, { ignoreEncryption: true });
+
+    return pdf.getPages().map(page => {
+        const xObjects = page.node.Resources()?.lookup(PDFName.of('XObject'));
+        if (!(xObjects instanceof PDFDict)) return [];
+
+        const images = [];
+        for (const name of xObjects.keys()) {
+            const stream = xObjects.lookup(name);
+            if (!(stream instanceof PDFRawStream)) continue;
+            if (stream.dict.get(PDFName.of('Subtype')) !== PDFName.of('Image')) continue;
+
+            // Tesseract reads image files; other encodings are raw pixel data
+            if (stream.dict.get(PDFName.of('Filter')) === PDFName.of('DCTDecode')) {
+                images.push(Buffer.from(stream.contents));
+            } else {
+                console.warn(`⚠️ Skipping PDF image ${name.asString()} with unsupported encoding`);
+            }
+        }
+        return images;
+    });
+}
+
+/**
+ * Create the provider. options.langPath overrides TESSERACT_LANG_PATH.
+ */
+function createLocalProvider(options = {}) {
+    const langPath = options.langPath || process.env.TESSERACT_LANG_PATH || bundledLangPath();
+
+    // One Tesseract worker per document, started only when a page needs OCR
+    async function withOcr(fn) {
+        let worker = null;
+        const recognize = async (image) => {
+            if (!worker) {
+                const { createWorker } = require('tesseract.js');
+                worker = await createWorker('eng', 1, { langPath, cachePath: os.tmpdir(), gzip: true });
+            }
+            const { data } = await worker.recognize(image);
+            return (data.lines || []).map(line => ({ text: line.text.trim(), confidence: line.confidence }));
+        };
+
+        try {
+            return await fn(recognize);
+        } finally {
+            if (worker) await worker.terminate();
+        }
+    }
+
+    /**
+     * Lines of each page of the document (up to maxPages): [{ page, lines: [{ text, confidence }] }]
+     */
+    async function readPages(documentBytes, maxPages = Infinity) {
+        const bytes = Buffer.from(documentBytes);
+        const format = detectFormat(bytes);
+        if (!format) {
+            throw new Error('Unsupported document format for local extraction');
+        }
+
+        return withOcr(async (recognize) => {
+            if (format !== 'pdf') {
+                console.log('🔍 Reading image with Tesseract...');
+                return [{ page: 1, lines: await recognize(bytes) }];
+            }
+
+            console.log('🔍 Reading PDF text layer...');
+            const textPages = await readPdfTextPages(bytes, maxPages);
+            const scannedPages = textPages.some(page => page.length === 0)
+                ? await readPdfPageImages(bytes)
+                : [];
+
+            const documentPages = [];
+            for (let i = 0; i < textPages.length; i++) {
+                const lines = textPages[i].map(text => ({ text, confidence: TEXT_LAYER_CONFIDENCE }));
+                if (lines.length === 0) {
+                    for (const image of scannedPages[i] || []) {
+                        console.log(`🔍 Reading scanned page ${i + 1} with Tesseract...`);
+                        lines.push(...await recognize(image));
+                    }
+                }
+                documentPages.push({ page: i + 1, lines });
+            }
+            return documentPages;
+        });
+    }
+
+    return {
+        name: 'local',
+
+        /**
+         * Lines of the document's first page, for classification
+         */
+        async readText(documentBytes) {
+            return readPages(documentBytes, 1);
+        },
+
+        /**
+         * Extract a document's data with the profile's line rules (see profiles.js)
+         */
+        async extract(documentBytes, profile) {
+            const pages = await readPages(documentBytes);
+            if (profile.fromLines) {
+                return profile.fromLines(pages);
+            }
+
+            // Documents that run over several pages are merged as for Textract
+            const answers = pages.length === 1
+                ? profile.parseLines(pages[0].lines)
+                : profile.mergePages(pages.map(({ page, lines }) => ({ page, answers: profile.parseLines(lines) })));
+
+            return profile.toResult(answers);
+        }
+    };
+}
+
+module.exports = {
+    createLocalProvider,
+    TEXT_LAYER_CONFIDENCE
+};
@@ -0,0 +1,159 @@
+/**
+ * Medication list parsing
+ *
+ * A medication list has no fixed set of questions to ask of it, so it is read line by line:
+ * a line naming a drug and its dose ("Amlodipine 10 mg tablet PO daily", or a table row
+ * "Sevelamer carbonate | 800 mg | by mouth | with meals") starts a medication, and the route
+ * and frequency are read from the rest of the line. Sigs printed on the line below the drug
+ * ("Take 1 tablet by mouth twice daily") fill in what the drug's own line left out.
+ *
+ * Routes and frequencies are stored in the abbreviations pharmacists use (PO, BID, QHS);
+ * a medication without both is kept but flagged for a second look.
+ */
+
+const { CONFIDENCE_LOW, CHECK_CONFIDENCE } = require('./results');
+
+const DOSE_UNITS = 'mg|mcg|µg|ug|g|ml|units?|iu|meq|mmol|%|tabs?|tablets?|caps?|capsules?|puffs?|drops?|sprays?|patch(?:es)?';
+const DOSE = new RegExp(`(?:^|\\s)(\\d+(?:[.,]\\d+)?(?:\\s*\\/\\s*\\d+(?:\\.\\d+)?)?\\s*(?:${DOSE_UNITS}))(?![a-z0-9])`, 'i');
+
+// First match wins, so longer phrases come before the words inside them
+const ROUTES = [
+    ['PO', /\b(?:po|p\.o\.|by mouth|orally|oral)(?![a-z])/i],
+    ['SL', /\b(?:sl|sublingual(?:ly)?|under the tongue)(?![a-z])/i],
+    ['IV', /\b(?:iv|i\.v\.|intravenous(?:ly)?)(?![a-z])/i],
+    ['IM', /\b(?:im|i\.m\.|intramuscular(?:ly)?)(?![a-z])/i],
+    ['SC', /\b(?:sc|sq|subq|subcut(?:aneous(?:ly)?)?)(?![a-z])/i],
+    ['inhaled', /\b(?:inh|inhaled|inhalation|nebulized)(?![a-z])/i],
+    ['transdermal', /\b(?:transdermal|td)(?![a-z])/i],
+    ['topical', /\b(?:topical(?:ly)?|apply)(?![a-z])/i],
+    ['PR', /\b(?:pr|rectal(?:ly)?|per rectum)(?![a-z])/i]
+];
+
+const FREQUENCIES = [
+    ['with dialysis', /\b(?:with|at|after|each|every|post[- ]?)\s*(?:dialysis|hd|treatment)\b/i],
+    ['3 times weekly', /\b(?:(?:three|3) times (?:a |per )?week(?:ly)?|3x (?:a |per )?week|3x weekly|tiw|mwf|tu-?th-?sa|tts)\b/i],
+    ['weekly', /\b(?:once (?:a |per )?week|weekly|every week|q ?week|qwk)\b/i],
+    ['monthly', /\b(?:once (?:a |per )?month|monthly|every month)\b/i],
+    ['QHS', /\b(?:qhs|q\.h\.s\.|hs|at bedtime|nightly|every night)\b/i],
+    ['QOD', /\b(?:qod|q\.o\.d\.|every other day)\b/i],
+    ['QID', /\b(?:qid|q\.i\.d\.|(?:four|4) times (?:a |per )?day|(?:four|4) times daily)\b/i],
+    ['TID', /\b(?:tid|t\.i\.d\.|(?:three|3) times (?:a |per )?day|(?:three|3) times daily)\b/i],
+    ['BID', /\b(?:bid|b\.i\.d\.|twice (?:a |per )?day|twice daily|(?:two|2) times (?:a |per )?day|every 12 hours|q12h)\b/i],
+    [(match) => `Q${match[1] || match[2]}H`, /\b(?:q(\d{1,2})h|every (\d{1,2}) hours)\b/i],
+    ['daily', /\b(?:daily|once (?:a )?day|once daily|qd|q\.d\.|every day|qam|every morning|in the morning)\b/i],
+    ['with meals', /\b(?:with meals|before meals|ac|with food)\b/i]
+];
+
+const AS_NEEDED = /\b(?:prn|p\.r\.n\.|as needed)\b/i;
+
+// Lines that label the list, or a sig's own dose ("Take 1 tablet..."), rather than name a drug
+const NOT_A_MEDICATION = /^(?:medications?|drug|name|dose|route|frequency|sig|allerg|patient|dob|date|page|prescriber|physician|signature|reviewed|pharmacy|take|give|inject|inhale|instill|use|chew|dissolve|place)\b/i;
+
+function readRoute(text) {
+    const route = ROUTES.find(([, pattern]) => pattern.test(text));
+    return route ? route[0] : null;
+}
+
+function readFrequency(text) {
+    let frequency = null;
+    for (const [label, pattern] of FREQUENCIES) {
+        const match = text.match(pattern);
+        if (match) {
+            frequency = typeof label === 'function' ? label(match) : label;
+            break;
+        }
+    }
+    if (AS_NEEDED.test(text)) {
+        frequency = frequency ? `${frequency} PRN` : 'PRN';
+    }
+    return frequency;
+}
+
+/**
+ * The medication a line starts, or null when it names no drug and dose
+ */
+function parseMedicationLine(text) {
+    const match = text.match(DOSE);
+    if (!match) return null;
+
+    const name = text.slice(0, match.index)
+        .replace(/^[\s*•·-]*(?:\d{1,2}[.)]\s*)?/, '')
+        .replace(/[\s|,:;-]+$/, '')
+        .trim();
+    if (!/[a-z]{2}/i.test(name) || NOT_A_MEDICATION.test(name)) return null;
+
+    const rest = text.slice(match.index + match[0].length);
+    return {
+        name,
+        dose: match[1].replace(/\s+/g, ' ').replace(/(\d)\s*([a-zµ%])/i, '$1 $2'),
+        route: readRoute(rest),
+        frequency: readFrequency(rest)
+    };
+}
+
+/**
+ * Find the medications in a document's lines ([{ page, lines: [{ text, confidence }] }]).
+ * Returns [{ name, dose, route, frequency, rawText, confidence, page }] in list order.
+ */
+function parseMedicationLines(pages) {
+    const medications = [];
+
+    for (const { page, lines } of pages) {
+        let previous = null;
+        for (const line of lines) {
+            const text = (line.text || '').replace(/\s+/g, ' ').trim();
+            if (!text) continue;
+
+            const medication = parseMedicationLine(text);
+            if (medication) {
+                previous = { ...medication, rawText: text, confidence: line.confidence, page };
+                medications.push(previous);
+                continue;
+            }
+
+            // A sig on the line below its drug
+            if (previous && (!previous.route || !previous.frequency)) {
+                const route = readRoute(text);
+                const frequency = readFrequency(text);
+                if (route || frequency) {
+                    previous.route = previous.route || route;
+                    previous.frequency = previous.frequency || frequency;
+                    previous.rawText = `${previous.rawText} / ${text}`;
+                    previous.confidence = Math.min(previous.confidence, line.confidence);
+                }
+            }
+            previous = null;
+        }
+    }
+
+    return medications;
+}
+
+/**
+ * Build the staged result from the document's lines: { data: { medications: [...] } }
+ */
+function toMedicationResult(pages) {
+    const medications = [];
+
+    for (const medication of parseMedicationLines(pages)) {
+        if (medication.confidence < CONFIDENCE_LOW) {
+            console.warn(`⚠️ Rejected medication line "${medication.rawText}" (low confidence)`);
+            continue;
+        }
+
+        const issue = medication.route && medication.frequency ? null : 'incomplete';
+        const confidence = issue ? Math.min(medication.confidence, CHECK_CONFIDENCE) : medication.confidence;
+        medications.push({
+            ...medication,
+            confidence: Math.round(confidence * 10) / 10,
+            issue
+        });
+    }
+
+    return { data: { medications } };
+}
+
+module.exports = {
+    parseMedicationLines,
+    toMedicationResult
+};
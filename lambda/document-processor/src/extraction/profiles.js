@@ -0,0 +1,50 @@
+/**
+ * Extraction profiles
+ *
+ * A profile says what is read from one type of document and how a provider's reading becomes
+ * the staged result ({ data, labDate? }). Providers read with either kind:
+ *   - query profiles ask one question per field, as Textract Queries or, for the local
+ *     provider, label rules over each page's lines:
+ *       { documentType, queries, parseLines(lines), mergePages(pages), toResult(answers) }
+ *   - line profiles read the document's lines themselves, for lists that no single
+ *     question answers:
+ *       { documentType, fromLines(pages) }
+ * where pages are [{ page, lines: [{ text, confidence }] }] or [{ page, answers }].
+ */
+
+const { toLabResult, mergePageAnswers } = require('./results');
+const { parseLabLines } = require('./labLines');
+const { toMedicationResult } = require('./medications');
+const { FORM_2728_QUERIES, parseForm2728Lines, mergeForm2728Pages, toForm2728Result } = require('./form2728');
+
+/**
+ * Lab reports: the lab queries, merged across pages by draw date
+ */
+function createLabProfile(labQueries) {
+    return {
+        documentType: 'current_labs',
+        queries: labQueries,
+        parseLines: (lines) => parseLabLines(lines, labQueries),
+        mergePages: (pages) => mergePageAnswers(pages, labQueries),
+        toResult: (answers) => toLabResult(answers, labQueries)
+    };
+}
+
+const MEDICATION_LIST_PROFILE = {
+    documentType: 'medication_list',
+    fromLines: toMedicationResult
+};
+
+const FORM_2728_PROFILE = {
+    documentType: 'medicare_2728',
+    queries: FORM_2728_QUERIES,
+    parseLines: parseForm2728Lines,
+    mergePages: mergeForm2728Pages,
+    toResult: toForm2728Result
+};
+
+module.exports = {
+    createLabProfile,
+    MEDICATION_LIST_PROFILE,
+    FORM_2728_PROFILE
+};
@@ -0,0 +1,166 @@
+/**
+ * Extraction results shared by every provider
+ *
+ * Providers find an answer (the text read for a query and how confident they are in it)
+ * for each lab query; toLabResult turns those answers into what is staged for review:
+ * { data: { [key]: { value, rawText, confidence, unit, referenceRange, flag, ... } | null }, labDate }
+ * Values are normalized to the canonical unit of their patient_lab_results column (see
+ * labValues.js), and the confidence of an answer that needs a second look is lowered.
+ */
+
+const { normalizeLabValue } = require('./labValues');
+
+// Confidence thresholds
+const CONFIDENCE_LOW = parseFloat(process.env.CONFIDENCE_THRESHOLD_LOW || '50');
+const CONFIDENCE_MEDIUM = parseFloat(process.env.CONFIDENCE_THRESHOLD_MEDIUM || '70');
+const CONFIDENCE_HIGH = parseFloat(process.env.CONFIDENCE_THRESHOLD_HIGH || '90');
+
+// Highest confidence for a value the reviewer should check: in a unit we can't convert, only
+// bounded ("<2.5"), or an unfamiliar urinalysis result. Keeps it in the "Check me" band.
+const CHECK_CONFIDENCE = CONFIDENCE_MEDIUM - 0.1;
+
+/**
+ * Confidence after normalization. Unreadable and implausible values are rejected: they drop
+ * below the low threshold and are left for manual entry, like answers that were not found.
+ */
+function adjustConfidence(confidence, issue) {
+    switch (issue) {
+        case 'implausible':
+        case 'unreadable':
+            return 0;
+        case 'unknown_unit':
+        case 'qualified':
+        case 'unrecognized':
+            return Math.min(confidence, CHECK_CONFIDENCE);
+        default:
+            return confidence;
+    }
+}
+
+/**
+ * Whether an answer would be kept by toLabResult
+ */
+function isUsableAnswer(key, answer) {
+    if (!answer?.text || answer.confidence < CONFIDENCE_LOW) return false;
+    if (key === 'lab_date') return parseLabDate(answer.text) !== null;
+    return adjustConfidence(answer.confidence, normalizeLabValue(key, answer.text).issue) >= CONFIDENCE_LOW;
+}
+
+/**
+ * Merge the answers found on each page of a multi-page report ([{ page, answers }]) into one
+ * set of answers. A week of labs repeats metrics across draws, so each metric is taken from
+ * the most recent draw it appears in: a page is dated by the lab date printed on it, or
+ * by the last one printed before it (a continuation page). Within a draw the most confident
+ * answer wins. The merged lab date is the most recent draw, and each merged answer records
+ * its page and draw date.
+ */
+function mergePageAnswers(pages, labQueries) {
+    const merged = {};
+    let drawDate = null;
+
+    for (const { page, answers } of [...pages].sort((a, b) => a.page - b.page)) {
+        if (isUsableAnswer('lab_date', answers.lab_date)) {
+            drawDate = parseLabDate(answers.lab_date.text);
+            if (!merged.lab_date || drawDate > merged.lab_date.text) {
+                merged.lab_date = { text: drawDate, confidence: answers.lab_date.confidence };
+            }
+        }
+
+        for (const { key } of labQueries) {
+            if (key === 'lab_date' || !isUsableAnswer(key, answers[key])) continue;
+
+            const candidate = { ...answers[key], page, drawDate };
+            const current = merged[key];
+            const moreRecent = !current || (candidate.drawDate || '') > (current.drawDate || '') ||
+                ((candidate.drawDate || '') === (current.drawDate || '') && candidate.confidence > current.confidence);
+            if (moreRecent) {
+                merged[key] = candidate;
+            }
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Build the staged result from provider answers ({ [key]: { text, confidence } }, with
+ * page and drawDate when merged from several pages)
+ */
+function toLabResult(answers, labQueries) {
+    const extractedData = {};
+    let labDate = null;
+
+    for (const { key } of labQueries) {
+        const answer = answers[key];
+        const answerText = answer?.text;
+        const confidence = answer?.confidence || 0;
+
+        // Apply confidence threshold
+        if (answerText && confidence >= CONFIDENCE_LOW) {
+            // Special handling for lab_date
+            if (key === 'lab_date') {
+                labDate = parseLabDate(answerText);
+            } else {
+                const normalized = normalizeLabValue(key, answerText);
+                const adjustedConfidence = adjustConfidence(confidence, normalized.issue);
+
+                if (adjustedConfidence < CONFIDENCE_LOW) {
+                    console.warn(`⚠️ Rejected ${key} answer "${answerText}" (${normalized.issue})`);
+                    extractedData[key] = null;
+                    continue;
+                }
+
+                extractedData[key] = {
+                    value: normalized.value,
+                    rawText: answerText,
+                    confidence: Math.round(adjustedConfidence * 10) / 10,
+                    unit: normalized.unit,
+                    sourceValue: normalized.sourceValue,
+                    sourceUnit: normalized.sourceUnit,
+                    comparator: normalized.comparator,
+                    referenceRange: normalized.referenceRange,
+                    flag: normalized.flag,
+                    issue: normalized.issue,
+                    ...(answer.page ? { page: answer.page, drawDate: answer.drawDate } : {})
+                };
+            }
+        } else {
+            // Below threshold or not found - set to null for manual entry
+            if (key !== 'lab_date') {
+                extractedData[key] = null;
+            }
+        }
+    }
+
+    return { data: extractedData, labDate };
+}
+
+/**
+ * Parse lab date from various formats
+ */
+function parseLabDate(text) {
+    if (!text) return null;
+
+    try {
+        // Try various date formats
+        const date = new Date(text);
+        if (!isNaN(date.getTime())) {
+            return date.toISOString().split('T')[0]; // YYYY-MM-DD format
+        }
+    } catch (e) {
+        console.warn('Could not parse date:', text);
+    }
+
+    return null;
+}
+
+module.exports = {
+    CONFIDENCE_LOW,
+    CONFIDENCE_MEDIUM,
+    CONFIDENCE_HIGH,
+    CHECK_CONFIDENCE,
+    adjustConfidence,
+    mergePageAnswers,
+    toLabResult,
+    parseLabDate
+};
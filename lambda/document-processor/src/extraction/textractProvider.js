@@ -0,0 +1,292 @@
+/**
+ * AWS Textract extraction provider
+ *
+ * Query profiles send the document to Textract with one query per field and read each
+ * query's answer and confidence. Line profiles have Textract detect the document's text and
+ * read its lines, grouped into rows as they are printed (see parseTextractLines).
+ *
+ * The synchronous AnalyzeDocument and DetectDocumentText only read single-page documents.
+ * Multi-page PDFs go through the asynchronous APIs instead: startExtraction starts a job on
+ * the S3 object, Textract notifies TEXTRACT_SNS_TOPIC_ARN (publishing with
+ * TEXTRACT_SNS_ROLE_ARN) when it finishes, and getExtraction reads the job's results,
+ * merging them across pages.
+ *
+ * Classification only needs a document's first page, so readText detects the text of that
+ * page synchronously whatever the document's length.
+ */
+
+const {
+    TextractClient,
+    AnalyzeDocumentCommand,
+    DetectDocumentTextCommand,
+    StartDocumentAnalysisCommand,
+    GetDocumentAnalysisCommand,
+    StartDocumentTextDetectionCommand,
+    GetDocumentTextDetectionCommand
+} = require('@aws-sdk/client-textract');
+
+/**
+ * A multi-page PDF's first page as a PDF of its own; other documents are returned unchanged
+ */
+async function firstPdfPage(documentBytes) {
+    const bytes = Buffer.from(documentBytes);
+    if (bytes.subarray(0, 5).toString('latin1') !== '%PDF-') {
+        return documentBytes;
+    }
+
+    const { PDFDocument } = require('pdf-lib');
+    const pdf = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+    if (pdf.getPageCount() <= 1) {
+        return documentBytes;
+    }
+
+    const firstPage = await PDFDocument.create();
+    const [page] = await firstPage.copyPages(pdf, [0]);
+    firstPage.addPage(page);
+    return firstPage.save();
+}
+
+/**
+ * Create the provider. options.textractClient replaces the default client (for tests).
+ */
+function createTextractProvider(options = {}) {
+    const textractClient = options.textractClient ||
+        new TextractClient({ region: process.env.AWS_REGION || 'us-east-1' });
+
+    return {
+        name: 'textract',
+
+        /**
+         * Lines of the document's first page, for classification. Multi-page PDFs are cut
+         * down to their first page, which DetectDocumentText reads synchronously.
+         */
+        async readText(documentBytes) {
+            console.log('🔍 Calling Textract DetectDocumentText...');
+            const response = await textractClient.send(new DetectDocumentTextCommand({
+                Document: {
+                    Bytes: await firstPdfPage(documentBytes)
+                }
+            }));
+            return parseTextractLines(response.Blocks || []);
+        },
+
+        /**
+         * Extract a single-page document's data with the profile (see profiles.js)
+         */
+        async extract(documentBytes, profile) {
+            if (profile.fromLines) {
+                console.log('🔍 Calling Textract DetectDocumentText...');
+                const response = await textractClient.send(new DetectDocumentTextCommand({
+                    Document: {
+                        Bytes: documentBytes
+                    }
+                }));
+                return profile.fromLines(parseTextractLines(response.Blocks || []));
+            }
+
+            // Build Textract queries
+            const queries = profile.queries.map(q => ({
+                Text: q.query,
+                Alias: q.key
+            }));
+
+            // Call Textract AnalyzeDocument with Queries
+            const command = new AnalyzeDocumentCommand({
+                Document: {
+                    Bytes: documentBytes
+                },
+                FeatureTypes: ['QUERIES'],
+                QueriesConfig: {
+                    Queries: queries
+                }
+            });
+
+            console.log('🔍 Calling Textract AnalyzeDocument...');
+            const response = await textractClient.send(command);
+
+            return profile.toResult(parseTextractResponse(response));
+        },
+
+        /**
+         * Start an asynchronous job reading a multi-page document in S3. Returns the job ID.
+         */
+        async startExtraction({ bucket, key }, profile) {
+            const topicArn = process.env.TEXTRACT_SNS_TOPIC_ARN;
+            const roleArn = process.env.TEXTRACT_SNS_ROLE_ARN;
+            if (!topicArn || !roleArn) {
+                throw new Error('TEXTRACT_SNS_TOPIC_ARN and TEXTRACT_SNS_ROLE_ARN are required to analyze multi-page documents');
+            }
+
+            const job = {
+                DocumentLocation: {
+                    S3Object: { Bucket: bucket, Name: key }
+                },
+                NotificationChannel: {
+                    SNSTopicArn: topicArn,
+                    RoleArn: roleArn
+                },
+                // Shown in Textract's console and completion notifications
+                JobTag: profile.documentType
+            };
+
+            let command;
+            if (profile.fromLines) {
+                command = new StartDocumentTextDetectionCommand(job);
+                console.log('🔍 Calling Textract StartDocumentTextDetection...');
+            } else {
+                // Queries only read the first page unless told otherwise
+                const queries = profile.queries.map(q => ({
+                    Text: q.query,
+                    Alias: q.key,
+                    Pages: ['*']
+                }));
+                command = new StartDocumentAnalysisCommand({
+                    ...job,
+                    FeatureTypes: ['QUERIES'],
+                    QueriesConfig: {
+                        Queries: queries
+                    }
+                });
+                console.log('🔍 Calling Textract StartDocumentAnalysis...');
+            }
+
+            const response = await textractClient.send(command);
+            return response.JobId;
+        },
+
+        /**
+         * Read the results of a finished asynchronous job, merged across pages
+         */
+        async getExtraction(jobId, profile) {
+            const GetCommand = profile.fromLines ? GetDocumentTextDetectionCommand : GetDocumentAnalysisCommand;
+            const blocks = [];
+            let nextToken;
+
+            do {
+                const response = await textractClient.send(new GetCommand({
+                    JobId: jobId,
+                    NextToken: nextToken
+                }));
+
+                if (response.JobStatus === 'PARTIAL_SUCCESS') {
+                    console.warn(`⚠️ Textract job ${jobId} only partially succeeded:`, JSON.stringify(response.Warnings || []));
+                } else if (response.JobStatus !== 'SUCCEEDED') {
+                    throw new Error(`Textract job ${jobId} ${response.JobStatus}: ${response.StatusMessage || 'no status message'}`);
+                }
+
+                blocks.push(...(response.Blocks || []));
+                nextToken = response.NextToken;
+            } while (nextToken);
+
+            console.log(`📄 Read ${blocks.length} blocks from Textract job ${jobId}`);
+            if (profile.fromLines) {
+                return profile.fromLines(parseTextractLines(blocks));
+            }
+            return profile.toResult(profile.mergePages(parseTextractPages(blocks)));
+        }
+    };
+}
+
+/**
+ * Text lines of each page of Textract blocks, as rows: [{ page, lines: [{ text, confidence }] }].
+ * Textract reads each cell of a table as its own LINE, so lines side by side (their vertical
+ * centers within half a line height) are joined left to right, taking the lowest confidence.
+ */
+function parseTextractLines(blocks) {
+    const pages = {};
+
+    for (const block of blocks) {
+        if (block.BlockType !== 'LINE' || !block.Text) continue;
+
+        const box = block.Geometry?.BoundingBox || { Top: 0, Left: 0, Height: 0 };
+        const page = block.Page || 1;
+        (pages[page] = pages[page] || []).push({
+            text: block.Text,
+            confidence: block.Confidence || 0,
+            center: box.Top + box.Height / 2,
+            height: box.Height,
+            left: box.Left
+        });
+    }
+
+    return Object.keys(pages).map(page => {
+        const rows = [];
+        for (const line of pages[page].sort((a, b) => a.center - b.center)) {
+            const row = rows[rows.length - 1];
+            if (row && Math.abs(row.center - line.center) <= Math.min(row.height, line.height) / 2) {
+                row.parts.push(line);
+            } else {
+                rows.push({ center: line.center, height: line.height, parts: [line] });
+            }
+        }
+
+        return {
+            page: Number(page),
+            lines: rows.map(row => {
+                const parts = row.parts.sort((a, b) => a.left - b.left);
+                return {
+                    text: parts.map(part => part.text).join(' '),
+                    confidence: Math.min(...parts.map(part => part.confidence))
+                };
+            })
+        };
+    });
+}
+
+/**
+ * Find the answer text and confidence of each query on each page of Textract blocks.
+ * Returns [{ page, answers: { [alias]: { text, confidence } } }], keeping the most
+ * confident answer when a query has several on a page.
+ */
+function parseTextractPages(blocks) {
+    // Build a map of block IDs to blocks for relationship lookup
+    const blockMap = {};
+    for (const block of blocks) {
+        blockMap[block.Id] = block;
+    }
+
+    const pages = {};
+
+    // Find QUERY and QUERY_RESULT blocks
+    for (const block of blocks) {
+        if (block.BlockType === 'QUERY') {
+            const alias = block.Query?.Alias;
+            if (!alias) continue;
+
+            const page = block.Page || 1;
+            const answers = pages[page] = pages[page] || {};
+
+            // Find the answer block through relationships
+            for (const rel of block.Relationships || []) {
+                if (rel.Type === 'ANSWER') {
+                    for (const answerId of rel.Ids || []) {
+                        const answerBlock = blockMap[answerId];
+                        if (answerBlock && answerBlock.BlockType === 'QUERY_RESULT') {
+                            const confidence = answerBlock.Confidence || 0;
+                            if (!answers[alias] || confidence > answers[alias].confidence) {
+                                answers[alias] = { text: answerBlock.Text, confidence };
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    return Object.keys(pages).map(page => ({ page: Number(page), answers: pages[page] }));
+}
+
+/**
+ * Find the answer text and confidence of each query in a single-page Textract response
+ */
+function parseTextractResponse(response) {
+    const pages = parseTextractPages(response.Blocks || []);
+    return pages.length > 0 ? pages[0].answers : {};
+}
+
+module.exports = {
+    createTextractProvider,
+    parseTextractLines,
+    parseTextractPages,
+    parseTextractResponse
+};
@@ -0,0 +1,188 @@
+/**
+ * Extraction Fixture Harness
+ *
+ * Runs the sample documents in fixtures/ (one directory per kind of document) through an
+ * extraction provider and compares what it reads with each fixture's expected results
+ * (<name>.json next to <name>.pdf):
+ *   { "description", "ocr", "documentType", "labDate", "values": { "<query key>": "<value>" } }
+ * or, for a medication list,
+ *   { "description", "ocr", "documentType", "medications": [{ "name", "dose", "route", "frequency" }] }
+ * "documentType" defaults to current_labs, and is also the type the fixture should be
+ * classified as. Fields missing from "values" are expected not to be found. "ocr" marks
+ * scanned fixtures.
+ *
+ * Usage:
+ *   node harness.js                        # provider from EXTRACTION_PROVIDER (default textract)
+ *   node harness.js --provider local
+ *   node harness.js --provider textract    # calls AWS Textract with your AWS credentials
+ *   node harness.js --skip-ocr             # text layer fixtures only (skips the slower OCR)
+ *   node harness.js --fixtures <dir>
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Dates are parsed as they are in Lambda
+process.env.TZ = 'UTC';
+
+const { EXTRACTION_PROFILES } = require('./index');
+const { createExtractionProvider } = require('./extraction');
+const { classifyDocument } = require('./extraction/classification');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+const MEDICATION_FIELDS = ['name', 'dose', 'route', 'frequency'];
+
+function compareMedications(result, expected) {
+    const mismatches = [];
+    const actual = result.data?.medications || [];
+    const expectedList = expected.medications || [];
+
+    for (let i = 0; i < Math.max(actual.length, expectedList.length); i++) {
+        for (const field of MEDICATION_FIELDS) {
+            const expectedValue = expectedList[i]?.[field] ?? null;
+            const actualValue = actual[i]?.[field] ?? null;
+            if (expectedValue !== actualValue) {
+                mismatches.push({ key: `medications[${i}].${field}`, expected: expectedValue, actual: actualValue });
+            }
+        }
+    }
+
+    return mismatches;
+}
+
+/**
+ * Differences between an extraction result and a fixture's expected results
+ */
+function compareResult(result, expected) {
+    const profile = EXTRACTION_PROFILES[expected.documentType || 'current_labs'];
+    if (profile.fromLines) {
+        return compareMedications(result, expected);
+    }
+
+    const mismatches = [];
+
+    if (profile.queries.some(q => q.key === 'lab_date')) {
+        const expectedDate = expected.labDate || null;
+        if (result.labDate !== expectedDate) {
+            mismatches.push({ key: 'lab_date', expected: expectedDate, actual: result.labDate });
+        }
+    }
+
+    for (const { key } of profile.queries) {
+        if (key === 'lab_date') continue;
+
+        const expectedValue = expected.values?.[key] ?? null;
+        const actualValue = result.data?.[key]?.value ?? null;
+        if (String(actualValue) !== String(expectedValue)) {
+            mismatches.push({ key, expected: expectedValue, actual: actualValue });
+        }
+    }
+
+    return mismatches;
+}
+
+/**
+ * Fixture names (<subdirectory>/<name>) in a directory and its subdirectories
+ */
+function listFixtures(fixturesDir) {
+    const names = [];
+    for (const entry of fs.readdirSync(fixturesDir, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+            names.push(...listFixtures(path.join(fixturesDir, entry.name)).map(name => `${entry.name}/${name}`));
+        } else if (entry.name.endsWith('.pdf')) {
+            names.push(entry.name.replace(/\.pdf$/, ''));
+        }
+    }
+    return names.sort();
+}
+
+/**
+ * Run every fixture through the provider. Returns [{ name, skipped, passed, mismatches, error }].
+ */
+async function runFixtures(provider, { fixturesDir = DEFAULT_FIXTURES_DIR, skipOcr = false } = {}) {
+    const results = [];
+    for (const name of listFixtures(fixturesDir)) {
+        const expectedPath = path.join(fixturesDir, `${name}.json`);
+        if (!fs.existsSync(expectedPath)) {
+            results.push({ name, skipped: true, reason: 'no expected results' });
+            continue;
+        }
+
+        const expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+        if (expected.ocr && skipOcr) {
+            results.push({ name, skipped: true, reason: 'scanned (OCR skipped)' });
+            continue;
+        }
+
+        try {
+            const documentBytes = fs.readFileSync(path.join(fixturesDir, `${name}.pdf`));
+            const documentType = expected.documentType || 'current_labs';
+            const classification = classifyDocument(await provider.readText(documentBytes));
+            const result = await provider.extract(documentBytes, EXTRACTION_PROFILES[documentType]);
+            const mismatches = compareResult(result, expected);
+            if (classification.documentType !== documentType) {
+                mismatches.unshift({ key: 'document_type', expected: documentType, actual: classification.documentType });
+            }
+            results.push({ name, skipped: false, passed: mismatches.length === 0, mismatches });
+        } catch (error) {
+            results.push({ name, skipped: false, passed: false, mismatches: [], error: error.message });
+        }
+    }
+
+    return results;
+}
+
+function printResults(providerName, results) {
+    console.log('═'.repeat(60));
+    console.log(`📊 FIXTURE RESULTS (${providerName})`);
+    console.log('═'.repeat(60));
+
+    for (const result of results) {
+        if (result.skipped) {
+            console.log(`   ⏭️ ${result.name}: skipped, ${result.reason}`);
+        } else if (result.passed) {
+            console.log(`   ✅ ${result.name}`);
+        } else {
+            console.log(`   ❌ ${result.name}${result.error ? `: ${result.error}` : ''}`);
+            for (const mismatch of result.mismatches) {
+                console.log(`      ${mismatch.key}: expected ${JSON.stringify(mismatch.expected)}, got ${JSON.stringify(mismatch.actual)}`);
+            }
+        }
+    }
+
+    const ran = results.filter(r => !r.skipped);
+    console.log('─'.repeat(60));
+    console.log(`   Passed: ${ran.filter(r => r.passed).length}/${ran.length}`);
+}
+
+async function main(args) {
+    const option = (flag) => {
+        const index = args.indexOf(flag);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+
+    const provider = createExtractionProvider(option('--provider'));
+    const results = await runFixtures(provider, {
+        fixturesDir: option('--fixtures') ? path.resolve(option('--fixtures')) : DEFAULT_FIXTURES_DIR,
+        skipOcr: args.includes('--skip-ocr')
+    });
+
+    printResults(provider.name, results);
+    if (results.some(r => !r.skipped && !r.passed)) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error('Harness failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    DEFAULT_FIXTURES_DIR,
+    compareResult,
+    runFixtures
+};
@@ -6,19 +6,43 @@
  * 
  * Workflow:
  * 1. Receive S3 event with uploaded document
- * 2. Extract document metadata (type, patient ID) from S3 object metadata
- * 3. For "current_labs" documents: Run AWS Textract Queries to extract lab values
- * 4. For all other documents: Skip extraction
- * 5. Save to document_staging table with status PENDING_REVIEW
+ * 2. Extract document metadata (type, patient ID) from S3 object metadata. Message attachments are
+ *    skipped, and so are originals of an upload group that was assembled into one PDF; the PDF is
+ *    processed instead
+ * 3. Classify the document from the text of its first page (extraction/classification.js). A
+ *    confident prediction that disagrees with the uploader's type flags the document as mislabeled
+ * 4. For lab reports ("current_labs"), medication lists and Medicare 2728 forms: Extract their data
+ *    with the document type's profile (extraction/profiles.js) and the configured provider (AWS
+ *    Textract by default, or the local text/OCR engine; see extraction/index.js). A very confident
+ *    prediction of one of these types is extracted as that type, whatever it was uploaded as
+ * 5. For all other documents: Skip extraction
+ * 6. When a lab date was found, date the patient document by it so its expiry follows the labs
+ * 7. Save to document_staging table with status PENDING_REVIEW
+ *
+ * Multi-page PDFs read with Textract are analyzed asynchronously: the staging row is saved with
+ * status EXTRACTING and the job's textract_job_id, and textractCompletionHandler (subscribed to
+ * Textract's SNS completion notifications) finishes steps 6 and 7 when the job is done.
  */
 
-const { TextractClient, AnalyzeDocumentCommand } = require('@aws-sdk/client-textract');
 const { S3Client, GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
 const { Pool } = require('pg');
+const { PDFDocument } = require('pdf-lib');
+const { createExtractionProvider } = require('./extraction');
+const { createLabProfile, MEDICATION_LIST_PROFILE, FORM_2728_PROFILE } = require('./extraction/profiles');
+const { classifyDocument, isMislabeled, chooseExtractionType } = require('./extraction/classification');
 
 // Initialize clients (let for test injection)
-let textractClient = new TextractClient({ region: process.env.AWS_REGION || 'us-east-1' });
 let s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+let textractClient = null; // the Textract provider creates its own unless one is injected
+
+// Extraction provider, created on first use from EXTRACTION_PROVIDER
+let extractionProvider = null;
+const getExtractionProvider = () => {
+    if (!extractionProvider) {
+        extractionProvider = createExtractionProvider(process.env.EXTRACTION_PROVIDER, { textractClient });
+    }
+    return extractionProvider;
+};
 
 // Database connection pool
 let pool;
@@ -39,14 +63,10 @@ const getPool = () => {
     return pool;
 };
 
-// Confidence thresholds
-const CONFIDENCE_LOW = parseFloat(process.env.CONFIDENCE_THRESHOLD_LOW || '50');
-const CONFIDENCE_MEDIUM = parseFloat(process.env.CONFIDENCE_THRESHOLD_MEDIUM || '70');
-
-// Document types that support extraction
-const EXTRACTABLE_DOCUMENT_TYPES = ['current_labs'];
+// Staging status while an asynchronous Textract job reads the document
+const EXTRACTING_STATUS = 'EXTRACTING';
 
-// Lab metrics to extract with their Textract queries
+// Lab metrics to extract with their Textract queries (the local provider matches them by key)
 const LAB_QUERIES = [
     { key: 'potassium', query: 'What is the Potassium?' },
     { key: 'bun', query: 'What is the Blood Urea Nitrogen or BUN?' },
@@ -68,6 +88,20 @@ const LAB_QUERIES = [
     { key: 'lab_date', query: 'What is the date of the lab work or collection date?' }
 ];
 
+// How each document type that supports extraction is read
+const EXTRACTION_PROFILES = {
+    current_labs: createLabProfile(LAB_QUERIES),
+    medication_list: MEDICATION_LIST_PROFILE,
+    medicare_2728: FORM_2728_PROFILE
+};
+
+// Document types that support extraction
+const EXTRACTABLE_DOCUMENT_TYPES = Object.keys(EXTRACTION_PROFILES);
+
+// Files attached to patient and care team messages. They are stored under the patient's documents
+// but only the thread's participants may open them, so they are never staged for TC review
+const UNSTAGED_DOCUMENT_TYPES = ['message_attachment', 'care_team_attachment'];
+
 /**
  * Main Lambda handler
  */
@@ -120,18 +154,63 @@ async function processS3Record(record) {
     
     console.log(`👤 Patient: ${patientId}, 📄 Type: ${documentType}`);
     
-    // Determine if we should extract data
+    if (UNSTAGED_DOCUMENT_TYPES.includes(documentType)) {
+        console.log(`⏭️ Skipping ${documentType}, message attachments are not reviewed`);
+        return {
+            success: true,
+            skipped: true,
+            patientId,
+            documentType
+        };
+    }
+    
+    if (metadata['assembled-pdf-key']) {
+        console.log(`⏭️ Skipping original, its group is processed as ${metadata['assembled-pdf-key']}`);
+        return {
+            success: true,
+            skipped: true,
+            patientId,
+            documentType,
+            assembledPdfKey: metadata['assembled-pdf-key']
+        };
+    }
+    
+    // Classify the document by its content, to catch uploads filed under the wrong type
+    let documentBytes = null;
+    let classification = null;
+    try {
+        documentBytes = await getS3ObjectBytes(bucket, key);
+        classification = classifyDocument(await getExtractionProvider().readText(documentBytes));
+        console.log(`🏷️ Classified as ${classification.documentType || 'unknown'} (${classification.confidence}%)`);
+    } catch (error) {
+        console.warn('⚠️ Classification failed:', error.message);
+        // Continue - the uploader's type is used as is
+    }
+    
+    const typeMismatch = isMislabeled(documentType, classification);
+    if (typeMismatch) {
+        console.log(`⚠️ Uploaded as ${documentType}, but reads as ${classification.documentType}`);
+    }
+    
+    // Determine if we should extract data, and as which type
+    const extractedDocumentType = chooseExtractionType(documentType, classification, EXTRACTABLE_DOCUMENT_TYPES);
     let extractedData = null;
     let labDate = null;
     let extractionError = null;
+    let textractJobId = null;
     
-    if (EXTRACTABLE_DOCUMENT_TYPES.includes(documentType)) {
-        console.log('🔬 Running Textract extraction for Labs document...');
+    if (extractedDocumentType) {
+        console.log(`🔬 Running ${getExtractionProvider().name} extraction for ${extractedDocumentType} document...`);
         try {
-            const extraction = await extractLabData(bucket, key);
-            extractedData = extraction.data;
-            labDate = extraction.labDate;
-            console.log('✅ Extraction complete:', JSON.stringify(extractedData, null, 2));
+            const extraction = await extractDocument(bucket, key, extractedDocumentType, metadata, documentBytes);
+            if (extraction.jobId) {
+                textractJobId = extraction.jobId;
+                console.log(`⏳ Started Textract job ${textractJobId} for ${extraction.pageCount}-page document`);
+            } else {
+                extractedData = extraction.data;
+                labDate = extraction.labDate || null;
+                console.log('✅ Extraction complete:', JSON.stringify(extractedData, null, 2));
+            }
         } catch (error) {
             console.error('⚠️ Extraction failed:', error.message);
             extractionError = error.message;
@@ -144,6 +223,10 @@ async function processS3Record(record) {
     // Get patient_document_id if it exists
     const patientDocumentId = await findPatientDocumentId(patientId, key);
     
+    if (labDate && patientDocumentId) {
+        await applyLabDate(patientDocumentId, labDate);
+    }
+    
     // Save to document_staging table
     const stagingId = await saveToStaging({
         patientId,
@@ -151,9 +234,14 @@ async function processS3Record(record) {
         documentType,
         s3Bucket: bucket,
         s3Key: key,
+        status: textractJobId ? EXTRACTING_STATUS : 'PENDING_REVIEW',
         extractedData,
         labDate,
-        extractionError
+        extractionError,
+        textractJobId,
+        extractedDocumentType,
+        classification,
+        typeMismatch
     });
     
     return {
@@ -161,6 +249,88 @@ async function processS3Record(record) {
         stagingId,
         patientId,
         documentType,
+        predictedDocumentType: classification ? classification.documentType : null,
+        typeMismatch,
+        extractedDocumentType,
+        hasExtractedData: extractedData !== null,
+        extractionError,
+        textractJobId
+    };
+}
+
+/**
+ * Textract completion handler, invoked through SNS when an asynchronous analysis finishes
+ */
+exports.textractCompletionHandler = async (event) => {
+    console.log('📄 Textract completion handler invoked');
+    
+    const results = [];
+    
+    for (const record of event.Records) {
+        try {
+            const message = JSON.parse(record.Sns.Message);
+            const result = await completeTextractJob(message);
+            results.push(result);
+        } catch (error) {
+            console.error('❌ Error completing Textract job:', error);
+            results.push({
+                success: false,
+                error: error.message
+            });
+        }
+    }
+    
+    console.log('✅ Completion processing done:', JSON.stringify(results, null, 2));
+    return { statusCode: 200, body: JSON.stringify(results) };
+};
+
+/**
+ * Finish the staging row of a Textract job from its completion notification
+ * ({ JobId, Status, API, JobTag, DocumentLocation })
+ */
+async function completeTextractJob(message) {
+    const jobId = message.JobId;
+    console.log(`📁 Textract job ${jobId}: ${message.Status}`);
+    
+    const staging = await findStagingByJobId(jobId);
+    if (!staging) {
+        // Already completed (SNS delivers at least once) or not one of ours
+        console.log(`⏭️ No staging row is waiting on job ${jobId}`);
+        return { success: true, skipped: true, jobId };
+    }
+    
+    let extractedData = null;
+    let labDate = null;
+    let extractionError = null;
+    
+    if (message.Status === 'SUCCEEDED') {
+        try {
+            // The job was started by the Textract provider, whichever provider is configured now
+            const provider = createExtractionProvider('textract', { textractClient });
+            const profile = EXTRACTION_PROFILES[staging.extracted_document_type || staging.document_type];
+            const extraction = await provider.getExtraction(jobId, profile);
+            extractedData = extraction.data;
+            labDate = extraction.labDate || null;
+            console.log('✅ Extraction complete:', JSON.stringify(extractedData, null, 2));
+        } catch (error) {
+            console.error('⚠️ Extraction failed:', error.message);
+            extractionError = error.message;
+        }
+    } else {
+        extractionError = `Textract job ${message.Status}`;
+    }
+    
+    if (labDate && staging.patient_document_id) {
+        await applyLabDate(staging.patient_document_id, labDate);
+    }
+    
+    const completed = await completeStaging(staging.id, { extractedData, labDate, extractionError });
+    
+    return {
+        success: true,
+        stagingId: staging.id,
+        jobId,
+        completed,
         hasExtractedData: extractedData !== null,
         extractionError
     };
@@ -176,7 +346,7 @@ async function getS3ObjectMetadata(bucket, key) {
 }
 
 /**
- * Get S3 object as bytes for Textract
+ * Get S3 object as bytes for extraction
  */
 async function getS3ObjectBytes(bucket, key) {
     const command = new GetObjectCommand({ Bucket: bucket, Key: key });
@@ -189,139 +359,69 @@ async function getS3ObjectBytes(bucket, key) {
 }
 
 /**
- * Extract lab data using AWS Textract Queries
+ * Number of pages in a PDF (1 for anything else, or a PDF that can't be read)
  */
-async function extractLabData(bucket, key) {
-    // Get document bytes
-    const documentBytes = await getS3ObjectBytes(bucket, key);
-    
-    // Build Textract queries
-    const queries = LAB_QUERIES.map(q => ({
-        Text: q.query,
-        Alias: q.key
-    }));
-    
-    // Call Textract AnalyzeDocument with Queries
-    const command = new AnalyzeDocumentCommand({
-        Document: {
-            Bytes: documentBytes
-        },
-        FeatureTypes: ['QUERIES'],
-        QueriesConfig: {
-            Queries: queries
-        }
-    });
-    
-    console.log('🔍 Calling Textract AnalyzeDocument...');
-    const response = await textractClient.send(command);
-    
-    // Parse Textract response
-    return parseTextractResponse(response);
+async function countPdfPages(documentBytes) {
+    if (documentBytes.subarray(0, 5).toString('latin1') !== '%PDF-') {
+        return 1;
+    }
+    try {
+        const pdf = await PDFDocument.load(documentBytes, { ignoreEncryption: true, updateMetadata: false });
+        return pdf.getPageCount();
+    } catch (error) {
+        console.warn('Could not count PDF pages:', error.message);
+        return 1;
+    }
 }
 
 /**
- * Parse Textract response and extract values with confidence
+ * Extract a document's data with its type's profile and the configured extraction provider.
+ * Returns { data, labDate }, or { jobId, pageCount } when a multi-page PDF was handed to an
+ * asynchronous job. documentBytes saves downloading a document that was already read.
  */
-function parseTextractResponse(response) {
-    const extractedData = {};
-    let labDate = null;
+async function extractDocument(bucket, key, documentType, metadata = {}, documentBytes = null) {
+    const provider = getExtractionProvider();
+    const profile = EXTRACTION_PROFILES[documentType];
     
-    // Build a map of block IDs to blocks for relationship lookup
-    const blockMap = {};
-    for (const block of response.Blocks || []) {
-        blockMap[block.Id] = block;
+    // Assembled PDFs carry their page count, so they need not be downloaded to be counted
+    const knownPageCount = parseInt(metadata['page-count'], 10) || null;
+    if (provider.startExtraction && knownPageCount > 1) {
+        const jobId = await provider.startExtraction({ bucket, key }, profile);
+        return { jobId, pageCount: knownPageCount };
     }
     
-    // Find QUERY and QUERY_RESULT blocks
-    for (const block of response.Blocks || []) {
-        if (block.BlockType === 'QUERY') {
-            const alias = block.Query?.Alias;
-            if (!alias) continue;
-            
-            // Find the answer block through relationships
-            let answerText = null;
-            let confidence = 0;
-            
-            if (block.Relationships) {
-                for (const rel of block.Relationships) {
-                    if (rel.Type === 'ANSWER') {
-                        for (const answerId of rel.Ids || []) {
-                            const answerBlock = blockMap[answerId];
-                            if (answerBlock && answerBlock.BlockType === 'QUERY_RESULT') {
-                                answerText = answerBlock.Text;
-                                confidence = answerBlock.Confidence || 0;
-                            }
-                        }
-                    }
-                }
-            }
-            
-            // Apply confidence threshold
-            if (answerText && confidence >= CONFIDENCE_LOW) {
-                // Special handling for lab_date
-                if (alias === 'lab_date') {
-                    labDate = parseLabDate(answerText);
-                } else {
-                    // Extract numeric value if present
-                    const numericValue = extractNumericValue(answerText);
-                    extractedData[alias] = {
-                        value: numericValue || answerText,
-                        rawText: answerText,
-                        confidence: Math.round(confidence * 10) / 10
-                    };
-                }
-            } else {
-                // Below threshold or not found - set to null for manual entry
-                if (alias !== 'lab_date') {
-                    extractedData[alias] = null;
-                }
-            }
-        }
+    // Get document bytes
+    if (!documentBytes) {
+        documentBytes = await getS3ObjectBytes(bucket, key);
     }
     
-    return { data: extractedData, labDate };
-}
-
-/**
- * Extract numeric value from text (handles units)
- */
-function extractNumericValue(text) {
-    if (!text) return null;
-    
-    // Match numbers (including decimals) at start or after common patterns
-    const match = text.match(/(\d+\.?\d*)/);
-    return match ? match[1] : text;
-}
-
-/**
- * Parse lab date from various formats
- */
-function parseLabDate(text) {
-    if (!text) return null;
-    
-    try {
-        // Try various date formats
-        const date = new Date(text);
-        if (!isNaN(date.getTime())) {
-            return date.toISOString().split('T')[0]; // YYYY-MM-DD format
+    if (provider.startExtraction && !knownPageCount) {
+        const pageCount = await countPdfPages(documentBytes);
+        if (pageCount > 1) {
+            const jobId = await provider.startExtraction({ bucket, key }, profile);
+            return { jobId, pageCount };
         }
-    } catch (e) {
-        console.warn('Could not parse date:', text);
     }
     
-    return null;
+    return provider.extract(documentBytes, profile);
 }
 
 /**
- * Find patient_document_id by S3 key
+ * Find patient_document_id by S3 key. For an assembled PDF this is the first page of its upload group.
  */
 async function findPatientDocumentId(patientId, s3Key) {
     const db = getPool();
     try {
-        const result = await db.query(
-            'SELECT id FROM patient_documents WHERE patient_id = $1 AND s3_key = $2 LIMIT 1',
-            [patientId, s3Key]
-        );
+        const result = await db.query(`
+            SELECT id FROM patient_documents WHERE patient_id = $1 AND s3_key = $2
+            UNION ALL
+            (SELECT pd.id FROM document_assemblies da
+             JOIN patient_documents pd ON pd.document_group_id = da.document_group_id
+             WHERE da.patient_id = $1 AND da.s3_key = $2
+             ORDER BY pd.page_number ASC NULLS LAST
+             LIMIT 1)
+            LIMIT 1
+        `, [patientId, s3Key]);
         return result.rows[0]?.id || null;
     } catch (error) {
         console.warn('Could not find patient_document_id:', error.message);
@@ -329,6 +429,35 @@ async function findPatientDocumentId(patientId, s3Key) {
     }
 }
 
+/**
+ * Date a patient document (and the rest of its upload group) by its extracted lab date.
+ * The expiry keeps the same validity window, shifted to the new date. A reviewer's date
+ * is not overwritten.
+ */
+async function applyLabDate(patientDocumentId, labDate) {
+    const db = getPool();
+    try {
+        await db.query(`
+            UPDATE patient_documents pd
+            SET expiry_date = CASE
+                    WHEN pd.expiry_date IS NOT NULL AND pd.effective_date IS NOT NULL
+                    THEN $2::date + (pd.expiry_date - pd.effective_date)
+                END,
+                effective_date = $2::date,
+                effective_date_source = 'lab_date',
+                expiry_reminder_sent_at = NULL
+            FROM patient_documents source
+            WHERE source.id = $1
+              AND pd.patient_id = source.patient_id
+              AND (pd.id = source.id OR pd.document_group_id = source.document_group_id)
+              AND pd.effective_date_source <> 'reviewer'
+        `, [patientDocumentId, labDate]);
+        console.log(`📅 Dated document ${patientDocumentId} by lab date ${labDate}`);
+    } catch (error) {
+        console.warn('Could not apply lab date to patient document:', error.message);
+    }
+}
+
 /**
  * Save document to staging table
  */
@@ -338,9 +467,14 @@ async function saveToStaging({
     documentType,
     s3Bucket,
     s3Key,
+    status = 'PENDING_REVIEW',
     extractedData,
     labDate,
-    extractionError
+    extractionError,
+    textractJobId = null,
+    extractedDocumentType = null,
+    classification = null,
+    typeMismatch = false
 }) {
     const db = getPool();
     
@@ -355,9 +489,14 @@ async function saveToStaging({
             extracted_data,
             lab_date,
             extraction_error,
+            textract_job_id,
+            extracted_document_type,
+            predicted_document_type,
+            predicted_type_confidence,
+            type_mismatch,
             created_at,
             updated_at
-        ) VALUES ($1, $2, $3, $4, $5, 'PENDING_REVIEW', $6, $7, $8, NOW(), NOW())
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW())
         RETURNING id
     `;
     
@@ -367,9 +506,15 @@ async function saveToStaging({
         documentType,
         s3Bucket,
         s3Key,
+        status,
         extractedData ? JSON.stringify(extractedData) : null,
         labDate,
-        extractionError
+        extractionError,
+        textractJobId,
+        extractedDocumentType,
+        classification ? classification.documentType : null,
+        classification && classification.documentType ? classification.confidence : null,
+        typeMismatch
     ];
     
     console.log('💾 Saving to document_staging...');
@@ -380,18 +525,62 @@ async function saveToStaging({
     return stagingId;
 }
 
+/**
+ * Find the staging row still waiting on a Textract job
+ */
+async function findStagingByJobId(jobId) {
+    const db = getPool();
+    const result = await db.query(
+        `SELECT id, patient_id, patient_document_id, document_type, extracted_document_type
+         FROM document_staging
+         WHERE textract_job_id = $1 AND status = $2`,
+        [jobId, EXTRACTING_STATUS]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Store a finished job's extraction and send the staging row to review
+ */
+async function completeStaging(stagingId, { extractedData, labDate, extractionError }) {
+    const db = getPool();
+    const result = await db.query(
+        `UPDATE document_staging
+         SET status = 'PENDING_REVIEW',
+             extracted_data = $2,
+             lab_date = $3,
+             extraction_error = $4,
+             updated_at = NOW()
+         WHERE id = $1 AND status = $5`,
+        [
+            stagingId,
+            extractedData ? JSON.stringify(extractedData) : null,
+            labDate,
+            extractionError,
+            EXTRACTING_STATUS
+        ]
+    );
+    console.log(`✅ Staging ${stagingId} ready for review`);
+    return result.rowCount > 0;
+}
+
 // Export for testing
 module.exports = {
     handler: exports.handler,
+    textractCompletionHandler: exports.textractCompletionHandler,
     processS3Record,
-    extractLabData,
+    extractDocument,
     getS3ObjectMetadata,
     EXTRACTABLE_DOCUMENT_TYPES,
+    EXTRACTION_PROFILES,
     LAB_QUERIES,
     // For dependency injection in tests
     _setClients: (s3, textract, dbPool) => {
         if (s3) s3Client = s3;
-        if (textract) textractClient = textract;
+        if (textract) {
+            textractClient = textract;
+            extractionProvider = null;
+        }
         if (dbPool) pool = dbPool;
     }
 };
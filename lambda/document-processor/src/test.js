@@ -4,13 +4,25 @@
  * Tests:
  * 1. Social Work Summary - Textract should NOT be called
  * 2. Labs (current_labs) - Textract SHOULD be called with correct query parameters
+ * 3. LAB_QUERIES contains all required metrics
+ * 4. Labs with a lab date - the patient document SHOULD be dated by it
+ * 5. Original of an assembled upload group - skipped in favour of the assembled PDF
+ * 6. Local extraction provider - sample documents (fixtures/) read as expected
+ * 7. Extracted values - units converted, range and flag separated, implausible values rejected
+ * 8. Multi-page Labs - asynchronous Textract job started and staged as EXTRACTING
+ * 9. Textract completion - answers merged across pages (latest draw wins) and sent to review
+ * 10. Medication list - Textract table rows read into a structured list
+ * 11. Medicare 2728 - form answers normalized, checkboxes read, impossible dates rejected
+ * 12. Classification - mislabeled uploads flagged, confidently classified labs extracted as labs
+ * 13. Message attachments - skipped, never staged for review
  */
 
 const assert = require('assert');
 
-// Track if Textract was called
+// Track if Textract was called to extract data, and if the document's text was read to classify it
 let textractCalled = false;
 let textractParams = null;
+let textDetected = false;
 
 // Mock S3 Client
 const mockS3Client = {
@@ -25,6 +37,22 @@ const mockS3Client = {
                         'document-type': 'social_work_summary'
                     }
                 };
+            } else if (key.includes('current_labs') && key.includes('/original-')) {
+                return {
+                    Metadata: {
+                        'patient-id': 'test-patient-456',
+                        'document-type': 'current_labs',
+                        'assembled-pdf-key': key.replace(/original-\d+\.\w+$/, 'document.pdf')
+                    }
+                };
+            } else if (key.includes('current_labs') && key.endsWith('/document.pdf')) {
+                return {
+                    Metadata: {
+                        'patient-id': 'test-patient-456',
+                        'document-type': 'current_labs',
+                        'page-count': '3'
+                    }
+                };
             } else if (key.includes('current_labs')) {
                 return {
                     Metadata: {
@@ -51,6 +79,10 @@ const mockS3Client = {
 // Mock Textract Client
 const mockTextractClient = {
     send: async (command) => {
+        if (command.constructor.name === 'DetectDocumentTextCommand') {
+            textDetected = true;
+            return { Blocks: [] };
+        }
         textractCalled = true;
         textractParams = command.input;
         
@@ -103,6 +135,7 @@ function createS3Event(bucket, key) {
 function resetMocks() {
     textractCalled = false;
     textractParams = null;
+    textDetected = false;
 }
 
 // Import the module (after setting up mocks)
@@ -133,8 +166,9 @@ async function runTests() {
         const result = await documentProcessor.handler(event);
         const parsedBody = JSON.parse(result.body);
         
-        // Assert Textract was NOT called
+        // Assert Textract was NOT called to extract data (only to read the text it is classified by)
         assert.strictEqual(textractCalled, false, 'Textract should NOT be called for Social Work Summary');
+        assert.strictEqual(textDetected, true, 'Document text should be read for classification');
         
         // Assert extracted data is null
         assert.strictEqual(parsedBody[0].hasExtractedData, false, 'extractedData should be null for Social Work Summary');
@@ -255,6 +289,658 @@ async function runTests() {
         failed++;
     }
     
+    // ═══════════════════════════════════════════════════════════════
+    // TEST 4: Extracted lab date is applied to the patient document
+    // ═══════════════════════════════════════════════════════════════
+    console.log('📋 TEST 4: Extracted lab date dates the patient document');
+    console.log('─'.repeat(60));
+    
+    try {
+        resetMocks();
+        
+        const executedQueries = [];
+        const recordingDbPool = {
+            query: async (query, values) => {
+                executedQueries.push({ query, values });
+                return { rows: [{ id: 'mock-document-id-789' }] };
+            }
+        };
+        const labDateTextractClient = {
+            send: async () => ({
+                Blocks: [
+                    {
+                        BlockType: 'QUERY',
+                        Id: 'query-date',
+                        Query: { Text: 'What is the collection date?', Alias: 'lab_date' },
+                        Relationships: [{ Type: 'ANSWER', Ids: ['answer-date'] }]
+                    },
+                    {
+                        BlockType: 'QUERY_RESULT',
+                        Id: 'answer-date',
+                        Text: '2024-03-15',
+                        Confidence: 92.0
+                    }
+                ]
+            })
+        };
+        documentProcessor._setClients(null, labDateTextractClient, recordingDbPool);
+        
+        const event = createS3Event(
+            'transplant-wizard-patient-documents',
+            'patients/test-patient-456/documents/current_labs/group-id/lab-results.pdf'
+        );
+        await documentProcessor.handler(event);
+        
+        const dateUpdate = executedQueries.find(q => q.query.includes('UPDATE patient_documents'));
+        assert.ok(dateUpdate, 'patient_documents should be updated with the lab date');
+        assert.deepStrictEqual(
+            dateUpdate.values,
+            ['mock-document-id-789', '2024-03-15'],
+            'Update should use the patient document ID and extracted lab date'
+        );
+        
+        console.log('   ✅ patient_documents effective date set from lab date');
+        console.log('   ✅ TEST 4 PASSED\n');
+        passed++;
+        
+    } catch (error) {
+        console.log(`   ❌ TEST 4 FAILED: ${error.message}\n`);
+        failed++;
+    } finally {
+        documentProcessor._setClients(null, mockTextractClient, mockDbPool);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════
+    // TEST 5: Originals of an assembled group are skipped
+    // ═══════════════════════════════════════════════════════════════
+    console.log('📋 TEST 5: Original of an assembled group - Textract NOT called');
+    console.log('─'.repeat(60));
+    
+    try {
+        resetMocks();
+        
+        const event = createS3Event(
+            'transplant-wizard-patient-documents',
+            'patients/test-patient-456/documents/current_labs/group-id/original-1.heic'
+        );
+        
+        const result = await documentProcessor.handler(event);
+        const parsedBody = JSON.parse(result.body);
+        
+        assert.strictEqual(textractCalled, false, 'Textract should NOT be called for an assembled original');
+        assert.strictEqual(parsedBody[0].skipped, true, 'Original should be reported as skipped');
+        assert.strictEqual(
+            parsedBody[0].assembledPdfKey,
+            'patients/test-patient-456/documents/current_labs/group-id/document.pdf',
+            'Result should name the assembled PDF'
+        );
+        
+        console.log('   ✅ Textract was NOT called (correct)');
+        console.log('   ✅ Original skipped in favour of the assembled PDF');
+        console.log('   ✅ TEST 5 PASSED\n');
+        passed++;
+        
+    } catch (error) {
+        console.log(`   ❌ TEST 5 FAILED: ${error.message}\n`);
+        failed++;
+    }
+    
+    // ═══════════════════════════════════════════════════════════════
+    // TEST 6: Local provider reads the sample fixtures
+    // ═══════════════════════════════════════════════════════════════
+    console.log('📋 TEST 6: Local extraction provider - fixtures');
+    console.log('─'.repeat(60));
+    
+    try {
+        const { createExtractionProvider } = require('./extraction');
+        const { runFixtures } = require('./harness');
+        
+        const fixtureResults = await runFixtures(createExtractionProvider('local'));
+        const ran = fixtureResults.filter(r => !r.skipped);
+        
+        assert.ok(ran.length > 0, 'At least one fixture should run');
+        for (const fixture of ran) {
+            const details = fixture.error || fixture.mismatches
+                .map(m => `${m.key} expected ${JSON.stringify(m.expected)}, got ${JSON.stringify(m.actual)}`)
+                .join('; ');
+            assert.ok(fixture.passed, `${fixture.name}: ${details}`);
+        }
+        
+        console.log(`   ✅ ${ran.length} fixture(s) extracted as expected`);
+        console.log('   ✅ TEST 6 PASSED\n');
+        passed++;
+        
+    } catch (error) {
+        console.log(`   ❌ TEST 6 FAILED: ${error.message}\n`);
+        failed++;
+    }
+    
+    // ═══════════════════════════════════════════════════════════════
+    // TEST 7: Extracted values are normalized and checked
+    // ═══════════════════════════════════════════════════════════════
+    console.log('📋 TEST 7: Extracted values normalized to canonical units');
+    console.log('─'.repeat(60));
+    
+    try {
+        const answers = {
+            hemoglobin: ['10.2 L g/dL (12.0-17.0)', 95.0],
+            bun: ['7.1 mmol/L', 90.0],
+            potassium: ['<2.5', 96.0],
+            platelets: ['2120', 93.0]
+        };
+        const answersTextractClient = {
+            send: async () => ({
+                Blocks: Object.entries(answers).flatMap(([alias, [text, confidence]]) => [
+                    {
+                        BlockType: 'QUERY',
+                        Id: `query-${alias}`,
+                        Query: { Alias: alias },
+                        Relationships: [{ Type: 'ANSWER', Ids: [`answer-${alias}`] }]
+                    },
+                    { BlockType: 'QUERY_RESULT', Id: `answer-${alias}`, Text: text, Confidence: confidence }
+                ])
+            })
+        };
+        documentProcessor._setClients(null, answersTextractClient, null);
+        
+        const { data } = await documentProcessor.extractDocument(
+            'transplant-wizard-patient-documents',
+            'patients/test-patient-456/documents/current_labs/group-id/lab-results.pdf',
+            'current_labs'
+        );
+        
+        assert.strictEqual(data.hemoglobin.value, '10.2', 'Hemoglobin value should be separated from its range');
+        assert.strictEqual(data.hemoglobin.unit, 'g/dL', 'Hemoglobin should be in g/dL');
+        assert.strictEqual(data.hemoglobin.referenceRange, '12.0-17.0', 'Reference range should be kept');
+        assert.strictEqual(data.hemoglobin.flag, 'L', 'Low flag should be kept');
+        
+        assert.strictEqual(data.bun.value, '19.89', 'BUN in mmol/L should be converted to mg/dL');
+        assert.strictEqual(data.bun.sourceUnit, 'mmol/L', 'Source unit should be kept');
+        assert.strictEqual(data.bun.sourceValue, '7.1', 'Source value should be kept');
+        
+        assert.strictEqual(data.potassium.comparator, '<', 'Comparator should be kept');
+        assert.ok(data.potassium.confidence < 70, 'A "<" value should be flagged for checking');
+        
+        assert.strictEqual(data.platelets, null, 'Implausible platelet count should be rejected');
+        
+        console.log('   ✅ Range and flag separated from the value');
+        console.log('   ✅ mmol/L BUN converted to mg/dL');
+        console.log('   ✅ "<" value flagged for checking');
+        console.log('   ✅ Implausible value rejected');
+        console.log('   ✅ TEST 7 PASSED\n');
+        passed++;
+        
+    } catch (error) {
+        console.log(`   ❌ TEST 7 FAILED: ${error.message}\n`);
+        failed++;
+    } finally {
+        documentProcessor._setClients(null, mockTextractClient, null);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════
+    // TEST 8: Multi-page Labs start an asynchronous Textract job
+    // ═══════════════════════════════════════════════════════════════
+    console.log('📋 TEST 8: Multi-page Labs - asynchronous Textract job started');
+    console.log('─'.repeat(60));
+    
+    try {
+        resetMocks();
+        process.env.TEXTRACT_SNS_TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:AmazonTextract-test';
+        process.env.TEXTRACT_SNS_ROLE_ARN = 'arn:aws:iam::123456789012:role/textract-test';
+        
+        const commands = [];
+        const asyncTextractClient = {
+            send: async (command) => {
+                commands.push(command);
+                return { JobId: 'job-123' };
+            }
+        };
+        const executedQueries = [];
+        const recordingDbPool = {
+            query: async (query, values) => {
+                executedQueries.push({ query, values });
+                return { rows: [{ id: 'mock-staging-id-123' }] };
+            }
+        };
+        documentProcessor._setClients(null, asyncTextractClient, recordingDbPool);
+        
+        const event = createS3Event(
+            'transplant-wizard-patient-documents',
+            'patients/test-patient-456/documents/current_labs/group-id/document.pdf'
+        );
+        const result = await documentProcessor.handler(event);
+        const parsedBody = JSON.parse(result.body);
+        
+        // The first page's text is read synchronously to classify the document
+        const jobCommands = commands.filter(command => command.constructor.name !== 'DetectDocumentTextCommand');
+        assert.strictEqual(jobCommands.length, 1, 'Textract should be called once');
+        assert.strictEqual(jobCommands[0].constructor.name, 'StartDocumentAnalysisCommand', 'Multi-page PDF should start an analysis job');
+        assert.deepStrictEqual(
+            jobCommands[0].input.DocumentLocation.S3Object,
+            { Bucket: 'transplant-wizard-patient-documents', Name: 'patients/test-patient-456/documents/current_labs/group-id/document.pdf' },
+            'Job should read the document from S3'
+        );
+        assert.ok(jobCommands[0].input.QueriesConfig.Queries.every(q => q.Pages?.[0] === '*'), 'Queries should cover every page');
+        assert.strictEqual(parsedBody[0].textractJobId, 'job-123', 'Result should name the job');
+        
+        const insert = executedQueries.find(q => q.query.includes('INSERT INTO document_staging'));
+        assert.ok(insert, 'Document should be staged');
+        assert.ok(insert.values.includes('EXTRACTING'), 'Staging row should wait for the job');
+        assert.ok(insert.values.includes('job-123'), 'Staging row should record the job ID');
+        
+        console.log('   ✅ StartDocumentAnalysis called for every page');
+        console.log('   ✅ Staged as EXTRACTING with the job ID');
+        console.log('   ✅ TEST 8 PASSED\n');
+        passed++;
+        
+    } catch (error) {
+        console.log(`   ❌ TEST 8 FAILED: ${error.message}\n`);
+        failed++;
+    } finally {
+        documentProcessor._setClients(null, mockTextractClient, mockDbPool);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════
+    // TEST 9: Textract completion merges pages and sends the document to review
+    // ═══════════════════════════════════════════════════════════════
+    console.log('📋 TEST 9: Textract completion - pages merged, latest draw wins');
+    console.log('─'.repeat(60));
+    
+    try {
+        // Page 1: an older draw; page 2 continues it; page 3: the latest draw
+        const pageAnswers = [
+            { page: 1, answers: { lab_date: ['03/10/2024', 94.0], potassium: ['5.9 H mEq/L', 96.0], hemoglobin: ['9.1 g/dL', 95.0] } },
+            { page: 2, answers: { albumin: ['3.4 g/dL', 93.0] } },
+            { page: 3, answers: { lab_date: ['03/15/2024', 92.0], potassium: ['4.4 mEq/L', 91.0] } }
+        ];
+        const blocks = pageAnswers.flatMap(({ page, answers }) =>
+            Object.entries(answers).flatMap(([alias, [text, confidence]]) => [
+                {
+                    BlockType: 'QUERY',
+                    Id: `query-${page}-${alias}`,
+                    Page: page,
+                    Query: { Alias: alias },
+                    Relationships: [{ Type: 'ANSWER', Ids: [`answer-${page}-${alias}`] }]
+                },
+                { BlockType: 'QUERY_RESULT', Id: `answer-${page}-${alias}`, Page: page, Text: text, Confidence: confidence }
+            ])
+        );
+        
+        // Results come back in two pages of blocks
+        const half = Math.ceil(blocks.length / 2);
+        const tokens = [];
+        const completionTextractClient = {
+            send: async (command) => {
+                assert.strictEqual(command.constructor.name, 'GetDocumentAnalysisCommand');
+                tokens.push(command.input.NextToken);
+                return command.input.NextToken
+                    ? { JobStatus: 'SUCCEEDED', Blocks: blocks.slice(half) }
+                    : { JobStatus: 'SUCCEEDED', Blocks: blocks.slice(0, half), NextToken: 'page-2' };
+            }
+        };
+        const executedQueries = [];
+        const recordingDbPool = {
+            query: async (query, values) => {
+                executedQueries.push({ query, values });
+                if (query.includes('FROM document_staging')) {
+                    return { rows: [{ id: 'mock-staging-id-123', patient_id: 'test-patient-456', patient_document_id: 'mock-document-id-789', document_type: 'current_labs' }] };
+                }
+                return { rows: [], rowCount: 1 };
+            }
+        };
+        documentProcessor._setClients(null, completionTextractClient, recordingDbPool);
+        
+        const result = await documentProcessor.textractCompletionHandler({
+            Records: [{
+                EventSource: 'aws:sns',
+                Sns: { Message: JSON.stringify({ JobId: 'job-123', Status: 'SUCCEEDED', API: 'StartDocumentAnalysis' }) }
+            }]
+        });
+        const parsedBody = JSON.parse(result.body);
+        
+        assert.deepStrictEqual(tokens, [undefined, 'page-2'], 'Every page of results should be read');
+        assert.strictEqual(parsedBody[0].completed, true, 'Staging row should be completed');
+        
+        const update = executedQueries.find(q => q.query.includes('UPDATE document_staging'));
+        assert.ok(update, 'Staging row should be updated');
+        assert.ok(update.query.includes("status = 'PENDING_REVIEW'"), 'Document should be sent to review');
+        const data = JSON.parse(update.values[1]);
+        assert.strictEqual(update.values[2], '2024-03-15', 'Lab date should be the latest draw');
+        assert.strictEqual(data.potassium.value, '4.4', 'Potassium should come from the latest draw');
+        assert.strictEqual(data.potassium.page, 3, 'Potassium should record its page');
+        assert.strictEqual(data.hemoglobin.value, '9.1', 'Hemoglobin should come from the only draw reporting it');
+        assert.strictEqual(data.hemoglobin.drawDate, '2024-03-10', 'Hemoglobin should record its draw date');
+        assert.strictEqual(data.albumin.drawDate, '2024-03-10', 'A continuation page should be dated by the page before it');
+        
+        const dateUpdate = executedQueries.find(q => q.query.includes('UPDATE patient_documents'));
+        assert.ok(dateUpdate, 'patient_documents should be dated by the latest draw');
+        assert.deepStrictEqual(dateUpdate.values, ['mock-document-id-789', '2024-03-15']);
+        
+        console.log('   ✅ Paginated job results read');
+        console.log('   ✅ Latest draw wins, earlier draws fill the gaps');
+        console.log('   ✅ Staging row sent to review');
+        console.log('   ✅ TEST 9 PASSED\n');
+        passed++;
+        
+    } catch (error) {
+        console.log(`   ❌ TEST 9 FAILED: ${error.message}\n`);
+        failed++;
+    } finally {
+        documentProcessor._setClients(null, mockTextractClient, mockDbPool);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════
+    // TEST 10: Medication lists are read into a structured list
+    // ═══════════════════════════════════════════════════════════════
+    console.log('📋 TEST 10: Medication list - Textract text read into medications');
+    console.log('─'.repeat(60));
+    
+    try {
+        // Textract reads each table cell as its own line
+        const rows = [
+            ['Medication', 'Dose', 'Route', 'Frequency'],
+            ['Furosemide', '40 mg', 'PO', 'BID'],
+            ['Calcium acetate', '667 mg', 'by mouth', 'with meals'],
+            ['Heparin', '1000 units', 'IV', 'each dialysis']
+        ];
+        const blocks = rows.flatMap((cells, row) => cells.map((text, column) => ({
+            BlockType: 'LINE',
+            Id: `line-${row}-${column}`,
+            Page: 1,
+            Text: text,
+            Confidence: column === 0 && row === 3 ? 62.0 : 98.0,
+            // Cells of a row sit at slightly different heights
+            Geometry: { BoundingBox: { Top: 0.1 + row * 0.04 + column * 0.002, Left: 0.1 + column * 0.2, Height: 0.015, Width: 0.15 } }
+        })));
+        
+        const commands = [];
+        const linesTextractClient = {
+            send: async (command) => {
+                commands.push(command);
+                return { Blocks: [...blocks].reverse() };
+            }
+        };
+        const executedQueries = [];
+        const recordingDbPool = {
+            query: async (query, values) => {
+                executedQueries.push({ query, values });
+                return { rows: [{ id: 'mock-staging-id-123' }] };
+            }
+        };
+        documentProcessor._setClients(null, linesTextractClient, recordingDbPool);
+        
+        const event = createS3Event(
+            'transplant-wizard-patient-documents',
+            'patients/test-patient-456/documents/medication_list/group-id/medications.pdf'
+        );
+        await documentProcessor.handler(event);
+        
+        assert.strictEqual(commands[0].constructor.name, 'DetectDocumentTextCommand', 'Medication lists should be read as text');
+        
+        const insert = executedQueries.find(q => q.query.includes('INSERT INTO document_staging'));
+        const { medications } = JSON.parse(insert.values[6]);
+        assert.strictEqual(medications.length, 3, 'Header row should not be read as a medication');
+        assert.deepStrictEqual(
+            medications.map(m => [m.name, m.dose, m.route, m.frequency]),
+            [
+                ['Furosemide', '40 mg', 'PO', 'BID'],
+                ['Calcium acetate', '667 mg', 'PO', 'with meals'],
+                ['Heparin', '1000 units', 'IV', 'with dialysis']
+            ],
+            'Rows should be read into name, dose, route and frequency'
+        );
+        assert.strictEqual(medications[2].confidence, 62, 'A row is as confident as its least confident cell');
+        
+        console.log('   ✅ DetectDocumentText called');
+        console.log('   ✅ Table rows read into structured medications');
+        console.log('   ✅ TEST 10 PASSED\n');
+        passed++;
+        
+    } catch (error) {
+        console.log(`   ❌ TEST 10 FAILED: ${error.message}\n`);
+        failed++;
+    } finally {
+        documentProcessor._setClients(null, mockTextractClient, mockDbPool);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════
+    // TEST 11: Medicare 2728 answers are normalized
+    // ═══════════════════════════════════════════════════════════════
+    console.log('📋 TEST 11: Medicare 2728 - form answers normalized');
+    console.log('─'.repeat(60));
+    
+    try {
+        const answers = {
+            esrd_start_date: ['March 2, 2023', 91.0],
+            primary_diagnosis: ['Hypertensive CKD (I12.0)', 88.0],
+            dialysis_modality: ['[ ] Hemodialysis [X] CCPD', 90.0],
+            medicare_applying: ['Yes', 96.0],
+            medicare_entitled: ['[ ] Yes [ ] No', 85.0],
+            medicare_number: ['1EG4-TE5-MK7', 93.0]
+        };
+        let queries = null;
+        const formTextractClient = {
+            send: async (command) => {
+                queries = command.input.QueriesConfig.Queries;
+                return {
+                    Blocks: Object.entries(answers).flatMap(([alias, [text, confidence]]) => [
+                        {
+                            BlockType: 'QUERY',
+                            Id: `query-${alias}`,
+                            Query: { Alias: alias },
+                            Relationships: [{ Type: 'ANSWER', Ids: [`answer-${alias}`] }]
+                        },
+                        { BlockType: 'QUERY_RESULT', Id: `answer-${alias}`, Text: text, Confidence: confidence }
+                    ])
+                };
+            }
+        };
+        documentProcessor._setClients(null, formTextractClient, null);
+        
+        const { data, labDate } = await documentProcessor.extractDocument(
+            'transplant-wizard-patient-documents',
+            'patients/test-patient-456/documents/medicare_2728/group-id/form.pdf',
+            'medicare_2728'
+        );
+        
+        assert.ok(queries.some(q => q.Alias === 'esrd_start_date'), 'Form queries should be asked');
+        assert.ok(!queries.some(q => q.Alias === 'potassium'), 'Lab queries should not be asked');
+        assert.strictEqual(labDate, undefined, 'A 2728 has no lab date');
+        
+        assert.strictEqual(data.esrd_start_date.value, '2023-03-02', 'Start date should be ISO');
+        assert.strictEqual(data.primary_diagnosis_code.value, 'I12.0', 'Code printed with the cause should be read');
+        assert.strictEqual(data.dialysis_modality.value, 'CCPD', 'Ticked modality should be read');
+        assert.strictEqual(data.medicare_applying.value, true, 'Yes should be true');
+        assert.strictEqual(data.medicare_entitled, null, 'Unticked question should be left for manual entry');
+        assert.strictEqual(data.medicare_number.issue, 'unrecognized', 'A malformed Medicare number should be flagged');
+        assert.ok(data.medicare_number.confidence < 70, 'A malformed Medicare number should be checked');
+        
+        // A start date in the future is a misread
+        answers.esrd_start_date = ['03/02/2099', 95.0];
+        const future = await documentProcessor.extractDocument(
+            'transplant-wizard-patient-documents',
+            'patients/test-patient-456/documents/medicare_2728/group-id/form.pdf',
+            'medicare_2728'
+        );
+        assert.strictEqual(future.data.esrd_start_date, null, 'Future start date should be rejected');
+        
+        console.log('   ✅ Dates, codes, checkboxes and yes/no answers normalized');
+        console.log('   ✅ Malformed Medicare number flagged for checking');
+        console.log('   ✅ Impossible start date rejected');
+        console.log('   ✅ TEST 11 PASSED\n');
+        passed++;
+        
+    } catch (error) {
+        console.log(`   ❌ TEST 11 FAILED: ${error.message}\n`);
+        failed++;
+    } finally {
+        documentProcessor._setClients(null, mockTextractClient, null);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════
+    // TEST 12: Uploads are classified, and mislabeled ones flagged
+    // ═══════════════════════════════════════════════════════════════
+    console.log('📋 TEST 12: Classification - mislabeled uploads flagged, labs extracted');
+    console.log('─'.repeat(60));
+    
+    try {
+        const documents = {
+            labs: [
+                'Renal Panel - Lab Report',
+                'Collection Date: 03/14/2024   Specimen: Serum',
+                'Test   Result   Units   Reference Range',
+                'Potassium   4.5   mmol/L   3.5-5.1',
+                'BUN   42   mg/dL   7-20',
+                'Creatinine   6.8   mg/dL   0.7-1.3',
+                'Phosphorus   5.9   mg/dL   2.5-4.5',
+                'Albumin   3.8   g/dL   3.5-5.0',
+                'Hemoglobin   10.2   g/dL   13.5-17.5'
+            ],
+            insuranceCard: [
+                'BlueCross BlueShield of Texas',
+                'Member ID: XYZ123456789',
+                'Group No: 0045210',
+                'RxBIN 003858   RxPCN A4   RxGrp BCTX',
+                'Copays: PCP $25  Specialist $50',
+                'Customer Service 1-800-555-0100'
+            ]
+        };
+        let text = documents.labs;
+        const commands = [];
+        const classifyingTextractClient = {
+            send: async (command) => {
+                commands.push(command);
+                if (command.constructor.name === 'DetectDocumentTextCommand') {
+                    return {
+                        Blocks: text.map((line, index) => ({
+                            BlockType: 'LINE',
+                            Id: `line-${index}`,
+                            Page: 1,
+                            Text: line,
+                            Confidence: 97.0,
+                            Geometry: { BoundingBox: { Top: 0.05 + index * 0.05, Left: 0.1, Height: 0.02, Width: 0.8 } }
+                        }))
+                    };
+                }
+                return mockTextractClient.send(command);
+            }
+        };
+        const executedQueries = [];
+        const recordingDbPool = {
+            query: async (query, values) => {
+                executedQueries.push({ query, values });
+                return { rows: [{ id: 'mock-staging-id-123' }] };
+            }
+        };
+        documentProcessor._setClients(null, classifyingTextractClient, recordingDbPool);
+        
+        // Labs uploaded as "other" are flagged, and extracted as labs anyway
+        const labsResult = JSON.parse((await documentProcessor.handler(createS3Event(
+            'transplant-wizard-patient-documents',
+            'patients/test-patient-456/documents/other/group-id/scan.pdf'
+        ))).body)[0];
+        
+        assert.strictEqual(labsResult.predictedDocumentType, 'current_labs', 'Lab report should be classified as labs');
+        assert.strictEqual(labsResult.typeMismatch, true, 'Labs uploaded as other should be flagged');
+        assert.strictEqual(labsResult.extractedDocumentType, 'current_labs', 'Confident labs prediction should be extracted as labs');
+        assert.ok(commands.some(command => command.constructor.name === 'AnalyzeDocumentCommand'), 'Lab queries should be asked');
+        
+        let insert = executedQueries.find(q => q.query.includes('INSERT INTO document_staging'));
+        assert.strictEqual(insert.values[2], 'other', 'Uploader\'s type should be kept');
+        assert.strictEqual(insert.values[10], 'current_labs', 'Extracted type should be staged');
+        assert.strictEqual(insert.values[11], 'current_labs', 'Predicted type should be staged');
+        assert.ok(insert.values[12] >= 90, `Prediction should be confident (${insert.values[12]}%)`);
+        assert.strictEqual(insert.values[13], true, 'Mismatch should be staged');
+        
+        // The same report uploaded as labs is not flagged
+        executedQueries.length = 0;
+        const agreeingResult = JSON.parse((await documentProcessor.handler(createS3Event(
+            'transplant-wizard-patient-documents',
+            'patients/test-patient-456/documents/current_labs/group-id/lab-results.pdf'
+        ))).body)[0];
+        assert.strictEqual(agreeingResult.typeMismatch, false, 'Correctly labeled labs should not be flagged');
+        
+        // An insurance card uploaded as a government ID is flagged, but not extracted
+        text = documents.insuranceCard;
+        commands.length = 0;
+        executedQueries.length = 0;
+        const cardResult = JSON.parse((await documentProcessor.handler(createS3Event(
+            'transplant-wizard-patient-documents',
+            'patients/test-patient-456/documents/government_id/group-id/card.jpg'
+        ))).body)[0];
+        
+        assert.strictEqual(cardResult.predictedDocumentType, 'insurance_card', 'Insurance card should be classified');
+        assert.strictEqual(cardResult.typeMismatch, true, 'Insurance card uploaded as an ID should be flagged');
+        assert.strictEqual(cardResult.extractedDocumentType, null, 'Insurance cards are not extracted');
+        assert.ok(!commands.some(command => command.constructor.name === 'AnalyzeDocumentCommand'), 'Nothing should be extracted');
+        insert = executedQueries.find(q => q.query.includes('INSERT INTO document_staging'));
+        assert.strictEqual(insert.values[6], null, 'No data should be staged');
+        
+        // Too little text to judge is left unclassified
+        text = ['Page 1'];
+        const blankResult = JSON.parse((await documentProcessor.handler(createS3Event(
+            'transplant-wizard-patient-documents',
+            'patients/test-patient-456/documents/other/group-id/photo.jpg'
+        ))).body)[0];
+        assert.strictEqual(blankResult.predictedDocumentType, null, 'Near-empty text should not be classified');
+        assert.strictEqual(blankResult.typeMismatch, false, 'Unclassified documents should not be flagged');
+        
+        console.log('   ✅ Labs uploaded as other flagged and extracted as labs');
+        console.log('   ✅ Insurance card uploaded as an ID flagged, not extracted');
+        console.log('   ✅ Correct and unreadable uploads not flagged');
+        console.log('   ✅ TEST 12 PASSED\n');
+        passed++;
+        
+    } catch (error) {
+        console.log(`   ❌ TEST 12 FAILED: ${error.message}\n`);
+        failed++;
+    } finally {
+        documentProcessor._setClients(null, mockTextractClient, mockDbPool);
+    }
+    
+    // ═══════════════════════════════════════════════════════════════
+    // TEST 13: Message attachments are never staged
+    // ═══════════════════════════════════════════════════════════════
+    console.log('📋 TEST 13: Message attachments - skipped, nothing staged');
+    console.log('─'.repeat(60));
+    
+    try {
+        const executedQueries = [];
+        const recordingDbPool = {
+            query: async (query, values) => {
+                executedQueries.push({ query, values });
+                return { rows: [{ id: 'mock-staging-id-123' }] };
+            }
+        };
+        
+        for (const documentType of ['message_attachment', 'care_team_attachment']) {
+            resetMocks();
+            executedQueries.length = 0;
+            documentProcessor._setClients(null, mockTextractClient, recordingDbPool);
+            
+            const result = JSON.parse((await documentProcessor.handler(createS3Event(
+                'transplant-wizard-patient-documents',
+                `patients/test-patient-456/documents/${documentType}/group-id/file.pdf`
+            ))).body)[0];
+            
+            assert.strictEqual(result.skipped, true, `${documentType} should be reported as skipped`);
+            assert.strictEqual(textDetected, false, `${documentType} should not be read`);
+            assert.strictEqual(textractCalled, false, `${documentType} should not be extracted`);
+            assert.strictEqual(executedQueries.length, 0, `${documentType} should not be staged`);
+        }
+        
+        console.log('   ✅ Patient and care team message attachments skipped');
+        console.log('   ✅ Nothing read, extracted or staged');
+        console.log('   ✅ TEST 13 PASSED\n');
+        passed++;
+        
+    } catch (error) {
+        console.log(`   ❌ TEST 13 FAILED: ${error.message}\n`);
+        failed++;
+    } finally {
+        documentProcessor._setClients(null, mockTextractClient, mockDbPool);
+    }
+    
     // ═══════════════════════════════════════════════════════════════
     // TEST SUMMARY
     // ═══════════════════════════════════════════════════════════════
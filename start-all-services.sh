@@ -86,8 +86,8 @@ echo "================================="
 
 # Start all services
 start_service "Main Website" "main-website" 3001 "node server.js"
-start_service "DUSW Portal" "dusw-website" 3002 "node server.js"  
-start_service "TC Portal" "tc-website" 3003 "node server.js"
+start_service "DUSW Portal" "dusw-website" 3002 "npm start"
+start_service "TC Portal" "tc-website" 3003 "npm start"
 
 # Start cloudflare tunnel
 start_tunnel
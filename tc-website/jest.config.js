@@ -0,0 +1,6 @@
+module.exports = {
+    testEnvironment: 'node',
+    // Same throwaway PostgreSQL and migrated template database as the backend-api tests
+    globalSetup: '<rootDir>/../backend-api/test/globalSetup.mjs',
+    globalTeardown: '<rootDir>/../backend-api/test/globalTeardown.mjs'
+};
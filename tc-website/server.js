@@ -8,7 +8,33 @@ const cors = require('cors');
 const path = require('path');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { Pool } = require('pg');
+const multer = require('multer');
+const AuditLogger = require('../backend-api/src/middleware/auditLogger');
+const DocumentAccessPolicy = require('../backend-api/src/services/documentAccessPolicy');
+const { requeueNotification, enqueueEmail, enqueuePush } = require('../backend-api/src/services/notificationOutbox');
+const { renderEmail, renderSample, listTemplates, SUPPORTED_LOCALES } = require('../backend-api/src/services/emailTemplates');
+const { validateMessageContent } = require('../backend-api/src/services/messageThreads');
+const careTeam = require('../backend-api/src/services/careTeamThreads');
+const {
+    REQUESTABLE_DOCUMENT_TYPES,
+    validateDocumentRequest,
+    listDocumentRequests,
+    createDocumentRequest,
+    cancelDocumentRequest
+} = require('../backend-api/src/services/documentRequests');
+const {
+    ORGAN_PROGRAMS,
+    CHECKLIST_DOCUMENT_TYPES,
+    documentTypeName,
+    getCenterRequirements,
+    validateRequirements,
+    saveCenterRequirements,
+    getPatientChecklist
+} = require('../backend-api/src/services/documentRequirements');
+const { setDocumentEffectiveDate, countStaleDocuments } = require('../backend-api/src/services/documentExpiry');
+const { findAssembly } = require('../backend-api/src/services/documentAssemblies');
 require('dotenv').config();
 
 const app = express();
@@ -28,6 +54,27 @@ const pool = new Pool({
     connectionTimeoutMillis: 15000,
 });
 
+// Document downloads use the same access policy and PHI audit trail as the patient API
+const auditLogger = new AuditLogger(pool);
+const documentAccessPolicy = new DocumentAccessPolicy(pool, auditLogger);
+
+// Care team message attachments (memory storage, uploaded to the patient documents bucket)
+const S3_DOCUMENTS_BUCKET = process.env.S3_DOCUMENTS_BUCKET || 'transplant-wizard-patient-documents';
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB limit
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedTypes = ['image/jpeg', 'image/png', 'image/heic', 'image/heif', 'application/pdf'];
+        if (allowedTypes.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only JPEG, PNG, HEIC, and PDF files are allowed.'));
+        }
+    }
+});
+
 // Database query with automatic retry logic
 async function queryWithRetry(text, params, maxRetries = 3) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -112,6 +159,58 @@ function requireAuth(req, res, next) {
     next();
 }
 
+// Roles within a transplant center and what each may do
+const TC_ROLES = {
+    'admin': 'Administrator',
+    'coordinator': 'Coordinator',
+    'read_only': 'Read-only Reviewer'
+};
+
+const TC_ROLE_PERMISSIONS = {
+    'admin': ['view', 'update_referrals', 'review_documents', 'manage_staff'],
+    'coordinator': ['view', 'update_referrals', 'review_documents'],
+    'read_only': ['view']
+};
+
+// Authorization middleware - must run after requireAuth. The role is re-read on every
+// request so demoted or deactivated staff lose access without waiting for their session to expire.
+function requirePermission(permission) {
+    return async (req, res, next) => {
+        try {
+            const result = await queryWithRetry(
+                'SELECT role, status FROM transplant_center_employees WHERE id = $1',
+                [req.session.user.id]
+            );
+            const employee = result.rows[0];
+
+            if (!employee || employee.status !== 'active') {
+                return req.session.destroy(() => res.redirect('/login'));
+            }
+
+            req.session.user.role = employee.role;
+            const permissions = TC_ROLE_PERMISSIONS[employee.role] || [];
+            res.locals.permissions = permissions;
+
+            if (!permissions.includes(permission)) {
+                console.warn(`⚠️  Access denied: ${req.session.user.email} (${employee.role}) lacks ${permission} for ${req.method} ${req.path}`);
+                if (req.path.startsWith('/api/') || req.method !== 'GET') {
+                    return res.status(403).json({ success: false, error: 'You do not have permission to perform this action' });
+                }
+                return res.status(403).render('error', {
+                    title: 'Access Denied',
+                    user: req.session.user,
+                    message: 'You do not have permission to view this page.'
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Permission check error:', error);
+            res.status(500).json({ success: false, error: 'Failed to verify permissions' });
+        }
+    };
+}
+
 // Middleware to load notifications for header on all authenticated pages
 async function loadNotifications(req, res, next) {
     if (req.session.user) {
@@ -136,10 +235,12 @@ async function loadNotifications(req, res, next) {
             
             res.locals.tcNotifications = tcNotifications.rows;
             res.locals.unreadNotificationCount = tcNotifications.rows.filter(n => !n.is_read).length;
+            res.locals.unreadCareTeamCount = await careTeam.countUnreadThreads(pool, { type: 'tc_employee', id: req.session.user.id });
         } catch (error) {
             console.error('Error loading notifications:', error);
             res.locals.tcNotifications = [];
             res.locals.unreadNotificationCount = 0;
+            res.locals.unreadCareTeamCount = 0;
         }
     }
     next();
@@ -163,7 +264,7 @@ app.get('/login', (req, res) => {
     if (req.session.user) {
         return res.redirect('/dashboard');
     }
-    res.render('login', { title: 'Login - Transplant Center Portal', error: null });
+    res.render('login', { title: 'Login - Transplant Center Portal', error: null, query: req.query });
 });
 
 // Registration page
@@ -175,14 +276,14 @@ app.get('/register', (req, res) => {
 });
 
 // Dashboard (protected)
-app.get('/dashboard', requireAuth, async (req, res) => {
+app.get('/dashboard', requireAuth, requirePermission('view'), async (req, res) => {
     try {
         const tcId = req.session.user.transplant_center_id;
         
         // Get dashboard stats
         const statsResult = await queryWithRetry(`
             SELECT 
-                COUNT(*) FILTER (WHERE status != 'declined') as total_active,
+                COUNT(*) FILTER (WHERE status NOT IN ('declined', 'withdrawn')) as total_active,
                 COUNT(*) FILTER (WHERE status = 'applied') as new_referrals,
                 COUNT(*) FILTER (WHERE status = 'under_review') as under_review,
                 COUNT(*) FILTER (WHERE status = 'accepted') as accepted,
@@ -208,8 +309,10 @@ app.get('/dashboard', requireAuth, async (req, res) => {
             SELECT COUNT(DISTINCT pd.id) as count
             FROM patient_documents pd
             JOIN patient_referrals pr ON pd.patient_id = pr.patient_id
-            WHERE pr.transplant_center_id = $1
+            WHERE pr.transplant_center_id = $1 AND pr.status <> 'withdrawn'
             AND pd.created_at >= NOW() - INTERVAL '7 days'
+            AND pd.document_type NOT IN ('message_attachment', 'care_team_attachment')
+            AND pd.deleted_at IS NULL
         `, [tcId]);
         
         // Get recent NEW referrals (status = applied) for dashboard
@@ -245,7 +348,8 @@ app.get('/dashboard', requireAuth, async (req, res) => {
             const docCountResult = await pool.query(`
                 SELECT patient_id, COUNT(*) as doc_count
                 FROM patient_documents
-                WHERE patient_id = ANY($1)
+                WHERE patient_id = ANY($1) AND document_type NOT IN ('message_attachment', 'care_team_attachment')
+                  AND superseded_at IS NULL AND deleted_at IS NULL
                 GROUP BY patient_id
             `, [patientIds]);
             
@@ -287,14 +391,14 @@ app.get('/dashboard', requireAuth, async (req, res) => {
 });
 
 // Patient Documents Page (protected)
-app.get('/patient/:patientId/documents', requireAuth, async (req, res) => {
+app.get('/patient/:patientId/documents', requireAuth, requirePermission('view'), async (req, res) => {
     try {
         const { patientId } = req.params;
         
         // Verify this patient has a referral to this TC
         const referralCheck = await pool.query(`
             SELECT pr.id FROM patient_referrals pr
-            WHERE pr.patient_id = $1 AND pr.transplant_center_id = $2
+            WHERE pr.patient_id = $1 AND pr.transplant_center_id = $2 AND pr.status <> 'withdrawn'
         `, [patientId, req.session.user.transplant_center_id]);
         
         if (referralCheck.rows.length === 0) {
@@ -319,28 +423,69 @@ app.get('/patient/:patientId/documents', requireAuth, async (req, res) => {
             });
         }
         
-        // Get patient documents with uploader info
+        // Get every version of the patient's documents with uploader info, including replaced and deleted ones
         const documents = await pool.query(`
             SELECT pd.id, pd.document_type, pd.file_name, pd.file_size, pd.mime_type, 
                    pd.is_front, pd.document_group_id, pd.created_at,
-                   pd.uploaded_by_type,
+                   pd.uploaded_by_type, pd.version, pd.superseded_at,
+                   pd.deleted_at, pd.deleted_by_type, pd.deletion_reason,
+                   pd.page_number, da.page_count as assembled_page_count,
                    CASE 
                        WHEN pd.uploaded_by_type = 'dusw' THEN 
                            (SELECT CONCAT(dsw.first_name, ' ', dsw.last_name) FROM dusw_social_workers dsw WHERE dsw.id = pd.uploaded_by_id)
                        ELSE 'Patient'
-                   END as uploaded_by_name
+                   END as uploaded_by_name,
+                   CASE pd.deleted_by_type
+                       WHEN 'dusw' THEN
+                           (SELECT CONCAT(dsw.first_name, ' ', dsw.last_name) FROM dusw_social_workers dsw WHERE dsw.id::text = pd.deleted_by_id)
+                       WHEN 'patient' THEN 'Patient'
+                       WHEN 'system' THEN 'System'
+                   END as deleted_by_name
             FROM patient_documents pd
-            WHERE pd.patient_id = $1
-            ORDER BY pd.created_at DESC
+            LEFT JOIN document_assemblies da ON pd.document_group_id = da.document_group_id
+            WHERE pd.patient_id = $1 AND pd.document_type NOT IN ('message_attachment', 'care_team_attachment')
+            ORDER BY pd.created_at DESC, pd.page_number ASC
         `, [patientId]);
         
-        // Group documents by type
+        // Group current documents by type, and earlier versions by type and upload group (newest first).
+        // An assembled group is shown once, as its PDF, with its originals in page order.
+        const currentDocs = [];
         const groupedDocs = {};
+        const documentHistory = {};
+        const assembledGroups = {};
         documents.rows.forEach(doc => {
-            if (!groupedDocs[doc.document_type]) {
-                groupedDocs[doc.document_type] = [];
+            if (!doc.superseded_at && !doc.deleted_at) {
+                currentDocs.push(doc);
+                if (doc.assembled_page_count) {
+                    if (assembledGroups[doc.document_group_id]) {
+                        assembledGroups[doc.document_group_id].originals.push(doc);
+                        return;
+                    }
+                    doc.originals = [doc];
+                    assembledGroups[doc.document_group_id] = doc;
+                }
+                (groupedDocs[doc.document_type] = groupedDocs[doc.document_type] || []).push(doc);
+                return;
             }
-            groupedDocs[doc.document_type].push(doc);
+            const versions = documentHistory[doc.document_type] = documentHistory[doc.document_type] || [];
+            const groupId = doc.document_group_id || doc.id;
+            let version = versions.find(v => v.groupId === groupId);
+            if (!version) {
+                version = {
+                    groupId: groupId,
+                    version: doc.version,
+                    createdAt: doc.created_at,
+                    uploadedByName: doc.uploaded_by_name,
+                    status: doc.deleted_at ? 'deleted' : 'superseded',
+                    supersededAt: doc.superseded_at,
+                    deletedAt: doc.deleted_at,
+                    deletedByName: doc.deleted_by_name,
+                    deletionReason: doc.deletion_reason,
+                    files: []
+                };
+                versions.push(version);
+            }
+            version.files.push(doc);
         });
         
         res.render('patient-documents', {
@@ -348,8 +493,10 @@ app.get('/patient/:patientId/documents', requireAuth, async (req, res) => {
             user: req.session.user,
             patient: patientResult.rows[0],
             patientId: patientId,
-            documents: documents.rows,
-            groupedDocs: groupedDocs
+            documents: currentDocs,
+            groupedDocs: groupedDocs,
+            documentHistory: documentHistory,
+            documentTypes: [...new Set([...Object.keys(groupedDocs), ...Object.keys(documentHistory)])]
         });
         
     } catch (error) {
@@ -361,51 +508,58 @@ app.get('/patient/:patientId/documents', requireAuth, async (req, res) => {
     }
 });
 
-// Get document download URL (API endpoint for TC portal)
-app.get('/api/documents/:documentId/url', requireAuth, async (req, res) => {
+// Get document download URL (API endpoint for TC portal). Opens the upload group's assembled PDF when there
+// is one; ?original=1 opens the file as uploaded.
+app.get('/api/documents/:documentId/url', requireAuth, requirePermission('view'), async (req, res) => {
     try {
         const { documentId } = req.params;
         
-        // Get document and verify access
-        const docResult = await pool.query(`
-            SELECT pd.*, pr.transplant_center_id
-            FROM patient_documents pd
-            JOIN patient_referrals pr ON pd.patient_id = pr.patient_id
-            WHERE pd.id = $1 AND pr.transplant_center_id = $2
-        `, [documentId, req.session.user.transplant_center_id]);
+        const doc = await documentAccessPolicy.authorize(documentId, { type: 'tc', id: req.session.user.id }, {
+            accessMethod: 'tc_portal',
+            purpose: 'referral_review',
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent')
+        });
         
-        if (docResult.rows.length === 0) {
+        if (!doc) {
             return res.status(404).json({ success: false, error: 'Document not found' });
         }
         
-        const doc = docResult.rows[0];
-        
         // Generate pre-signed URL using AWS SDK
         const { S3Client, GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
         const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
         
         const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
         
-        // First check if the object exists in S3
-        try {
-            const headCommand = new HeadObjectCommand({
-                Bucket: doc.s3_bucket,
-                Key: doc.s3_key
-            });
-            await s3Client.send(headCommand);
-        } catch (headError) {
-            if (headError.name === 'NotFound' || headError.$metadata?.httpStatusCode === 404) {
-                // S3 object doesn't exist - delete from database
-                console.log(`S3 object not found for document ${documentId}, removing from database`);
-                await pool.query('DELETE FROM patient_documents WHERE id = $1', [documentId]);
-                return res.status(404).json({ success: false, error: 'Document no longer exists', deleted: true });
+        const assembly = req.query.original ? null : await findAssembly(pool, doc.document_group_id);
+        const artifact = assembly || doc;
+        
+        // First check if the original exists in S3
+        if (!assembly) {
+            try {
+                const headCommand = new HeadObjectCommand({
+                    Bucket: doc.s3_bucket,
+                    Key: doc.s3_key
+                });
+                await s3Client.send(headCommand);
+            } catch (headError) {
+                if (headError.name === 'NotFound' || headError.$metadata?.httpStatusCode === 404) {
+                    // S3 object doesn't exist - soft-delete it so the row stays in the document history
+                    console.log(`S3 object not found for document ${documentId}, marking it deleted`);
+                    await pool.query(`
+                        UPDATE patient_documents
+                        SET deleted_at = NOW(), deleted_by_type = 'system', deletion_reason = 'File missing from storage'
+                        WHERE id = $1 AND deleted_at IS NULL
+                    `, [documentId]);
+                    return res.status(404).json({ success: false, error: 'Document no longer exists', deleted: true });
+                }
+                throw headError;
             }
-            throw headError;
         }
         
         const getCommand = new GetObjectCommand({
-            Bucket: doc.s3_bucket,
-            Key: doc.s3_key
+            Bucket: artifact.s3_bucket,
+            Key: artifact.s3_key
         });
         
         const signedUrl = await getSignedUrl(s3Client, getCommand, { expiresIn: 900 });
@@ -413,6 +567,8 @@ app.get('/api/documents/:documentId/url', requireAuth, async (req, res) => {
         res.json({
             success: true,
             url: signedUrl,
+            isPdf: artifact.s3_key.toLowerCase().endsWith('.pdf'),
+            pageCount: assembly ? assembly.page_count : null,
             expiresIn: 900
         });
         
@@ -464,26 +620,57 @@ app.post('/register', async (req, res) => {
             });
         }
 
+        // Only a center admin can approve a self-registration, so a center without one can't take them.
+        // Its first admin is set up by the platform team and invites everyone else.
+        const adminResult = await pool.query(`
+            SELECT 1 FROM transplant_center_employees
+            WHERE transplant_center_id = $1 AND role = 'admin' AND status = 'active'
+            LIMIT 1
+        `, [centerResult.rows[0].id]);
+
+        if (adminResult.rows.length === 0) {
+            return res.render('register', {
+                title: 'Register - Transplant Center Portal',
+                error: 'Your transplant center does not have a portal administrator yet, so registrations cannot be approved. Please contact Transplant Wizard support to set up your center\'s first administrator.'
+            });
+        }
+
         // Hash password
         const passwordHash = await hashPassword(password);
 
-        // Create employee account (all registrants are admins)
-        const result = await pool.query(`
-            INSERT INTO transplant_center_employees (
-                transplant_center_id, employee_id, title, first_name, last_name, 
-                phone_number, email, password_hash, role, status, 
-                created_at, updated_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'admin', 'active', NOW(), NOW())
-            RETURNING id, email, first_name, last_name
-        `, [
-            centerResult.rows[0].id, employeeId, title, firstName.trim(), lastName.trim(), 
-            phoneNumber, email.toLowerCase(), passwordHash
-        ]);
+        // Self-registered accounts are read-only and stay pending until a center admin approves them.
+        // The admins' emails are queued with the account.
+        const client = await pool.connect();
+        let result;
+        try {
+            await client.query('BEGIN');
+
+            result = await client.query(`
+                INSERT INTO transplant_center_employees (
+                    transplant_center_id, employee_id, title, first_name, last_name, 
+                    phone_number, email, password_hash, role, status, 
+                    created_at, updated_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'read_only', 'pending', NOW(), NOW())
+                RETURNING id, email, first_name, last_name
+            `, [
+                centerResult.rows[0].id, employeeId, title, firstName.trim(), lastName.trim(), 
+                phoneNumber, email.toLowerCase(), passwordHash
+            ]);
+
+            await notifyAdminsOfPendingRegistration(client, centerResult.rows[0].id, result.rows[0]);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
 
-        console.log(`✅ TC registration successful: ${result.rows[0].email}`);
+        console.log(`✅ TC registration pending approval: ${result.rows[0].email}`);
 
         // Redirect to login
-        res.redirect('/login?registered=true');
+        res.redirect('/login?registered=pending');
 
     } catch (error) {
         console.error('❌ Registration error:', error);
@@ -514,7 +701,7 @@ app.post('/login', async (req, res) => {
                 tce.transplant_center_id, tc.name as center_name, tc.city, tc.state
             FROM transplant_center_employees tce
             JOIN transplant_centers tc ON tce.transplant_center_id = tc.id
-            WHERE tce.email = $1 AND tce.status = 'active'
+            WHERE tce.email = $1 AND tce.status IN ('active', 'pending')
         `, [email.toLowerCase()]);
 
         if (result.rows.length === 0) {
@@ -535,6 +722,13 @@ app.post('/login', async (req, res) => {
             });
         }
 
+        if (user.status === 'pending') {
+            return res.render('login', {
+                title: 'Login - Transplant Center Portal',
+                error: 'Your account is awaiting approval by an administrator at your transplant center'
+            });
+        }
+
         // Set session
         req.session.user = {
             id: user.id,
@@ -570,14 +764,14 @@ app.post('/login', async (req, res) => {
 });
 
 // Patient Details Page (protected)
-app.get('/patient/:patientId', requireAuth, async (req, res) => {
+app.get('/patient/:patientId', requireAuth, requirePermission('view'), async (req, res) => {
     try {
         const { patientId } = req.params;
         
         // Verify this patient has a referral to this TC
         const referralCheck = await pool.query(`
-            SELECT pr.id, pr.status, pr.submitted_at FROM patient_referrals pr
-            WHERE pr.patient_id = $1 AND pr.transplant_center_id = $2
+            SELECT pr.id, pr.status, pr.submitted_at, pr.organ_program FROM patient_referrals pr
+            WHERE pr.patient_id = $1 AND pr.transplant_center_id = $2 AND pr.status <> 'withdrawn'
         `, [patientId, req.session.user.transplant_center_id]);
         
         if (referralCheck.rows.length === 0) {
@@ -627,7 +821,8 @@ app.get('/patient/:patientId', requireAuth, async (req, res) => {
                        ELSE 'Patient'
                    END as uploaded_by_name
             FROM patient_documents pd
-            WHERE pd.patient_id = $1
+            WHERE pd.patient_id = $1 AND pd.document_type NOT IN ('message_attachment', 'care_team_attachment')
+              AND pd.superseded_at IS NULL AND pd.deleted_at IS NULL
             ORDER BY pd.created_at DESC
         `, [patientId]);
         
@@ -649,6 +844,12 @@ app.get('/patient/:patientId', requireAuth, async (req, res) => {
         `, [patientId]);
         
         const dusw = duswResult.rows[0] || null;
+
+        // Checklist across all of the patient's centers, with this center's own requirement for each item
+        const documentChecklist = await getPatientChecklist(pool, patientId);
+        documentChecklist.items.forEach(item => {
+            item.centerRequirement = item.centers.find(center => center.transplantCenterId === req.session.user.transplant_center_id) || null;
+        });
         
         res.render('patient-details', {
             title: `${patient.first_name} ${patient.last_name} - Patient Details`,
@@ -658,7 +859,17 @@ app.get('/patient/:patientId', requireAuth, async (req, res) => {
             intakeForm: intakeForm,
             documents: documents.rows,
             groupedDocs: groupedDocs,
-            dusw: dusw
+            dusw: dusw,
+            documentRequests: await listDocumentRequests(pool, {
+                patientId: patientId,
+                transplantCenterId: req.session.user.transplant_center_id
+            }),
+            requestableDocumentTypes: REQUESTABLE_DOCUMENT_TYPES,
+            documentChecklist: documentChecklist,
+            organPrograms: ORGAN_PROGRAMS,
+            allowedStatuses: REFERRAL_TRANSITIONS[referral.status] || [],
+            statusNames: REFERRAL_STATUS_NAMES,
+            reasonCodes: REFERRAL_REASON_CODES
         });
         
     } catch (error) {
@@ -672,7 +883,7 @@ app.get('/patient/:patientId', requireAuth, async (req, res) => {
 });
 
 // Notifications Page
-app.get('/notifications', requireAuth, async (req, res) => {
+app.get('/notifications', requireAuth, requirePermission('view'), async (req, res) => {
     try {
         const notifications = await queryWithRetry(`
             SELECT 
@@ -709,7 +920,7 @@ app.get('/notifications', requireAuth, async (req, res) => {
 });
 
 // Mark notification as read
-app.post('/notifications/:id/read', requireAuth, async (req, res) => {
+app.post('/notifications/:id/read', requireAuth, requirePermission('view'), async (req, res) => {
     try {
         const notificationId = req.params.id;
         await pool.query(`
@@ -726,7 +937,7 @@ app.post('/notifications/:id/read', requireAuth, async (req, res) => {
 });
 
 // Mark all notifications as read
-app.post('/notifications/mark-all-read', requireAuth, async (req, res) => {
+app.post('/notifications/mark-all-read', requireAuth, requirePermission('view'), async (req, res) => {
     try {
         await pool.query(`
             UPDATE tc_notifications 
@@ -741,99 +952,197 @@ app.post('/notifications/mark-all-read', requireAuth, async (req, res) => {
     }
 });
 
+// ═══════════════════════════════════════════════════════════════
+// REFERRAL WORKFLOW
+// ═══════════════════════════════════════════════════════════════
+
+// Allowed status transitions. Declined referrals only leave that state through the reopen action.
+// 'submitted' is the legacy initial status written by the patient app and behaves like 'applied'.
+const REFERRAL_TRANSITIONS = {
+    'submitted': ['under_review', 'declined'],
+    'applied': ['under_review', 'declined'],
+    'under_review': ['accepted', 'waitlisted', 'declined'],
+    'accepted': ['waitlisted', 'declined'],
+    'waitlisted': ['under_review', 'accepted', 'declined'],
+    'declined': [],
+    'withdrawn': []
+};
+
+const REFERRAL_STATUS_NAMES = {
+    'submitted': 'Application Received',
+    'applied': 'Application Received',
+    'under_review': 'Under Review',
+    'accepted': 'Accepted',
+    'waitlisted': 'Waitlisted',
+    'declined': 'Declined',
+    'withdrawn': 'Withdrawn by Patient'
+};
+
+// Structured reason codes required when declining or waitlisting
+const REFERRAL_REASON_CODES = {
+    'declined': {
+        'medical_contraindication': 'Medical contraindication',
+        'psychosocial': 'Psychosocial concerns',
+        'non_adherence': 'Non-adherence',
+        'financial_insurance': 'Financial / insurance',
+        'incomplete_documentation': 'Incomplete documentation',
+        'patient_request': 'Patient request',
+        'other': 'Other'
+    },
+    'waitlisted': {
+        'pending_testing': 'Pending additional testing',
+        'medical_optimization': 'Medical optimization needed',
+        'insurance_pending': 'Insurance approval pending',
+        'awaiting_donor': 'Awaiting donor',
+        'other': 'Other'
+    }
+};
+
+// Load the referral for a patient at the employee's center
+async function getReferralForCenter(patientId, transplantCenterId) {
+    const referralResult = await queryWithRetry(`
+        SELECT pr.id, pr.status as old_status, p.user_id, p.preferred_language, u.email, u.first_name,
+               tc.name as center_name
+        FROM patient_referrals pr
+        JOIN patients p ON pr.patient_id = p.id
+        JOIN users u ON p.user_id = u.id
+        JOIN transplant_centers tc ON pr.transplant_center_id = tc.id
+        WHERE pr.patient_id = $1 AND pr.transplant_center_id = $2 AND pr.status <> 'withdrawn'
+    `, [patientId, transplantCenterId]);
+    return referralResult.rows[0] || null;
+}
+
+// Apply a status change and record it in referral_status_history in one transaction, queueing the
+// patient's push notification and email with it. Returns false if the referral's status changed underneath us.
+async function recordStatusChange(referral, patientId, transplantCenterId, employeeId, change) {
+    const client = await pool.connect();
+    
+    try {
+        await client.query('BEGIN');
+        
+        const updateResult = await client.query(`
+            UPDATE patient_referrals 
+            SET status = $1, updated_at = NOW()
+            WHERE id = $2 AND status = $3
+        `, [change.toStatus, referral.id, referral.old_status]);
+        
+        if (updateResult.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+        
+        await client.query(`
+            INSERT INTO referral_status_history (
+                referral_id, patient_id, transplant_center_id, from_status, to_status,
+                action, reason_code, note, changed_by_type, changed_by_employee_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'tc_employee', $9)
+        `, [
+            referral.id,
+            patientId,
+            transplantCenterId,
+            referral.old_status,
+            change.toStatus,
+            change.action,
+            change.reasonCode || null,
+            change.note || null,
+            employeeId
+        ]);
+        
+        await enqueuePush(client, {
+            patientId: patientId,
+            userId: referral.user_id,
+            category: 'referral_update',
+            eventType: 'referral_status_update',
+            title: referral.center_name,
+            body: `Your application status is now: ${REFERRAL_STATUS_NAMES[change.toStatus]}`,
+            data: { screen: 'referrals', transplantCenterId: transplantCenterId, status: change.toStatus },
+            transplantCenterId: transplantCenterId
+        });
+        
+        await enqueueEmail(client, {
+            to: referral.email,
+            ...renderEmail('referral-status-update', {
+                patientFirstName: referral.first_name,
+                centerName: referral.center_name,
+                status: change.toStatus
+            }, referral.preferred_language),
+            eventType: 'referral_status_update',
+            recipientType: 'patient',
+            recipientId: referral.user_id,
+            patientId: patientId,
+            transplantCenterId: transplantCenterId
+        });
+        
+        await client.query('COMMIT');
+        return true;
+        
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
 // Update patient referral status
-app.post('/api/patient/:patientId/status', requireAuth, async (req, res) => {
+app.post('/api/patient/:patientId/status', requireAuth, requirePermission('update_referrals'), async (req, res) => {
     try {
         const { patientId } = req.params;
-        const { status } = req.body;
-        const validStatuses = ['applied', 'under_review', 'accepted', 'waitlisted', 'declined'];
+        const { status, reasonCode } = req.body;
+        const note = req.body.note ? String(req.body.note).trim() : '';
         
-        if (!validStatuses.includes(status)) {
+        if (!REFERRAL_STATUS_NAMES[status] || status === 'submitted' || status === 'withdrawn') {
             return res.status(400).json({ success: false, error: 'Invalid status' });
         }
         
         // Verify this patient has a referral to this TC
-        const referralResult = await queryWithRetry(`
-            SELECT pr.id, pr.status as old_status, p.user_id, u.email, u.first_name,
-                   tc.name as center_name
-            FROM patient_referrals pr
-            JOIN patients p ON pr.patient_id = p.id
-            JOIN users u ON p.user_id = u.id
-            JOIN transplant_centers tc ON pr.transplant_center_id = tc.id
-            WHERE pr.patient_id = $1 AND pr.transplant_center_id = $2
-        `, [patientId, req.session.user.transplant_center_id]);
+        const referral = await getReferralForCenter(patientId, req.session.user.transplant_center_id);
         
-        if (referralResult.rows.length === 0) {
+        if (!referral) {
             return res.status(404).json({ success: false, error: 'Referral not found' });
         }
         
-        const referral = referralResult.rows[0];
         const oldStatus = referral.old_status;
+        const allowed = REFERRAL_TRANSITIONS[oldStatus] || [];
+        
+        if (!allowed.includes(status)) {
+            return res.status(409).json({
+                success: false,
+                error: oldStatus === 'declined'
+                    ? 'Declined referrals must be reopened before their status can change'
+                    : `Cannot change status from ${REFERRAL_STATUS_NAMES[oldStatus] || oldStatus} to ${REFERRAL_STATUS_NAMES[status]}`,
+                allowedStatuses: allowed
+            });
+        }
         
-        // Update the status
-        await queryWithRetry(`
-            UPDATE patient_referrals 
-            SET status = $1, updated_at = NOW()
-            WHERE patient_id = $2 AND transplant_center_id = $3
-        `, [status, patientId, req.session.user.transplant_center_id]);
-        
-        console.log(`✅ Status updated for patient ${patientId}: ${oldStatus} -> ${status}`);
+        const reasonCodes = REFERRAL_REASON_CODES[status];
+        if (reasonCodes) {
+            if (!reasonCode || !reasonCodes[reasonCode]) {
+                return res.status(400).json({ success: false, error: 'A reason is required for this status', reasonCodes: Object.keys(reasonCodes) });
+            }
+            if (reasonCode === 'other' && !note) {
+                return res.status(400).json({ success: false, error: 'Please describe the reason in the note' });
+            }
+        }
         
-        // Send email notification to patient
-        const statusDisplayNames = {
-            'applied': 'Application Received',
-            'under_review': 'Under Review',
-            'accepted': 'Accepted',
-            'waitlisted': 'Waitlisted',
-            'declined': 'Declined'
-        };
+        const applied = await recordStatusChange(referral, patientId, req.session.user.transplant_center_id, req.session.user.id, {
+            toStatus: status,
+            action: 'transition',
+            reasonCode: reasonCodes ? reasonCode : null,
+            note: note
+        });
         
-        try {
-            const { SESClient, SendEmailCommand } = require('@aws-sdk/client-ses');
-            const sesClient = new SESClient({ region: process.env.AWS_REGION || 'us-east-1' });
-            
-            const emailParams = {
-                Source: 'noreply@transplantwizard.com',
-                Destination: {
-                    ToAddresses: [referral.email]
-                },
-                Message: {
-                    Subject: {
-                        Data: `Application Status Update - ${referral.center_name}`
-                    },
-                    Body: {
-                        Html: {
-                            Data: `
-                                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                                    <h2 style="color: #2563eb;">Application Status Update</h2>
-                                    <p>Dear ${referral.first_name},</p>
-                                    <p>Your application status at <strong>${referral.center_name}</strong> has been updated.</p>
-                                    <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                                        <p style="margin: 0;"><strong>New Status:</strong> ${statusDisplayNames[status]}</p>
-                                    </div>
-                                    <p>Please log in to the Transplant Wizard app to view more details.</p>
-                                    <p>Best regards,<br>The Transplant Wizard Team</p>
-                                </div>
-                            `
-                        }
-                    }
-                }
-            };
-            
-            await sesClient.send(new SendEmailCommand(emailParams));
-            console.log(`📧 Status update email sent to ${referral.email}`);
-        } catch (emailError) {
-            console.error('⚠️ Failed to send status update email:', emailError.message);
+        if (!applied) {
+            return res.status(409).json({ success: false, error: 'Referral status was changed by someone else. Please reload and try again.' });
         }
         
-        // TODO: Send push notification (requires APNs setup)
-        // For now, log the intent
-        console.log(`📱 Push notification should be sent to user ${referral.user_id} about status change`);
+        console.log(`✅ Status updated for patient ${patientId}: ${oldStatus} -> ${status}`);
         
         res.json({ 
             success: true, 
             message: 'Status updated successfully',
-            newStatus: status
+            newStatus: status,
+            allowedStatuses: REFERRAL_TRANSITIONS[status]
         });
         
     } catch (error) {
@@ -842,15 +1151,180 @@ app.post('/api/patient/:patientId/status', requireAuth, async (req, res) => {
     }
 });
 
+// Reopen a declined referral for review
+app.post('/api/patient/:patientId/reopen', requireAuth, requirePermission('update_referrals'), async (req, res) => {
+    try {
+        const { patientId } = req.params;
+        const note = req.body.note ? String(req.body.note).trim() : '';
+        
+        if (!note) {
+            return res.status(400).json({ success: false, error: 'Please explain why the referral is being reopened' });
+        }
+        
+        const referral = await getReferralForCenter(patientId, req.session.user.transplant_center_id);
+        
+        if (!referral) {
+            return res.status(404).json({ success: false, error: 'Referral not found' });
+        }
+        
+        if (referral.old_status !== 'declined') {
+            return res.status(409).json({ success: false, error: 'Only declined referrals can be reopened' });
+        }
+        
+        const applied = await recordStatusChange(referral, patientId, req.session.user.transplant_center_id, req.session.user.id, {
+            toStatus: 'under_review',
+            action: 'reopen',
+            note: note
+        });
+        
+        if (!applied) {
+            return res.status(409).json({ success: false, error: 'Referral status was changed by someone else. Please reload and try again.' });
+        }
+        
+        console.log(`✅ Referral reopened for patient ${patientId} by ${req.session.user.email}`);
+        
+        res.json({ 
+            success: true, 
+            message: 'Referral reopened',
+            newStatus: 'under_review',
+            allowedStatuses: REFERRAL_TRANSITIONS['under_review']
+        });
+        
+    } catch (error) {
+        console.error('Error reopening referral:', error);
+        res.status(500).json({ success: false, error: 'Failed to reopen referral' });
+    }
+});
+
+// Get referral status history
+app.get('/api/patient/:patientId/status-history', requireAuth, requirePermission('view'), async (req, res) => {
+    try {
+        const { patientId } = req.params;
+        const tcId = req.session.user.transplant_center_id;
+        
+        const referralCheck = await queryWithRetry(`
+            SELECT 1 FROM patient_referrals
+            WHERE patient_id = $1 AND transplant_center_id = $2 AND status <> 'withdrawn'
+        `, [patientId, tcId]);
+        
+        if (referralCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+        
+        const historyResult = await queryWithRetry(`
+            SELECT 
+                rsh.id, rsh.from_status, rsh.to_status, rsh.action, rsh.reason_code, rsh.note,
+                rsh.changed_by_type, rsh.created_at,
+                tce.first_name as employee_first_name,
+                tce.last_name as employee_last_name,
+                tce.email as employee_email
+            FROM referral_status_history rsh
+            LEFT JOIN transplant_center_employees tce ON rsh.changed_by_employee_id = tce.id
+            WHERE rsh.patient_id = $1 AND rsh.transplant_center_id = $2
+            ORDER BY rsh.created_at DESC
+        `, [patientId, tcId]);
+        
+        const history = historyResult.rows.map(entry => {
+            const reasons = REFERRAL_REASON_CODES[entry.to_status] || {};
+            return {
+                ...entry,
+                reason_label: entry.reason_code ? (reasons[entry.reason_code] || entry.reason_code) : null
+            };
+        });
+        
+        res.json({ success: true, history: history });
+        
+    } catch (error) {
+        console.error('Error fetching status history:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch status history' });
+    }
+});
+
+// Request a document from the patient or their social worker
+app.post('/api/patient/:patientId/document-requests', requireAuth, requirePermission('update_referrals'), async (req, res) => {
+    try {
+        const { patientId } = req.params;
+        const { documentType, dueDate, assigneeType } = req.body;
+        const notes = req.body.notes ? String(req.body.notes).trim().substring(0, 1000) : null;
+        const transplantCenterId = req.session.user.transplant_center_id;
+
+        const validationError = validateDocumentRequest({ documentType, dueDate, assigneeType });
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const referral = await getReferralForCenter(patientId, transplantCenterId);
+        if (!referral) {
+            return res.status(404).json({ success: false, error: 'Referral not found' });
+        }
+
+        const client = await pool.connect();
+        let request;
+        try {
+            await client.query('BEGIN');
+            request = await createDocumentRequest(client, {
+                patientId: patientId,
+                transplantCenterId: transplantCenterId,
+                requestedBy: req.session.user.id,
+                documentType: documentType,
+                dueDate: dueDate,
+                notes: notes || null,
+                assigneeType: assigneeType
+            });
+            await client.query(request ? 'COMMIT' : 'ROLLBACK');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        if (!request) {
+            return res.status(409).json({ success: false, error: 'This patient has no assigned social worker' });
+        }
+
+        console.log(`✅ ${req.session.user.email} requested ${documentType} from ${assigneeType} for patient ${patientId}`);
+
+        res.json({ success: true, request: request });
+
+    } catch (error) {
+        console.error('Error creating document request:', error);
+        res.status(500).json({ success: false, error: 'Failed to request document' });
+    }
+});
+
+// Cancel an open document request made by this center
+app.post('/api/document-requests/:requestId/cancel', requireAuth, requirePermission('update_referrals'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const cancelled = await cancelDocumentRequest(client, req.params.requestId, req.session.user.transplant_center_id);
+        await client.query('COMMIT');
+
+        if (!cancelled) {
+            return res.status(404).json({ success: false, error: 'Open document request not found' });
+        }
+
+        res.json({ success: true });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error cancelling document request:', error);
+        res.status(500).json({ success: false, error: 'Failed to cancel document request' });
+    } finally {
+        client.release();
+    }
+});
+
 // Get patient intake form data (for TC viewing)
-app.get('/api/patient/:patientId/intake-form', requireAuth, async (req, res) => {
+app.get('/api/patient/:patientId/intake-form', requireAuth, requirePermission('view'), async (req, res) => {
     try {
         const { patientId } = req.params;
         
         // Verify this patient has a referral to this TC
         const referralCheck = await queryWithRetry(`
-            SELECT 1 FROM patient_referrals 
-            WHERE patient_id = $1 AND transplant_center_id = $2
+            SELECT 1 FROM patient_referrals
+            WHERE patient_id = $1 AND transplant_center_id = $2 AND status <> 'withdrawn'
         `, [patientId, req.session.user.transplant_center_id]);
         
         if (referralCheck.rows.length === 0) {
@@ -882,14 +1356,14 @@ app.get('/api/patient/:patientId/intake-form', requireAuth, async (req, res) =>
 });
 
 // Get patient consent documents
-app.get('/api/patient/:patientId/consents', requireAuth, async (req, res) => {
+app.get('/api/patient/:patientId/consents', requireAuth, requirePermission('view'), async (req, res) => {
     try {
         const { patientId } = req.params;
         
         // Verify this patient has a referral to this TC
         const referralCheck = await queryWithRetry(`
-            SELECT 1 FROM patient_referrals 
-            WHERE patient_id = $1 AND transplant_center_id = $2
+            SELECT 1 FROM patient_referrals
+            WHERE patient_id = $1 AND transplant_center_id = $2 AND status <> 'withdrawn'
         `, [patientId, req.session.user.transplant_center_id]);
         
         if (referralCheck.rows.length === 0) {
@@ -917,7 +1391,7 @@ app.get('/api/patient/:patientId/consents', requireAuth, async (req, res) => {
 });
 
 // Get consent PDF download URL
-app.get('/api/consent/:consentId/url', requireAuth, async (req, res) => {
+app.get('/api/consent/:consentId/url', requireAuth, requirePermission('view'), async (req, res) => {
     try {
         const { consentId } = req.params;
         
@@ -926,7 +1400,7 @@ app.get('/api/consent/:consentId/url', requireAuth, async (req, res) => {
             SELECT pc.*, pr.transplant_center_id
             FROM patient_consents pc
             JOIN patient_referrals pr ON pc.patient_id = pr.patient_id
-            WHERE pc.id = $1 AND pr.transplant_center_id = $2
+            WHERE pc.id = $1 AND pr.transplant_center_id = $2 AND pr.status <> 'withdrawn'
         `, [consentId, req.session.user.transplant_center_id]);
         
         if (consentResult.rows.length === 0) {
@@ -964,60 +1438,842 @@ app.get('/api/consent/:consentId/url', requireAuth, async (req, res) => {
     }
 });
 
-// New Referrals Page (status = applied only)
-app.get('/referrals', requireAuth, async (req, res) => {
+// ═══════════════════════════════════════════════════════════════
+// SMART EXTRACTION REVIEW QUEUE
+// ═══════════════════════════════════════════════════════════════
+
+// Confidence bands mirror the document-processor Lambda thresholds
+const CONFIDENCE_LOW = parseFloat(process.env.CONFIDENCE_THRESHOLD_LOW || '50');
+const CONFIDENCE_MEDIUM = parseFloat(process.env.CONFIDENCE_THRESHOLD_MEDIUM || '70');
+
+const STAGING_STATUSES = ['PENDING_REVIEW', 'NEEDS_CORRECTION', 'APPROVED', 'REJECTED'];
+
+// Lab metrics stored in patient_lab_results, with normal ranges from migration 002
+const LAB_FIELDS = [
+    { key: 'potassium', label: 'Potassium', unit: 'mEq/L', type: 'decimal', min: 3.5, max: 5.0 },
+    { key: 'bun', label: 'BUN', unit: 'mg/dL', type: 'decimal', min: 7, max: 20 },
+    { key: 'phosphorus', label: 'Phosphorus', unit: 'mg/dL', type: 'decimal', min: 2.5, max: 4.5 },
+    { key: 'hemoglobin', label: 'Hemoglobin', unit: 'g/dL', type: 'decimal', min: 12, max: 17 },
+    { key: 'platelets', label: 'Platelets', unit: 'K/uL', type: 'integer', min: 150, max: 400 },
+    { key: 'pt', label: 'PT', unit: 'sec', type: 'decimal', min: 11, max: 13.5 },
+    { key: 'inr', label: 'INR', unit: '', type: 'decimal', min: 0.8, max: 1.1 },
+    { key: 'ptt', label: 'PTT', unit: 'sec', type: 'decimal', min: 25, max: 35 },
+    { key: 'pth', label: 'PTH', unit: 'pg/mL', type: 'decimal', min: 15, max: 65 },
+    { key: 'a1c', label: 'Hemoglobin A1c', unit: '%', type: 'decimal', min: null, max: 5.7, upperExclusive: true },
+    { key: 'albumin', label: 'Albumin', unit: 'g/dL', type: 'decimal', min: 3.5, max: 5.0 },
+    { key: 'total_bilirubin', label: 'Total Bilirubin', unit: 'mg/dL', type: 'decimal', min: 0.1, max: 1.2 },
+    { key: 'total_cholesterol', label: 'Total Cholesterol', unit: 'mg/dL', type: 'integer', min: null, max: 200, upperExclusive: true },
+    { key: 'urine_protein', label: 'Urine Protein', unit: '', type: 'text' },
+    { key: 'urine_rbc', label: 'Urine RBC', unit: '', type: 'text' },
+    { key: 'urine_wbc', label: 'Urine WBC', unit: '', type: 'text' },
+    { key: 'urine_hemoglobin', label: 'Urine Hemoglobin', unit: '', type: 'text' }
+];
+
+// Medicare 2728 fields stored in patient_esrd_forms (migration 019)
+const DIALYSIS_MODALITIES = {
+    'HEMODIALYSIS': 'Hemodialysis',
+    'CAPD': 'CAPD',
+    'CCPD': 'CCPD',
+    'OTHER': 'Other'
+};
+
+const FORM_2728_FIELDS = [
+    { key: 'esrd_start_date', label: 'Date Regular Dialysis Began', type: 'date' },
+    { key: 'primary_diagnosis', label: 'Primary Cause of Renal Failure', type: 'text', maxLength: 255 },
+    { key: 'primary_diagnosis_code', label: 'ICD-10-CM Code', type: 'icd10' },
+    { key: 'dialysis_modality', label: 'Primary Type of Dialysis', type: 'modality' },
+    { key: 'medicare_applying', label: 'Applying for ESRD Medicare', type: 'boolean' },
+    { key: 'medicare_entitled', label: 'Currently Entitled to Medicare', type: 'boolean' },
+    { key: 'medicare_number', label: 'Medicare Number (MBI)', type: 'text', maxLength: 20 }
+];
+
+// Columns of a medication in patient_medications, with their lengths
+const MEDICATION_COLUMNS = [
+    { key: 'name', maxLength: 255 },
+    { key: 'dose', maxLength: 100 },
+    { key: 'route', maxLength: 50 },
+    { key: 'frequency', maxLength: 100 }
+];
+
+// Document types an admin can reassign a staged upload to
+const REVIEW_DOCUMENT_TYPES = {
+    'current_labs': 'One week of current labs',
+    'medicare_2728': 'Medicare 2728 form',
+    'medication_list': 'Medication List',
+    'immunization_record': 'Immunization record',
+    'social_work_summary': 'Social work summary',
+    'dietitian_summary': 'Dietitian summary',
+    'care_plan_notes': 'Recent care plan or progress notes',
+    'dialysis_shift': 'Hemodialysis/Peritoneal Shift',
+    'insurance_card': 'Insurance Card',
+    'government_id': 'Government ID',
+    'lab_results': 'Lab Results',
+    'medical_records': 'Medical Records',
+    'referral_letter': 'Referral Letter',
+    'other': 'Other Document'
+};
+
+// The type a staged document's extracted_data was extracted as: the predicted type for a
+// confidently mislabeled upload, otherwise the uploaded type (rows staged before predictions
+// have no extracted_document_type)
+function extractedTypeOf(staging) {
+    return staging.extracted_document_type || staging.document_type;
+}
+
+function getConfidenceLevel(confidence) {
+    if (confidence === null || confidence === undefined) return 'missing';
+    if (confidence < CONFIDENCE_MEDIUM) return confidence < CONFIDENCE_LOW ? 'missing' : 'low';
+    return 'high';
+}
+
+// Coerce a submitted lab value into the column type; returns undefined when invalid
+function parseLabValue(field, raw) {
+    if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+    const text = String(raw).trim();
+    if (field.type === 'text') return text.substring(0, 50);
+    const num = parseFloat(text);
+    if (isNaN(num)) return undefined;
+    return field.type === 'integer' ? Math.round(num) : num;
+}
+
+// Coerce a submitted 2728 value into its column type; returns undefined when invalid
+function parseFormValue(field, raw) {
+    if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+    const text = String(raw).trim();
+    switch (field.type) {
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(new Date(text).getTime()) ? text : undefined;
+        case 'icd10':
+            return /^[A-Z]\d{2}(\.[A-Z0-9]{1,4})?$/i.test(text) ? text.toUpperCase() : undefined;
+        case 'modality':
+            return DIALYSIS_MODALITIES[text.toUpperCase()] ? text.toUpperCase() : undefined;
+        case 'boolean':
+            if (raw === true || text === 'true') return true;
+            if (raw === false || text === 'false') return false;
+            return undefined;
+        default:
+            return text.substring(0, field.maxLength);
+    }
+}
+
+// Clean a submitted medication list; returns undefined when a row has no name
+function parseMedications(list) {
+    if (!Array.isArray(list)) return undefined;
+    const medications = [];
+    for (const item of list) {
+        const medication = {};
+        MEDICATION_COLUMNS.forEach(column => {
+            const value = item && item[column.key] !== null && item[column.key] !== undefined ? String(item[column.key]).trim() : '';
+            medication[column.key] = value ? value.substring(0, column.maxLength) : null;
+        });
+        if (!medication.name) {
+            if (!medication.dose && !medication.route && !medication.frequency) continue; // blank row
+            return undefined;
+        }
+        medications.push(medication);
+    }
+    return medications;
+}
+
+// Count extracted values by confidence level, for the queue's "needs attention" summary
+function summarizeConfidence(documentType, data) {
+    const summary = { high: 0, low: 0, missing: 0 };
+    if (documentType === 'medication_list') {
+        (data.medications || []).forEach(medication => {
+            summary[getConfidenceLevel(medication.confidence)]++;
+        });
+        return summary;
+    }
+    Object.keys(data).forEach(key => {
+        summary[getConfidenceLevel(data[key] ? data[key].confidence : null)]++;
+    });
+    return summary;
+}
+
+// Load a staging row only if the patient is referred to the employee's center. Message attachments
+// staged before the document processor skipped them are not the center's to review
+async function getStagingForCenter(stagingId, transplantCenterId) {
+    const result = await queryWithRetry(`
+        SELECT ds.*, u.first_name, u.last_name, u.email,
+               tce.first_name as reviewer_first_name, tce.last_name as reviewer_last_name
+        FROM document_staging ds
+        JOIN patients p ON ds.patient_id = p.id
+        JOIN users u ON p.user_id = u.id
+        LEFT JOIN transplant_center_employees tce ON ds.reviewed_by = tce.id
+        WHERE ds.id = $1
+          AND ds.document_type NOT IN ('message_attachment', 'care_team_attachment')
+          AND EXISTS (
+              SELECT 1 FROM patient_referrals pr
+              WHERE pr.patient_id = ds.patient_id AND pr.transplant_center_id = $2 AND pr.status <> 'withdrawn'
+          )
+    `, [stagingId, transplantCenterId]);
+    return result.rows[0] || null;
+}
+
+// Review Queue Page
+app.get('/review-queue', requireAuth, requirePermission('view'), async (req, res) => {
+    const statusFilter = STAGING_STATUSES.includes(req.query.status) ? req.query.status : 'PENDING_REVIEW';
+    // EXTRACTING: multi-page documents still being read by Textract, not yet reviewable
+    const counts = { EXTRACTING: 0, PENDING_REVIEW: 0, NEEDS_CORRECTION: 0, APPROVED: 0, REJECTED: 0 };
+    // Open documents whose content doesn't match the type they were uploaded as
+    let mislabeledCount = 0;
+
     try {
         const tcId = req.session.user.transplant_center_id;
-        
-        const referrals = await queryWithRetry(`
-            SELECT 
-                pr.id,
-                pr.status,
-                pr.submitted_at,
-                pr.updated_at,
-                pr.patient_id,
-                u.first_name,
-                u.last_name,
-                u.email,
-                p.date_of_birth,
-                dsw.first_name as sw_first_name,
-                dsw.last_name as sw_last_name,
-                dsw.dialysis_clinic,
-                (SELECT COUNT(*) FROM patient_documents WHERE patient_id = pr.patient_id) as document_count,
-                (SELECT status FROM patient_intake_forms WHERE patient_id = pr.patient_id LIMIT 1) as intake_status
-            FROM patient_referrals pr
-            JOIN patients p ON pr.patient_id = p.id
+
+        const items = await queryWithRetry(`
+            SELECT ds.id, ds.patient_id, ds.document_type, ds.final_document_type, ds.status,
+                   ds.extracted_data, ds.lab_date, ds.extraction_error, ds.created_at, ds.reviewed_at,
+                   ds.extracted_document_type, ds.predicted_document_type, ds.predicted_type_confidence, ds.type_mismatch,
+                   u.first_name, u.last_name
+            FROM document_staging ds
+            JOIN patients p ON ds.patient_id = p.id
             JOIN users u ON p.user_id = u.id
-            LEFT JOIN patient_dusw_assignments pda ON p.id = pda.patient_id
-            LEFT JOIN dusw_social_workers dsw ON pda.dusw_social_worker_id = dsw.id
-            WHERE pr.transplant_center_id = $1 AND pr.status = 'applied'
-            ORDER BY pr.submitted_at DESC
+            WHERE ds.status = $2
+              AND ds.document_type NOT IN ('message_attachment', 'care_team_attachment')
+              AND EXISTS (
+                  SELECT 1 FROM patient_referrals pr
+                  WHERE pr.patient_id = ds.patient_id AND pr.transplant_center_id = $1 AND pr.status <> 'withdrawn'
+              )
+            ORDER BY ds.created_at ASC
+        `, [tcId, statusFilter]);
+
+        const statusCounts = await queryWithRetry(`
+            SELECT ds.status, COUNT(*) as count, COUNT(*) FILTER (WHERE ds.type_mismatch) as mislabeled
+            FROM document_staging ds
+            WHERE ds.document_type NOT IN ('message_attachment', 'care_team_attachment')
+              AND EXISTS (
+                  SELECT 1 FROM patient_referrals pr
+                  WHERE pr.patient_id = ds.patient_id AND pr.transplant_center_id = $1 AND pr.status <> 'withdrawn'
+              )
+            GROUP BY ds.status
         `, [tcId]);
 
-        res.render('referrals', {
-            title: 'New Referrals - Transplant Center Portal',
+        statusCounts.rows.forEach(row => {
+            counts[row.status] = parseInt(row.count);
+            if (row.status === 'PENDING_REVIEW' || row.status === 'NEEDS_CORRECTION') {
+                mislabeledCount += parseInt(row.mislabeled);
+            }
+        });
+
+        // Summarize confidence so the list can highlight items needing attention
+        const queue = items.rows.map(item => ({
+            ...item,
+            confidenceSummary: summarizeConfidence(extractedTypeOf(item), item.extracted_data || {})
+        }));
+
+        res.render('review-queue', {
+            title: 'Review Queue - Transplant Center Portal',
             user: req.session.user,
-            referrals: referrals.rows
+            items: queue,
+            currentFilter: statusFilter,
+            statusCounts: counts,
+            mislabeledCount: mislabeledCount,
+            documentTypes: REVIEW_DOCUMENT_TYPES
         });
     } catch (error) {
-        console.error('Referrals page error:', error);
-        res.render('referrals', {
-            title: 'New Referrals - Transplant Center Portal',
+        console.error('Review queue error:', error);
+        res.render('review-queue', {
+            title: 'Review Queue - Transplant Center Portal',
             user: req.session.user,
-            referrals: []
+            items: [],
+            currentFilter: statusFilter,
+            statusCounts: counts,
+            mislabeledCount: mislabeledCount,
+            documentTypes: REVIEW_DOCUMENT_TYPES
         });
     }
 });
 
-// All Patients Page (with status filters)
-app.get('/patients', requireAuth, async (req, res) => {
+// Review Queue Item Page
+app.get('/review-queue/:stagingId', requireAuth, requirePermission('view'), async (req, res) => {
     try {
-        const tcId = req.session.user.transplant_center_id;
-        const statusFilter = req.query.status || 'all';
-        
-        let whereClause = 'pr.transplant_center_id = $1';
-        if (statusFilter !== 'all') {
-            whereClause += ` AND pr.status = '${statusFilter}'`;
+        const staging = await getStagingForCenter(req.params.stagingId, req.session.user.transplant_center_id);
+
+        if (!staging) {
+            return res.status(404).render('error', {
+                title: 'Not Found',
+                user: req.session.user,
+                message: 'Staged document not found.'
+            });
+        }
+
+        const data = staging.extracted_data || {};
+        const labDate = staging.lab_date ? new Date(staging.lab_date).toISOString().split('T')[0] : null;
+        const fields = LAB_FIELDS.map(field => {
+            const extracted = data[field.key] || null;
+            return {
+                ...field,
+                value: extracted ? extracted.value : '',
+                rawText: extracted ? extracted.rawText : null,
+                confidence: extracted ? extracted.confidence : null,
+                level: getConfidenceLevel(extracted ? extracted.confidence : null),
+                // Set by the Lambda's unit normalization; older staged documents have none
+                referenceRange: extracted ? extracted.referenceRange || null : null,
+                flag: extracted ? extracted.flag || null : null,
+                converted: extracted && extracted.sourceUnit && String(extracted.sourceValue) !== String(extracted.value)
+                    ? `${extracted.sourceValue} ${extracted.sourceUnit}` : null,
+                // Multi-page reports: where the value was read, when it isn't the latest draw
+                earlierDraw: extracted && extracted.page && extracted.drawDate !== labDate
+                    ? `Page ${extracted.page}${extracted.drawDate ? `, drawn ${extracted.drawDate}` : ''}` : null
+            };
+        });
+
+        // Medication lists and 2728 forms keep their data under their own shape
+        const isMedicationList = extractedTypeOf(staging) === 'medication_list';
+        const medications = (isMedicationList && Array.isArray(data.medications) ? data.medications : []).map(medication => ({
+            ...medication,
+            level: getConfidenceLevel(medication.confidence)
+        }));
+
+        const formData = extractedTypeOf(staging) === 'medicare_2728' ? data : {};
+        const formFields = FORM_2728_FIELDS.map(field => {
+            const extracted = formData[field.key] || null;
+            return {
+                ...field,
+                value: extracted ? extracted.value : '',
+                rawText: extracted ? extracted.rawText : null,
+                confidence: extracted ? extracted.confidence : null,
+                level: getConfidenceLevel(extracted ? extracted.confidence : null)
+            };
+        });
+
+        res.render('review-item', {
+            title: `Review ${staging.first_name} ${staging.last_name} - Transplant Center Portal`,
+            user: req.session.user,
+            staging: staging,
+            fields: fields,
+            medications: medications,
+            formFields: formFields,
+            dialysisModalities: DIALYSIS_MODALITIES,
+            documentTypes: REVIEW_DOCUMENT_TYPES,
+            confidenceThresholds: { low: CONFIDENCE_LOW, medium: CONFIDENCE_MEDIUM }
+        });
+    } catch (error) {
+        console.error('Error loading staged document:', error);
+        res.status(500).render('error', {
+            title: 'Error',
+            user: req.session.user,
+            message: 'Failed to load staged document.'
+        });
+    }
+});
+
+// Get staged document preview URL
+app.get('/api/staging/:stagingId/url', requireAuth, requirePermission('view'), async (req, res) => {
+    try {
+        const staging = await getStagingForCenter(req.params.stagingId, req.session.user.transplant_center_id);
+
+        if (!staging) {
+            return res.status(404).json({ success: false, error: 'Staged document not found' });
+        }
+
+        const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+        const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+        const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+        const getCommand = new GetObjectCommand({
+            Bucket: staging.s3_bucket,
+            Key: staging.s3_key
+        });
+
+        const signedUrl = await getSignedUrl(s3Client, getCommand, { expiresIn: 900 });
+
+        res.json({
+            success: true,
+            url: signedUrl,
+            isPdf: staging.s3_key.toLowerCase().endsWith('.pdf'),
+            expiresIn: 900
+        });
+
+    } catch (error) {
+        console.error('Error generating staging preview URL:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate preview URL' });
+    }
+});
+
+// Submit review decision for a staged document
+app.post('/api/staging/:stagingId/review', requireAuth, requirePermission('review_documents'), async (req, res) => {
+    const { decision, values, medications, labDate, finalDocumentType, adminNotes } = req.body;
+    const decisionStatus = {
+        approve: 'APPROVED',
+        reject: 'REJECTED',
+        needs_correction: 'NEEDS_CORRECTION'
+    }[decision];
+
+    if (!decisionStatus) {
+        return res.status(400).json({ success: false, error: 'Invalid decision' });
+    }
+
+    if (finalDocumentType && !REVIEW_DOCUMENT_TYPES[finalDocumentType]) {
+        return res.status(400).json({ success: false, error: 'Invalid document type' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        const staging = await getStagingForCenter(req.params.stagingId, req.session.user.transplant_center_id);
+
+        if (!staging) {
+            return res.status(404).json({ success: false, error: 'Staged document not found' });
+        }
+
+        if (staging.status === 'APPROVED' || staging.status === 'REJECTED') {
+            return res.status(409).json({ success: false, error: `Document has already been ${staging.status.toLowerCase()}` });
+        }
+
+        const documentType = finalDocumentType || staging.final_document_type || staging.document_type;
+        const isLabs = documentType === 'current_labs';
+        const isMedicationList = documentType === 'medication_list';
+        const isForm2728 = documentType === 'medicare_2728';
+        // Extracted data only describes the type it was extracted as
+        const extractedData = documentType === extractedTypeOf(staging) ? staging.extracted_data || {} : {};
+        const finalLabDate = labDate || (staging.lab_date ? new Date(staging.lab_date).toISOString().split('T')[0] : null);
+
+        // Validate corrected values before anything is written
+        const labValues = {};
+        let corrected = false;
+        if (decisionStatus === 'APPROVED' && isLabs) {
+            if (!finalLabDate) {
+                return res.status(400).json({ success: false, error: 'Lab date is required to approve lab results' });
+            }
+
+            const extracted = extractedData;
+            const submitted = values || {};
+            for (const field of LAB_FIELDS) {
+                const extractedValue = extracted[field.key] ? extracted[field.key].value : null;
+                const raw = Object.prototype.hasOwnProperty.call(submitted, field.key) ? submitted[field.key] : extractedValue;
+                const parsed = parseLabValue(field, raw);
+                if (parsed === undefined) {
+                    return res.status(400).json({ success: false, error: `Invalid value for ${field.label}` });
+                }
+                labValues[field.key] = parsed;
+
+                if (parseLabValue(field, extractedValue) !== parsed) {
+                    corrected = true;
+                }
+            }
+        }
+
+        let medicationList = [];
+        if (decisionStatus === 'APPROVED' && isMedicationList) {
+            const extracted = parseMedications(extractedData.medications || []) || [];
+            medicationList = medications === undefined ? extracted : parseMedications(medications);
+            if (medicationList === undefined) {
+                return res.status(400).json({ success: false, error: 'Every medication needs a name' });
+            }
+            corrected = JSON.stringify(medicationList) !== JSON.stringify(extracted);
+        }
+
+        const formValues = {};
+        if (decisionStatus === 'APPROVED' && isForm2728) {
+            const submitted = values || {};
+            for (const field of FORM_2728_FIELDS) {
+                const extractedValue = extractedData[field.key] ? extractedData[field.key].value : null;
+                const raw = Object.prototype.hasOwnProperty.call(submitted, field.key) ? submitted[field.key] : extractedValue;
+                const parsed = parseFormValue(field, raw);
+                if (parsed === undefined) {
+                    return res.status(400).json({ success: false, error: `Invalid value for ${field.label}` });
+                }
+                formValues[field.key] = parsed;
+
+                if (parseFormValue(field, extractedValue) !== parsed) {
+                    corrected = true;
+                }
+            }
+        }
+
+        await client.query('BEGIN');
+
+        // Guard on status so two reviewers cannot both finalize the same document
+        const updateResult = await client.query(`
+            UPDATE document_staging
+            SET status = $1,
+                final_document_type = $2,
+                admin_notes = $3,
+                lab_date = COALESCE($4, lab_date),
+                reviewed_by = $5,
+                reviewed_at = NOW()
+            WHERE id = $6 AND status IN ('PENDING_REVIEW', 'NEEDS_CORRECTION')
+        `, [
+            decisionStatus,
+            documentType !== staging.document_type ? documentType : null,
+            adminNotes || null,
+            finalLabDate,
+            req.session.user.id,
+            staging.id
+        ]);
+
+        if (updateResult.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ success: false, error: 'Document has already been reviewed' });
+        }
+
+        let labResultId = null;
+        if (decisionStatus === 'APPROVED' && isLabs) {
+            const columns = LAB_FIELDS.map(field => field.key);
+            const params = [
+                staging.patient_id,
+                staging.id,
+                staging.patient_document_id,
+                finalLabDate,
+                ...columns.map(key => labValues[key]),
+                req.session.user.id,
+                adminNotes || null,
+                corrected ? 'corrected' : 'extracted'
+            ];
+            const placeholders = params.map((_, i) => `$${i + 1}`).join(', ');
+
+            const labResult = await client.query(`
+                INSERT INTO patient_lab_results (
+                    patient_id, document_staging_id, patient_document_id, lab_date,
+                    ${columns.join(', ')},
+                    verified_by, verification_notes, data_entry_method, verified_at
+                ) VALUES (${placeholders}, NOW())
+                RETURNING id
+            `, params);
+            labResultId = labResult.rows[0].id;
+
+            // The confirmed lab date is when the document's content is from; its expiry follows
+            if (staging.patient_document_id) {
+                await setDocumentEffectiveDate(client, {
+                    documentId: staging.patient_document_id,
+                    effectiveDate: finalLabDate,
+                    source: 'reviewer'
+                });
+            }
+        }
+
+        let medicationCount = null;
+        if (decisionStatus === 'APPROVED' && isMedicationList) {
+            for (let i = 0; i < medicationList.length; i++) {
+                const medication = medicationList[i];
+                await client.query(`
+                    INSERT INTO patient_medications (
+                        patient_id, document_staging_id, patient_document_id,
+                        medication_name, dose, route, frequency, list_position,
+                        verified_by, verification_notes, data_entry_method, verified_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+                `, [
+                    staging.patient_id,
+                    staging.id,
+                    staging.patient_document_id,
+                    medication.name,
+                    medication.dose,
+                    medication.route,
+                    medication.frequency,
+                    i + 1,
+                    req.session.user.id,
+                    adminNotes || null,
+                    corrected ? 'corrected' : 'extracted'
+                ]);
+            }
+            medicationCount = medicationList.length;
+        }
+
+        let esrdFormId = null;
+        if (decisionStatus === 'APPROVED' && isForm2728) {
+            const columns = FORM_2728_FIELDS.map(field => field.key);
+            const params = [
+                staging.patient_id,
+                staging.id,
+                staging.patient_document_id,
+                ...columns.map(key => formValues[key]),
+                req.session.user.id,
+                adminNotes || null,
+                corrected ? 'corrected' : 'extracted'
+            ];
+            const placeholders = params.map((_, i) => `$${i + 1}`).join(', ');
+
+            const formResult = await client.query(`
+                INSERT INTO patient_esrd_forms (
+                    patient_id, document_staging_id, patient_document_id,
+                    ${columns.join(', ')},
+                    verified_by, verification_notes, data_entry_method, verified_at
+                ) VALUES (${placeholders}, NOW())
+                RETURNING id
+            `, params);
+            esrdFormId = formResult.rows[0].id;
+        }
+
+        await client.query('COMMIT');
+
+        console.log(`✅ Staged document ${staging.id} marked ${decisionStatus} by ${req.session.user.email}`);
+
+        res.json({
+            success: true,
+            status: decisionStatus,
+            labResultId: labResultId,
+            medicationCount: medicationCount,
+            esrdFormId: esrdFormId
+        });
+
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Error submitting staging review:', error);
+        res.status(500).json({ success: false, error: 'Failed to submit review' });
+    } finally {
+        client.release();
+    }
+});
+
+// Percent change between consecutive draws that is called out as a sharp change
+const LAB_SHARP_CHANGE_PERCENT = parseFloat(process.env.LAB_SHARP_CHANGE_PERCENT || '25');
+
+function getLabRangeFlag(field, value) {
+    if (field.min !== undefined && field.min !== null && value < field.min) return 'low';
+    if (field.max !== undefined && field.max !== null) {
+        if (field.upperExclusive ? value >= field.max : value > field.max) return 'high';
+    }
+    return null;
+}
+
+// Get verified lab results over time for a patient
+app.get('/api/patient/:patientId/labs', requireAuth, requirePermission('view'), async (req, res) => {
+    try {
+        const { patientId } = req.params;
+
+        // Verify this patient has a referral to this TC
+        const referralCheck = await queryWithRetry(`
+            SELECT 1 FROM patient_referrals
+            WHERE patient_id = $1 AND transplant_center_id = $2 AND status <> 'withdrawn'
+        `, [patientId, req.session.user.transplant_center_id]);
+
+        if (referralCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+
+        const labsResult = await queryWithRetry(`
+            SELECT plr.*
+            FROM patient_lab_results plr
+            WHERE plr.patient_id = $1
+            ORDER BY plr.lab_date ASC, plr.created_at ASC
+        `, [patientId]);
+
+        const draws = labsResult.rows.map(row => ({
+            id: row.id,
+            labDate: row.lab_date,
+            dataEntryMethod: row.data_entry_method,
+            verifiedAt: row.verified_at,
+            patientDocumentId: row.patient_document_id
+        }));
+
+        const alerts = [];
+        const metrics = LAB_FIELDS.map(field => {
+            const points = [];
+            let previous = null;
+
+            labsResult.rows.forEach(row => {
+                const raw = row[field.key];
+                if (raw === null || raw === undefined || raw === '') return;
+
+                if (field.type === 'text') {
+                    points.push({ labDate: row.lab_date, value: raw, flag: null, change: null });
+                    return;
+                }
+
+                const value = parseFloat(raw);
+                const flag = getLabRangeFlag(field, value);
+                let change = null;
+
+                if (previous !== null) {
+                    const delta = value - previous;
+                    const percent = previous !== 0 ? (delta / Math.abs(previous)) * 100 : null;
+                    change = {
+                        delta: Math.round(delta * 100) / 100,
+                        percent: percent !== null ? Math.round(percent * 10) / 10 : null,
+                        sharp: percent !== null && Math.abs(percent) >= LAB_SHARP_CHANGE_PERCENT
+                    };
+                }
+
+                points.push({ labDate: row.lab_date, value: value, flag: flag, change: change });
+                previous = value;
+            });
+
+            // Only the most recent draw drives the summary alerts
+            const latest = points.length > 0 ? points[points.length - 1] : null;
+            if (latest && latest.flag) {
+                alerts.push({ metric: field.key, type: 'out_of_range', flag: latest.flag, value: latest.value, labDate: latest.labDate });
+            }
+            if (latest && latest.change && latest.change.sharp) {
+                alerts.push({ metric: field.key, type: 'sharp_change', percent: latest.change.percent, value: latest.value, labDate: latest.labDate });
+            }
+
+            return {
+                key: field.key,
+                label: field.label,
+                unit: field.unit,
+                normalRange: field.type === 'text' ? null : { min: field.min, max: field.max, upperExclusive: !!field.upperExclusive },
+                points: points,
+                latest: latest
+            };
+        });
+
+        res.json({
+            success: true,
+            draws: draws,
+            metrics: metrics,
+            alerts: alerts,
+            sharpChangePercent: LAB_SHARP_CHANGE_PERCENT
+        });
+
+    } catch (error) {
+        console.error('Error fetching lab results:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch lab results' });
+    }
+});
+
+// Get the patient's current (most recently verified) medication list
+app.get('/api/patient/:patientId/medications', requireAuth, requirePermission('view'), async (req, res) => {
+    try {
+        const { patientId } = req.params;
+
+        // Verify this patient has a referral to this TC
+        const referralCheck = await queryWithRetry(`
+            SELECT 1 FROM patient_referrals
+            WHERE patient_id = $1 AND transplant_center_id = $2 AND status <> 'withdrawn'
+        `, [patientId, req.session.user.transplant_center_id]);
+
+        if (referralCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+
+        const medicationsResult = await queryWithRetry(`
+            SELECT pm.medication_name, pm.dose, pm.route, pm.frequency,
+                   pm.document_staging_id, pm.patient_document_id, pm.data_entry_method, pm.verified_at
+            FROM patient_medications pm
+            WHERE pm.patient_id = $1
+              AND pm.document_staging_id IS NOT DISTINCT FROM (
+                  SELECT latest.document_staging_id FROM patient_medications latest
+                  WHERE latest.patient_id = $1
+                  ORDER BY latest.verified_at DESC NULLS LAST, latest.created_at DESC
+                  LIMIT 1
+              )
+            ORDER BY pm.list_position ASC
+        `, [patientId]);
+
+        const rows = medicationsResult.rows;
+        res.json({
+            success: true,
+            verifiedAt: rows.length > 0 ? rows[0].verified_at : null,
+            dataEntryMethod: rows.length > 0 ? rows[0].data_entry_method : null,
+            patientDocumentId: rows.length > 0 ? rows[0].patient_document_id : null,
+            medications: rows.map(row => ({
+                name: row.medication_name,
+                dose: row.dose,
+                route: row.route,
+                frequency: row.frequency
+            }))
+        });
+
+    } catch (error) {
+        console.error('Error fetching medications:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch medications' });
+    }
+});
+
+// Get the patient's most recently verified Medicare 2728 form
+app.get('/api/patient/:patientId/esrd-form', requireAuth, requirePermission('view'), async (req, res) => {
+    try {
+        const { patientId } = req.params;
+
+        // Verify this patient has a referral to this TC
+        const referralCheck = await queryWithRetry(`
+            SELECT 1 FROM patient_referrals
+            WHERE patient_id = $1 AND transplant_center_id = $2 AND status <> 'withdrawn'
+        `, [patientId, req.session.user.transplant_center_id]);
+
+        if (referralCheck.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Patient not found' });
+        }
+
+        const formResult = await queryWithRetry(`
+            SELECT pef.*
+            FROM patient_esrd_forms pef
+            WHERE pef.patient_id = $1
+            ORDER BY pef.verified_at DESC NULLS LAST, pef.created_at DESC
+            LIMIT 1
+        `, [patientId]);
+
+        const row = formResult.rows[0];
+        res.json({
+            success: true,
+            form: row ? {
+                verifiedAt: row.verified_at,
+                dataEntryMethod: row.data_entry_method,
+                patientDocumentId: row.patient_document_id,
+                fields: FORM_2728_FIELDS.map(field => ({
+                    key: field.key,
+                    label: field.label,
+                    type: field.type,
+                    value: field.type === 'modality' && row[field.key]
+                        ? DIALYSIS_MODALITIES[row[field.key]] || row[field.key]
+                        : row[field.key]
+                }))
+            } : null
+        });
+
+    } catch (error) {
+        console.error('Error fetching 2728 form:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch 2728 form' });
+    }
+});
+
+// New Referrals Page (status = applied only)
+app.get('/referrals', requireAuth, requirePermission('view'), async (req, res) => {
+    try {
+        const tcId = req.session.user.transplant_center_id;
+        
+        const referrals = await queryWithRetry(`
+            SELECT 
+                pr.id,
+                pr.status,
+                pr.submitted_at,
+                pr.updated_at,
+                pr.patient_id,
+                u.first_name,
+                u.last_name,
+                u.email,
+                p.date_of_birth,
+                dsw.first_name as sw_first_name,
+                dsw.last_name as sw_last_name,
+                dsw.dialysis_clinic,
+                (SELECT COUNT(*) FROM patient_documents WHERE patient_id = pr.patient_id AND document_type NOT IN ('message_attachment', 'care_team_attachment')
+                    AND superseded_at IS NULL AND deleted_at IS NULL) as document_count,
+                (SELECT status FROM patient_intake_forms WHERE patient_id = pr.patient_id LIMIT 1) as intake_status
+            FROM patient_referrals pr
+            JOIN patients p ON pr.patient_id = p.id
+            JOIN users u ON p.user_id = u.id
+            LEFT JOIN patient_dusw_assignments pda ON p.id = pda.patient_id
+            LEFT JOIN dusw_social_workers dsw ON pda.dusw_social_worker_id = dsw.id
+            WHERE pr.transplant_center_id = $1 AND pr.status = 'applied'
+            ORDER BY pr.submitted_at DESC
+        `, [tcId]);
+
+        res.render('referrals', {
+            title: 'New Referrals - Transplant Center Portal',
+            user: req.session.user,
+            referrals: referrals.rows
+        });
+    } catch (error) {
+        console.error('Referrals page error:', error);
+        res.render('referrals', {
+            title: 'New Referrals - Transplant Center Portal',
+            user: req.session.user,
+            referrals: []
+        });
+    }
+});
+
+// All Patients Page (with status filters)
+app.get('/patients', requireAuth, requirePermission('view'), async (req, res) => {
+    try {
+        const tcId = req.session.user.transplant_center_id;
+        const statusFilter = req.query.status || 'all';
+        
+        let whereClause = 'pr.transplant_center_id = $1';
+        if (statusFilter !== 'all') {
+            whereClause += ` AND pr.status = '${statusFilter}'`;
         }
         
         const patients = await queryWithRetry(`
@@ -1035,7 +2291,8 @@ app.get('/patients', requireAuth, async (req, res) => {
                 dsw.first_name as sw_first_name,
                 dsw.last_name as sw_last_name,
                 dsw.dialysis_clinic,
-                (SELECT COUNT(*) FROM patient_documents WHERE patient_id = pr.patient_id) as document_count,
+                (SELECT COUNT(*) FROM patient_documents WHERE patient_id = pr.patient_id AND document_type NOT IN ('message_attachment', 'care_team_attachment')
+                    AND superseded_at IS NULL AND deleted_at IS NULL) as document_count,
                 (SELECT status FROM patient_intake_forms WHERE patient_id = pr.patient_id LIMIT 1) as intake_status
             FROM patient_referrals pr
             JOIN patients p ON pr.patient_id = p.id
@@ -1056,16 +2313,22 @@ app.get('/patients', requireAuth, async (req, res) => {
             GROUP BY status
         `, [tcId]);
         
-        const counts = { all: 0, applied: 0, under_review: 0, accepted: 0, waitlisted: 0, declined: 0 };
+        const counts = { all: 0, applied: 0, under_review: 0, accepted: 0, waitlisted: 0, declined: 0, withdrawn: 0 };
         statusCounts.rows.forEach(row => {
             counts[row.status] = parseInt(row.count);
             counts.all += parseInt(row.count);
         });
 
+        // Expired and soon-to-expire documents, so coordinators can chase them before an evaluation
+        const staleCounts = await countStaleDocuments(pool, patients.rows.map(patient => patient.patient_id));
+
         res.render('patients', {
             title: 'All Patients - Transplant Center Portal',
             user: req.session.user,
-            patients: patients.rows,
+            patients: patients.rows.map(patient => ({
+                ...patient,
+                staleDocuments: staleCounts[patient.patient_id] || { expired: 0, expiring: 0 }
+            })),
             currentFilter: statusFilter,
             statusCounts: counts
         });
@@ -1076,13 +2339,13 @@ app.get('/patients', requireAuth, async (req, res) => {
             user: req.session.user,
             patients: [],
             currentFilter: 'all',
-            statusCounts: { all: 0, applied: 0, under_review: 0, accepted: 0, waitlisted: 0, declined: 0 }
+            statusCounts: { all: 0, applied: 0, under_review: 0, accepted: 0, waitlisted: 0, declined: 0, withdrawn: 0 }
         });
     }
 });
 
 // Profile Page
-app.get('/profile', requireAuth, async (req, res) => {
+app.get('/profile', requireAuth, requirePermission('view'), async (req, res) => {
     try {
         // Get full employee info
         const employeeResult = await queryWithRetry(`
@@ -1105,6 +2368,7 @@ app.get('/profile', requireAuth, async (req, res) => {
             title: 'My Profile - Transplant Center Portal',
             user: req.session.user,
             employee: employee,
+            roles: TC_ROLES,
             success: req.query.success,
             error: req.query.error
         });
@@ -1115,7 +2379,7 @@ app.get('/profile', requireAuth, async (req, res) => {
 });
 
 // Update Profile
-app.post('/profile', requireAuth, async (req, res) => {
+app.post('/profile', requireAuth, requirePermission('view'), async (req, res) => {
     try {
         const { title, firstName, lastName, phoneNumber, email } = req.body;
         
@@ -1141,7 +2405,7 @@ app.post('/profile', requireAuth, async (req, res) => {
 });
 
 // Change Password
-app.post('/profile/password', requireAuth, async (req, res) => {
+app.post('/profile/password', requireAuth, requirePermission('view'), async (req, res) => {
     try {
         const { currentPassword, newPassword, confirmPassword } = req.body;
         
@@ -1172,35 +2436,962 @@ app.post('/profile/password', requireAuth, async (req, res) => {
     }
 });
 
-// Logout
-app.post('/logout', (req, res) => {
-    req.session.destroy((err) => {
-        if (err) {
-            console.error('Logout error:', err);
-        }
-        res.redirect('/');
-    });
-});
+// Staff Management Page (admin only)
+app.get('/staff', requireAuth, requirePermission('manage_staff'), async (req, res) => {
+    try {
+        const staffResult = await queryWithRetry(`
+            SELECT id, title, first_name, last_name, email, role, department, status, last_login, created_at
+            FROM transplant_center_employees
+            WHERE transplant_center_id = $1
+            ORDER BY status ASC, last_name ASC, first_name ASC
+        `, [req.session.user.transplant_center_id]);
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`🏥 Transplant Center Portal running on http://localhost:${PORT}`);
-    console.log(`📱 Network Access: http://192.168.1.69:${PORT}`);
-    console.log(`🔐 Authentication: Session-based login`);
-    console.log(`🗄️  Database: AWS RDS PostgreSQL`);
+        res.render('staff', {
+            title: 'Staff - Transplant Center Portal',
+            user: req.session.user,
+            staff: staffResult.rows,
+            roles: TC_ROLES
+        });
+    } catch (error) {
+        console.error('Staff page error:', error);
+        res.redirect('/dashboard');
+    }
 });
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-    console.log('🛑 Shutting down gracefully');
-    await pool.end();
-    process.exit(0);
-});
+// Load a staff member at the admin's center, refusing changes to the admin's own account
+async function getManagedEmployee(req, res) {
+    const { employeeId } = req.params;
 
-process.on('SIGINT', async () => {
-    console.log('🛑 Shutting down gracefully');
-    await pool.end();
-    process.exit(0);
-});
+    if (employeeId === req.session.user.id) {
+        res.status(400).json({ success: false, error: 'You cannot change your own role or status' });
+        return null;
+    }
+
+    const result = await queryWithRetry(`
+        SELECT id, email, first_name, role, status FROM transplant_center_employees
+        WHERE id = $1 AND transplant_center_id = $2
+    `, [employeeId, req.session.user.transplant_center_id]);
+
+    if (result.rows.length === 0) {
+        res.status(404).json({ success: false, error: 'Staff member not found' });
+        return null;
+    }
+
+    return result.rows[0];
+}
+
+// Change a staff member's role
+app.post('/api/staff/:employeeId/role', requireAuth, requirePermission('manage_staff'), async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!TC_ROLES[role]) {
+            return res.status(400).json({ success: false, error: 'Invalid role' });
+        }
+
+        const employee = await getManagedEmployee(req, res);
+        if (!employee) return;
+
+        await queryWithRetry(`
+            UPDATE transplant_center_employees SET role = $1, updated_at = NOW() WHERE id = $2
+        `, [role, employee.id]);
+
+        console.log(`✅ ${req.session.user.email} changed role of ${employee.email}: ${employee.role} -> ${role}`);
+
+        res.json({ success: true, role: role });
+    } catch (error) {
+        console.error('Role update error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update role' });
+    }
+});
+
+// Activate or deactivate a staff member
+app.post('/api/staff/:employeeId/status', requireAuth, requirePermission('manage_staff'), async (req, res) => {
+    try {
+        const { status } = req.body;
+
+        if (!['active', 'inactive'].includes(status)) {
+            return res.status(400).json({ success: false, error: 'Invalid status' });
+        }
+
+        const employee = await getManagedEmployee(req, res);
+        if (!employee) return;
+
+        if (employee.status === 'pending') {
+            return res.status(400).json({ success: false, error: 'Approve or reject pending registrations instead' });
+        }
+
+        await queryWithRetry(`
+            UPDATE transplant_center_employees SET status = $1, updated_at = NOW() WHERE id = $2
+        `, [status, employee.id]);
+
+        console.log(`✅ ${req.session.user.email} set ${employee.email} to ${status}`);
+
+        res.json({ success: true, status: status });
+    } catch (error) {
+        console.error('Staff status update error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update staff status' });
+    }
+});
+
+// Approve a pending self-registration with a role
+app.post('/api/staff/:employeeId/approve', requireAuth, requirePermission('manage_staff'), async (req, res) => {
+    try {
+        const role = req.body.role || 'read_only';
+
+        if (!TC_ROLES[role]) {
+            return res.status(400).json({ success: false, error: 'Invalid role' });
+        }
+
+        const employee = await getManagedEmployee(req, res);
+        if (!employee) return;
+
+        // The approval email is queued with the approval
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+                UPDATE transplant_center_employees SET status = 'active', role = $1, updated_at = NOW()
+                WHERE id = $2 AND status = 'pending'
+                RETURNING id
+            `, [role, employee.id]);
+
+            if (result.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ success: false, error: 'This account is no longer pending approval' });
+            }
+
+            await enqueueEmail(client, {
+                to: employee.email,
+                ...renderEmail('tc-account-approved', {
+                    recipientName: employee.first_name,
+                    centerName: req.session.user.center_name,
+                    portalUrl: `${TC_PORTAL_URL}/login`
+                }),
+                eventType: 'tc_registration_approved',
+                recipientType: 'tc_employee',
+                recipientId: employee.id
+            });
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        console.log(`✅ ${req.session.user.email} approved ${employee.email} as ${role}`);
+
+        res.json({ success: true, role: role });
+    } catch (error) {
+        console.error('Staff approval error:', error);
+        res.status(500).json({ success: false, error: 'Failed to approve staff member' });
+    }
+});
+
+// Reject a pending self-registration. The account never had access, so it is removed outright.
+app.post('/api/staff/:employeeId/reject', requireAuth, requirePermission('manage_staff'), async (req, res) => {
+    try {
+        const employee = await getManagedEmployee(req, res);
+        if (!employee) return;
+
+        const result = await queryWithRetry(`
+            DELETE FROM transplant_center_employees WHERE id = $1 AND status = 'pending'
+            RETURNING id
+        `, [employee.id]);
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({ success: false, error: 'This account is no longer pending approval' });
+        }
+
+        console.log(`✅ ${req.session.user.email} rejected registration of ${employee.email}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Staff rejection error:', error);
+        res.status(500).json({ success: false, error: 'Failed to reject registration' });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// STAFF INVITATIONS
+// ═══════════════════════════════════════════════════════════════
+
+const TC_PORTAL_URL = process.env.TC_PORTAL_URL || 'https://tc.transplantwizard.com';
+const INVITE_EXPIRY_HOURS = parseInt(process.env.TC_INVITE_EXPIRY_HOURS || '72');
+
+// Only the SHA-256 of an invitation token is stored; the raw token lives in the emailed link
+function hashInviteToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateInviteToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: hashInviteToken(token) };
+}
+
+// Send a portal email via SES right away. Returns false instead of throwing so callers can report it.
+// Only invitations are sent this way: their recipients have no account yet, and the inviting admin is
+// told at once if the email could not be sent. Everything else is queued in the notification outbox.
+async function sendPortalEmail(to, { subject, html, text }) {
+    try {
+        const { SESClient, SendEmailCommand } = require('@aws-sdk/client-ses');
+        const sesClient = new SESClient({ region: process.env.AWS_REGION || 'us-east-1' });
+
+        await sesClient.send(new SendEmailCommand({
+            Source: 'noreply@transplantwizard.com',
+            Destination: { ToAddresses: Array.isArray(to) ? to : [to] },
+            Message: {
+                Subject: { Data: subject },
+                Body: { Html: { Data: html }, Text: { Data: text } }
+            }
+        }));
+        console.log(`📧 Portal email sent to ${Array.isArray(to) ? to.join(', ') : to}: ${subject}`);
+        return true;
+    } catch (emailError) {
+        console.error('⚠️ Failed to send portal email:', emailError.message);
+        return false;
+    }
+}
+
+async function sendInvitationEmail(email, token, role, inviter) {
+    return sendPortalEmail(email, renderEmail('tc-staff-invitation', {
+        inviterName: `${inviter.firstName} ${inviter.lastName}`,
+        centerName: inviter.center_name,
+        role: role,
+        inviteUrl: `${TC_PORTAL_URL}/invite/${token}`,
+        expiryHours: INVITE_EXPIRY_HOURS
+    }));
+}
+
+// Queue an email to each of a center's active admins that someone is waiting for approval
+async function notifyAdminsOfPendingRegistration(db, transplantCenterId, employee) {
+    const adminResult = await db.query(`
+        SELECT id, email, first_name FROM transplant_center_employees
+        WHERE transplant_center_id = $1 AND role = 'admin' AND status = 'active'
+    `, [transplantCenterId]);
+
+    for (const admin of adminResult.rows) {
+        await enqueueEmail(db, {
+            to: admin.email,
+            ...renderEmail('tc-registration-pending', {
+                recipientName: admin.first_name,
+                employeeName: `${employee.first_name} ${employee.last_name}`,
+                employeeEmail: employee.email,
+                portalUrl: `${TC_PORTAL_URL}/staff`
+            }),
+            eventType: 'tc_registration_pending',
+            recipientType: 'tc_employee',
+            recipientId: admin.id
+        });
+    }
+}
+
+// Load an invitation for the current token if it can still be accepted
+async function getOpenInvitation(token, client = pool, forUpdate = false) {
+    const result = await client.query(`
+        SELECT i.*, tc.name as center_name
+        FROM tc_employee_invitations i
+        JOIN transplant_centers tc ON i.transplant_center_id = tc.id
+        WHERE i.token_hash = $1
+          AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()
+        ${forUpdate ? 'FOR UPDATE OF i' : ''}
+    `, [hashInviteToken(token)]);
+    return result.rows[0] || null;
+}
+
+// List invitations for the admin's center
+app.get('/api/invitations', requireAuth, requirePermission('manage_staff'), async (req, res) => {
+    try {
+        const result = await queryWithRetry(`
+            SELECT
+                i.id, i.email, i.role, i.expires_at, i.accepted_at, i.revoked_at,
+                i.send_count, i.last_sent_at, i.created_at,
+                inviter.first_name as invited_by_first_name,
+                inviter.last_name as invited_by_last_name,
+                CASE
+                    WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+                    WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+                    WHEN i.expires_at <= NOW() THEN 'expired'
+                    ELSE 'pending'
+                END as state
+            FROM tc_employee_invitations i
+            LEFT JOIN transplant_center_employees inviter ON i.invited_by = inviter.id
+            WHERE i.transplant_center_id = $1
+            ORDER BY i.created_at DESC
+            LIMIT 100
+        `, [req.session.user.transplant_center_id]);
+
+        res.json({ success: true, invitations: result.rows });
+    } catch (error) {
+        console.error('Error fetching invitations:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch invitations' });
+    }
+});
+
+// Invite a staff member by email
+app.post('/api/invitations', requireAuth, requirePermission('manage_staff'), async (req, res) => {
+    const client = await pool.connect();
+    try {
+        const email = (req.body.email || '').trim().toLowerCase();
+        const role = req.body.role || 'read_only';
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({ success: false, error: 'A valid email address is required' });
+        }
+        if (!TC_ROLES[role]) {
+            return res.status(400).json({ success: false, error: 'Invalid role' });
+        }
+
+        const existing = await client.query(
+            'SELECT id FROM transplant_center_employees WHERE email = $1',
+            [email]
+        );
+        if (existing.rows.length > 0) {
+            return res.status(409).json({ success: false, error: 'An account with this email already exists' });
+        }
+
+        const { token, tokenHash } = generateInviteToken();
+
+        await client.query('BEGIN');
+
+        // Expired invitations no longer count as open, so a fresh one can be sent
+        await client.query(`
+            UPDATE tc_employee_invitations SET revoked_at = NOW(), updated_at = NOW()
+            WHERE transplant_center_id = $1 AND LOWER(email) = $2
+              AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at <= NOW()
+        `, [req.session.user.transplant_center_id, email]);
+
+        const result = await client.query(`
+            INSERT INTO tc_employee_invitations (
+                transplant_center_id, email, role, token_hash, invited_by, expires_at
+            ) VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(hours => $6))
+            RETURNING id, email, role, expires_at
+        `, [req.session.user.transplant_center_id, email, role, tokenHash, req.session.user.id, INVITE_EXPIRY_HOURS]);
+
+        await client.query('COMMIT');
+
+        console.log(`✅ ${req.session.user.email} invited ${email} as ${role}`);
+
+        const emailSent = await sendInvitationEmail(email, token, role, req.session.user);
+
+        res.json({ success: true, invitation: result.rows[0], emailSent: emailSent });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, error: 'This email already has an open invitation. Resend it instead.' });
+        }
+        console.error('Error creating invitation:', error);
+        res.status(500).json({ success: false, error: 'Failed to create invitation' });
+    } finally {
+        client.release();
+    }
+});
+
+// Resend an invitation with a new token and expiry; the previous link stops working
+app.post('/api/invitations/:invitationId/resend', requireAuth, requirePermission('manage_staff'), async (req, res) => {
+    try {
+        const { token, tokenHash } = generateInviteToken();
+
+        const result = await queryWithRetry(`
+            UPDATE tc_employee_invitations
+            SET token_hash = $1,
+                expires_at = NOW() + make_interval(hours => $2),
+                send_count = send_count + 1,
+                last_sent_at = NOW(),
+                updated_at = NOW()
+            WHERE id = $3 AND transplant_center_id = $4
+              AND accepted_at IS NULL AND revoked_at IS NULL
+            RETURNING id, email, role, expires_at
+        `, [tokenHash, INVITE_EXPIRY_HOURS, req.params.invitationId, req.session.user.transplant_center_id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Invitation not found or no longer open' });
+        }
+
+        const invitation = result.rows[0];
+        console.log(`✅ ${req.session.user.email} resent invitation to ${invitation.email}`);
+
+        const emailSent = await sendInvitationEmail(invitation.email, token, invitation.role, req.session.user);
+
+        res.json({ success: true, invitation: invitation, emailSent: emailSent });
+    } catch (error) {
+        console.error('Error resending invitation:', error);
+        res.status(500).json({ success: false, error: 'Failed to resend invitation' });
+    }
+});
+
+// Revoke an open invitation
+app.post('/api/invitations/:invitationId/revoke', requireAuth, requirePermission('manage_staff'), async (req, res) => {
+    try {
+        const result = await queryWithRetry(`
+            UPDATE tc_employee_invitations
+            SET revoked_at = NOW(), revoked_by = $1, updated_at = NOW()
+            WHERE id = $2 AND transplant_center_id = $3
+              AND accepted_at IS NULL AND revoked_at IS NULL
+            RETURNING id, email
+        `, [req.session.user.id, req.params.invitationId, req.session.user.transplant_center_id]);
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Invitation not found or no longer open' });
+        }
+
+        console.log(`✅ ${req.session.user.email} revoked invitation to ${result.rows[0].email}`);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error revoking invitation:', error);
+        res.status(500).json({ success: false, error: 'Failed to revoke invitation' });
+    }
+});
+
+// Accept Invitation Page (public)
+app.get('/invite/:token', async (req, res) => {
+    try {
+        const invitation = await getOpenInvitation(req.params.token);
+
+        res.render('accept-invite', {
+            title: 'Accept Invitation - Transplant Center Portal',
+            invitation: invitation,
+            token: req.params.token,
+            roles: TC_ROLES,
+            error: invitation ? null : 'This invitation link is invalid, has expired, or has already been used.'
+        });
+    } catch (error) {
+        console.error('Invitation page error:', error);
+        res.render('accept-invite', {
+            title: 'Accept Invitation - Transplant Center Portal',
+            invitation: null,
+            token: req.params.token,
+            roles: TC_ROLES,
+            error: 'Failed to load invitation. Please try again.'
+        });
+    }
+});
+
+// Accept Invitation POST - creates an active account with the invited role
+app.post('/invite/:token', async (req, res) => {
+    const { title, firstName, lastName, phoneNumber, password, confirmPassword } = req.body;
+    const client = await pool.connect();
+    let invitation = null;
+
+    const renderError = (message) => res.render('accept-invite', {
+        title: 'Accept Invitation - Transplant Center Portal',
+        invitation: invitation,
+        token: req.params.token,
+        roles: TC_ROLES,
+        error: message
+    });
+
+    try {
+        await client.query('BEGIN');
+
+        // Lock the invitation so the same link cannot be redeemed twice concurrently
+        invitation = await getOpenInvitation(req.params.token, client, true);
+        if (!invitation) {
+            await client.query('ROLLBACK');
+            return renderError('This invitation link is invalid, has expired, or has already been used.');
+        }
+
+        if (!title || !firstName || !lastName || !password) {
+            await client.query('ROLLBACK');
+            return renderError('All required fields must be filled');
+        }
+        if (password.length < 8) {
+            await client.query('ROLLBACK');
+            return renderError('Password must be at least 8 characters long');
+        }
+        if (password !== confirmPassword) {
+            await client.query('ROLLBACK');
+            return renderError('Passwords do not match');
+        }
+
+        const existing = await client.query(
+            'SELECT id FROM transplant_center_employees WHERE email = $1',
+            [invitation.email]
+        );
+        if (existing.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return renderError('An account with this email already exists');
+        }
+
+        const passwordHash = await hashPassword(password);
+
+        const employeeResult = await client.query(`
+            INSERT INTO transplant_center_employees (
+                transplant_center_id, title, first_name, last_name,
+                phone_number, email, password_hash, role, status,
+                created_at, updated_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'active', NOW(), NOW())
+            RETURNING id, email
+        `, [
+            invitation.transplant_center_id, title, firstName.trim(), lastName.trim(),
+            phoneNumber || null, invitation.email, passwordHash, invitation.role
+        ]);
+
+        await client.query(`
+            UPDATE tc_employee_invitations
+            SET accepted_at = NOW(), accepted_employee_id = $1, updated_at = NOW()
+            WHERE id = $2
+        `, [employeeResult.rows[0].id, invitation.id]);
+
+        await client.query('COMMIT');
+
+        console.log(`✅ TC invitation accepted: ${invitation.email} (${invitation.role})`);
+
+        res.redirect('/login?registered=true');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('❌ Invitation acceptance error:', error);
+        renderError('Failed to create your account. Please try again.');
+    } finally {
+        client.release();
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// NOTIFICATION DELIVERIES
+// ═══════════════════════════════════════════════════════════════
+
+// Outbox items a center's admins can see and retry: everything for the center's own staff, and for
+// the patients referred to the center and their social workers, whatever this center caused plus what
+// no center caused (another center's status updates and requests are that center's business).
+// $1 is the center.
+const CENTER_DELIVERY_JOINS = `
+    FROM notification_outbox o
+    LEFT JOIN transplant_center_employees tce ON o.recipient_type = 'tc_employee' AND o.recipient_id = tce.id::text
+    LEFT JOIN dusw_social_workers dsw ON o.recipient_type = 'dusw' AND o.recipient_id = dsw.id::text
+    LEFT JOIN patients p ON o.patient_id = p.id
+    LEFT JOIN users u ON p.user_id = u.id
+`;
+const CENTER_DELIVERY_CONDITION = `(
+    tce.transplant_center_id = $1
+    OR (o.recipient_type != 'tc_employee' AND (
+        o.transplant_center_id = $1
+        OR (o.transplant_center_id IS NULL AND EXISTS (
+            SELECT 1 FROM patient_referrals pr
+            WHERE pr.patient_id = o.patient_id AND pr.transplant_center_id = $1 AND pr.status <> 'withdrawn'
+        ))
+    ))
+)`;
+
+// Emails, portal notifications and pushes the patient API's outbox could not deliver: retries still
+// pending, dead (out of attempts) and blocked (SES sandbox filter)
+app.get('/api/notification-deliveries', requireAuth, requirePermission('manage_staff'), async (req, res) => {
+    try {
+        const result = await queryWithRetry(`
+            SELECT
+                o.id, o.channel, o.event_type, o.recipient_type, o.recipient_email, o.status, o.attempts, o.max_attempts,
+                o.last_error, o.next_attempt_at, o.created_at, o.updated_at,
+                CASE o.recipient_type
+                    WHEN 'tc_employee' THEN tce.first_name
+                    WHEN 'dusw' THEN dsw.first_name
+                    ELSE u.first_name
+                END as recipient_first_name,
+                CASE o.recipient_type
+                    WHEN 'tc_employee' THEN tce.last_name
+                    WHEN 'dusw' THEN dsw.last_name
+                    ELSE u.last_name
+                END as recipient_last_name,
+                u.first_name as patient_first_name, u.last_name as patient_last_name
+            ${CENTER_DELIVERY_JOINS}
+            WHERE ${CENTER_DELIVERY_CONDITION}
+              AND (o.status IN ('dead', 'blocked') OR (o.status = 'pending' AND o.attempts > 0))
+            ORDER BY o.updated_at DESC
+            LIMIT 100
+        `, [req.session.user.transplant_center_id]);
+
+        res.json({ success: true, deliveries: result.rows });
+    } catch (error) {
+        console.error('Error fetching notification deliveries:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch notification deliveries' });
+    }
+});
+
+// Queue a dead or blocked delivery again
+app.post('/api/notification-deliveries/:deliveryId/retry', requireAuth, requirePermission('manage_staff'), async (req, res) => {
+    try {
+        const ownership = await queryWithRetry(`
+            SELECT o.id
+            ${CENTER_DELIVERY_JOINS}
+            WHERE ${CENTER_DELIVERY_CONDITION} AND o.id = $2
+        `, [req.session.user.transplant_center_id, req.params.deliveryId]);
+
+        if (ownership.rows.length === 0) {
+            return res.status(404).json({ success: false, error: 'Delivery not found' });
+        }
+
+        const requeued = await requeueNotification(pool, req.params.deliveryId);
+        if (!requeued) {
+            return res.status(400).json({ success: false, error: 'Only failed deliveries can be retried' });
+        }
+
+        console.log(`📬 Notification ${req.params.deliveryId} requeued by ${req.session.user.email}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error retrying notification delivery:', error);
+        res.status(500).json({ success: false, error: 'Failed to retry delivery' });
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// EMAIL TEMPLATE PREVIEW
+// ═══════════════════════════════════════════════════════════════
+
+// Preview every notification email in each supported language, rendered with sample data
+app.get('/email-templates', requireAuth, requirePermission('manage_staff'), (req, res) => {
+    const templates = listTemplates();
+    const selected = templates.find(template => template.name === req.query.template) || templates[0];
+    const locale = SUPPORTED_LOCALES[req.query.locale] ? req.query.locale : 'en';
+
+    res.render('email-templates', {
+        title: 'Email Templates - Transplant Center Portal',
+        user: req.session.user,
+        templates: templates,
+        locales: SUPPORTED_LOCALES,
+        selected: selected,
+        locale: locale,
+        preview: renderSample(selected.name, locale)
+    });
+});
+
+// Raw rendered HTML for the preview frame
+app.get('/email-templates/:name/preview', requireAuth, requirePermission('manage_staff'), (req, res) => {
+    if (!listTemplates().some(template => template.name === req.params.name)) {
+        return res.status(404).send('Template not found');
+    }
+
+    const preview = renderSample(req.params.name, req.query.locale);
+    res.type('html').send(preview.html);
+});
+
+// ═══════════════════════════════════════════════════════════════
+// DOCUMENT REQUIREMENTS
+// ═══════════════════════════════════════════════════════════════
+
+// The center's required-document checklist for one organ program
+app.get('/document-requirements', requireAuth, requirePermission('manage_staff'), async (req, res) => {
+    try {
+        const organProgram = ORGAN_PROGRAMS[req.query.program] ? req.query.program : 'kidney';
+        const requirements = await getCenterRequirements(pool, req.session.user.transplant_center_id, organProgram);
+
+        // Configured types first in checklist order, then everything else a center could add
+        const configuredTypes = requirements.map(requirement => requirement.documentType);
+        const rows = [
+            ...requirements.map(requirement => ({ ...requirement, included: true })),
+            ...CHECKLIST_DOCUMENT_TYPES
+                .filter(type => !configuredTypes.includes(type))
+                .map(type => ({ documentType: type, name: documentTypeName(type), isRequired: true, maxAgeDays: null, included: false }))
+        ];
+
+        res.render('document-requirements', {
+            title: 'Document Requirements - Transplant Center Portal',
+            user: req.session.user,
+            organPrograms: ORGAN_PROGRAMS,
+            organProgram: organProgram,
+            rows: rows,
+            usingDefault: requirements.length === 0,
+            lastUpdated: requirements.reduce((latest, requirement) =>
+                !latest || requirement.updatedAt > latest ? requirement.updatedAt : latest, null)
+        });
+    } catch (error) {
+        console.error('Document requirements page error:', error);
+        res.redirect('/dashboard');
+    }
+});
+
+// Replace the checklist for one organ program; an empty list returns the program to the default package
+app.post('/api/document-requirements', requireAuth, requirePermission('manage_staff'), async (req, res) => {
+    const { organProgram, requirements } = req.body;
+
+    const validationError = validateRequirements(organProgram, requirements);
+    if (validationError) {
+        return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        await saveCenterRequirements(client, {
+            transplantCenterId: req.session.user.transplant_center_id,
+            organProgram: organProgram,
+            requirements: requirements,
+            updatedBy: req.session.user.id
+        });
+        await client.query('COMMIT');
+
+        console.log(`✅ ${req.session.user.email} saved ${requirements.length} ${organProgram} document requirements for ${req.session.user.center_name}`);
+
+        res.json({ success: true, count: requirements.length });
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('Document requirements save error:', error);
+        res.status(500).json({ success: false, error: 'Failed to save document requirements' });
+    } finally {
+        client.release();
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════
+// CARE TEAM MESSAGES (dialysis unit social workers)
+// ═══════════════════════════════════════════════════════════════
+
+// Multer errors (size, file type) go back to the form instead of an error page
+function careTeamAttachmentUpload(req, res, next) {
+    upload.single('attachment')(req, res, (error) => {
+        if (error) {
+            // The new-thread form posts to /care-team?patientId=..., since the body is unparsed here
+            const back = req.params.threadId
+                ? `/care-team/${req.params.threadId}?`
+                : `/care-team?patientId=${encodeURIComponent(req.query.patientId || '')}&`;
+            return res.redirect(`${back}error=${encodeURIComponent(error.message)}`);
+        }
+        next();
+    });
+}
+
+function tcPrincipal(req) {
+    return { type: 'tc_employee', id: req.session.user.id };
+}
+
+function requestContext(req) {
+    return { ipAddress: req.ip, userAgent: req.get('User-Agent') };
+}
+
+// Upload an attachment to the document store; its patient_documents row is written with the message
+async function storeCareTeamAttachment(patientId, employeeId, file) {
+    const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+
+    const s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+    const documentGroupId = crypto.randomUUID();
+    const fileExtension = file.originalname.split('.').pop() || 'pdf';
+    const s3Key = `patients/${patientId}/documents/${careTeam.CARE_TEAM_ATTACHMENT_TYPE}/${documentGroupId}/file.${fileExtension}`;
+
+    await s3Client.send(new PutObjectCommand({
+        Bucket: S3_DOCUMENTS_BUCKET,
+        Key: s3Key,
+        Body: file.buffer,
+        ContentType: file.mimetype,
+        ServerSideEncryption: 'AES256',
+        Metadata: {
+            'patient-id': String(patientId),
+            'document-type': careTeam.CARE_TEAM_ATTACHMENT_TYPE,
+            'uploaded-by': 'tc_employee',
+            'tc-employee-id': String(employeeId),
+            'original-filename': String(file.originalname)
+        }
+    }));
+
+    return { file, s3Key, documentGroupId };
+}
+
+// Post a care team message. resolveThread(client) returns the thread (or creates one) inside the
+// transaction, so the thread, message, attachment row and DUSW notification commit together.
+async function sendCareTeamMessage(req, patientId, content, resolveThread) {
+    const principal = tcPrincipal(req);
+    const attachment = req.file ? await storeCareTeamAttachment(patientId, principal.id, req.file) : null;
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const thread = await resolveThread(client);
+
+        let attachmentDocumentId = null;
+        if (attachment) {
+            // uploaded_by_id holds DUSW ids (integers); the sending employee is on the message row
+            const docResult = await client.query(`
+                INSERT INTO patient_documents (
+                    patient_id, document_type, file_name, file_size, mime_type,
+                    s3_key, s3_bucket, upload_status, is_front, document_group_id, uploaded_by_type
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'completed', true, $8, 'tc_employee')
+                RETURNING id
+            `, [
+                patientId, careTeam.CARE_TEAM_ATTACHMENT_TYPE, attachment.file.originalname, attachment.file.size,
+                attachment.file.mimetype, attachment.s3Key, S3_DOCUMENTS_BUCKET, attachment.documentGroupId
+            ]);
+            attachmentDocumentId = docResult.rows[0].id;
+        }
+
+        const message = await careTeam.addMessage(client, thread, principal, {
+            content: content.trim(),
+            attachmentDocumentId: attachmentDocumentId,
+            senderName: `${req.session.user.firstName} ${req.session.user.lastName}`
+        });
+
+        await client.query('COMMIT');
+
+        await careTeam.logThreadEvent(auditLogger, thread, principal, 'care_team_message_sent',
+            `${req.session.user.email} sent a care team message to the dialysis social worker`,
+            { ...requestContext(req), metadata: { message_id: message.id, attachment_document_id: attachmentDocumentId } });
+
+        return thread;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Care team inbox; ?patientId= limits it to one patient and offers a new thread with their social worker
+app.get('/care-team', requireAuth, requirePermission('view'), async (req, res) => {
+    try {
+        const principal = tcPrincipal(req);
+        const patientId = req.query.patientId || null;
+        const threads = await careTeam.listThreads(pool, principal, { patientId: patientId });
+
+        let patient = null;
+        if (patientId) {
+            const patientResult = await queryWithRetry(`
+                SELECT p.id, u.first_name, u.last_name,
+                       dsw.first_name as dusw_first_name, dsw.last_name as dusw_last_name, dsw.dialysis_clinic
+                FROM patients p
+                JOIN users u ON p.user_id = u.id
+                JOIN patient_referrals pr ON pr.patient_id = p.id AND pr.transplant_center_id = $2 AND pr.status <> 'withdrawn'
+                LEFT JOIN patient_dusw_assignments pda ON pda.patient_id = p.id
+                LEFT JOIN dusw_social_workers dsw ON pda.dusw_social_worker_id = dsw.id
+                WHERE p.id = $1
+                LIMIT 1
+            `, [patientId, req.session.user.transplant_center_id]);
+            patient = patientResult.rows[0] || null;
+        }
+
+        res.render('care-team', {
+            title: 'Care Team - Transplant Center Portal',
+            user: req.session.user,
+            threads: threads,
+            patient: patient,
+            canSend: res.locals.permissions.includes('update_referrals'),
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Care team page error:', error);
+        res.status(500).send('Server error');
+    }
+});
+
+// Start a thread with the patient's dialysis social worker
+app.post('/care-team', requireAuth, requirePermission('update_referrals'), careTeamAttachmentUpload, async (req, res) => {
+    const { patientId, subject, message } = req.body;
+    const backUrl = `/care-team?patientId=${encodeURIComponent(patientId || '')}`;
+
+    try {
+        const principal = tcPrincipal(req);
+        const transplantCenterId = req.session.user.transplant_center_id;
+
+        const contentError = validateMessageContent(message);
+        if (contentError || !subject?.trim()) {
+            return res.redirect(`${backUrl}&error=${encodeURIComponent(contentError || 'Subject is required')}`);
+        }
+
+        const participants = await careTeam.resolveParticipants(pool, patientId, transplantCenterId);
+        if (!participants) {
+            return res.redirect(`${backUrl}&error=${encodeURIComponent('This patient has no assigned social worker to message')}`);
+        }
+
+        const thread = await sendCareTeamMessage(req, patientId, message, (client) => careTeam.createThread(client, {
+            patientId: patientId,
+            transplantCenterId: transplantCenterId,
+            duswId: participants.duswId,
+            subject: subject.trim().substring(0, 200)
+        }, principal));
+
+        console.log(`✅ ${req.session.user.email} started care team thread ${thread.id} for patient ${patientId}`);
+        res.redirect(`/care-team/${thread.id}`);
+    } catch (error) {
+        console.error('❌ Error starting care team thread:', error);
+        res.redirect(`${backUrl}&error=${encodeURIComponent('Failed to send message')}`);
+    }
+});
+
+// Care team thread; opening it marks it read and is recorded in the patient's audit trail
+app.get('/care-team/:threadId', requireAuth, requirePermission('view'), async (req, res) => {
+    try {
+        const principal = tcPrincipal(req);
+        const thread = await careTeam.getThread(pool, req.params.threadId, principal);
+        if (!thread) {
+            return res.status(404).send('Conversation not found');
+        }
+
+        const messages = await careTeam.getMessages(pool, thread.id, principal);
+        await careTeam.markRead(pool, thread.id, principal);
+        await careTeam.logThreadEvent(auditLogger, thread, principal, 'care_team_thread_viewed',
+            `${req.session.user.email} viewed a care team thread with the dialysis social worker`, requestContext(req));
+
+        res.locals.unreadCareTeamCount = await careTeam.countUnreadThreads(pool, principal);
+
+        res.render('care-team-thread', {
+            title: `${thread.subject} - Transplant Center Portal`,
+            user: req.session.user,
+            thread: thread,
+            messages: messages,
+            canSend: res.locals.permissions.includes('update_referrals'),
+            error: req.query.error
+        });
+    } catch (error) {
+        console.error('Care team thread page error:', error);
+        res.status(500).send('Server error');
+    }
+});
+
+// Reply in a care team thread
+app.post('/care-team/:threadId/reply', requireAuth, requirePermission('update_referrals'), careTeamAttachmentUpload, async (req, res) => {
+    const threadUrl = `/care-team/${req.params.threadId}`;
+
+    try {
+        const thread = await careTeam.getThread(pool, req.params.threadId, tcPrincipal(req));
+        if (!thread) {
+            return res.status(404).send('Conversation not found');
+        }
+
+        const contentError = validateMessageContent(req.body.message);
+        if (contentError) {
+            return res.redirect(`${threadUrl}?error=${encodeURIComponent(contentError)}`);
+        }
+
+        await sendCareTeamMessage(req, thread.patient_id, req.body.message, async () => thread);
+
+        res.redirect(threadUrl);
+    } catch (error) {
+        console.error('❌ Error sending care team reply:', error);
+        res.redirect(`${threadUrl}?error=${encodeURIComponent('Failed to send message')}`);
+    }
+});
+
+// Logout
+app.post('/logout', (req, res) => {
+    req.session.destroy((err) => {
+        if (err) {
+            console.error('Logout error:', err);
+        }
+        res.redirect('/');
+    });
+});
+
+// Start server (tests require the app without listening)
+if (require.main === module) {
+    app.listen(PORT, '0.0.0.0', () => {
+        console.log(`🏥 Transplant Center Portal running on http://localhost:${PORT}`);
+        console.log(`📱 Network Access: http://192.168.1.69:${PORT}`);
+        console.log(`🔐 Authentication: Session-based login`);
+        console.log(`🗄️  Database: AWS RDS PostgreSQL`);
+    });
+
+    // Graceful shutdown
+    process.on('SIGTERM', async () => {
+        console.log('🛑 Shutting down gracefully');
+        await pool.end();
+        process.exit(0);
+    });
+
+    process.on('SIGINT', async () => {
+        console.log('🛑 Shutting down gracefully');
+        await pool.end();
+        process.exit(0);
+    });
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = { app, pool };
\ No newline at end of file
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { startPortal } = require('./portal');
+const { createCenter, createEmployee } = require('../../backend-api/test/fixtures');
+
+describe('staff invitations and registration approval', () => {
+    let portal;
+    let center;
+    let admin;
+    let adminAgent;
+
+    beforeAll(async () => {
+        portal = await startPortal();
+        center = await createCenter(portal.db);
+        admin = await createEmployee(portal.db, center, { role: 'admin' });
+        adminAgent = await portal.signIn(admin);
+    });
+
+    afterAll(() => portal.stop());
+
+    async function employeeByEmail(email) {
+        const result = await portal.db.query('SELECT id, role, status, transplant_center_id FROM transplant_center_employees WHERE email = $1', [email]);
+        return result.rows[0];
+    }
+
+    function logIn(email, password) {
+        return request(portal.app).post('/login').type('form').send({ email, password });
+    }
+
+    // The raw token only travels in the invitation email, so tests give the invitation a token they know
+    async function setInviteToken(invitationId) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+        await portal.db.query('UPDATE tc_employee_invitations SET token_hash = $1 WHERE id = $2', [tokenHash, invitationId]);
+        return token;
+    }
+
+    function acceptInvite(token, fields = {}) {
+        return request(portal.app).post(`/invite/${token}`).type('form').send({
+            title: 'Dr.',
+            firstName: 'Riley',
+            lastName: 'Park',
+            password: 'a-long-password',
+            confirmPassword: 'a-long-password',
+            ...fields
+        });
+    }
+
+    describe('self-registration', () => {
+        function register(email, firstName = 'Casey') {
+            return request(portal.app).post('/register').type('form').send({
+                title: 'Dr.',
+                firstName: firstName,
+                lastName: 'Nguyen',
+                phoneNumber: '555-0100',
+                email: email,
+                password: 'a-long-password',
+                transplantCenter: center.name
+            });
+        }
+
+        it('creates a pending read-only account that cannot sign in until approved', async () => {
+            const response = await register('casey@center.example.com');
+
+            expect(response.headers.location).toBe('/login?registered=pending');
+            expect(await employeeByEmail('casey@center.example.com')).toMatchObject({ role: 'read_only', status: 'pending' });
+
+            const login = await logIn('casey@center.example.com', 'a-long-password');
+            expect(login.status).toBe(200);
+        });
+
+        it('activates the account with the role the admin picks', async () => {
+            await register('drew@center.example.com');
+            const pending = await employeeByEmail('drew@center.example.com');
+
+            const approve = await adminAgent.post(`/api/staff/${pending.id}/approve`).send({ role: 'coordinator' });
+
+            expect(approve.status).toBe(200);
+            expect(await employeeByEmail('drew@center.example.com')).toMatchObject({ role: 'coordinator', status: 'active' });
+            expect((await logIn('drew@center.example.com', 'a-long-password')).headers.location).toBe('/dashboard');
+
+            const again = await adminAgent.post(`/api/staff/${pending.id}/approve`).send({ role: 'admin' });
+            expect(again.status).toBe(409);
+        });
+
+        it('emails the admins and then the approved employee with escaped names and a plain-text part', async () => {
+            await portal.db.query("DELETE FROM notification_outbox WHERE channel = 'email'");
+            await register('quinn@center.example.com', '<b>Quinn</b>');
+            const pending = await employeeByEmail('quinn@center.example.com');
+            await adminAgent.post(`/api/staff/${pending.id}/approve`).send({ role: 'read_only' });
+
+            const emails = await portal.db.query(
+                "SELECT event_type, recipient_email, payload FROM notification_outbox WHERE channel = 'email' ORDER BY created_at"
+            );
+            expect(emails.rows.map(row => [row.event_type, row.recipient_email])).toEqual([
+                ['tc_registration_pending', admin.email],
+                ['tc_registration_approved', 'quinn@center.example.com']
+            ]);
+            const [awaiting, approved] = emails.rows.map(row => row.payload);
+            expect(awaiting.html).not.toContain('<b>Quinn</b>');
+            expect(awaiting.html).toContain('&lt;b&gt;Quinn&lt;/b&gt; Nguyen');
+            expect(awaiting.text).toContain('<b>Quinn</b> Nguyen (quinn@center.example.com) has requested access');
+            expect(approved.text).toContain(`Your Transplant Center Portal account at ${center.name} has been approved`);
+            expect(approved.text).toContain('Log In to the Portal: https://tc.transplantwizard.com/login');
+        });
+
+        it('removes a rejected registration', async () => {
+            await register('blake@center.example.com');
+            const pending = await employeeByEmail('blake@center.example.com');
+
+            const reject = await adminAgent.post(`/api/staff/${pending.id}/reject`);
+
+            expect(reject.status).toBe(200);
+            expect(await employeeByEmail('blake@center.example.com')).toBeUndefined();
+        });
+    });
+
+    describe('invitations', () => {
+        it('creates an active account with the invited role, once', async () => {
+            const invite = await adminAgent.post('/api/invitations').send({ email: 'Riley@Center.example.com', role: 'coordinator' });
+            expect(invite.status).toBe(200);
+            expect(invite.body.invitation).toMatchObject({ email: 'riley@center.example.com', role: 'coordinator' });
+
+            const token = await setInviteToken(invite.body.invitation.id);
+
+            const accept = await acceptInvite(token);
+            expect(accept.headers.location).toBe('/login?registered=true');
+            expect(await employeeByEmail('riley@center.example.com')).toMatchObject({
+                role: 'coordinator',
+                status: 'active',
+                transplant_center_id: center.id
+            });
+            expect((await logIn('riley@center.example.com', 'a-long-password')).headers.location).toBe('/dashboard');
+
+            const reuse = await acceptInvite(token, { password: 'another-password', confirmPassword: 'another-password' });
+            expect(reuse.status).toBe(200);
+            expect(reuse.text).toContain('invalid, has expired, or has already been used');
+            expect((await logIn('riley@center.example.com', 'another-password')).headers.location).not.toBe('/dashboard');
+        });
+
+        it('refuses bad addresses, existing accounts and a second open invitation', async () => {
+            expect((await adminAgent.post('/api/invitations').send({ email: 'not-an-email' })).status).toBe(400);
+            expect((await adminAgent.post('/api/invitations').send({ email: admin.email })).status).toBe(409);
+            expect((await adminAgent.post('/api/invitations').send({ email: 'sky@center.example.com', role: 'owner' })).status).toBe(400);
+
+            expect((await adminAgent.post('/api/invitations').send({ email: 'sky@center.example.com' })).status).toBe(200);
+            expect((await adminAgent.post('/api/invitations').send({ email: 'sky@center.example.com' })).status).toBe(409);
+        });
+
+        it('stops an invitation link working once it expires, is revoked or is resent', async () => {
+            const expired = await adminAgent.post('/api/invitations').send({ email: 'expired@center.example.com' });
+            const expiredToken = await setInviteToken(expired.body.invitation.id);
+            await portal.db.query("UPDATE tc_employee_invitations SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [expired.body.invitation.id]);
+
+            const revoked = await adminAgent.post('/api/invitations').send({ email: 'revoked@center.example.com' });
+            const revokedToken = await setInviteToken(revoked.body.invitation.id);
+            expect((await adminAgent.post(`/api/invitations/${revoked.body.invitation.id}/revoke`)).status).toBe(200);
+
+            const resent = await adminAgent.post('/api/invitations').send({ email: 'resent@center.example.com' });
+            const resentToken = await setInviteToken(resent.body.invitation.id);
+            const resend = await adminAgent.post(`/api/invitations/${resent.body.invitation.id}/resend`);
+            expect(resend.status).toBe(200);
+
+            for (const token of [expiredToken, revokedToken, resentToken]) {
+                expect((await acceptInvite(token)).text).toContain('invalid, has expired, or has already been used');
+            }
+            for (const email of ['expired@center.example.com', 'revoked@center.example.com', 'resent@center.example.com']) {
+                expect(await employeeByEmail(email)).toBeUndefined();
+            }
+
+            const send = await portal.db.query('SELECT send_count FROM tc_employee_invitations WHERE id = $1', [resent.body.invitation.id]);
+            expect(send.rows[0].send_count).toBe(2);
+        });
+
+        it('only lets admins manage invitations for their own center', async () => {
+            const coordinator = await createEmployee(portal.db, center, { role: 'coordinator' });
+            const coordinatorAgent = await portal.signIn(coordinator);
+            expect((await coordinatorAgent.post('/api/invitations').send({ email: 'nope@center.example.com' })).status).toBe(403);
+
+            const otherAdmin = await createEmployee(portal.db, await createCenter(portal.db), { role: 'admin' });
+            const otherAgent = await portal.signIn(otherAdmin);
+            const invite = await adminAgent.post('/api/invitations').send({ email: 'kept@center.example.com' });
+
+            expect((await otherAgent.post(`/api/invitations/${invite.body.invitation.id}/revoke`)).status).toBe(404);
+            expect((await otherAgent.get('/api/invitations')).body.invitations).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,133 @@
+const { startPortal } = require('./portal');
+const { enqueueEmail, enqueueTcNotification, enqueuePush } = require('../../backend-api/src/services/notificationOutbox');
+const {
+    createPatient,
+    createCenter,
+    createEmployee,
+    createSocialWorker,
+    createReferral
+} = require('../../backend-api/test/fixtures');
+
+describe('failed notification deliveries', () => {
+    let portal;
+    let center;
+    let otherCenter;
+    let adminAgent;
+    let patient;
+
+    beforeAll(async () => {
+        portal = await startPortal();
+        center = await createCenter(portal.db);
+        otherCenter = await createCenter(portal.db);
+        adminAgent = await portal.signIn(await createEmployee(portal.db, center, { role: 'admin' }));
+        patient = await createPatient(portal.db);
+        await createReferral(portal.db, patient, center);
+        await createReferral(portal.db, patient, otherCenter);
+    });
+
+    afterAll(() => portal.stop());
+
+    beforeEach(() => portal.db.query('DELETE FROM notification_outbox'));
+
+    // Queue an item and mark it as out of attempts
+    async function failed(enqueued) {
+        const id = await enqueued;
+        await portal.db.query("UPDATE notification_outbox SET status = 'dead', attempts = max_attempts, last_error = 'Rejected' WHERE id = $1", [id]);
+        return id;
+    }
+
+    const statusEmail = transplantCenterId => enqueueEmail(portal.db, {
+        to: patient.user.email,
+        subject: 'Your referral was updated',
+        html: '<p>Updated</p>',
+        text: 'Updated',
+        eventType: 'referral_status_update',
+        recipientType: 'patient',
+        recipientId: patient.user.id,
+        patientId: patient.id,
+        transplantCenterId: transplantCenterId
+    });
+
+    const todoPush = forPatient => enqueuePush(portal.db, {
+        patientId: forPatient.id,
+        userId: forPatient.user.id,
+        category: 'todo',
+        eventType: 'todo_created',
+        title: 'New task',
+        body: 'You have a new task'
+    });
+
+    async function listed() {
+        const response = await adminAgent.get('/api/notification-deliveries');
+        expect(response.status).toBe(200);
+        return response.body.deliveries.map(delivery => delivery.id).sort();
+    }
+
+    it("shows the center's staff, patient and social worker deliveries, but not another center's", async () => {
+        const staff = await failed(enqueueTcNotification(portal.db, {
+            tcEmployeeId: (await createEmployee(portal.db, center)).id,
+            patientId: patient.id,
+            notificationType: 'new_referral',
+            title: 'New referral',
+            message: 'A patient selected your center',
+            transplantCenterId: center.id
+        }));
+        const ownStatusEmail = await failed(statusEmail(center.id));
+        const uncaused = await failed(todoPush(patient));
+        await failed(statusEmail(otherCenter.id));
+        await failed(enqueueTcNotification(portal.db, {
+            tcEmployeeId: (await createEmployee(portal.db, otherCenter)).id,
+            patientId: patient.id,
+            notificationType: 'new_referral',
+            title: 'New referral',
+            message: 'A patient selected your center'
+        }));
+        await failed(todoPush(await createPatient(portal.db)));
+
+        expect(await listed()).toEqual([staff, ownStatusEmail, uncaused].sort());
+    });
+
+    it('names the recipient of each delivery', async () => {
+        const socialWorker = await createSocialWorker(portal.db);
+        await failed(enqueueEmail(portal.db, {
+            to: socialWorker.email,
+            subject: 'Document requested',
+            html: '<p>Requested</p>',
+            text: 'Requested',
+            eventType: 'document_request',
+            recipientType: 'dusw',
+            recipientId: socialWorker.id,
+            patientId: patient.id,
+            transplantCenterId: center.id
+        }));
+
+        const response = await adminAgent.get('/api/notification-deliveries');
+
+        expect(response.body.deliveries).toEqual([expect.objectContaining({
+            recipient_type: 'dusw',
+            recipient_first_name: socialWorker.first_name,
+            recipient_last_name: socialWorker.last_name,
+            patient_last_name: patient.user.last_name
+        })]);
+    });
+
+    it("only retries the center's own failed deliveries", async () => {
+        const own = await failed(statusEmail(center.id));
+        const others = await failed(statusEmail(otherCenter.id));
+
+        expect((await adminAgent.post(`/api/notification-deliveries/${others}/retry`)).status).toBe(404);
+        expect((await adminAgent.post(`/api/notification-deliveries/${own}/retry`)).body).toEqual({ success: true });
+        expect((await adminAgent.post(`/api/notification-deliveries/${own}/retry`)).status).toBe(400);
+
+        const statuses = await portal.db.query('SELECT id, status FROM notification_outbox WHERE id = ANY($1::uuid[])', [[own, others]]);
+        expect(Object.fromEntries(statuses.rows.map(row => [row.id, row.status]))).toEqual({ [own]: 'pending', [others]: 'dead' });
+    });
+
+    it('stops showing a patient once their referral is withdrawn', async () => {
+        const withdrawn = await createPatient(portal.db);
+        await createReferral(portal.db, withdrawn, center, { status: 'withdrawn' });
+        await failed(todoPush(withdrawn));
+
+        expect(await listed()).toEqual([]);
+    });
+});
@@ -0,0 +1,49 @@
+// Loads the portal against a fresh test database and signs employees in through the login form.
+
+const bcrypt = require('bcrypt');
+const request = require('supertest');
+const { createTestDatabase } = require('../../backend-api/test/database');
+
+const PASSWORD = 'correct-horse-battery';
+
+async function startPortal() {
+    const database = await createTestDatabase();
+    Object.assign(process.env, database.config, {
+        SESSION_SECRET: 'test-session-secret',
+        JWT_SECRET: 'test-jwt-secret',
+        // Emails and uploads fail fast instead of reaching AWS
+        AWS_ACCESS_KEY_ID: 'test',
+        AWS_SECRET_ACCESS_KEY: 'test',
+        AWS_ENDPOINT_URL: 'http://127.0.0.1:9'
+    });
+
+    let server;
+    jest.isolateModules(() => {
+        server = require('../server');
+    });
+
+    return {
+        app: server.app,
+        db: database.pool,
+
+        // Returns a supertest agent carrying the employee's session cookie
+        async signIn(employee) {
+            const hash = await bcrypt.hash(PASSWORD, 4);
+            await database.pool.query('UPDATE transplant_center_employees SET password_hash = $1 WHERE id = $2', [hash, employee.id]);
+
+            const agent = request.agent(server.app);
+            const response = await agent.post('/login').type('form').send({ email: employee.email, password: PASSWORD });
+            if (response.status !== 302 || response.headers.location !== '/dashboard') {
+                throw new Error(`Sign-in failed for ${employee.email}`);
+            }
+            return agent;
+        },
+
+        async stop() {
+            await server.pool.end();
+            await database.drop();
+        }
+    };
+}
+
+module.exports = { startPortal };
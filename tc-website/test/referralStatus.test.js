@@ -0,0 +1,143 @@
+const { startPortal } = require('./portal');
+const { createPatient, createCenter, createEmployee, createReferral } = require('../../backend-api/test/fixtures');
+
+describe('referral status workflow', () => {
+    let portal;
+    let center;
+    let employee;
+    let agent;
+
+    beforeAll(async () => {
+        portal = await startPortal();
+        center = await createCenter(portal.db);
+        employee = await createEmployee(portal.db, center);
+        agent = await portal.signIn(employee);
+    });
+
+    afterAll(() => portal.stop());
+
+    async function referralStatus(patient) {
+        const result = await portal.db.query(
+            'SELECT status FROM patient_referrals WHERE patient_id = $1 AND transplant_center_id = $2',
+            [patient.id, center.id]
+        );
+        return result.rows[0].status;
+    }
+
+    async function referredPatient(status = 'submitted') {
+        const patient = await createPatient(portal.db);
+        await createReferral(portal.db, patient, center, { status });
+        return patient;
+    }
+
+    it('applies an allowed transition and records who made it', async () => {
+        const patient = await referredPatient();
+
+        const response = await agent.post(`/api/patient/${patient.id}/status`).send({ status: 'under_review' });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ success: true, newStatus: 'under_review', allowedStatuses: ['accepted', 'waitlisted', 'declined'] });
+        expect(await referralStatus(patient)).toBe('under_review');
+
+        const history = await portal.db.query('SELECT * FROM referral_status_history WHERE patient_id = $1', [patient.id]);
+        expect(history.rows).toEqual([
+            expect.objectContaining({
+                from_status: 'submitted',
+                to_status: 'under_review',
+                action: 'transition',
+                changed_by_type: 'tc_employee',
+                changed_by_employee_id: employee.id
+            })
+        ]);
+    });
+
+    it('refuses a transition the workflow does not allow', async () => {
+        const patient = await referredPatient();
+
+        const response = await agent.post(`/api/patient/${patient.id}/status`).send({ status: 'accepted' });
+
+        expect(response.status).toBe(409);
+        expect(response.body.allowedStatuses).toEqual(['under_review', 'declined']);
+        expect(await referralStatus(patient)).toBe('submitted');
+    });
+
+    it('requires a reason code to decline, and a note when the reason is other', async () => {
+        const patient = await referredPatient('under_review');
+        const statusUrl = `/api/patient/${patient.id}/status`;
+
+        expect((await agent.post(statusUrl).send({ status: 'declined' })).status).toBe(400);
+        expect((await agent.post(statusUrl).send({ status: 'declined', reasonCode: 'not_a_reason' })).status).toBe(400);
+        expect((await agent.post(statusUrl).send({ status: 'declined', reasonCode: 'other' })).status).toBe(400);
+        expect(await referralStatus(patient)).toBe('under_review');
+
+        const response = await agent.post(statusUrl).send({ status: 'declined', reasonCode: 'other', note: 'Moved out of state' });
+
+        expect(response.status).toBe(200);
+        expect(await referralStatus(patient)).toBe('declined');
+    });
+
+    it('only lets a declined referral move again through reopen', async () => {
+        const patient = await referredPatient('declined');
+
+        const transition = await agent.post(`/api/patient/${patient.id}/status`).send({ status: 'under_review' });
+        expect(transition.status).toBe(409);
+
+        const withoutNote = await agent.post(`/api/patient/${patient.id}/reopen`).send({});
+        expect(withoutNote.status).toBe(400);
+        expect(await referralStatus(patient)).toBe('declined');
+
+        const reopen = await agent.post(`/api/patient/${patient.id}/reopen`).send({ note: 'New insurance approved' });
+        expect(reopen.status).toBe(200);
+        expect(reopen.body.newStatus).toBe('under_review');
+        expect(await referralStatus(patient)).toBe('under_review');
+
+        const again = await agent.post(`/api/patient/${patient.id}/reopen`).send({ note: 'Again' });
+        expect(again.status).toBe(409);
+
+        const history = await portal.db.query('SELECT from_status, to_status, action, note FROM referral_status_history WHERE patient_id = $1', [patient.id]);
+        expect(history.rows).toEqual([
+            { from_status: 'declined', to_status: 'under_review', action: 'reopen', note: 'New insurance approved' }
+        ]);
+    });
+
+    it('returns the history with reason labels', async () => {
+        const patient = await referredPatient('under_review');
+        await agent.post(`/api/patient/${patient.id}/status`).send({ status: 'waitlisted', reasonCode: 'pending_testing' });
+
+        const response = await agent.get(`/api/patient/${patient.id}/status-history`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.history).toEqual([
+            expect.objectContaining({
+                from_status: 'under_review',
+                to_status: 'waitlisted',
+                reason_code: 'pending_testing',
+                reason_label: 'Pending additional testing',
+                employee_email: employee.email
+            })
+        ]);
+    });
+
+    it('does not touch referrals at other centers', async () => {
+        const patient = await createPatient(portal.db);
+        await createReferral(portal.db, patient, await createCenter(portal.db));
+
+        const response = await agent.post(`/api/patient/${patient.id}/status`).send({ status: 'under_review' });
+        const history = await agent.get(`/api/patient/${patient.id}/status-history`);
+
+        expect(response.status).toBe(404);
+        expect(history.status).toBe(404);
+    });
+
+    it('shuts the center out of a referral the patient withdrew', async () => {
+        const patient = await referredPatient('under_review');
+        await portal.db.query("UPDATE patient_referrals SET status = 'withdrawn' WHERE patient_id = $1", [patient.id]);
+
+        expect((await agent.get(`/patient/${patient.id}`)).status).toBe(403);
+        expect((await agent.get(`/patient/${patient.id}/documents`)).status).toBe(403);
+        expect((await agent.get(`/api/patient/${patient.id}/status-history`)).status).toBe(404);
+        expect((await agent.get(`/api/patient/${patient.id}/labs`)).status).toBe(404);
+        expect((await agent.post(`/api/patient/${patient.id}/status`).send({ status: 'accepted' })).status).toBe(404);
+        expect(await referralStatus(patient)).toBe('withdrawn');
+    });
+});
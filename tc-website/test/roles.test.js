@@ -0,0 +1,90 @@
+const { startPortal } = require('./portal');
+const { createPatient, createCenter, createEmployee, createReferral } = require('../../backend-api/test/fixtures');
+
+describe('transplant center roles', () => {
+    let portal;
+    let center;
+    let admin;
+    let adminAgent;
+
+    beforeAll(async () => {
+        portal = await startPortal();
+        center = await createCenter(portal.db);
+        admin = await createEmployee(portal.db, center, { role: 'admin' });
+        adminAgent = await portal.signIn(admin);
+    });
+
+    afterAll(() => portal.stop());
+
+    async function employeeRow(employee) {
+        const result = await portal.db.query('SELECT role, status FROM transplant_center_employees WHERE id = $1', [employee.id]);
+        return result.rows[0];
+    }
+
+    async function referredPatient() {
+        const patient = await createPatient(portal.db);
+        await createReferral(portal.db, patient, center);
+        return patient;
+    }
+
+    it('lets read-only staff view referrals but not change them', async () => {
+        const reviewer = await createEmployee(portal.db, center, { role: 'read_only' });
+        const agent = await portal.signIn(reviewer);
+        const patient = await referredPatient();
+
+        expect((await agent.get(`/api/patient/${patient.id}/status-history`)).status).toBe(200);
+
+        const response = await agent.post(`/api/patient/${patient.id}/status`).send({ status: 'under_review' });
+
+        expect(response.status).toBe(403);
+        const referral = await portal.db.query('SELECT status FROM patient_referrals WHERE patient_id = $1', [patient.id]);
+        expect(referral.rows[0].status).toBe('submitted');
+    });
+
+    it('keeps staff management to admins', async () => {
+        const coordinator = await createEmployee(portal.db, center, { role: 'coordinator' });
+        const other = await createEmployee(portal.db, center, { role: 'read_only' });
+        const agent = await portal.signIn(coordinator);
+
+        expect((await agent.get('/staff')).status).toBe(403);
+        expect((await agent.post(`/api/staff/${other.id}/role`).send({ role: 'admin' })).status).toBe(403);
+        expect((await adminAgent.get('/staff')).status).toBe(200);
+        expect(await employeeRow(other)).toEqual({ role: 'read_only', status: 'active' });
+    });
+
+    it('applies a role change to a signed-in employee on their next request', async () => {
+        const coordinator = await createEmployee(portal.db, center, { role: 'coordinator' });
+        const agent = await portal.signIn(coordinator);
+        const patient = await referredPatient();
+
+        const demote = await adminAgent.post(`/api/staff/${coordinator.id}/role`).send({ role: 'read_only' });
+        expect(demote.status).toBe(200);
+        expect(await employeeRow(coordinator)).toEqual({ role: 'read_only', status: 'active' });
+
+        const response = await agent.post(`/api/patient/${patient.id}/status`).send({ status: 'under_review' });
+        expect(response.status).toBe(403);
+    });
+
+    it('signs deactivated staff out', async () => {
+        const coordinator = await createEmployee(portal.db, center, { role: 'coordinator' });
+        const agent = await portal.signIn(coordinator);
+
+        const deactivate = await adminAgent.post(`/api/staff/${coordinator.id}/status`).send({ status: 'inactive' });
+        expect(deactivate.status).toBe(200);
+
+        const response = await agent.get('/dashboard');
+        expect(response.status).toBe(302);
+        expect(response.headers.location).toBe('/login');
+    });
+
+    it('refuses invalid roles, self-changes and staff at other centers', async () => {
+        const outsider = await createEmployee(portal.db, await createCenter(portal.db), { role: 'read_only' });
+        const colleague = await createEmployee(portal.db, center, { role: 'read_only' });
+
+        expect((await adminAgent.post(`/api/staff/${colleague.id}/role`).send({ role: 'owner' })).status).toBe(400);
+        expect((await adminAgent.post(`/api/staff/${admin.id}/role`).send({ role: 'read_only' })).status).toBe(400);
+        expect((await adminAgent.post(`/api/staff/${outsider.id}/role`).send({ role: 'admin' })).status).toBe(404);
+        expect(await employeeRow(outsider)).toEqual({ role: 'read_only', status: 'active' });
+        expect(await employeeRow(admin)).toEqual({ role: 'admin', status: 'active' });
+    });
+});